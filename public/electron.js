@@ -1,11 +1,86 @@
-const { app, BrowserWindow, ipcMain, Notification, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification, dialog, shell, safeStorage } = require('electron');
 const path = require('path');
 const isDev = require('electron-is-dev');
-const { initializeDatabase } = require('../database');
-const { secureOperations, validateFilePath } = require('../src/database/secureOperations');
+const { initializeDatabase, migrateDatabaseFile, findSchemaDrift, CURRENT_SCHEMA_VERSION } = require('../database');
+const {
+  secureOperations,
+  getAuditTarget,
+  getRequiredPermission,
+  hasRequiredRole,
+  validateFilePath
+} = require('../src/database/secureOperations');
+const { resolveRolePermissions, roleHasPermission } = require('../src/database/permissions');
+const { resolveSettings } = require('../src/database/appSettings');
+const { AuthService } = require('../src/database/authService');
+const { SessionManager, SYSTEM_SESSION } = require('../src/database/sessionManager');
+const {
+  recordAuditEntry,
+  safeRecordAuditEntry,
+  verifyAuditChain,
+  captureAuditImage,
+  buildWriteAuditEntry
+} = require('../src/database/auditLogger');
+const { runExclusive, runInTransaction } = require('../src/database/transaction');
+const { EncryptedStorage, detectBackupFormat } = require('../src/database/encryptedStorage');
+const { isEncryptedBuffer } = require('../src/database/encryption');
+const { copyDatabase, verifyDatabaseFile } = require('../src/database/databaseBackup');
+const { BackupScheduler } = require('../src/database/backupScheduler');
+const { RestoreManager } = require('../src/database/restoreManager');
+const { exportArchive, isArchiveFile } = require('../src/database/archiveBackup');
+const { getDatabaseHealth, runMaintenance, MAINTENANCE_ACTIONS } = require('../src/database/databaseHealth');
+const { readXlsxRows } = require('../src/database/spreadsheet');
+const { refreshComplianceSchedule } = require('../src/database/complianceScheduler');
+const { refreshPmSchedules } = require('../src/database/pmScheduler');
+const MigrationManager = require('../src/database/migrationManager');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 
 let db;
+let authService;
+let storage;
+let backupScheduler;
+let restoreManager;
+const sessionManager = new SessionManager();
+
+// Decrypted copies of encrypted documents opened in external viewers; removed on quit
+const DECRYPTED_DOCUMENTS_DIR = path.join(app.getPath('temp'), 'jsg-inspections-documents');
+
+// Set once the working database has been sealed, so the final quit is not intercepted again
+let databaseSealed = false;
+
+// Effective permissions per role, loaded from role_permissions on first use
+let rolePermissions = null;
+
+// Effective application settings, loaded from app_settings on first use
+let appSettings = null;
+
+// Background refreshes run as the system shortly after the last write that calls for one
+const complianceRefresh = createDeferredRefresh('the compliance schedule', refreshComplianceSchedule);
+const pmRefresh = createDeferredRefresh('PM schedules', refreshPmSchedules);
+
+// Main-process state that follows successful writes: open sessions track changes
+// to their user's account, permission edits take effect on the next call, writes
+// that move a compliance due date refresh the schedule, and meter readings and
+// PM work refresh the PM schedules
+const WRITE_SIDE_EFFECTS = {
+  'users.updateRole': (params) => sessionManager.updateForUser(params.id, { role: params.role }),
+  'users.deactivate': (params) => sessionManager.destroyForUser(params.id),
+  'permissions.setGrant': () => { rolePermissions = null; },
+  'settings.set': () => { appSettings = null; },
+  ...Object.fromEntries([
+    'inspections.create', 'inspections.createFromScheduled', 'inspections.finalize', 'loadTests.create',
+    'compliance.updateStandard', 'compliance.deleteStandard', 'compliance.assignStandard', 'compliance.unassignStandard',
+    'equipment.create', 'equipment.update', 'equipment.import', 'equipment.delete',
+    'scheduledInspections.updateStatus', 'scheduledInspections.complete', 'scheduledInspections.delete'
+  ].map(key => [key, () => complianceRefresh.schedule()])),
+  ...Object.fromEntries([
+    'meterReadings.create', 'meterReadings.createBatch', 'workOrders.updateStatus', 'workOrders.complete',
+    'pmSchedules.create', 'pmSchedules.updateDue', 'pmTemplates.update'
+  ].map(key => [key, () => pmRefresh.schedule()]))
+};
+
+// Parameter names that must only travel over the auth channel
+const CREDENTIAL_PARAM_KEYS = ['password', 'pin', 'currentPassword', 'newPassword', 'temporaryPassword', 'passwordHash', 'password_hash', 'pinHash', 'pin_hash', 'passphrase', 'newPassphrase'];
 
 // disable cache
 app.commandLine.appendSwitch('disable-http-cache');
@@ -27,14 +102,96 @@ function createWindow() {
 
   mainWindow.loadURL(startUrl).catch(err => console.log('Failed to load URL:', err));
 
+  // Sessions belong to the window that signed in and end with it
+  const webContentsId = mainWindow.webContents.id;
+  mainWindow.on('closed', () => sessionManager.destroyForOwner(webContentsId));
+
   // Open the DevTools.
   // mainWindow.webContents.openDevTools();
 }
 
-app.whenReady().then(() => {
-  db = initializeDatabase(app);
+// Wraps data keys with the operating system keychain (DPAPI, Keychain or libsecret)
+const deviceCipher = {
+  isAvailable: () => safeStorage.isEncryptionAvailable(),
+  encrypt: (text) => safeStorage.encryptString(text),
+  decrypt: (buffer) => safeStorage.decryptString(buffer)
+};
+
+// Opens the database once encrypted storage, if enabled, is unlocked
+async function openDatabase() {
+  await storage.openDatabase();
+  db = initializeDatabase(app, { storage });
+  authService = new AuthService(db);
+
+  // Audit entries about a restore or its undo belong to the database it installed
+  for (const entry of await restoreManager.takePendingAudit()) {
+    await recordStandaloneAuditEntry(entry);
+  }
+}
+
+// Closes the connection after queued writes have finished
+function closeDatabase() {
+  if (!db) return Promise.resolve();
+  const connection = db;
+  return runExclusive(connection, () => new Promise((resolve) => {
+    connection.close((err) => {
+      if (err) console.error('Error closing database:', err.message);
+      resolve();
+    });
+  }));
+}
+
+function requireDatabase() {
+  if (!db) {
+    throw new Error('Encrypted storage is locked. Enter the administrator passphrase to continue.');
+  }
+}
+
+app.whenReady().then(async () => {
+  storage = new EncryptedStorage(app.getPath('userData'), deviceCipher);
+  restoreManager = new RestoreManager({
+    userDataPath: app.getPath('userData'),
+    storage,
+    currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+    migrateFile: (filePath) => migrateDatabaseFile(app, filePath)
+  });
+  try {
+    // A restore staged before the last exit is not resumed
+    await restoreManager.discard();
+    if (await storage.load()) {
+      await openDatabase();
+    }
+  } catch (error) {
+    console.error('Failed to open encrypted storage:', error);
+  }
   createWindow();
 
+  // Automatic backups; runs are skipped while storage is locked or no database is open
+  backupScheduler = new BackupScheduler({
+    directory: path.join(app.getPath('userData'), 'backups', 'scheduled'),
+    storage,
+    getDatabase: () => db,
+    getRetention: getBackupRetention,
+    onBackup: (manifest) => recordStorageEvent(SYSTEM_SESSION, 'backup', {
+      file_name: manifest.fileName,
+      tiers: manifest.tiers,
+      schema_version: manifest.schemaVersion,
+      sha256: manifest.sha256,
+      scheduled: true
+    }),
+    onError: (error) => recordStorageEvent(SYSTEM_SESSION, 'backup_failed', { error: error.message, scheduled: true }),
+    appVersion: app.getVersion()
+  });
+  backupScheduler.start();
+
+  // Bring compliance-driven and PM due dates up to date, then again daily as they come due
+  complianceRefresh.schedule();
+  pmRefresh.schedule();
+  setInterval(() => {
+    complianceRefresh.schedule();
+    pmRefresh.schedule();
+  }, 24 * 3600000);
+
   // Check for scheduled inspections periodically
   setTimeout(() => {
     setInterval(async () => {
@@ -75,32 +232,428 @@ app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
 });
 
+// With encryption enabled, the working database is sealed before the process exits
+app.on('will-quit', (event) => {
+  fs.rm(DECRYPTED_DOCUMENTS_DIR, { recursive: true, force: true }).catch(() => {});
+  backupScheduler?.stop();
+  complianceRefresh.cancel();
+  pmRefresh.cancel();
+  if (databaseSealed || !storage?.isEnabled() || !db) return;
+
+  event.preventDefault();
+  closeDatabase()
+    .then(() => storage.sealDatabase())
+    .catch(error => console.error('Failed to seal the database:', error))
+    .finally(() => {
+      databaseSealed = true;
+      db = null;
+      app.quit();
+    });
+});
+
+/**
+ * Records an audit entry outside any running transaction, so a rollback cannot discard it
+ * @param {Object} entry - Audit entry for safeRecordAuditEntry
+ */
+function recordStandaloneAuditEntry(entry) {
+  return runExclusive(db, () => safeRecordAuditEntry(db, entry));
+}
+
+/**
+ * Returns the permissions of each role, loading the overrides if needed
+ * @returns {Promise<Object>} - { [role]: Array<string> }
+ */
+async function getRolePermissions() {
+  if (rolePermissions) {
+    return rolePermissions;
+  }
+  
+  try {
+    const overrides = await new Promise((resolve, reject) => {
+      db.all('SELECT role, permission, granted FROM role_permissions', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    rolePermissions = resolveRolePermissions(overrides);
+    return rolePermissions;
+  } catch (error) {
+    // Until migrations have created role_permissions, the defaults apply
+    console.error('Failed to load role permissions:', error.message);
+    return resolveRolePermissions();
+  }
+}
+
+/**
+ * Returns the effective application settings, loading them if needed
+ * @returns {Promise<Object>} - { [key]: value }, see appSettings.js
+ */
+async function getAppSettings() {
+  if (appSettings) {
+    return appSettings;
+  }
+  
+  try {
+    const rows = await new Promise((resolve, reject) => {
+      db.all('SELECT key, value FROM app_settings', (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+    appSettings = resolveSettings(rows);
+    return appSettings;
+  } catch (error) {
+    // Until migrations have created app_settings, the defaults apply
+    console.error('Failed to load application settings:', error.message);
+    return resolveSettings();
+  }
+}
+
+async function getSessionPolicy() {
+  const settings = await getAppSettings();
+  return {
+    idleTimeoutMs: settings['session.idle_timeout_minutes'] * 60000,
+    maxLifetimeMs: settings['session.max_lifetime_hours'] * 3600000
+  };
+}
+
+async function getBackupRetention() {
+  const settings = await getAppSettings();
+  return {
+    daily: settings['backup.daily_retention'],
+    weekly: settings['backup.weekly_retention'],
+    monthly: settings['backup.monthly_retention']
+  };
+}
+
+/**
+ * Records a session lifecycle event (lock, expiry) against the session's user
+ * @param {Function} record - Writes the entry; see resolveSession
+ * @param {Object} session - Session the event belongs to
+ * @param {string} action - Audit action
+ * @param {Object} newValues - Details of the event
+ */
+function recordSessionEvent(record, session, action, newValues) {
+  return record({
+    userId: session.userId,
+    username: session.username,
+    action,
+    entityType: 'user',
+    entityId: session.userId,
+    newValues
+  });
+}
+
+/**
+ * Resolves a token to its session and applies the timeouts: an expired session is
+ * ended and an idle one is locked, both audited.
+ * @param {string} sessionToken - Token sent by the preload
+ * @param {number} ownerId - webContents ID of the caller
+ * @param {Function} record - Writes audit entries; callers already holding the
+ *   connection (auth actions) pass a direct writer instead of the queued default
+ * @returns {Promise<Object|null>} - The session, or null if missing or expired
+ */
+async function resolveSession(sessionToken, ownerId, record = recordStandaloneAuditEntry) {
+  const session = sessionManager.get(sessionToken, ownerId);
+  if (!session) {
+    return null;
+  }
+  
+  const policy = await getSessionPolicy();
+  const state = sessionManager.getState(session, policy);
+  
+  if (state === 'expired') {
+    sessionManager.destroy(sessionToken);
+    await recordSessionEvent(record, session, 'session_expired', {
+      started_at: new Date(session.createdAt).toISOString(),
+      max_lifetime_hours: policy.maxLifetimeMs / 3600000
+    });
+    return null;
+  }
+  
+  if (state === 'idle') {
+    sessionManager.lock(sessionToken);
+    await recordSessionEvent(record, session, 'lock', {
+      reason: 'idle',
+      last_activity: new Date(session.lastActivity).toISOString()
+    });
+  }
+  
+  return session;
+}
+
+/**
+ * Describes what a call to an operation requires
+ * @param {Object} operationDef - Operation definition
+ * @param {Object} params - Call parameters
+ * @returns {Object} - { role, permission }; permission is null for role-guarded operations
+ */
+function getRequirement(operationDef, params) {
+  return {
+    role: operationDef?.minRole || null,
+    permission: operationDef ? getRequiredPermission(operationDef, params) : null
+  };
+}
+
+/**
+ * Checks a session against an operation's permission, or against its minRole when it declares none
+ * @param {Object} session - Session of the caller
+ * @param {Object} operationDef - Operation definition
+ * @param {Object} params - Call parameters
+ * @returns {Promise<boolean>} - True if the session may run the operation
+ */
+async function isAuthorized(session, operationDef, params) {
+  const { role, permission } = getRequirement(operationDef, params);
+  if (permission === null) {
+    return hasRequiredRole(session.role, role);
+  }
+  return roleHasPermission(await getRolePermissions(), session.role, permission);
+}
+
+/**
+ * Checks whether a conditional requirement applies to the targeted row
+ * @param {Object|undefined} condition - { sql, params } of a conditionalPermission or conditionalRole
+ * @param {Object} params - Validated parameters
+ * @returns {Promise<boolean>} - True if the condition's query returns a row
+ */
+async function conditionApplies(condition, params) {
+  if (!condition) {
+    return false;
+  }
+  
+  const row = await new Promise((resolve, reject) => {
+    db.get(condition.sql, condition.params.map(name => params[name]), (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+  return Boolean(row);
+}
+
+/**
+ * Resolves the extra permission an operation needs for the targeted row, if any
+ * @param {Object} operationDef - Operation definition
+ * @param {Object} params - Validated parameters
+ * @returns {Promise<string|null>} - Permission key, or null when the condition does not apply
+ */
+async function getConditionalPermission(operationDef, params) {
+  return (await conditionApplies(operationDef.conditionalPermission, params)) ? operationDef.conditionalPermission.permission : null;
+}
+
+/**
+ * Resolves the minimum role an operation needs for the targeted row, if any
+ * @param {Object} operationDef - Operation definition
+ * @param {Object} params - Validated parameters
+ * @returns {Promise<string|null>} - Role name, or null when the condition does not apply
+ */
+async function getConditionalRole(operationDef, params) {
+  return (await conditionApplies(operationDef.conditionalRole, params)) ? operationDef.conditionalRole.role : null;
+}
+
+/**
+ * Describes a requirement for error messages
+ * @param {Object} requirement - { role, permission }
+ * @returns {string} - e.g. "the deficiency.close permission"
+ */
+function describeRequirement(requirement) {
+  return requirement.permission ? `the ${requirement.permission} permission` : `the ${requirement.role} role`;
+}
+
+/**
+ * Records a rejected operation call in the audit log
+ * @param {Object|null} session - Session of the caller, or null if unauthenticated
+ * @param {string} category - Operation category
+ * @param {string} operation - Operation name
+ * @param {Object} params - Parameters of the rejected call
+ * @param {string} reason - Why the call was rejected
+ * @param {Object} requirement - { role, permission } the call needed; defaults to the operation's
+ */
+function auditDenial(session, category, operation, params, reason,
+  requirement = getRequirement(secureOperations[category]?.[operation], params)) {
+  return recordStandaloneAuditEntry({
+    userId: session?.userId,
+    username: session?.username || 'anonymous',
+    action: 'access_denied',
+    entityType: category,
+    entityId: Number.isInteger(params?.id) ? params.id : 0,
+    newValues: {
+      operation: `${category}.${operation}`,
+      reason,
+      role: session?.role || null,
+      required_role: requirement.role || null,
+      required_permission: requirement.permission || null
+    }
+  });
+}
+
 /**
  * Executes a secure database operation with validation
  * @param {string} category - Operation category (e.g., 'equipment', 'inspections')
  * @param {string} operation - Operation name (e.g., 'getAll', 'create')
  * @param {Object} params - Parameters for the operation
+ * @param {Object} session - Session of the caller; defaults to the main-process system context
  * @returns {Promise} - Database operation result
  */
-async function executeSecureOperation(category, operation, params = {}) {
+async function executeSecureOperation(category, operation, params = {}, session = SYSTEM_SESSION) {
   const operationDef = secureOperations[category]?.[operation];
   
   if (!operationDef) {
     throw new Error(`Invalid operation: ${category}.${operation}`);
   }
   
+  // Accounts holding a temporary password may only use the auth channel until it is changed
+  if (session.restricted) {
+    await auditDenial(session, category, operation, params, 'password_change_required');
+    throw new Error('Password change required before accessing data');
+  }
+  
+  if (session.locked) {
+    await auditDenial(session, category, operation, params, 'session_locked');
+    throw new Error('Session is locked');
+  }
+  
+  if (!(await isAuthorized(session, operationDef, params))) {
+    const requirement = getRequirement(operationDef, params);
+    await auditDenial(session, category, operation, params, requirement.permission ? 'missing_permission' : 'insufficient_role', requirement);
+    throw new Error(`Access denied: ${category}.${operation} requires ${describeRequirement(requirement)}`);
+  }
+  
+  // Audit entries written by the renderer are attributed to the session, not to what it claims
+  if (category === 'auditLog' && operation === 'create' && !session.system) {
+    params = { ...params, userId: session.userId, username: session.username };
+  }
+  
+  // Credentials are hashed by the auth channel and never bound as plain SQL parameters
+  if (params && CREDENTIAL_PARAM_KEYS.some(key => key in params)) {
+    throw new Error(`Credential fields are not accepted by operation: ${category}.${operation}`);
+  }
+  
   // Validate parameters (pass userDataPath for document operations)
   const userDataPath = category === 'documents' ? app.getPath('userData') : null;
   if (!operationDef.validate(params, userDataPath)) {
     throw new Error(`Invalid parameters for operation: ${category}.${operation}`);
   }
   
+  const conditionalPermission = await getConditionalPermission(operationDef, params);
+  if (conditionalPermission && !roleHasPermission(await getRolePermissions(), session.role, conditionalPermission)) {
+    const requirement = { role: operationDef.minRole, permission: conditionalPermission };
+    await auditDenial(session, category, operation, params, 'missing_permission', requirement);
+    throw new Error(`Access denied: ${category}.${operation} requires ${describeRequirement(requirement)} for this record`);
+  }
+  
+  const conditionalRole = await getConditionalRole(operationDef, params);
+  if (conditionalRole && !hasRequiredRole(session.role, conditionalRole)) {
+    const requirement = { role: conditionalRole, permission: null };
+    await auditDenial(session, category, operation, params, 'insufficient_role', requirement);
+    throw new Error(`Access denied: ${category}.${operation} requires ${describeRequirement(requirement)} for this record`);
+  }
+  
+  // Audit entries must join the hash chain, so they go through the audit logger rather than plain SQL
+  if (category === 'auditLog' && operation === 'create') {
+    const lastID = await runExclusive(db, () => recordAuditEntry(db, params));
+    return { lastID, changes: 1 };
+  }
+  
+  if (operationDef.returnType === 'batch') {
+    const result = await runExclusive(db, () => runInTransaction(db, () => runBatchOperation(operationDef, params, session)));
+    WRITE_SIDE_EFFECTS[`${category}.${operation}`]?.(params);
+    return result;
+  }
+  
+  if (operationDef.returnType === 'write') {
+    const result = await runExclusive(db, () => runStatement(category, operation, operationDef, params, session));
+    if (result.changes > 0) {
+      WRITE_SIDE_EFFECTS[`${category}.${operation}`]?.(params);
+    }
+    return result;
+  }
+  
+  return runStatement(category, operation, operationDef, params, session);
+}
+
+/**
+ * Wraps a refresh so bursts of calls run it once, as the system, shortly after the last one
+ * @param {string} label - What is refreshed, for the error log
+ * @param {Function} refresh - (execute) => Promise, e.g. refreshComplianceSchedule
+ * @returns {Object} - { schedule(), cancel() }
+ */
+function createDeferredRefresh(label, refresh) {
+  let timer = null;
+  return {
+    schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        timer = null;
+        if (!db) return;
+        try {
+          await refresh((category, operation, params) => executeSecureOperation(category, operation, params));
+        } catch (error) {
+          console.error(`Failed to refresh ${label}:`, error);
+        }
+      }, 2000);
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Runs the steps of a batch operation; the caller wraps this in a transaction
+ * @param {Object} operationDef - Batch operation definition
+ * @param {Object} params - Validated batch parameters
+ * @param {Object} session - Session of the caller
+ * @returns {Promise} - Result of the batch's run function
+ */
+function runBatchOperation(operationDef, params, session) {
+  // Steps are validated and audited like standalone writes; their audit entries commit with them
+  const execute = async (category, operation, stepParams) => {
+    const stepDef = secureOperations[category]?.[operation];
+    if (!stepDef || stepDef.returnType !== 'write') {
+      throw new Error(`Invalid batch step: ${category}.${operation}`);
+    }
+    if (!(await isAuthorized(session, stepDef, stepParams))) {
+      throw new Error(`Access denied: ${category}.${operation} requires ${describeRequirement(getRequirement(stepDef, stepParams))}`);
+    }
+    if (!stepDef.validate(stepParams, null)) {
+      throw new Error(`Invalid parameters for operation: ${category}.${operation}`);
+    }
+    const conditionalPermission = await getConditionalPermission(stepDef, stepParams);
+    if (conditionalPermission && !roleHasPermission(await getRolePermissions(), session.role, conditionalPermission)) {
+      throw new Error(`Access denied: ${category}.${operation} requires the ${conditionalPermission} permission for this record`);
+    }
+    const conditionalRole = await getConditionalRole(stepDef, stepParams);
+    if (conditionalRole && !hasRequiredRole(session.role, conditionalRole)) {
+      throw new Error(`Access denied: ${category}.${operation} requires the ${conditionalRole} role for this record`);
+    }
+    return runStatement(category, operation, stepDef, stepParams, session);
+  };
+  
+  return operationDef.run(execute, params);
+}
+
+/**
+ * Runs a single registry statement, auditing it if it is a write
+ * @param {string} category - Operation category
+ * @param {string} operation - Operation name
+ * @param {Object} operationDef - Operation definition
+ * @param {Object} params - Validated parameters
+ * @param {Object} session - Session of the caller
+ * @returns {Promise} - Database operation result
+ */
+async function runStatement(category, operation, operationDef, params, session) {
   // Build parameter array in correct order
   const paramArray = operationDef.params.map(paramName => params[paramName]);
   const sql = operationDef.sql;
   const returnType = operationDef.returnType;
   
-  return new Promise((resolve, reject) => {
+  // Writes are audited here rather than by each component: capture the row before the write
+  const auditTarget = getAuditTarget(category, operation);
+  const needsBeforeImage = auditTarget && (auditTarget.statement !== 'INSERT' || auditTarget.lookup);
+  const beforeImage = needsBeforeImage ? await captureAuditImage(db, auditTarget, params) : null;
+  
+  const result = await new Promise((resolve, reject) => {
     // Dispatch based on returnType
     switch (returnType) {
       case 'write':
@@ -151,20 +704,294 @@ async function executeSecureOperation(category, operation, params = {}) {
         reject(new Error(`Invalid returnType: ${returnType} for operation: ${category}.${operation}`));
     }
   });
+  
+  if (auditTarget && result.changes > 0) {
+    await auditWrite(session, auditTarget, params, beforeImage, result);
+  }
+  
+  return result;
+}
+
+/**
+ * Records the audit entry for a completed write: before-image plus a JSON diff of the after-image
+ * @param {Object} session - Session that performed the write
+ * @param {Object} auditTarget - Audit target from getAuditTarget
+ * @param {Object} params - Operation parameters
+ * @param {Object|null} beforeImage - Row captured before the write
+ * @param {Object} result - { lastID, changes } from the write
+ */
+async function auditWrite(session, auditTarget, params, beforeImage, result) {
+  try {
+    let afterImage = null;
+    if (auditTarget.statement !== 'DELETE') {
+      const insertedRowId = auditTarget.statement === 'INSERT' && !auditTarget.lookup ? result.lastID : null;
+      afterImage = await captureAuditImage(db, auditTarget, params, insertedRowId);
+    }
+    
+    const entry = buildWriteAuditEntry(auditTarget, params, beforeImage, afterImage, result.lastID);
+    await safeRecordAuditEntry(db, {
+      ...entry,
+      userId: session.userId,
+      username: session.username
+    });
+  } catch (error) {
+    console.error(`Failed to audit write to ${auditTarget.entityType}:`, error.message);
+  }
 }
 
 // Secure IPC handlers for database operations
-ipcMain.handle('secure-db-operation', async (event, category, operation, params) => {
+ipcMain.handle('secure-db-operation', async (event, category, operation, params, sessionToken) => {
   try {
-    return await executeSecureOperation(category, operation, params);
+    requireDatabase();
+    const session = await resolveSession(sessionToken, event.sender.id);
+    if (!session) {
+      await auditDenial(null, category, operation, params, 'not_authenticated');
+      throw new Error('Not signed in');
+    }
+    sessionManager.touch(sessionToken);
+    
+    return await executeSecureOperation(category, operation, params, session);
   } catch (error) {
     console.error(`Secure DB operation failed: ${category}.${operation}`, error);
     throw error;
   }
 });
 
-// File operations with path validation
-ipcMain.handle('open-file-path', async (event, filePath) => {
+/**
+ * Opens a session for the calling renderer after a successful login
+ * @param {Object} result - { user, mustChangePassword } from AuthService.login
+ * @param {Object} event - IPC event of the caller
+ * @returns {Object} - Login result with the session token
+ */
+function startSession(result, event) {
+  const sessionToken = sessionManager.create(result.user, event.sender.id, {
+    restricted: result.mustChangePassword
+  });
+  return { ...result, sessionToken };
+}
+
+function requireSession(context) {
+  if (!context.session) {
+    throw new Error('Not signed in');
+  }
+  if (context.session.locked) {
+    throw new Error('Session is locked');
+  }
+  return context.session;
+}
+
+/**
+ * Describes a session's lock state and timeouts to the renderer
+ * @param {Object} session - Session from resolveSession
+ * @returns {Promise<Object>} - { locked, idleTimeoutMs, expiresAt }
+ */
+async function describeSession(session) {
+  const policy = await getSessionPolicy();
+  return {
+    locked: Boolean(session.locked),
+    idleTimeoutMs: policy.idleTimeoutMs,
+    expiresAt: new Date(session.createdAt + policy.maxLifetimeMs).toISOString()
+  };
+}
+
+// Authentication actions handled by the main-process AuthService.
+// Account-changing actions act on the session's user, never on a username sent by the renderer.
+const authActions = {
+  getSetupStatus: () => authService.getSetupStatus(),
+  setupAdmin: (params) => authService.setupAdmin(params),
+  login: async (params, context) => startSession(await authService.login(params), context.event),
+  resumeSession: async (params, context) => {
+    const existing = sessionManager.findByOwner(context.event.sender.id);
+    const session = existing && await resolveSession(existing.token, context.event.sender.id, context.record);
+    if (!session) {
+      return null;
+    }
+    
+    const user = await authService.getActiveUser(session.userId);
+    if (!user) {
+      sessionManager.destroy(existing.token);
+      return null;
+    }
+    
+    return { user, mustChangePassword: session.restricted, locked: Boolean(session.locked), sessionToken: existing.token };
+  },
+  // Reports renderer activity; returns null once the session has ended
+  heartbeat: async (params, context) => {
+    if (!context.session) {
+      return null;
+    }
+    sessionManager.touch(context.sessionToken);
+    return describeSession(context.session);
+  },
+  lock: async (params, context) => {
+    const session = context.session;
+    if (!session) {
+      throw new Error('Not signed in');
+    }
+    if (sessionManager.lock(context.sessionToken)) {
+      await recordSessionEvent(context.record, session, 'lock', { reason: params.reason === 'idle' ? 'idle' : 'manual' });
+    }
+    return describeSession(session);
+  },
+  // Re-authenticates the session's own user; repeated failures end the session
+  unlock: async (params, context) => {
+    const session = context.session;
+    if (!session) {
+      throw new Error('Not signed in');
+    }
+    
+    try {
+      await authService.unlock({ userId: session.userId, password: params.password, pin: params.pin });
+    } catch (error) {
+      if (error.accountLocked) {
+        sessionManager.destroy(context.sessionToken);
+      }
+      throw error;
+    }
+    
+    sessionManager.unlock(context.sessionToken);
+    return describeSession(session);
+  },
+  // Ends every session of the calling window, including one the renderer no longer holds a token for
+  logout: async (params, context) => {
+    const session = context.session;
+    sessionManager.destroyForOwner(context.event.sender.id);
+    if (session) {
+      await recordSessionEvent(context.record, session, 'logout', { locked: Boolean(session.locked) });
+    }
+    return { success: true };
+  },
+  changePassword: async (params, context) => {
+    const session = requireSession(context);
+    const result = await authService.changePassword({ ...params, username: session.username });
+    sessionManager.update(context.sessionToken, { restricted: false });
+    return result;
+  },
+  setPin: (params, context) => authService.setPin({ ...params, username: requireSession(context).username }),
+  // The signed-in user's effective permissions, for can() in the renderer
+  getPermissions: async (params, context) => {
+    const session = context.session;
+    if (!session || session.restricted || session.locked) {
+      return [];
+    }
+    return (await getRolePermissions())[session.role] || [];
+  },
+  resetPassword: async (params, context) => {
+    const session = requireSession(context);
+    if (session.restricted) {
+      throw new Error('Password change required before managing other accounts');
+    }
+    return authService.resetPassword({ ...params, actorId: session.userId, rolePermissions: await getRolePermissions() });
+  }
+};
+
+ipcMain.handle('auth', async (event, action, params = {}, sessionToken = null) => {
+  const handler = authActions[action];
+  if (!handler) {
+    throw new Error(`Invalid auth action: ${action}`);
+  }
+  
+  try {
+    requireDatabase();
+    // Auth actions write login state and audit entries, so they queue behind open transactions
+    return await runExclusive(db, async () => {
+      const record = (entry) => safeRecordAuditEntry(db, entry);
+      const session = await resolveSession(sessionToken, event.sender.id, record);
+      return handler(params, { event, sessionToken, session, record });
+    });
+  } catch (error) {
+    // Never log params here: they carry plaintext credentials
+    console.error(`Auth action failed: ${action}`, error.message);
+    throw error;
+  }
+});
+
+/**
+ * Resolves the caller's session for a privileged IPC action outside the operation registry
+ * @param {Object} event - IPC event of the caller
+ * @param {string} sessionToken - Token sent by the preload
+ * @param {string} action - Action name, for the audit trail
+ * @param {string} permission - Permission key required
+ * @returns {Promise<Object>} - The session
+ */
+async function requirePermission(event, sessionToken, action, permission) {
+  requireDatabase();
+  const session = await resolveSession(sessionToken, event.sender.id);
+  
+  let reason = null;
+  if (!session) reason = 'not_authenticated';
+  else if (session.restricted) reason = 'password_change_required';
+  else if (session.locked) reason = 'session_locked';
+  else if (!roleHasPermission(await getRolePermissions(), session.role, permission)) reason = 'missing_permission';
+  
+  if (reason) {
+    await auditDenial(session, 'system', action, {}, reason, { role: null, permission });
+    throw new Error(reason === 'session_locked' ? 'Session is locked' : `Access denied: ${action} requires the ${permission} permission`);
+  }
+  
+  return session;
+}
+
+// Recomputes compliance-driven due dates now, as the signed-in user, and reports what changed
+ipcMain.handle('refresh-compliance-schedule', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'refreshComplianceSchedule', 'schedule.manage');
+  complianceRefresh.cancel();
+  return refreshComplianceSchedule((category, operation, params) => executeSecureOperation(category, operation, params, session));
+});
+
+// Rolls PM schedules forward and checks meters now, as the signed-in user; reports the work orders raised
+ipcMain.handle('refresh-pm-schedules', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'refreshPmSchedules', 'pm.schedule');
+  pmRefresh.cancel();
+  return refreshPmSchedules((category, operation, params) => executeSecureOperation(category, operation, params, session));
+});
+
+// Walks the audit_log hash chain; the check itself is recorded at the end of the chain
+ipcMain.handle('verify-audit-chain', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'verifyAuditChain', 'audit.view');
+  const result = await verifyAuditChain(db);
+  
+  await recordStandaloneAuditEntry({
+    userId: session.userId,
+    username: session.username,
+    action: 'verify_audit_chain',
+    entityType: 'audit_log',
+    entityId: 0,
+    newValues: result
+  });
+  
+  return result;
+});
+
+/**
+ * Returns a path an external viewer can open: the file itself, or a decrypted
+ * copy in the temp folder when the file is encrypted
+ * @param {string} filePath - Validated document path
+ * @returns {Promise<string>} - Path to open
+ */
+async function getViewablePath(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  const header = Buffer.alloc(64);
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+  if (!isEncryptedBuffer(header)) {
+    return filePath;
+  }
+
+  const viewDir = path.join(DECRYPTED_DOCUMENTS_DIR, crypto.randomBytes(8).toString('hex'));
+  await fs.mkdir(viewDir, { recursive: true });
+  const viewPath = path.join(viewDir, path.basename(filePath));
+  await fs.writeFile(viewPath, await storage.readFile(filePath));
+  return viewPath;
+}
+
+// File operations with path validation; viewing can decrypt a document, so it
+// needs an unlocked session like any other read
+ipcMain.handle('open-file-path', async (event, filePath, sessionToken) => {
+  await requirePermission(event, sessionToken, 'openFilePath', 'document.view');
   try {
     if (!validateFilePath(filePath)) {
       throw new Error('Invalid file path');
@@ -177,8 +1004,9 @@ ipcMain.handle('open-file-path', async (event, filePath) => {
       throw new Error('File does not exist or is not accessible');
     }
     
-    // Use shell.openPath instead of file:// links for security
-    const result = await shell.openPath(filePath);
+    // Use shell.openPath instead of file:// links for security; encrypted
+    // documents are opened from a decrypted copy in the temp folder
+    const result = await shell.openPath(await getViewablePath(filePath));
     if (result) {
       throw new Error(`Failed to open file: ${result}`);
     }
@@ -191,7 +1019,8 @@ ipcMain.handle('open-file-path', async (event, filePath) => {
 });
 
 // Managed document import with hash validation
-ipcMain.handle('import-document', async (event, equipmentId, sourceFilePath) => {
+ipcMain.handle('import-document', async (event, equipmentId, sourceFilePath, sessionToken) => {
+  await requirePermission(event, sessionToken, 'importDocument', 'document.upload');
   try {
     if (!equipmentId || typeof equipmentId !== 'string') {
       throw new Error('Invalid equipment ID');
@@ -212,12 +1041,10 @@ ipcMain.handle('import-document', async (event, equipmentId, sourceFilePath) =>
     const originalFileName = path.basename(sourceFilePath);
     const destinationPath = path.join(documentsDir, originalFileName);
     
-    // Copy file to managed location
-    await fs.copyFile(sourceFilePath, destinationPath);
-    
-    // Calculate SHA256 hash
-    const crypto = require('crypto');
-    const fileBuffer = await fs.readFile(destinationPath);
+    // Store in the managed location, encrypted while encryption is enabled;
+    // the hash is of the original content
+    const fileBuffer = await fs.readFile(sourceFilePath);
+    await storage.writeFile(destinationPath, fileBuffer);
     const hash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
     
     return {
@@ -232,33 +1059,334 @@ ipcMain.handle('import-document', async (event, equipmentId, sourceFilePath) =>
   }
 });
 
+// Cell text of the first worksheet of an .xlsx file chosen for the equipment import;
+// CSV files are read in the renderer
+ipcMain.handle('read-spreadsheet', async (event, data, sessionToken) => {
+  await requirePermission(event, sessionToken, 'readSpreadsheet', 'equipment.edit');
+  if (!(data instanceof Uint8Array) && !(data instanceof ArrayBuffer)) {
+    throw new Error('Invalid spreadsheet data');
+  }
+  return { rows: readXlsxRows(Buffer.from(data)) };
+});
+
 // Legacy IPC handlers have been removed for security
 // All database operations now use secure-db-operation
 
-ipcMain.handle('backup-database', async () => {
-  const dbPath = path.join(app.getPath('userData'), 'database.db');
+/**
+ * Records an administrative action on the storage itself (backups, encryption)
+ * @param {Object} session - Acting session
+ * @param {string} action - Audit action
+ * @param {Object} newValues - Details of the action
+ */
+function recordStorageEvent(session, action, newValues) {
+  return recordStandaloneAuditEntry({
+    userId: session.userId,
+    username: session.username,
+    action,
+    entityType: 'storage',
+    entityId: 0,
+    newValues
+  });
+}
+
+/**
+ * Writes a consistent, verified snapshot of the open database, between transactions
+ * @param {string} destinationPath - File to create
+ * @returns {Promise<Object>} - { schemaVersion }; throws if the copy fails its integrity check
+ */
+async function snapshotDatabase(destinationPath) {
+  await runExclusive(db, () => copyDatabase(db, destinationPath));
+  const verification = await verifyDatabaseFile(destinationPath);
+  if (!verification.ok) {
+    throw new Error(`The database failed its integrity check: ${verification.errors.slice(0, 5).join('; ')}`);
+  }
+  return { schemaVersion: verification.schemaVersion };
+}
+
+// Backups are encrypted, and restorable with the administrator passphrase, while encryption is enabled
+ipcMain.handle('backup-database', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'backupDatabase', 'backup.manage');
+  const encrypted = storage.isEnabled();
   const { filePath } = await dialog.showSaveDialog({
     title: 'Backup Database',
-    defaultPath: `database-backup-${new Date().toISOString().slice(0, 10)}.db`,
-    filters: [{ name: 'Database Files', extensions: ['db'] }],
+    defaultPath: `database-backup-${new Date().toISOString().slice(0, 10)}.${encrypted ? 'jsgbak' : 'db'}`,
+    filters: encrypted
+      ? [{ name: 'Encrypted Backups', extensions: ['jsgbak'] }]
+      : [{ name: 'Database Files', extensions: ['db'] }],
+  });
+
+  if (!filePath) {
+    return { cancelled: true };
+  }
+
+  const snapshotPath = path.join(app.getPath('temp'), `jsg-snapshot-${crypto.randomBytes(8).toString('hex')}.db`);
+  let schemaVersion;
+  try {
+    ({ schemaVersion } = await snapshotDatabase(snapshotPath));
+    await storage.createBackup(snapshotPath, filePath);
+  } finally {
+    await fs.rm(snapshotPath, { force: true });
+  }
+
+  await recordStorageEvent(session, 'backup', { file_name: path.basename(filePath), encrypted, schema_version: schemaVersion });
+  return { success: true, encrypted };
+});
+
+// Full archive: the database with the documents and certificate files it refers to
+ipcMain.handle('export-archive', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'exportArchive', 'backup.manage');
+  const { filePath } = await dialog.showSaveDialog({
+    title: 'Export Full Archive',
+    defaultPath: `jsg-archive-${new Date().toISOString().slice(0, 10)}.jsgarchive`,
+    filters: [{ name: 'JSG Inspections Archives', extensions: ['jsgarchive'] }],
+  });
+
+  if (!filePath) {
+    return { cancelled: true };
+  }
+
+  const snapshotPath = path.join(app.getPath('temp'), `jsg-snapshot-${crypto.randomBytes(8).toString('hex')}.db`);
+  let result;
+  try {
+    const { schemaVersion } = await snapshotDatabase(snapshotPath);
+    result = await exportArchive({
+      snapshotPath,
+      userDataPath: app.getPath('userData'),
+      destinationPath: filePath,
+      storage,
+      schemaVersion,
+      appVersion: app.getVersion()
+    });
+  } catch (error) {
+    await fs.rm(filePath, { force: true });
+    throw error;
+  } finally {
+    await fs.rm(snapshotPath, { force: true });
+  }
+
+  await recordStorageEvent(session, 'archive_export', {
+    file_name: path.basename(filePath),
+    files: result.files,
+    missing_files: result.missing.length,
+    encrypted: result.encrypted
+  });
+  return { success: true, ...result };
+});
+
+// Automatic backups kept by the scheduler, newest first
+ipcMain.handle('list-backups', async (event, sessionToken) => {
+  await requirePermission(event, sessionToken, 'listBackups', 'backup.manage');
+  return backupScheduler.list();
+});
+
+/**
+ * Installs the staged restore over the working database and relaunches
+ * @param {Object} state - { undo, pendingAudit } for the next start
+ */
+async function installRestore(state) {
+  await closeDatabase();
+  db = null;
+  // The installed copy becomes the working database; with encryption enabled it is sealed on the next quit
+  await restoreManager.install(state);
+  app.relaunch();
+  app.exit();
+}
+
+// Opens a backup or full archive read-only and previews it; encrypted ones need their passphrase.
+// `backupFileName` picks an automatic backup instead of asking for a file.
+ipcMain.handle('preview-restore', async (event, sessionToken, { passphrase, backupFileName } = {}) => {
+  await requirePermission(event, sessionToken, 'previewRestore', 'backup.manage');
+
+  let image;
+  let source;
+  if (backupFileName) {
+    const backup = await backupScheduler.read(backupFileName);
+    if (!backup.matchesManifest) {
+      throw new Error('The backup does not match the SHA-256 in its manifest and may be damaged');
+    }
+    image = backup.image;
+    source = backupFileName;
+  } else {
+    const { filePaths } = await dialog.showOpenDialog({
+      title: 'Restore Database',
+      filters: [{ name: 'Backups and Archives', extensions: ['db', 'jsgbak', 'jsgarchive'] }],
+      properties: ['openFile'],
+    });
+    if (!filePaths || filePaths.length === 0) {
+      return { cancelled: true };
+    }
+    if (await isArchiveFile(filePaths[0])) {
+      return restoreManager.stageArchive(filePaths[0], passphrase, { source: path.basename(filePaths[0]), owner: sessionToken });
+    }
+    image = await storage.readBackup(filePaths[0], passphrase);
+    source = path.basename(filePaths[0]);
+  }
+
+  if (detectBackupFormat(image) !== 'sqlite') {
+    throw new Error('The backup does not contain a database');
+  }
+  return restoreManager.stage(image, { source, owner: sessionToken });
+});
+
+ipcMain.handle('cancel-restore', async (event, sessionToken) => {
+  await requirePermission(event, sessionToken, 'cancelRestore', 'backup.manage');
+  await restoreManager.discard();
+  return { success: true };
+});
+
+// Applies the previewed restore: migrates an older backup, keeps an undo snapshot, then relaunches
+ipcMain.handle('restore-database', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'restoreDatabase', 'backup.manage');
+  const preview = await restoreManager.prepare(sessionToken);
+
+  const snapshotPath = path.join(app.getPath('temp'), `jsg-snapshot-${crypto.randomBytes(8).toString('hex')}.db`);
+  let undoFileName;
+  try {
+    await snapshotDatabase(snapshotPath);
+    undoFileName = await restoreManager.saveUndoSnapshot(snapshotPath);
+  } finally {
+    await fs.rm(snapshotPath, { force: true });
+  }
+
+  const restoredAt = new Date().toISOString();
+  await installRestore({
+    undo: { snapshotFileName: undoFileName, restoredFrom: preview.source, restoredAt },
+    // Attributed by username: user IDs in the restored database may differ
+    pendingAudit: [{
+      userId: null,
+      username: session.username,
+      action: 'restore',
+      entityType: 'storage',
+      entityId: 0,
+      newValues: {
+        file_name: preview.source,
+        schema_version: preview.schemaVersion,
+        migrated_to: preview.needsMigration ? preview.currentSchemaVersion : null,
+        archive_files: preview.archive ? preview.archive.fileCount : null,
+        undo_snapshot: undoFileName
+      }
+    }]
   });
+  return { success: true };
+});
 
-  if (filePath) {
-    await fs.copyFile(dbPath, filePath);
+ipcMain.handle('get-restore-status', async (event, sessionToken) => {
+  await requirePermission(event, sessionToken, 'getRestoreStatus', 'backup.manage');
+  const { undo } = await restoreManager.readState();
+  return { undo };
+});
+
+// Puts back the database the last restore replaced
+ipcMain.handle('undo-restore', async (event, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'undoRestore', 'backup.manage');
+  const { undo } = await restoreManager.readState();
+  const preview = await restoreManager.stage(await restoreManager.readUndoSnapshot(), { source: undo.snapshotFileName, owner: sessionToken });
+  if (!preview.compatible) {
+    throw new Error(`The undo snapshot cannot be restored: ${preview.problems.join('; ')}`);
   }
+  await restoreManager.prepare(sessionToken);
+
+  await installRestore({
+    undo: null,
+    pendingAudit: [{
+      userId: null,
+      username: session.username,
+      action: 'restore_undo',
+      entityType: 'storage',
+      entityId: 0,
+      newValues: { undone_restore_from: undo.restoredFrom, restored_at: undo.restoredAt, snapshot: undo.snapshotFileName }
+    }]
+  });
+  return { success: true };
+});
+
+// Registry queries, whose query plans show which indexes the application uses
+const REGISTRY_STATEMENTS = Object.entries(secureOperations).flatMap(([category, operations]) => (
+  Object.entries(operations)
+    .filter(([, definition]) => typeof definition.sql === 'string')
+    .map(([operation, definition]) => ({ name: `${category}.${operation}`, sql: definition.sql }))
+));
+
+// Health report for the maintenance panel; the checks wait for queued writes
+ipcMain.handle('get-database-health', async (event, sessionToken) => {
+  await requirePermission(event, sessionToken, 'getDatabaseHealth', 'database.maintain');
+  const health = await runExclusive(db, () => getDatabaseHealth(db, { filePath: storage.databasePath, statements: REGISTRY_STATEMENTS }));
+  const drift = await findSchemaDrift(db);
+  const migrationBackups = new MigrationManager(app).getBackupInfo()
+    .map(backup => ({ name: backup.name, size: backup.size, createdAt: backup.created.toISOString() }));
+
+  return {
+    ...health,
+    schema: { version: drift.version, currentVersion: CURRENT_SCHEMA_VERSION, problems: drift.problems },
+    migrationBackups
+  };
 });
 
-ipcMain.handle('restore-database', async () => {
-  const dbPath = path.join(app.getPath('userData'), 'database.db');
-  const { filePaths } = await dialog.showOpenDialog({
-    title: 'Restore Database',
-    filters: [{ name: 'Database Files', extensions: ['db'] }],
-    properties: ['openFile'],
+// VACUUM, ANALYZE or REINDEX, run between transactions
+ipcMain.handle('run-database-maintenance', async (event, action, sessionToken) => {
+  const session = await requirePermission(event, sessionToken, 'runDatabaseMaintenance', 'database.maintain');
+  if (!MAINTENANCE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid maintenance action: ${action}`);
+  }
+
+  const result = await runExclusive(db, () => runMaintenance(db, action, { filePath: storage.databasePath }));
+  await recordStorageEvent(session, `database_${action}`, {
+    duration_ms: result.durationMs,
+    size_before: result.sizeBefore,
+    size_after: result.sizeAfter
   });
+  return { success: true, ...result };
+});
 
-  if (filePaths && filePaths.length > 0) {
-    await fs.copyFile(filePaths[0], dbPath);
-    app.relaunch();
-    app.exit();
+// Encrypted storage: unlocking at startup and administration of the encryption key
+const storageActions = {
+  getStatus: () => storage.status(),
+  // Only needed when the keychain cannot release the key (e.g. the data folder was moved)
+  unlock: async ({ passphrase }) => {
+    if (storage.isUnlocked()) {
+      return storage.status();
+    }
+    await storage.unlock(passphrase);
+    await openDatabase();
+    return storage.status();
+  },
+  enable: async ({ passphrase }, session) => {
+    const result = await storage.enable(passphrase);
+    await recordStorageEvent(session, 'encryption_enable', { key_id: storage.status().keyId, files_encrypted: result.filesEncrypted });
+    return storage.status();
+  },
+  rotate: async ({ passphrase, newPassphrase }, session) => {
+    const previousKeyId = storage.status().keyId;
+    const result = await storage.rotate(passphrase, newPassphrase || null);
+    await recordStorageEvent(session, 'encryption_rotate', {
+      previous_key_id: previousKeyId,
+      key_id: result.keyId,
+      files_reencrypted: result.filesReencrypted,
+      passphrase_changed: Boolean(newPassphrase)
+    });
+    return storage.status();
+  },
+  disable: async ({ passphrase }, session) => {
+    const result = await storage.disable(passphrase);
+    await recordStorageEvent(session, 'encryption_disable', { files_decrypted: result.filesDecrypted });
+    return storage.status();
+  }
+};
+
+ipcMain.handle('storage', async (event, action, params = {}, sessionToken = null) => {
+  const handler = storageActions[action];
+  if (!handler) {
+    throw new Error(`Invalid storage action: ${action}`);
+  }
+  
+  try {
+    const session = ['getStatus', 'unlock'].includes(action)
+      ? null
+      : await requirePermission(event, sessionToken, `storage.${action}`, 'encryption.manage');
+    return await handler(params, session);
+  } catch (error) {
+    // Never log params here: they carry the passphrase
+    console.error(`Storage action failed: ${action}`, error.message);
+    throw error;
   }
 });
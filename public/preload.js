@@ -68,12 +68,9 @@ function logError(errorObj) {
 function createIPCWrapper(channel, operation, isRetryable = false) {
   return async (...args) => {
     try {
-      // Convert camelCase parameters to snake_case for database operations
-      const convertedArgs = args.map(arg => 
-        (typeof arg === 'object' && arg !== null) ? convertToSnakeCase(arg) : arg
-      );
-      
-      const result = await ipcRenderer.invoke(channel, ...convertedArgs);
+      // Arguments are passed through unchanged: secure operations declare their
+      // parameters in camelCase, so converting keys here would drop them
+      const result = await ipcRenderer.invoke(channel, ...args);
       
       // If the main process returned an error object, handle it
       if (result && result.success === false) {
@@ -157,6 +154,7 @@ const fieldMappings = {
   // User fields
   full_name: 'fullName',
   last_login: 'lastLogin',
+  has_password: 'hasPassword',
   
   // Audit log fields
   user_id: 'userId',
@@ -184,26 +182,6 @@ function convertToCamelCase(obj) {
   return converted;
 }
 
-// Convert camelCase to snake_case for database operations
-function convertToSnakeCase(obj) {
-  if (!obj || typeof obj !== 'object') return obj;
-  
-  if (Array.isArray(obj)) {
-    return obj.map(convertToSnakeCase);
-  }
-  
-  const converted = {};
-  const reverseMapping = Object.fromEntries(
-    Object.entries(fieldMappings).map(([snake, camel]) => [camel, snake])
-  );
-  
-  for (const [key, value] of Object.entries(obj)) {
-    const snakeKey = reverseMapping[key] || key;
-    converted[snakeKey] = typeof value === 'object' ? convertToSnakeCase(value) : value;
-  }
-  return converted;
-}
-
 // Enhanced audit logging with automatic user context
 function createAuditLogEntry(action, entityType, entityId, oldValues = null, newValues = null) {
   return {
@@ -219,18 +197,103 @@ function createAuditLogEntry(action, entityType, entityId, oldValues = null, new
   };
 }
 
+// Session token issued by the main process at login. Kept in the preload so
+// page scripts never see it; it is attached to every secure operation call.
+let sessionToken = null;
+
+const ipcSecureOperation = createIPCWrapper('secure-db-operation', 'Secure Database Operation', true);
+const ipcAuth = createIPCWrapper('auth', 'Authentication');
+const ipcVerifyAuditChain = createIPCWrapper('verify-audit-chain', 'Verify Audit Chain');
+const ipcBackupDatabase = createIPCWrapper('backup-database', 'Database Backup');
+const ipcPreviewRestore = createIPCWrapper('preview-restore', 'Restore Preview');
+const ipcCancelRestore = createIPCWrapper('cancel-restore', 'Cancel Restore');
+const ipcRestoreDatabase = createIPCWrapper('restore-database', 'Database Restore');
+const ipcGetRestoreStatus = createIPCWrapper('get-restore-status', 'Restore Status');
+const ipcUndoRestore = createIPCWrapper('undo-restore', 'Undo Restore');
+const ipcListBackups = createIPCWrapper('list-backups', 'Backup List');
+const ipcExportArchive = createIPCWrapper('export-archive', 'Archive Export');
+const ipcStorage = createIPCWrapper('storage', 'Encrypted Storage');
+const ipcGetDatabaseHealth = createIPCWrapper('get-database-health', 'Database Health');
+const ipcRefreshComplianceSchedule = createIPCWrapper('refresh-compliance-schedule', 'Compliance Schedule Refresh');
+const ipcRefreshPmSchedules = createIPCWrapper('refresh-pm-schedules', 'PM Schedule Refresh');
+const ipcRunDatabaseMaintenance = createIPCWrapper('run-database-maintenance', 'Database Maintenance');
+const ipcReadSpreadsheet = createIPCWrapper('read-spreadsheet', 'Spreadsheet Read');
+const ipcOpenFilePath = createIPCWrapper('open-file-path', 'Open File Path');
+const ipcImportDocument = createIPCWrapper('import-document', 'Import Document');
+
+const callStorage = (action, params = {}) => ipcStorage(action, params, sessionToken);
+
+const callAuth = (action, params = {}) => ipcAuth(action, params, sessionToken);
+
+// Stores the token from a login or resume result and strips it before returning to the page
+const acceptSession = (result) => {
+  sessionToken = result?.sessionToken || null;
+  if (!result) return null;
+  
+  const { sessionToken: _token, ...session } = result;
+  return session;
+};
+
 // Build the API object conditionally
 const apiObject = {
   // Secure database operations
-  secureOperation: createIPCWrapper('secure-db-operation', 'Secure Database Operation', true),
+  secureOperation: (category, operation, params) => ipcSecureOperation(category, operation, params, sessionToken),
   
   // File operations with path validation
-  openFilePath: createIPCWrapper('open-file-path', 'Open File Path'),
-  importDocument: createIPCWrapper('import-document', 'Import Document'),
+  openFilePath: (filePath) => ipcOpenFilePath(filePath, sessionToken),
+  importDocument: (equipmentId, sourceFilePath) => ipcImportDocument(equipmentId, sourceFilePath, sessionToken),
   
+  // Authentication (credentials are hashed and verified in the main process)
+  auth: {
+    getSetupStatus: () => callAuth('getSetupStatus'),
+    setupAdmin: (username, password) => callAuth('setupAdmin', { username, password }),
+    login: async (username, password) => acceptSession(await callAuth('login', { username, password })),
+    loginWithPin: async (username, pin) => acceptSession(await callAuth('login', { username, pin })),
+    resumeSession: async () => acceptSession(await callAuth('resumeSession')),
+    logout: async () => {
+      try {
+        return await callAuth('logout');
+      } finally {
+        sessionToken = null;
+      }
+    },
+    changePassword: (currentPassword, newPassword) => callAuth('changePassword', { currentPassword, newPassword }),
+    setPin: (currentPassword, pin) => callAuth('setPin', { currentPassword, pin }),
+    resetPassword: (username, temporaryPassword) => callAuth('resetPassword', { username, temporaryPassword }),
+    getPermissions: () => callAuth('getPermissions'),
+    // Session lock: activity reports, locking and re-authentication of the signed-in user
+    heartbeat: () => callAuth('heartbeat'),
+    lock: (reason) => callAuth('lock', { reason }),
+    unlock: (secret, method = 'password') => callAuth('unlock', method === 'pin' ? { pin: secret } : { password: secret })
+  },
+
+  // Audit log integrity check (walks the hash chain and reports the first broken link)
+  verifyAuditChain: () => ipcVerifyAuditChain(sessionToken),
+
   // Backup/restore operations with error handling
-  backupDatabase: createIPCWrapper('backup-database', 'Database Backup'),
-  restoreDatabase: createIPCWrapper('restore-database', 'Database Restore'),
+  backupDatabase: () => ipcBackupDatabase(sessionToken),
+  // Database plus documents and certificate files; restored through previewRestore
+  exportArchive: () => ipcExportArchive(sessionToken),
+  // Restore is previewed first, then applied; the last restore can be undone
+  previewRestore: ({ passphrase, backupFileName } = {}) => ipcPreviewRestore(sessionToken, { passphrase, backupFileName }),
+  cancelRestore: () => ipcCancelRestore(sessionToken),
+  restoreDatabase: () => ipcRestoreDatabase(sessionToken),
+  getRestoreStatus: () => ipcGetRestoreStatus(sessionToken),
+  undoRestore: () => ipcUndoRestore(sessionToken),
+  listBackups: () => ipcListBackups(sessionToken),
+
+  // Database health checks and maintenance ('vacuum', 'analyze' or 'reindex')
+  getDatabaseHealth: () => ipcGetDatabaseHealth(sessionToken),
+  runDatabaseMaintenance: (action) => ipcRunDatabaseMaintenance(action, sessionToken),
+
+  // Encryption at rest of the database, documents and backups (passphrases stay in the main process)
+  storage: {
+    getStatus: () => callStorage('getStatus'),
+    unlock: (passphrase) => callStorage('unlock', { passphrase }),
+    enableEncryption: (passphrase) => callStorage('enable', { passphrase }),
+    rotateKey: (passphrase, newPassphrase) => callStorage('rotate', { passphrase, newPassphrase }),
+    disableEncryption: (passphrase) => callStorage('disable', { passphrase })
+  },
   
   // Utility functions for error handling
   isError: (result) => result && result.success === false,
@@ -238,159 +301,191 @@ const apiObject = {
   isRetryable: (result) => result?.error?.retryable === true,
   getRetryDelay: (result) => result?.error?.retryAfter || 1000,
   
-  // Secure operation helpers
+  // Secure operation helpers. These run in the preload's isolated world, where
+  // window.api is not defined, so they call apiObject directly.
   equipment: {
-    getAll: () => window.api.secureOperation('equipment', 'getAll', {}),
-    getById: (id) => window.api.secureOperation('equipment', 'getById', { id }),
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('equipment', 'getByEquipmentId', { equipmentId }),
-    create: (params) => window.api.secureOperation('equipment', 'create', params),
-    update: (params) => window.api.secureOperation('equipment', 'update', params),
-    delete: (id) => window.api.secureOperation('equipment', 'delete', { id }),
-    getDistinctTypes: () => window.api.secureOperation('equipment', 'getDistinctTypes', {}),
-    getStatusCounts: () => window.api.secureOperation('equipment', 'getStatusCounts', {}),
-    getCount: () => window.api.secureOperation('equipment', 'getCount', {})
+    getAll: () => apiObject.secureOperation('equipment', 'getAll', {}),
+    getById: (id) => apiObject.secureOperation('equipment', 'getById', { id }),
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('equipment', 'getByEquipmentId', { equipmentId }),
+    create: (params) => apiObject.secureOperation('equipment', 'create', params),
+    update: (params) => apiObject.secureOperation('equipment', 'update', params),
+    delete: (id) => apiObject.secureOperation('equipment', 'delete', { id }),
+    getDistinctTypes: () => apiObject.secureOperation('equipment', 'getDistinctTypes', {}),
+    getDistinctSites: () => apiObject.secureOperation('equipment', 'getDistinctSites', {}),
+    getStatusCounts: () => apiObject.secureOperation('equipment', 'getStatusCounts', {}),
+    getAttentionCounts: () => apiObject.secureOperation('equipment', 'getAttentionCounts', {}),
+    move: (params) => apiObject.secureOperation('equipment', 'move', params),
+    getCount: () => apiObject.secureOperation('equipment', 'getCount', {}),
+    import: (equipment) => apiObject.secureOperation('equipment', 'import', { equipment }),
+    // Rows ({ line, cells }) of the first worksheet of an .xlsx file's contents
+    readSpreadsheet: (data) => ipcReadSpreadsheet(data, sessionToken)
   },
   
   inspections: {
-    getAll: () => window.api.secureOperation('inspections', 'getAll', {}),
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('inspections', 'getByEquipmentId', { equipmentId }),
-    create: (params) => window.api.secureOperation('inspections', 'create', params),
-    getCount: () => window.api.secureOperation('inspections', 'getCount', {}),
-    getPerMonth: () => window.api.secureOperation('inspections', 'getPerMonth', {}),
-    getLastInspectionByEquipment: () => window.api.secureOperation('inspections', 'getLastInspectionByEquipment', {}),
-    getRecentFailures: () => window.api.secureOperation('inspections', 'getRecentFailures', {}),
-    getOverdue: () => window.api.secureOperation('inspections', 'getOverdue', {})
+    getAll: () => apiObject.secureOperation('inspections', 'getAll', {}),
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('inspections', 'getByEquipmentId', { equipmentId }),
+    create: (params) => apiObject.secureOperation('inspections', 'create', params),
+    finalize: (params) => apiObject.secureOperation('inspections', 'finalize', params),
+    getCount: () => apiObject.secureOperation('inspections', 'getCount', {}),
+    getPerMonth: () => apiObject.secureOperation('inspections', 'getPerMonth', {}),
+    getLastInspectionByEquipment: () => apiObject.secureOperation('inspections', 'getLastInspectionByEquipment', {}),
+    getRecentFailures: () => apiObject.secureOperation('inspections', 'getRecentFailures', {}),
+    getOverdue: () => apiObject.secureOperation('inspections', 'getOverdue', {})
   },
   
   documents: {
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('documents', 'getByEquipmentId', { equipmentId }),
-    create: (params) => window.api.secureOperation('documents', 'create', params),
-    checkExisting: (equipmentId, fileName) => window.api.secureOperation('documents', 'checkExisting', { equipmentId, fileName })
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('documents', 'getByEquipmentId', { equipmentId }),
+    create: (params) => apiObject.secureOperation('documents', 'create', params),
+    checkExisting: (equipmentId, fileName) => apiObject.secureOperation('documents', 'checkExisting', { equipmentId, fileName })
   },
   
   scheduledInspections: {
-    getAll: () => window.api.secureOperation('scheduledInspections', 'getAll', {}),
-    getUpcoming: (fromDate) => window.api.secureOperation('scheduledInspections', 'getUpcoming', { fromDate }),
-    getTodayAndLater: (today) => window.api.secureOperation('scheduledInspections', 'getTodayAndLater', { today }),
-    create: (params) => window.api.secureOperation('scheduledInspections', 'create', params),
-    update: (params) => window.api.secureOperation('scheduledInspections', 'update', params),
-    updateStatus: (id, status) => window.api.secureOperation('scheduledInspections', 'updateStatus', { id, status }),
-    delete: (id) => window.api.secureOperation('scheduledInspections', 'delete', { id })
+    getAll: () => apiObject.secureOperation('scheduledInspections', 'getAll', {}),
+    getUpcoming: (fromDate) => apiObject.secureOperation('scheduledInspections', 'getUpcoming', { fromDate }),
+    getTodayAndLater: (today) => apiObject.secureOperation('scheduledInspections', 'getTodayAndLater', { today }),
+    create: (params) => apiObject.secureOperation('scheduledInspections', 'create', params),
+    update: (params) => apiObject.secureOperation('scheduledInspections', 'update', params),
+    updateStatus: (id, status) => apiObject.secureOperation('scheduledInspections', 'updateStatus', { id, status }),
+    reschedule: (id, scheduledDate) => apiObject.secureOperation('scheduledInspections', 'reschedule', { id, scheduledDate }),
+    complete: (id) => apiObject.secureOperation('scheduledInspections', 'complete', { id }),
+    delete: (id) => apiObject.secureOperation('scheduledInspections', 'delete', { id }),
+    getInspectors: () => apiObject.secureOperation('scheduledInspections', 'getInspectors', {}),
+    assign: (id, assignedUserId) => apiObject.secureOperation('scheduledInspections', 'assign', { id, assignedUserId }),
+    rebalance: (moves) => apiObject.secureOperation('scheduledInspections', 'rebalance', { moves }),
+    refreshFromCompliance: () => ipcRefreshComplianceSchedule(sessionToken)
   },
   
   compliance: {
-    getAllStandards: () => window.api.secureOperation('compliance', 'getAllStandards', {}),
-    createStandard: (params) => window.api.secureOperation('compliance', 'createStandard', params),
-    deleteStandard: (id) => window.api.secureOperation('compliance', 'deleteStandard', { id }),
-    getAssignedStandards: (equipmentType) => window.api.secureOperation('compliance', 'getAssignedStandards', { equipmentType }),
-    assignStandard: (equipmentType, standardId) => window.api.secureOperation('compliance', 'assignStandard', { equipmentType, standardId }),
-    unassignStandard: (equipmentType, standardId) => window.api.secureOperation('compliance', 'unassignStandard', { equipmentType, standardId }),
-    getComplianceReport: () => window.api.secureOperation('compliance', 'getComplianceReport', {})
+    getAllStandards: () => apiObject.secureOperation('compliance', 'getAllStandards', {}),
+    createStandard: (params) => apiObject.secureOperation('compliance', 'createStandard', params),
+    updateStandard: (params) => apiObject.secureOperation('compliance', 'updateStandard', params),
+    deleteStandard: (id) => apiObject.secureOperation('compliance', 'deleteStandard', { id }),
+    getAssignedStandards: (equipmentType) => apiObject.secureOperation('compliance', 'getAssignedStandards', { equipmentType }),
+    assignStandard: (equipmentType, standardId) => apiObject.secureOperation('compliance', 'assignStandard', { equipmentType, standardId }),
+    unassignStandard: (equipmentType, standardId) => apiObject.secureOperation('compliance', 'unassignStandard', { equipmentType, standardId }),
+    getComplianceReport: () => apiObject.secureOperation('compliance', 'getComplianceReport', {})
   },
   
   templates: {
-    getAll: () => window.api.secureOperation('templates', 'getAll', {}),
-    save: (name, fields) => window.api.secureOperation('templates', 'save', { name, fields }),
-    delete: (id) => window.api.secureOperation('templates', 'delete', { id })
+    getAll: () => apiObject.secureOperation('templates', 'getAll', {}),
+    save: (name, fields) => apiObject.secureOperation('templates', 'save', { name, fields }),
+    delete: (id) => apiObject.secureOperation('templates', 'delete', { id })
   },
   
   // Phase 2 - Inspection Items operations
   inspectionItems: {
-    getByInspectionId: (inspectionId) => window.api.secureOperation('inspectionItems', 'getByInspectionId', { inspectionId }),
-    create: (params) => window.api.secureOperation('inspectionItems', 'create', params),
-    update: (params) => window.api.secureOperation('inspectionItems', 'update', params),
-    delete: (id) => window.api.secureOperation('inspectionItems', 'delete', { id }),
-    getCriticalFailures: () => window.api.secureOperation('inspectionItems', 'getCriticalFailures', {})
+    getByInspectionId: (inspectionId) => apiObject.secureOperation('inspectionItems', 'getByInspectionId', { inspectionId }),
+    create: (params) => apiObject.secureOperation('inspectionItems', 'create', params),
+    update: (params) => apiObject.secureOperation('inspectionItems', 'update', params),
+    delete: (id) => apiObject.secureOperation('inspectionItems', 'delete', { id }),
+    getCriticalFailures: () => apiObject.secureOperation('inspectionItems', 'getCriticalFailures', {})
   },
   
   // Phase 2 - Deficiencies operations
   deficiencies: {
-    getAll: () => window.api.secureOperation('deficiencies', 'getAll', {}),
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('deficiencies', 'getByEquipmentId', { equipmentId }),
-    getByStatus: (status) => window.api.secureOperation('deficiencies', 'getByStatus', { status }),
-    create: (params) => window.api.secureOperation('deficiencies', 'create', params),
-    update: (params) => window.api.secureOperation('deficiencies', 'update', params),
-    close: (id, verificationSignature) => window.api.secureOperation('deficiencies', 'close', { id, verificationSignature }),
-    getOpenCritical: () => window.api.secureOperation('deficiencies', 'getOpenCritical', {}),
-    getOverdue: () => window.api.secureOperation('deficiencies', 'getOverdue', {}),
-    createFromInspectionItem: (params) => window.api.secureOperation('deficiencies', 'createFromInspectionItem', params),
-    linkToWorkOrder: (id, workOrderId) => window.api.secureOperation('deficiencies', 'linkToWorkOrder', { id, workOrderId })
+    getAll: () => apiObject.secureOperation('deficiencies', 'getAll', {}),
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('deficiencies', 'getByEquipmentId', { equipmentId }),
+    getByStatus: (status) => apiObject.secureOperation('deficiencies', 'getByStatus', { status }),
+    create: (params) => apiObject.secureOperation('deficiencies', 'create', params),
+    update: (params) => apiObject.secureOperation('deficiencies', 'update', params),
+    close: (id, verificationSignature) => apiObject.secureOperation('deficiencies', 'close', { id, verificationSignature }),
+    getOpenCritical: () => apiObject.secureOperation('deficiencies', 'getOpenCritical', {}),
+    getOverdue: () => apiObject.secureOperation('deficiencies', 'getOverdue', {}),
+    createFromInspectionItem: (params) => apiObject.secureOperation('deficiencies', 'createFromInspectionItem', params),
+    linkToWorkOrder: (id, workOrderId) => apiObject.secureOperation('deficiencies', 'linkToWorkOrder', { id, workOrderId })
   },
   
   // Phase 2 - Signatures operations
   signatures: {
-    getByEntity: (entityType, entityId) => window.api.secureOperation('signatures', 'getByEntity', { entityType, entityId }),
-    create: (params) => window.api.secureOperation('signatures', 'create', params),
-    delete: (id) => window.api.secureOperation('signatures', 'delete', { id })
+    getByEntity: (entityType, entityId) => apiObject.secureOperation('signatures', 'getByEntity', { entityType, entityId }),
+    create: (params) => apiObject.secureOperation('signatures', 'create', params),
+    delete: (id) => apiObject.secureOperation('signatures', 'delete', { id })
   },
 
   // P2 - Work Orders operations
   workOrders: {
-    getAll: () => window.api.secureOperation('workOrders', 'getAll', {}),
-    getByStatus: (status) => window.api.secureOperation('workOrders', 'getByStatus', { status }),
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('workOrders', 'getByEquipmentId', { equipmentId }),
-    create: (params) => window.api.secureOperation('workOrders', 'create', params),
-    update: (params) => window.api.secureOperation('workOrders', 'update', params),
-    updateStatus: (params) => window.api.secureOperation('workOrders', 'updateStatus', params),
-    complete: (params) => window.api.secureOperation('workOrders', 'complete', params),
-    getDueToday: () => window.api.secureOperation('workOrders', 'getDueToday', {}),
-    getOverdue: () => window.api.secureOperation('workOrders', 'getOverdue', {})
+    getAll: () => apiObject.secureOperation('workOrders', 'getAll', {}),
+    getByStatus: (status) => apiObject.secureOperation('workOrders', 'getByStatus', { status }),
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('workOrders', 'getByEquipmentId', { equipmentId }),
+    create: (params) => apiObject.secureOperation('workOrders', 'create', params),
+    update: (params) => apiObject.secureOperation('workOrders', 'update', params),
+    updateStatus: (params) => apiObject.secureOperation('workOrders', 'updateStatus', params),
+    complete: (params) => apiObject.secureOperation('workOrders', 'complete', params),
+    getDueToday: () => apiObject.secureOperation('workOrders', 'getDueToday', {}),
+    getOverdue: () => apiObject.secureOperation('workOrders', 'getOverdue', {})
   },
 
   // P2 - PM Templates operations
   pmTemplates: {
-    getAll: () => window.api.secureOperation('pmTemplates', 'getAll', {}),
-    getByEquipmentType: (equipmentType) => window.api.secureOperation('pmTemplates', 'getByEquipmentType', { equipmentType }),
-    create: (params) => window.api.secureOperation('pmTemplates', 'create', params),
-    update: (params) => window.api.secureOperation('pmTemplates', 'update', params),
-    deactivate: (id) => window.api.secureOperation('pmTemplates', 'deactivate', { id })
+    getAll: () => apiObject.secureOperation('pmTemplates', 'getAll', {}),
+    getByEquipmentType: (equipmentType) => apiObject.secureOperation('pmTemplates', 'getByEquipmentType', { equipmentType }),
+    create: (params) => apiObject.secureOperation('pmTemplates', 'create', params),
+    update: (params) => apiObject.secureOperation('pmTemplates', 'update', params),
+    deactivate: (id) => apiObject.secureOperation('pmTemplates', 'deactivate', { id })
   },
 
   // P2 - PM Schedules operations
   pmSchedules: {
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('pmSchedules', 'getByEquipmentId', { equipmentId }),
-    getDue: (dueDate) => window.api.secureOperation('pmSchedules', 'getDue', { dueDate }),
-    create: (params) => window.api.secureOperation('pmSchedules', 'create', params),
-    updateDue: (params) => window.api.secureOperation('pmSchedules', 'updateDue', params),
-    getTotal: () => window.api.secureOperation('pmSchedules', 'getTotal', {}),
-    getOverdue: () => window.api.secureOperation('pmSchedules', 'getOverdue', {})
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('pmSchedules', 'getByEquipmentId', { equipmentId }),
+    getDue: (dueDate) => apiObject.secureOperation('pmSchedules', 'getDue', { dueDate }),
+    create: (params) => apiObject.secureOperation('pmSchedules', 'create', params),
+    updateDue: (params) => apiObject.secureOperation('pmSchedules', 'updateDue', params),
+    getTotal: () => apiObject.secureOperation('pmSchedules', 'getTotal', {}),
+    getOverdue: () => apiObject.secureOperation('pmSchedules', 'getOverdue', {}),
+    refreshFromMeters: () => ipcRefreshPmSchedules(sessionToken)
   },
 
   // P2 - Load Tests operations
   loadTests: {
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('loadTests', 'getByEquipmentId', { equipmentId }),
-    getDue: (dueDate) => window.api.secureOperation('loadTests', 'getDue', { dueDate }),
-    create: (params) => window.api.secureOperation('loadTests', 'create', params),
-    getLastByEquipment: () => window.api.secureOperation('loadTests', 'getLastByEquipment', {}),
-    getTotal: () => window.api.secureOperation('loadTests', 'getTotal', {}),
-    getOverdue: () => window.api.secureOperation('loadTests', 'getOverdue', {})
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('loadTests', 'getByEquipmentId', { equipmentId }),
+    getDue: (dueDate) => apiObject.secureOperation('loadTests', 'getDue', { dueDate }),
+    create: (params) => apiObject.secureOperation('loadTests', 'create', params),
+    getLastByEquipment: () => apiObject.secureOperation('loadTests', 'getLastByEquipment', {}),
+    getTotal: () => apiObject.secureOperation('loadTests', 'getTotal', {}),
+    getOverdue: () => apiObject.secureOperation('loadTests', 'getOverdue', {})
   },
 
   // P2 - Calibrations operations
   calibrations: {
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('calibrations', 'getByEquipmentId', { equipmentId }),
-    getDue: (dueDate) => window.api.secureOperation('calibrations', 'getDue', { dueDate }),
-    create: (params) => window.api.secureOperation('calibrations', 'create', params),
-    getTotal: () => window.api.secureOperation('calibrations', 'getTotal', {}),
-    getOverdue: () => window.api.secureOperation('calibrations', 'getOverdue', {})
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('calibrations', 'getByEquipmentId', { equipmentId }),
+    getDue: (dueDate) => apiObject.secureOperation('calibrations', 'getDue', { dueDate }),
+    create: (params) => apiObject.secureOperation('calibrations', 'create', params),
+    getTotal: () => apiObject.secureOperation('calibrations', 'getTotal', {}),
+    getOverdue: () => apiObject.secureOperation('calibrations', 'getOverdue', {})
   },
 
   // P2 - Credentials operations
   credentials: {
-    getAll: () => window.api.secureOperation('credentials', 'getAll', {}),
-    getByPerson: (personName) => window.api.secureOperation('credentials', 'getByPerson', { personName }),
-    getExpiring: (expirationDate) => window.api.secureOperation('credentials', 'getExpiring', { expirationDate }),
-    create: (params) => window.api.secureOperation('credentials', 'create', params),
-    updateStatus: (id, status) => window.api.secureOperation('credentials', 'updateStatus', { id, status }),
-    getTotal: () => window.api.secureOperation('credentials', 'getTotal', {})
+    getAll: () => apiObject.secureOperation('credentials', 'getAll', {}),
+    getByPerson: (personName) => apiObject.secureOperation('credentials', 'getByPerson', { personName }),
+    getExpiring: (expirationDate) => apiObject.secureOperation('credentials', 'getExpiring', { expirationDate }),
+    create: (params) => apiObject.secureOperation('credentials', 'create', params),
+    updateStatus: (id, status) => apiObject.secureOperation('credentials', 'updateStatus', { id, status }),
+    getTotal: () => apiObject.secureOperation('credentials', 'getTotal', {})
   },
 
   // P2 - Users operations
   users: {
-    getAll: () => window.api.secureOperation('users', 'getAll', {}),
-    getByUsername: (username) => window.api.secureOperation('users', 'getByUsername', { username }),
-    create: (params) => window.api.secureOperation('users', 'create', params),
-    updateLastLogin: (id) => window.api.secureOperation('users', 'updateLastLogin', { id })
+    getAll: () => apiObject.secureOperation('users', 'getAll', {}),
+    getByUsername: (username) => apiObject.secureOperation('users', 'getByUsername', { username }),
+    getAllIncludingInactive: () => apiObject.secureOperation('users', 'getAllIncludingInactive', {}),
+    create: (params) => apiObject.secureOperation('users', 'create', params),
+    update: (id, fullName, email) => apiObject.secureOperation('users', 'update', { id, fullName, email }),
+    updateRole: (id, role) => apiObject.secureOperation('users', 'updateRole', { id, role }),
+    deactivate: (id) => apiObject.secureOperation('users', 'deactivate', { id }),
+    reactivate: (id) => apiObject.secureOperation('users', 'reactivate', { id }),
+    import: (users) => apiObject.secureOperation('users', 'import', { users }),
+    updateLastLogin: (id) => apiObject.secureOperation('users', 'updateLastLogin', { id })
+  },
+
+  permissions: {
+    getOverrides: () => apiObject.secureOperation('permissions', 'getOverrides', {}),
+    setGrant: (role, permission, granted) => apiObject.secureOperation('permissions', 'setGrant', { role, permission, granted: granted ? 1 : 0 })
+  },
+
+  settings: {
+    getAll: () => apiObject.secureOperation('settings', 'getAll', {}),
+    set: (key, value) => apiObject.secureOperation('settings', 'set', { key, value: String(value) })
   },
 
   // P2 - Audit Log operations
@@ -404,14 +499,26 @@ const apiObject = {
         ipAddress: params.ipAddress || sessionInfo.ipAddress,
         userAgent: params.userAgent || sessionInfo.userAgent
       };
-      return window.api.secureOperation('auditLog', 'create', enhancedParams);
+      return apiObject.secureOperation('auditLog', 'create', enhancedParams);
     },
     createWithContext: (action, entityType, entityId, oldValues = null, newValues = null) => {
       const auditEntry = createAuditLogEntry(action, entityType, entityId, oldValues, newValues);
-      return window.api.secureOperation('auditLog', 'create', auditEntry);
+      return apiObject.secureOperation('auditLog', 'create', auditEntry);
     },
-    getByEntity: (entityType, entityId) => window.api.secureOperation('auditLog', 'getByEntity', { entityType, entityId }),
-    getRecent: (limit) => window.api.secureOperation('auditLog', 'getRecent', { limit })
+    getByEntity: (entityType, entityId) => apiObject.secureOperation('auditLog', 'getByEntity', { entityType, entityId }),
+    getRecent: (limit) => apiObject.secureOperation('auditLog', 'getRecent', { limit }),
+    search: (filters) => apiObject.secureOperation('auditLog', 'search', filters),
+    getFilterValues: () => apiObject.secureOperation('auditLog', 'getFilterValues', {})
+  },
+
+  // Rows of one entity set for the Export view, filtered by { from, to, site }
+  dataExport: {
+    getRows: (entitySet, filters) => apiObject.secureOperation('dataExport', entitySet, filters)
+  },
+
+  // Full-text search across equipment, inspections, deficiencies, work orders and documents
+  search: {
+    query: (query, limit) => apiObject.secureOperation('search', 'query', { query, limit })
   },
 
   // User session management
@@ -436,27 +543,28 @@ const apiObject = {
 
   // P2 - Certificates operations
   certificates: {
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('certificates', 'getByEquipmentId', { equipmentId }),
-    getByCertificateNumber: (certificateNumber) => window.api.secureOperation('certificates', 'getByCertificateNumber', { certificateNumber }),
-    getExpiring: (expirationDate) => window.api.secureOperation('certificates', 'getExpiring', { expirationDate }),
-    create: (params) => window.api.secureOperation('certificates', 'create', params),
-    updateStatus: (id, status) => window.api.secureOperation('certificates', 'updateStatus', { id, status }),
-    getTotal: () => window.api.secureOperation('certificates', 'getTotal', {})
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('certificates', 'getByEquipmentId', { equipmentId }),
+    getByCertificateNumber: (certificateNumber) => apiObject.secureOperation('certificates', 'getByCertificateNumber', { certificateNumber }),
+    getExpiring: (expirationDate) => apiObject.secureOperation('certificates', 'getExpiring', { expirationDate }),
+    create: (params) => apiObject.secureOperation('certificates', 'create', params),
+    updateStatus: (id, status) => apiObject.secureOperation('certificates', 'updateStatus', { id, status }),
+    getTotal: () => apiObject.secureOperation('certificates', 'getTotal', {})
   },
 
   // P2 - Meter Readings operations
   meterReadings: {
-    getByEquipmentId: (equipmentId) => window.api.secureOperation('meterReadings', 'getByEquipmentId', { equipmentId }),
-    getLatestByEquipment: () => window.api.secureOperation('meterReadings', 'getLatestByEquipment', {}),
-    create: (params) => window.api.secureOperation('meterReadings', 'create', params)
+    getByEquipmentId: (equipmentId) => apiObject.secureOperation('meterReadings', 'getByEquipmentId', { equipmentId }),
+    getLatestByEquipment: () => apiObject.secureOperation('meterReadings', 'getLatestByEquipment', {}),
+    create: (params) => apiObject.secureOperation('meterReadings', 'create', params),
+    createBatch: (readings) => apiObject.secureOperation('meterReadings', 'createBatch', { readings })
   },
 
   // P2 - Template Items operations
   templateItems: {
-    getByTemplateId: (templateId) => window.api.secureOperation('templateItems', 'getByTemplateId', { templateId }),
-    create: (params) => window.api.secureOperation('templateItems', 'create', params),
-    update: (params) => window.api.secureOperation('templateItems', 'update', params),
-    delete: (id) => window.api.secureOperation('templateItems', 'delete', { id })
+    getByTemplateId: (templateId) => apiObject.secureOperation('templateItems', 'getByTemplateId', { templateId }),
+    create: (params) => apiObject.secureOperation('templateItems', 'create', params),
+    update: (params) => apiObject.secureOperation('templateItems', 'update', params),
+    delete: (id) => apiObject.secureOperation('templateItems', 'delete', { id })
   }
 };
 
@@ -0,0 +1,171 @@
+/**
+ * Database Migration Script
+ *
+ * Moves a JSG Inspections database to a chosen schema version, up or down,
+ * and reports the schema changes. With --dry-run the migrations run on a
+ * temporary copy and the file is only read, so upgrades can be tried against
+ * customer databases before a release.
+ *
+ * Usage:
+ *   node scripts/migrate-database.js path/to/database.db [--to <version>] [--dry-run] [--no-backup]
+ *
+ * Without --to the database is brought to the version of this checkout. Unless
+ * --no-backup is given, a copy named <file>.v<version>-<timestamp>.bak is made
+ * next to the file first and put back if a migration fails. Close the
+ * application before migrating its own database. Encrypted databases must be
+ * migrated by the application. If sqlite3 has been rebuilt for Electron, run
+ * the script with ELECTRON_RUN_AS_NODE=1 npx electron scripts/migrate-database.js.
+ * Exits with code 0 on success, 1 when a migration fails, 2 on error.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationManager = require('../src/database/migrationManager');
+const { copyDatabase } = require('../src/database/databaseBackup');
+const { readSchema, diffSchemas, isSchemaDiffEmpty, formatSchemaDiff } = require('../src/database/schemaDiff');
+const { migrations, ensureBaseTables, CURRENT_SCHEMA_VERSION } = require('../database');
+
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'ascii');
+const USAGE = 'Usage: node scripts/migrate-database.js path/to/database.db [--to <version>] [--dry-run] [--no-backup]';
+
+function parseArguments(args) {
+  const options = { dbPath: null, targetVersion: CURRENT_SCHEMA_VERSION, dryRun: false, backup: true };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--to') {
+      options.targetVersion = Number(args[++i]);
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--no-backup') {
+      options.backup = false;
+    } else if (!args[i].startsWith('--') && !options.dbPath) {
+      options.dbPath = path.resolve(args[i]);
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}\n${USAGE}`);
+    }
+  }
+
+  if (!options.dbPath) {
+    throw new Error(USAGE);
+  }
+  if (!Number.isInteger(options.targetVersion) || options.targetVersion < 0 || options.targetVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`--to must be a schema version from 0 to ${CURRENT_SCHEMA_VERSION}`);
+  }
+  return options;
+}
+
+function assertSqliteFile(dbPath) {
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`Database not found: ${dbPath}`);
+  }
+  const header = Buffer.alloc(SQLITE_HEADER.length);
+  const fd = fs.openSync(dbPath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (!header.equals(SQLITE_HEADER)) {
+    throw new Error(`${dbPath} is not a SQLite database (an encrypted database must be migrated by the application)`);
+  }
+}
+
+function openDatabase(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
+      if (err) reject(err);
+      else resolve(db);
+    });
+  });
+}
+
+function printDiff(diff) {
+  if (isSchemaDiffEmpty(diff)) {
+    console.log('   No schema changes');
+    return;
+  }
+  formatSchemaDiff(diff).forEach(line => console.log(`   ${line}`));
+}
+
+async function migrateInPlace(manager, { dbPath, targetVersion, backup }) {
+  let db = await openDatabase(dbPath);
+  let backupPath = null;
+
+  try {
+    const fromVersion = await manager.getCurrentSchemaVersion(db);
+    if (fromVersion === targetVersion) {
+      console.log(`✅ Already at schema version ${targetVersion}`);
+      return 0;
+    }
+
+    if (backup) {
+      backupPath = `${dbPath}.v${fromVersion}-${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+      await copyDatabase(db, backupPath);
+      console.log(`   Backup: ${backupPath}`);
+    }
+
+    const before = await readSchema(db);
+    if (targetVersion > fromVersion) {
+      await ensureBaseTables(db);
+    }
+    const result = await manager.migrateTo(db, migrations, targetVersion, { backup: false });
+    const after = await readSchema(db);
+
+    if (result.success) {
+      console.log(`✅ Migrated from schema version ${result.fromVersion} to ${result.toVersion}`);
+      printDiff(diffSchemas(before, after));
+      return 0;
+    }
+
+    console.log(`❌ ${result.error}`);
+    if (backupPath) {
+      await new Promise(resolve => db.close(resolve));
+      db = null;
+      fs.rmSync(`${dbPath}-journal`, { force: true });
+      fs.copyFileSync(backupPath, dbPath);
+      console.log(`   The database was put back from ${backupPath}`);
+    } else {
+      console.log(`   The database was left at schema version ${result.toVersion}`);
+    }
+    return 1;
+  } finally {
+    if (db) {
+      db.close();
+    }
+  }
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  assertSqliteFile(options.dbPath);
+
+  // The migration log goes to a scratch folder; its lines are printed as they are written
+  const logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-migrate-'));
+  const manager = new MigrationManager(null, { dataDirectory: logDirectory });
+
+  try {
+    if (options.dryRun) {
+      console.log(`Dry run: ${options.dbPath} to schema version ${options.targetVersion} (the file is not changed)`);
+      const result = await manager.dryRun(options.dbPath, migrations, options.targetVersion, { prepare: ensureBaseTables });
+      if (result.success) {
+        console.log(`✅ Would migrate from schema version ${result.fromVersion} to ${result.toVersion}`);
+      } else {
+        console.log(`❌ ${result.error}`);
+        console.log(`   Changes made on the copy before the failure (stopped at schema version ${result.toVersion}):`);
+      }
+      printDiff(result.diff);
+      process.exitCode = result.success ? 0 : 1;
+    } else {
+      console.log(`Migrating ${options.dbPath} to schema version ${options.targetVersion}`);
+      process.exitCode = await migrateInPlace(manager, options);
+    }
+  } finally {
+    fs.rmSync(logDirectory, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('Database migration failed:', error.message);
+  process.exit(2);
+});
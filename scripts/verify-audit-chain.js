@@ -0,0 +1,77 @@
+/**
+ * Audit Chain Verification Script
+ *
+ * Walks the audit_log hash chain of a JSG Inspections database and reports the
+ * first broken link. A break means the SQLite file was edited outside the app.
+ *
+ * Usage:
+ *   node scripts/verify-audit-chain.js [path/to/database.db]
+ *
+ * Without a path, the database in the application's default data directory is
+ * checked. If sqlite3 has been rebuilt for Electron, run the script with
+ * ELECTRON_RUN_AS_NODE=1 npx electron scripts/verify-audit-chain.js instead.
+ * Exits with code 0 when the chain is intact, 1 when it is broken, 2 on error.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { verifyAuditChain } = require('../src/database/auditLogger');
+
+const APP_NAME = 'jsg-inspections';
+
+function getDefaultDatabasePath() {
+  let dataDir;
+  if (process.platform === 'win32') {
+    dataDir = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    dataDir = path.join(os.homedir(), 'Library', 'Application Support');
+  } else {
+    dataDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  return path.join(dataDir, APP_NAME, 'database.db');
+}
+
+function openReadOnly(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+      if (err) reject(err);
+      else resolve(db);
+    });
+  });
+}
+
+async function main() {
+  const dbPath = path.resolve(process.argv[2] || getDefaultDatabasePath());
+
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(2);
+  }
+
+  console.log(`Verifying audit chain in ${dbPath}`);
+  const db = await openReadOnly(dbPath);
+
+  try {
+    const result = await verifyAuditChain(db);
+
+    if (result.valid) {
+      console.log(`✅ Chain intact: ${result.totalRows} entries verified`);
+      console.log(`   Head hash: ${result.headHash}`);
+      process.exitCode = 0;
+    } else {
+      const { id, reason } = result.firstBrokenLink;
+      console.log(`❌ Chain broken at audit_log id ${id} (${reason})`);
+      console.log(`   ${result.totalRows} entries in the log`);
+      process.exitCode = 1;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Audit chain verification failed:', error.message);
+  process.exit(2);
+});
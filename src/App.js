@@ -6,6 +6,9 @@ import Toast from './components/Toast';
 import Sidebar from './components/Sidebar';
 import Modal from './components/Modal';
 import Login from './components/Login';
+import ChangePassword from './components/ChangePassword';
+import LockScreen from './components/LockScreen';
+import StorageUnlock from './components/StorageUnlock';
 import UserHeader from './components/UserHeader';
 import { UserProvider, useUser } from './contexts/UserContext';
 import { useUIStore, useEquipmentStore, useInspectionStore } from './store';
@@ -30,6 +33,9 @@ import {
   ReportGenerator,
   ComplianceManager,
   Settings,
+  AuditTrail,
+  DataExport,
+  Users,
   WorkOrders,
   PreventiveMaintenance,
   Deficiencies,
@@ -59,8 +65,9 @@ if (typeof window !== 'undefined') {
   }
 }
 
-// Main authenticated application component
-function AuthenticatedApp() {
+// Main authenticated application component. While the session is locked it stays
+// mounted but inert, so nothing behind the lock screen can be reached.
+function AuthenticatedApp({ locked }) {
   // UI state from uiStore
   const view = useUIStore((state) => state.view);
   const isSidebarOpen = useUIStore((state) => state.isSidebarOpen);
@@ -193,7 +200,7 @@ function AuthenticatedApp() {
   };
 
   return (
-    <div className={`App${darkMode ? ' dark' : ''}`}>
+    <div className={`App${darkMode ? ' dark' : ''}`} inert={locked} aria-hidden={locked || undefined}>
       {/* Phase 4: PWA Install Prompt */}
       <div id="pwa-install-banner" className="pwa-banner" style={{ display: 'none' }}>
         <div className="pwa-banner-content">
@@ -252,7 +259,7 @@ function AuthenticatedApp() {
           )}
           {view === 'scheduler' && (
             <SuspenseWrapper componentName="Scheduler">
-              <Scheduler />
+              <Scheduler showToast={showToast} />
             </SuspenseWrapper>
           )}
           {view === 'reporting' && (
@@ -295,6 +302,21 @@ function AuthenticatedApp() {
               <ComplianceManager />
             </SuspenseWrapper>
           )}
+          {view === 'auditTrail' && (
+            <SuspenseWrapper componentName="AuditTrail">
+              <AuditTrail />
+            </SuspenseWrapper>
+          )}
+          {view === 'dataExport' && (
+            <SuspenseWrapper componentName="DataExport">
+              <DataExport />
+            </SuspenseWrapper>
+          )}
+          {view === 'users' && (
+            <SuspenseWrapper componentName="Users">
+              <Users />
+            </SuspenseWrapper>
+          )}
           {view === 'settings' && (
             <SuspenseWrapper componentName="Settings">
               <Settings />
@@ -386,7 +408,7 @@ function App() {
 
 // App content that handles authentication state
 function AppContent() {
-  const { isAuthenticated, isLoading } = useUser();
+  const { isAuthenticated, isLoading, pendingPasswordChange, isLocked, storageLocked } = useUser();
   const darkMode = useUIStore((state) => state.darkMode);
 
   if (isLoading) {
@@ -406,6 +428,22 @@ function AppContent() {
     );
   }
 
+  if (storageLocked) {
+    return (
+      <div className={`App${darkMode ? ' dark' : ''}`}>
+        <StorageUnlock />
+      </div>
+    );
+  }
+
+  if (pendingPasswordChange) {
+    return (
+      <div className={`App${darkMode ? ' dark' : ''}`}>
+        <ChangePassword />
+      </div>
+    );
+  }
+
   if (!isAuthenticated) {
     return (
       <div className={`App${darkMode ? ' dark' : ''}`}>
@@ -414,7 +452,12 @@ function AppContent() {
     );
   }
 
-  return <AuthenticatedApp />;
+  return (
+    <>
+      <AuthenticatedApp locked={isLocked} />
+      {isLocked && <LockScreen darkMode={darkMode} />}
+    </>
+  );
 }
 
 export default App;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import './Login.css';
+
+// Self-service password change and PIN setup for the signed-in user
+const AccountSecurity = ({ onDone }) => {
+  const { changePassword, setPin } = useUser();
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [pinForm, setPinForm] = useState({ currentPassword: '', pin: '' });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const runAction = async (action, successMessage) => {
+    setIsSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+      setMessage(successMessage);
+      return true;
+    } catch (err) {
+      setError(err.message || 'Update failed');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+    const saved = await runAction(
+      () => changePassword(passwordForm.currentPassword, passwordForm.newPassword),
+      'Password changed'
+    );
+    if (saved) {
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    }
+  };
+
+  const handlePinSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await runAction(() => setPin(pinForm.currentPassword, pinForm.pin), 'PIN saved');
+    if (saved) {
+      setPinForm({ currentPassword: '', pin: '' });
+    }
+  };
+
+  return (
+    <div className="account-security">
+      <h2>Password &amp; PIN</h2>
+
+      {error && <div className="error-message" role="alert">{error}</div>}
+      {message && <div className="success-message" role="status">{message}</div>}
+
+      <form onSubmit={handlePasswordSubmit} className="login-form">
+        <h3>Change Password</h3>
+        <div className="form-group">
+          <label htmlFor="security-current-password">Current Password</label>
+          <input
+            type="password"
+            id="security-current-password"
+            value={passwordForm.currentPassword}
+            onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+            autoComplete="current-password"
+            disabled={isSaving}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="security-new-password">New Password</label>
+          <input
+            type="password"
+            id="security-new-password"
+            value={passwordForm.newPassword}
+            onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+            autoComplete="new-password"
+            disabled={isSaving}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="security-confirm-password">Confirm New Password</label>
+          <input
+            type="password"
+            id="security-confirm-password"
+            value={passwordForm.confirmPassword}
+            onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+            autoComplete="new-password"
+            disabled={isSaving}
+          />
+        </div>
+        <button type="submit" className="login-button" disabled={isSaving}>Change Password</button>
+      </form>
+
+      <form onSubmit={handlePinSubmit} className="login-form">
+        <h3>Quick Sign-in PIN</h3>
+        <div className="form-group">
+          <label htmlFor="security-pin-password">Current Password</label>
+          <input
+            type="password"
+            id="security-pin-password"
+            value={pinForm.currentPassword}
+            onChange={(e) => setPinForm({ ...pinForm, currentPassword: e.target.value })}
+            autoComplete="current-password"
+            disabled={isSaving}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="security-pin">PIN (4-8 digits)</label>
+          <input
+            type="password"
+            id="security-pin"
+            inputMode="numeric"
+            value={pinForm.pin}
+            onChange={(e) => setPinForm({ ...pinForm, pin: e.target.value.replace(/\D/g, '') })}
+            maxLength={8}
+            disabled={isSaving}
+          />
+        </div>
+        <button type="submit" className="login-button" disabled={isSaving}>Save PIN</button>
+      </form>
+
+      <button type="button" className="login-link-button" onClick={onDone}>Close</button>
+    </div>
+  );
+};
+
+export default AccountSecurity;
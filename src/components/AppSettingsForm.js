@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { SETTINGS, resolveSettings } from '../database/appSettings';
+import './AppSettingsForm.css';
+
+// Editable application settings of one group; values apply on the next session check
+function AppSettingsForm({ group }) {
+  const settings = SETTINGS.filter(setting => setting.group === group);
+  const [values, setValues] = useState(() => resolveSettings());
+  const [saved, setSaved] = useState(() => resolveSettings());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const current = resolveSettings(await window.api.settings.getAll());
+      setValues(current);
+      setSaved(current);
+    } catch (err) {
+      console.error('Error loading settings:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const changed = settings.filter(setting => Number(values[setting.key]) !== saved[setting.key]);
+      for (const setting of changed) {
+        await window.api.settings.set(setting.key, values[setting.key]);
+      }
+      await loadSettings();
+      setMessage(changed.length > 0 ? 'Settings saved' : 'No changes to save');
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="app-settings-loading">Loading settings...</div>;
+  }
+
+  return (
+    <form className="app-settings-form" onSubmit={handleSubmit}>
+      {settings.map(setting => (
+        <label key={setting.key} className="app-settings-field">
+          <span>{setting.label}</span>
+          <input
+            type="number"
+            min={setting.min}
+            max={setting.max}
+            step={1}
+            value={values[setting.key]}
+            onChange={(e) => setValues({ ...values, [setting.key]: e.target.value })}
+            required
+          />
+          <small>Default {setting.defaultValue}, allowed {setting.min} to {setting.max}</small>
+        </label>
+      ))}
+      {error && <div className="app-settings-error" role="alert">{error}</div>}
+      {message && <div className="app-settings-message" role="status">{message}</div>}
+      <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+    </form>
+  );
+}
+
+export default AppSettingsForm;
@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  AUDIT_EXPORT_COLUMNS,
+  auditEntriesToCsv,
+  formatAuditTimestamp,
+  formatAuditValue,
+  getFieldChanges,
+  parseAuditValues,
+  toAuditTimestamp
+} from '../utils/auditTrail';
+import './AuditTrail.css';
+
+const PAGE_SIZE = 50;
+const EXPORT_BATCH_SIZE = 1000;
+
+const EMPTY_FILTERS = {
+  username: '',
+  action: '',
+  entityType: '',
+  startDate: '',
+  endDate: ''
+};
+
+// Converts form filters to auditLog.search parameters
+const toSearchParams = (filters) => ({
+  username: filters.username || null,
+  action: filters.action || null,
+  entityType: filters.entityType || null,
+  from: toAuditTimestamp(filters.startDate),
+  to: toAuditTimestamp(filters.endDate, true)
+});
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+function FieldChanges({ entry }) {
+  const changes = getFieldChanges(entry);
+
+  if (changes.length === 0) {
+    return <p className="audit-no-changes">No field values recorded</p>;
+  }
+
+  return (
+    <table className="audit-diff-table">
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Before</th>
+          <th>After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map(change => (
+          <tr key={change.field}>
+            <td className="audit-diff-field">{change.field}</td>
+            <td className="audit-diff-before">{formatAuditValue(change.from)}</td>
+            <td className="audit-diff-after">{formatAuditValue(change.to)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function AuditTrail() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [filterValues, setFilterValues] = useState({ username: [], action: [], entity_type: [] });
+  const [entries, setEntries] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [previousCursors, setPreviousCursors] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedEntryId, setExpandedEntryId] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [exportStatus, setExportStatus] = useState('');
+
+  useEffect(() => {
+    const loadFilterValues = async () => {
+      try {
+        const rows = await window.api.auditLog.getFilterValues();
+        const grouped = { username: [], action: [], entity_type: [] };
+        rows.forEach(row => grouped[row.field]?.push(row.value));
+        setFilterValues(grouped);
+      } catch (err) {
+        console.error('Error loading audit filter values:', err);
+      }
+    };
+    loadFilterValues();
+  }, []);
+
+  // Loads the page of entries older than `beforeId` (null for the newest page)
+  const loadPage = useCallback(async (beforeId) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // One extra row tells us whether an older page exists
+      const rows = await window.api.auditLog.search({
+        ...toSearchParams(appliedFilters),
+        beforeId,
+        limit: PAGE_SIZE + 1
+      });
+
+      setEntries(rows.slice(0, PAGE_SIZE));
+      setHasMore(rows.length > PAGE_SIZE);
+      setCursor(beforeId);
+    } catch (err) {
+      console.error('Error loading audit log:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    setPreviousCursors([]);
+    loadPage(null);
+  }, [loadPage]);
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const handleOlder = () => {
+    if (entries.length === 0) return;
+    setPreviousCursors([...previousCursors, cursor]);
+    loadPage(entries[entries.length - 1].id);
+  };
+
+  const handleNewer = () => {
+    const previous = [...previousCursors];
+    const beforeId = previous.pop();
+    setPreviousCursors(previous);
+    loadPage(beforeId ?? null);
+  };
+
+  const openTimeline = async (entityType, entityId) => {
+    try {
+      const rows = await window.api.auditLog.getByEntity(entityType, entityId);
+      setTimeline({
+        entityType,
+        entityId,
+        entries: [...rows].sort((a, b) => a.id - b.id)
+      });
+    } catch (err) {
+      console.error('Error loading entity timeline:', err);
+      setError(err.message);
+    }
+  };
+
+  // Exports every entry matching the applied filters, fetched in keyset batches
+  const handleExport = async (format) => {
+    try {
+      const searchParams = toSearchParams(appliedFilters);
+      const allEntries = [];
+      let beforeId = null;
+
+      for (;;) {
+        setExportStatus(`Exporting... ${allEntries.length} entries`);
+        const batch = await window.api.auditLog.search({ ...searchParams, beforeId, limit: EXPORT_BATCH_SIZE });
+        allEntries.push(...batch);
+        if (batch.length < EXPORT_BATCH_SIZE) break;
+        beforeId = batch[batch.length - 1].id;
+      }
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (format === 'csv') {
+        downloadFile(auditEntriesToCsv(allEntries), `audit-trail-${stamp}.csv`, 'text/csv');
+      } else {
+        const exported = allEntries.map(entry => {
+          const row = {};
+          AUDIT_EXPORT_COLUMNS.forEach(column => { row[column] = entry[column]; });
+          return { ...row, oldValues: parseAuditValues(entry.oldValues), newValues: parseAuditValues(entry.newValues) };
+        });
+        downloadFile(
+          JSON.stringify({ exportedAt: new Date().toISOString(), filters: appliedFilters, entries: exported }, null, 2),
+          `audit-trail-${stamp}.json`,
+          'application/json'
+        );
+      }
+      setExportStatus(`Exported ${allEntries.length} entries`);
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+      setExportStatus('');
+      setError(err.message);
+    }
+  };
+
+  const updateFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  return (
+    <div className="audit-trail">
+      <div className="audit-trail-header">
+        <h2>Audit Trail</h2>
+        <div className="audit-export-actions">
+          {exportStatus && <span className="audit-export-status">{exportStatus}</span>}
+          <button type="button" onClick={() => handleExport('csv')}>Export CSV</button>
+          <button type="button" onClick={() => handleExport('json')}>Export JSON</button>
+        </div>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleApplyFilters}>
+        <div className="form-group">
+          <label htmlFor="audit-filter-user">User</label>
+          <select id="audit-filter-user" value={filters.username} onChange={updateFilter('username')}>
+            <option value="">All users</option>
+            {filterValues.username.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-filter-action">Action</label>
+          <select id="audit-filter-action" value={filters.action} onChange={updateFilter('action')}>
+            <option value="">All actions</option>
+            {filterValues.action.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-filter-entity">Entity Type</label>
+          <select id="audit-filter-entity" value={filters.entityType} onChange={updateFilter('entityType')}>
+            <option value="">All entities</option>
+            {filterValues.entity_type.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-filter-start">From</label>
+          <input type="date" id="audit-filter-start" value={filters.startDate} onChange={updateFilter('startDate')} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-filter-end">To</label>
+          <input type="date" id="audit-filter-end" value={filters.endDate} onChange={updateFilter('endDate')} />
+        </div>
+        <div className="audit-filter-actions">
+          <button type="submit">Apply</button>
+          <button type="button" className="secondary" onClick={handleClearFilters}>Clear</button>
+        </div>
+      </form>
+
+      {error && <div className="audit-error" role="alert">{error}</div>}
+
+      <div className="audit-trail-body">
+        <div className="audit-log-panel">
+          {loading ? (
+            <div className="audit-loading">Loading audit log...</div>
+          ) : entries.length === 0 ? (
+            <div className="audit-empty">No audit entries match these filters.</div>
+          ) : (
+            <table className="audit-log-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Time</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Entity</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <React.Fragment key={entry.id}>
+                    <tr className={expandedEntryId === entry.id ? 'expanded' : ''}>
+                      <td>{entry.id}</td>
+                      <td>{formatAuditTimestamp(entry.timestamp)}</td>
+                      <td>{entry.username}</td>
+                      <td><span className="audit-action-badge">{entry.action}</span></td>
+                      <td>
+                        {entry.entityId > 0 ? (
+                          <button
+                            type="button"
+                            className="audit-entity-link"
+                            onClick={() => openTimeline(entry.entityType, entry.entityId)}
+                            title="Show the history of this record"
+                          >
+                            {entry.entityType} #{entry.entityId}
+                          </button>
+                        ) : (
+                          entry.entityType
+                        )}
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          className="audit-details-toggle"
+                          onClick={() => setExpandedEntryId(expandedEntryId === entry.id ? null : entry.id)}
+                          aria-expanded={expandedEntryId === entry.id}
+                        >
+                          {expandedEntryId === entry.id ? 'Hide' : 'Details'}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedEntryId === entry.id && (
+                      <tr className="audit-details-row">
+                        <td colSpan={6}>
+                          <FieldChanges entry={entry} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="audit-pagination">
+            <button type="button" onClick={handleNewer} disabled={loading || previousCursors.length === 0}>
+              ← Newer
+            </button>
+            <span>Page {previousCursors.length + 1}</span>
+            <button type="button" onClick={handleOlder} disabled={loading || !hasMore}>
+              Older →
+            </button>
+          </div>
+        </div>
+
+        {timeline && (
+          <aside className="audit-timeline" aria-label="Entity timeline">
+            <div className="audit-timeline-header">
+              <h3>{timeline.entityType} #{timeline.entityId}</h3>
+              <button type="button" className="close-button" onClick={() => setTimeline(null)} aria-label="Close timeline">
+                ×
+              </button>
+            </div>
+            {timeline.entries.length === 0 ? (
+              <p className="audit-empty">No history recorded for this record.</p>
+            ) : (
+              <ol className="audit-timeline-list">
+                {timeline.entries.map(entry => (
+                  <li key={entry.id} className="audit-timeline-item">
+                    <div className="audit-timeline-meta">
+                      <span className="audit-action-badge">{entry.action}</span>
+                      <span>{entry.username}</span>
+                      <span className="audit-timeline-time">{formatAuditTimestamp(entry.timestamp)}</span>
+                    </div>
+                    <FieldChanges entry={entry} />
+                  </li>
+                ))}
+              </ol>
+            )}
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuditTrail;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import './BackupHistory.css';
+
+const TIER_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+const formatSize = (bytes) => (bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Automatic backups taken by the main process scheduler, newest first
+function BackupHistory({ onRestore, disabled }) {
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadBackups = async () => {
+      try {
+        setBackups(await window.api.listBackups());
+      } catch (err) {
+        console.error('Error loading backups:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadBackups();
+  }, []);
+
+  if (loading) {
+    return <div className="backup-history-loading">Loading backups...</div>;
+  }
+
+  if (error) {
+    return <div className="backup-history-error" role="alert">{error}</div>;
+  }
+
+  if (backups.length === 0) {
+    return <p>No automatic backups yet. The first one is taken shortly after the application starts.</p>;
+  }
+
+  return (
+    <table className="backup-history">
+      <thead>
+        <tr>
+          <th>Taken</th>
+          <th>Kept As</th>
+          <th>Schema</th>
+          <th>Size</th>
+          <th>SHA-256</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {backups.map(backup => (
+          <tr key={backup.fileName}>
+            <td>{new Date(backup.createdAt).toLocaleString()}</td>
+            <td>{backup.tiers.map(tier => TIER_LABELS[tier] || tier).join(', ')}</td>
+            <td>v{backup.schemaVersion}</td>
+            <td>{formatSize(backup.size)}</td>
+            <td className="backup-history-hash" title={backup.sha256}>{backup.sha256.slice(0, 12)}</td>
+            <td>
+              <button type="button" className="link" onClick={() => onRestore(backup.fileName)} disabled={disabled}>
+                Restore...
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default BackupHistory;
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { toDateKey } from '../utils/calendar';
+import {
+  METER_TYPES,
+  getMeterHistory,
+  checkReading,
+  describeReadingNotes,
+  refreshPmAfterReadings
+} from '../utils/meterReadings';
+import './BulkMeterEntry.css';
+
+// One meter type read across several pieces of equipment, such as a bay at the
+// end of a shift; every reading is checked like a single entry and all are saved together
+function BulkMeterEntry({ equipment, label, onSaved, showToast }) {
+  const { currentUser, can } = useUser();
+  const [readingsById, setReadingsById] = useState({});
+  const [meterType, setMeterType] = useState(METER_TYPES[0].key);
+  const [readingDate, setReadingDate] = useState(() => toDateKey(new Date()));
+  const [values, setValues] = useState({});
+  const [confirmed, setConfirmed] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(equipment.map(item => window.api.meterReadings.getByEquipmentId(item.id)))
+      .then(results => {
+        if (!cancelled) setReadingsById(Object.fromEntries(equipment.map((item, index) => [item.id, results[index]])));
+      })
+      .catch(err => {
+        console.error('Failed to load meter readings:', err);
+        if (!cancelled) setError(err.message || 'Failed to load meter readings');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [equipment]);
+
+  const rows = useMemo(() => equipment.map(item => {
+    const history = getMeterHistory(readingsById[item.id] || [], meterType);
+    const earlier = history.filter(reading => reading.reading_date <= readingDate);
+    const raw = values[item.id] ?? '';
+    const value = raw === '' ? NaN : Number(raw);
+    return {
+      item,
+      previous: earlier[earlier.length - 1] || null,
+      raw,
+      value,
+      warnings: Number.isFinite(value) ? checkReading(history, { meterType, readingValue: value, readingDate }) : []
+    };
+  }), [equipment, readingsById, meterType, readingDate, values]);
+
+  const entered = rows.filter(row => row.raw !== '');
+  const invalid = entered.filter(row => !Number.isFinite(row.value) || row.value < 0);
+  const flagged = entered.filter(row => row.warnings.length > 0);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const recordedBy = currentUser?.fullName || currentUser?.username || 'Unknown User';
+      await window.api.meterReadings.createBatch(entered.map(row => ({
+        equipmentId: row.item.id,
+        meterType,
+        readingValue: row.value,
+        readingDate,
+        recordedBy,
+        notes: describeReadingNotes('', row.warnings)
+      })));
+      const saved = `${entered.length} reading${entered.length === 1 ? '' : 's'} saved`;
+      try {
+        const raised = await refreshPmAfterReadings(can);
+        if (showToast) showToast(raised > 0 ? `${saved}; ${raised} PM work order(s) raised` : saved, 'success');
+      } catch (err) {
+        if (showToast) showToast(`${saved}, but checking PM schedules failed: ${err.message}`, 'warning');
+      }
+      if (onSaved) onSaved();
+    } catch (err) {
+      console.error('Failed to save meter readings:', err);
+      if (showToast) showToast(`Failed to save the readings: ${err.message}`, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeAll = (setter) => (e) => {
+    setter(e.target.value);
+    setConfirmed(false);
+  };
+
+  return (
+    <form className="bulk-meter-entry" onSubmit={handleSave}>
+      <h3>Record Meters · {label}</h3>
+      <div className="bulk-meter-controls">
+        <label>
+          Meter
+          <select value={meterType} onChange={changeAll(setMeterType)}>
+            {METER_TYPES.map(type => <option key={type.key} value={type.key}>{type.label}</option>)}
+          </select>
+        </label>
+        <label>
+          Date
+          <input type="date" value={readingDate} onChange={changeAll(setReadingDate)} required />
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="loading-spinner">Loading readings...</div>
+      ) : error ? (
+        <div className="error-message"><p>Error loading readings: {error}</p></div>
+      ) : (
+        <table className="bulk-meter-table">
+          <thead>
+            <tr>
+              <th>Equipment</th>
+              <th>Previous</th>
+              <th>Reading</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.item.id} className={row.warnings.length > 0 ? 'bulk-meter-flagged' : undefined}>
+                <td>
+                  <strong>{row.item.equipmentId}</strong> {row.item.type}
+                </td>
+                <td>{row.previous ? `${row.previous.reading_value} on ${row.previous.reading_date}` : '—'}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    aria-label={`${row.item.equipmentId} reading`}
+                    value={row.raw}
+                    onChange={(e) => {
+                      const { value } = e.target;
+                      setValues(current => ({ ...current, [row.item.id]: value }));
+                      setConfirmed(false);
+                    }}
+                  />
+                  {row.warnings.map(warning => (
+                    <div key={warning.message} className="bulk-meter-warning">{warning.message}</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {flagged.length > 0 && (
+        <label className="bulk-meter-confirm">
+          <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />
+          Save {flagged.length} flagged reading{flagged.length === 1 ? '' : 's'} anyway
+        </label>
+      )}
+
+      <div className="bulk-meter-actions">
+        <button
+          type="submit"
+          className="btn-primary"
+          disabled={saving || loading || entered.length === 0 || invalid.length > 0 || (flagged.length > 0 && !confirmed)}
+        >
+          {saving ? 'Saving...' : `Save ${entered.length} Reading${entered.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default BulkMeterEntry;
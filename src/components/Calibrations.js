@@ -3,7 +3,7 @@ import { useUser } from '../contexts/UserContext';
 import './Calibrations.css';
 
 const Calibrations = () => {
-  const { currentUser } = useUser();
+  const { can } = useUser();
   const [calibrations, setCalibrations] = useState([]);
   const [equipment, setEquipment] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -128,21 +128,9 @@ const Calibrations = () => {
       const createResult = await window.api.calibrations.create(calibrationData);
       const createdCalibrationId = createResult?.lastID || createResult?.id || 0;
 
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'calibration',
-        entityId: createdCalibrationId,
-        oldValues: null,
-        newValues: JSON.stringify(calibrationData),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
-      // Generate certificate if calibration passed
-      if (newCalibration.calibrationResults === 'pass') {
+      // Generate certificate if calibration passed and the user may issue one
+      const issueCertificate = newCalibration.calibrationResults === 'pass' && can('certificate.issue_calibration');
+      if (issueCertificate) {
         const equipmentItem = equipment.find(eq => eq.id === parseInt(newCalibration.equipmentId));
         const certificateNumber = `CAL-${equipmentItem?.equipment_id}-${new Date().getFullYear()}-${String(Date.now()).slice(-4)}`;
         
@@ -164,6 +152,9 @@ const Calibrations = () => {
       resetNewCalibration();
       await loadData();
       await checkUpcomingCalibrations(); // Refresh notifications
+      if (newCalibration.calibrationResults === 'pass' && !issueCertificate) {
+        setError('Calibration saved. No certificate was issued: issuing calibration certificates requires the certificate.issue_calibration permission.');
+      }
     } catch (err) {
       console.error('Error creating calibration:', err);
       setError(err.message);
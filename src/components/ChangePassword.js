@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import './Login.css';
+
+// Shown after sign-in when the account still has a temporary or reset password
+const ChangePassword = () => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { pendingPasswordChange, changePassword, logout } = useUser();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!currentPassword || !newPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await changePassword(currentPassword, newPassword);
+    } catch (err) {
+      setError(err.message || 'Password change failed');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Change Password</h1>
+          <p>
+            {pendingPasswordChange?.username}, you must choose a new password before continuing.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <div className="form-group">
+            <label htmlFor="currentPassword">Current (temporary) Password</label>
+            <input
+              type="password"
+              id="currentPassword"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              autoComplete="current-password"
+              disabled={isLoading}
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="newPassword">New Password</label>
+            <input
+              type="password"
+              id="newPassword"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              placeholder="At least 8 characters, letters and numbers"
+              autoComplete="new-password"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              disabled={isLoading}
+            />
+          </div>
+
+          {error && (
+            <div className="error-message" role="alert">
+              {error}
+            </div>
+          )}
+
+          <button type="submit" className="login-button" disabled={isLoading}>
+            {isLoading ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <button type="button" className="login-link-button" onClick={logout} disabled={isLoading}>
+            Cancel and sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -1,21 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import './ComplianceManager.css';
 
+const EMPTY_STANDARD = {
+  name: '',
+  description: '',
+  authority: '',
+  code: '',
+  clause: '',
+  inspectionFrequencyDays: '',
+  loadTestFrequencyDays: ''
+};
+
+const SCHEDULE_TYPE_LABELS = { inspection: 'Inspection', load_test: 'Load test' };
+
+// Blank frequency fields mean the standard sets no interval
+const parseFrequency = (value) => (value === '' ? null : Number(value));
+
 function ComplianceManager() {
   const [standards, setStandards] = useState([]);
   const [equipmentTypes, setEquipmentTypes] = useState([]);
   const [selectedStandard, setSelectedStandard] = useState('');
   const [selectedEquipmentType, setSelectedEquipmentType] = useState('');
   const [assignedStandards, setAssignedStandards] = useState([]);
-  const [newStandardName, setNewStandardName] = useState('');
-  const [newStandardDescription, setNewStandardDescription] = useState('');
-  const [newStandardAuthority, setNewStandardAuthority] = useState('');
+  const [standardForm, setStandardForm] = useState(EMPTY_STANDARD);
+  const [editingStandardId, setEditingStandardId] = useState(null);
+  const [complianceSchedule, setComplianceSchedule] = useState([]);
+  const [isRefreshingSchedule, setIsRefreshingSchedule] = useState(false);
   const [complianceStatus, setComplianceStatus] = useState([]);
   const [isLoadingCompliance, setIsLoadingCompliance] = useState(false);
 
   useEffect(() => {
     fetchStandards();
     fetchEquipmentTypes();
+    fetchComplianceSchedule();
   }, []);
 
   const fetchStandards = async () => {
@@ -28,21 +45,60 @@ function ComplianceManager() {
     setEquipmentTypes(types.map(t => t.type));
   };
 
-  const handleAddStandard = async (e) => {
+  const fetchComplianceSchedule = async () => {
+    const scheduled = await window.api.scheduledInspections.getAll();
+    setComplianceSchedule(scheduled.filter(item => item.source === 'compliance' && item.status !== 'completed'));
+  };
+
+  const updateStandardField = (field) => (e) => {
+    setStandardForm(form => ({ ...form, [field]: e.target.value }));
+  };
+
+  const handleEditStandard = (standard) => {
+    setEditingStandardId(standard.id);
+    setStandardForm({
+      name: standard.name || '',
+      description: standard.description || '',
+      authority: standard.authority || '',
+      code: standard.code || '',
+      clause: standard.clause || '',
+      inspectionFrequencyDays: standard.inspection_frequency_days ? String(standard.inspection_frequency_days) : '',
+      loadTestFrequencyDays: standard.load_test_frequency_days ? String(standard.load_test_frequency_days) : ''
+    });
+  };
+
+  const resetStandardForm = () => {
+    setEditingStandardId(null);
+    setStandardForm(EMPTY_STANDARD);
+  };
+
+  const handleSaveStandard = async (e) => {
     e.preventDefault();
-    if (!newStandardName) {
+    if (!standardForm.name) {
       alert('Please enter a standard name.');
       return;
     }
-    await window.api.compliance.createStandard({
-      name: newStandardName,
-      description: newStandardDescription,
-      authority: newStandardAuthority
-    });
+    const standard = {
+      name: standardForm.name,
+      description: standardForm.description,
+      authority: standardForm.authority,
+      code: standardForm.code || null,
+      clause: standardForm.clause || null,
+      inspectionFrequencyDays: parseFrequency(standardForm.inspectionFrequencyDays),
+      loadTestFrequencyDays: parseFrequency(standardForm.loadTestFrequencyDays)
+    };
+    try {
+      if (editingStandardId) {
+        await window.api.compliance.updateStandard({ ...standard, id: editingStandardId });
+      } else {
+        await window.api.compliance.createStandard(standard);
+      }
+    } catch (error) {
+      alert(`Failed to save standard: ${error.message}`);
+      return;
+    }
     fetchStandards();
-    setNewStandardName('');
-    setNewStandardDescription('');
-    setNewStandardAuthority('');
+    resetStandardForm();
   };
 
   useEffect(() => {
@@ -85,6 +141,19 @@ function ComplianceManager() {
     }
   };
 
+  const handleRefreshSchedule = async () => {
+    setIsRefreshingSchedule(true);
+    try {
+      const result = await window.api.scheduledInspections.refreshFromCompliance();
+      await fetchComplianceSchedule();
+      alert(`Schedule refreshed: ${result.created} added, ${result.updated} moved, ${result.removed} removed.`);
+    } catch (error) {
+      alert(`Failed to refresh the schedule: ${error.message}`);
+    } finally {
+      setIsRefreshingSchedule(false);
+    }
+  };
+
   const calculateComplianceStatus = async () => {
     setIsLoadingCompliance(true);
 
@@ -140,7 +209,14 @@ function ComplianceManager() {
         <ul>
           {standards.map((standard) => (
             <li key={standard.id}>
-              <strong>{standard.name}</strong> ({standard.authority}): {standard.description}
+              <strong>{standard.name}</strong>{standard.clause && ` ${standard.clause}`} ({standard.authority}): {standard.description}
+              {(standard.inspection_frequency_days || standard.load_test_frequency_days) && (
+                <span className="standard-frequencies">
+                  {standard.inspection_frequency_days && ` Inspection every ${standard.inspection_frequency_days} days.`}
+                  {standard.load_test_frequency_days && ` Load test every ${standard.load_test_frequency_days} days.`}
+                </span>
+              )}
+              <button onClick={() => handleEditStandard(standard)} className="edit-button">Edit</button>
               <button onClick={() => handleDeleteStandard(standard.id)} className="delete-button">Delete</button>
             </li>
           ))}
@@ -148,27 +224,62 @@ function ComplianceManager() {
       </div>
 
       <div className="add-standard-form">
-        <h3>Add New Standard</h3>
-        <form onSubmit={handleAddStandard}>
+        <h3>{editingStandardId ? 'Edit Standard' : 'Add New Standard'}</h3>
+        <form onSubmit={handleSaveStandard}>
           <input
             type="text"
             placeholder="Standard Name (e.g., OSHA 1910.179)"
-            value={newStandardName}
-            onChange={(e) => setNewStandardName(e.target.value)}
+            value={standardForm.name}
+            onChange={updateStandardField('name')}
             required
           />
           <textarea
             placeholder="Description"
-            value={newStandardDescription}
-            onChange={(e) => setNewStandardDescription(e.target.value)}
+            value={standardForm.description}
+            onChange={updateStandardField('description')}
           />
           <input
             type="text"
             placeholder="Authority (e.g., OSHA)"
-            value={newStandardAuthority}
-            onChange={(e) => setNewStandardAuthority(e.target.value)}
+            value={standardForm.authority}
+            onChange={updateStandardField('authority')}
+          />
+          <input
+            type="text"
+            placeholder="Code (e.g., 29 CFR 1910)"
+            value={standardForm.code}
+            onChange={updateStandardField('code')}
+          />
+          <input
+            type="text"
+            placeholder="Clause (e.g., 1910.179(j))"
+            value={standardForm.clause}
+            onChange={updateStandardField('clause')}
           />
-          <button type="submit">Add Standard</button>
+          <label>
+            Inspection every (days)
+            <input
+              type="number"
+              min="1"
+              max="3650"
+              value={standardForm.inspectionFrequencyDays}
+              onChange={updateStandardField('inspectionFrequencyDays')}
+            />
+          </label>
+          <label>
+            Load test every (days)
+            <input
+              type="number"
+              min="1"
+              max="3650"
+              value={standardForm.loadTestFrequencyDays}
+              onChange={updateStandardField('loadTestFrequencyDays')}
+            />
+          </label>
+          <div className="standard-form-actions">
+            <button type="submit">{editingStandardId ? 'Save Standard' : 'Add Standard'}</button>
+            {editingStandardId && <button type="button" onClick={resetStandardForm}>Cancel</button>}
+          </div>
         </form>
       </div>
 
@@ -216,6 +327,39 @@ function ComplianceManager() {
         )}
       </div>
 
+      <div className="compliance-schedule">
+        <h3>Compliance Schedule</h3>
+        <p className="compliance-schedule-hint">
+          Open inspections and load tests are scheduled from the strictest standard assigned to each equipment type,
+          counted from the last completion. The schedule refreshes after inspections, load tests and standard changes.
+        </p>
+        <button onClick={handleRefreshSchedule} disabled={isRefreshingSchedule}>
+          {isRefreshingSchedule ? 'Refreshing...' : 'Refresh Schedule'}
+        </button>
+        {complianceSchedule.length > 0 && (
+          <table>
+            <thead>
+              <tr>
+                <th>Equipment ID</th>
+                <th>Due</th>
+                <th>Type</th>
+                <th>Why this date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {complianceSchedule.map(item => (
+                <tr key={item.id}>
+                  <td>{item.equipmentIdentifier}</td>
+                  <td>{item.scheduled_date}</td>
+                  <td>{SCHEDULE_TYPE_LABELS[item.schedule_type] || item.schedule_type}</td>
+                  <td>{item.due_reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
       <div className="compliance-status-checker">
         <h3>Equipment Compliance Status</h3>
         <button onClick={calculateComplianceStatus} disabled={isLoadingCompliance}>
@@ -221,21 +221,7 @@ const Credentials = () => {
         renewalRequired: newCredential.renewalRequired ? 1 : 0
       };
 
-      const createResult = await window.api.credentials.create(credentialData);
-      const createdCredentialId = createResult?.lastID || createResult?.id || 0;
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'credential',
-        entityId: createdCredentialId,
-        oldValues: null,
-        newValues: JSON.stringify(credentialData),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
+      await window.api.credentials.create(credentialData);
 
       setShowCreateCredential(false);
       setShowRenewCredential(false);
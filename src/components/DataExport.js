@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import {
+  EXPORT_SETS,
+  exportRowsToCsv,
+  exportRowsToXlsx,
+  flattenInspections,
+  nestInspectionItems
+} from '../utils/dataExport';
+import './DataExport.css';
+
+const FORMATS = [
+  { key: 'xlsx', label: 'Excel (.xlsx), one sheet per set' },
+  { key: 'csv', label: 'CSV, one file per set' },
+  { key: 'json', label: 'JSON, one file' }
+];
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Raw data exports of the main entity sets for auditors and other systems
+function DataExport() {
+  const [selected, setSelected] = useState(['equipment']);
+  const [format, setFormat] = useState('xlsx');
+  const [filters, setFilters] = useState({ from: '', to: '', site: '' });
+  const [sites, setSites] = useState([]);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    window.api.equipment.getDistinctSites()
+      .then(rows => setSites(rows.map(row => row.site)))
+      .catch(err => console.error('Error loading sites:', err));
+  }, []);
+
+  const toggleSet = (key) => {
+    setSelected(current => (current.includes(key) ? current.filter(item => item !== key) : [...current, key]));
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const params = { from: filters.from || null, to: filters.to || null, site: filters.site || null };
+      const results = [];
+      for (const set of EXPORT_SETS.filter(item => selected.includes(item.key))) {
+        setStatus(`Exporting ${set.label.toLowerCase()}...`);
+        let rows = await window.api.dataExport.getRows(set.key, params);
+        if (set.key === 'inspections') {
+          rows = nestInspectionItems(rows, await window.api.dataExport.getRows('inspectionItems', params));
+        }
+        results.push({ set, rows });
+      }
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (format === 'json') {
+        const sets = {};
+        results.forEach(({ set, rows }) => { sets[set.key] = rows; });
+        downloadFile(
+          JSON.stringify({ exportedAt: new Date().toISOString(), filters: params, ...sets }, null, 2),
+          `jsg-export-${stamp}.json`,
+          'application/json'
+        );
+      } else if (format === 'xlsx') {
+        const sheets = results.flatMap(({ set, rows }) => (set.key === 'inspections'
+          ? [
+            { name: set.label, rows: rows.map(({ items: _items, ...inspection }) => inspection) },
+            { name: 'Inspection Items', rows: rows.flatMap(inspection => inspection.items) }
+          ]
+          : [{ name: set.label, rows }]));
+        downloadFile(exportRowsToXlsx(sheets), `jsg-export-${stamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      } else {
+        results.forEach(({ set, rows }) => {
+          const csvRows = set.key === 'inspections' ? flattenInspections(rows) : rows;
+          downloadFile(exportRowsToCsv(csvRows), `jsg-export-${set.key}-${stamp}.csv`, 'text/csv');
+        });
+      }
+
+      setStatus(`Exported ${results.map(({ set, rows }) => `${rows.length} ${set.label.toLowerCase()}`).join(', ')}`);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setStatus('');
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+  const ignoresSite = filters.site && EXPORT_SETS.some(set => !set.bySite && selected.includes(set.key));
+
+  return (
+    <div className="data-export">
+      <h2>Export Data</h2>
+      <p>
+        Exports the selected records as they are stored, with the column names used elsewhere in the application.
+        Photos, signatures and QR code images are not included.
+      </p>
+
+      {error && <div className="data-export-error" role="alert">{error}</div>}
+
+      <fieldset className="data-export-sets" disabled={busy}>
+        <legend>Records</legend>
+        {EXPORT_SETS.map(set => (
+          <label key={set.key}>
+            <input type="checkbox" checked={selected.includes(set.key)} onChange={() => toggleSet(set.key)} />
+            {set.label}
+            {set.key === 'inspections' && ' with their checklist items'}
+            <span className="data-export-hint">filtered by {set.dateLabel}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="data-export-filters" disabled={busy}>
+        <legend>Filters</legend>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={updateFilter('from')} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={updateFilter('to')} />
+        </label>
+        <label>
+          Site
+          <select value={filters.site} onChange={updateFilter('site')}>
+            <option value="">All sites</option>
+            {sites.map(site => <option key={site} value={site}>{site}</option>)}
+          </select>
+        </label>
+        {ignoresSite && <p className="data-export-hint">Credentials belong to people, not sites, and are exported for every site.</p>}
+      </fieldset>
+
+      <fieldset className="data-export-formats" disabled={busy}>
+        <legend>Format</legend>
+        {FORMATS.map(item => (
+          <label key={item.key}>
+            <input type="radio" name="export-format" value={item.key} checked={format === item.key} onChange={() => setFormat(item.key)} />
+            {item.label}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="data-export-actions">
+        <button type="button" onClick={handleExport} disabled={busy || selected.length === 0}>
+          {busy ? 'Exporting...' : 'Export'}
+        </button>
+        {status && <span className="data-export-status" role="status">{status}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default DataExport;
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import './DatabaseHealth.css';
+
+const formatSize = (bytes) => (bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const MAINTENANCE = [
+  {
+    action: 'vacuum',
+    label: 'Vacuum',
+    description: 'Rebuilds the file and returns free space to the disk.',
+    confirm: 'Vacuum the database? Other work waits until it finishes, which can take a while on a large database.'
+  },
+  { action: 'analyze', label: 'Analyze', description: 'Refreshes the statistics SQLite uses to choose indexes.' },
+  { action: 'reindex', label: 'Reindex', description: 'Rebuilds every index.' }
+];
+
+// Integrity, foreign key, orphan and schema checks of the working database, with maintenance actions
+function DatabaseHealth() {
+  const [health, setHealth] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const runChecks = async () => {
+    setBusy('checks');
+    setError(null);
+    try {
+      setHealth(await window.api.getDatabaseHealth());
+    } catch (err) {
+      console.error('Error checking database health:', err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleMaintenance = async ({ action, label, confirm }) => {
+    if (confirm && !window.confirm(confirm)) return;
+    setBusy(action);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await window.api.runDatabaseMaintenance(action);
+      const sizes = result.sizeBefore !== result.sizeAfter
+        ? ` The file went from ${formatSize(result.sizeBefore)} to ${formatSize(result.sizeAfter)}.`
+        : '';
+      setMessage(`${label} finished in ${(result.durationMs / 1000).toFixed(1)} s.${sizes}`);
+      if (health) {
+        setHealth(await window.api.getDatabaseHealth());
+      }
+    } catch (err) {
+      console.error(`Database ${action} failed:`, err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const unusedIndexes = health ? health.indexes.filter(index => index.usedBy.length === 0) : [];
+  const orphanCount = health ? health.orphans.reduce((sum, finding) => sum + finding.count, 0) : 0;
+  const violationCount = health ? health.foreignKeys.violations.reduce((sum, violation) => sum + violation.count, 0) : 0;
+
+  return (
+    <div className="database-health">
+      <button type="button" onClick={runChecks} disabled={busy !== null}>
+        {busy === 'checks' ? 'Checking...' : health ? 'Check Again' : 'Run Health Check'}
+      </button>
+
+      {error && <div className="database-health-error" role="alert">{error}</div>}
+      {message && <div className="database-health-message" role="status">{message}</div>}
+
+      {health && (
+        <>
+          <dl className="database-health-summary">
+            <dt>Checked</dt>
+            <dd>{new Date(health.checkedAt).toLocaleString()}</dd>
+            <dt>File size</dt>
+            <dd>
+              {formatSize(health.storage.size)}
+              {health.storage.reclaimableBytes > 0 && ` (${formatSize(health.storage.reclaimableBytes)} free, reclaimed by Vacuum)`}
+            </dd>
+            <dt>Journal</dt>
+            <dd>
+              {health.storage.journalMode === 'wal'
+                ? `Write-ahead log, ${formatSize(health.storage.walSize)} not yet checkpointed`
+                : `Rollback journal (${health.storage.journalMode}); write-ahead logging is off`}
+            </dd>
+            <dt>Schema</dt>
+            <dd className={health.schema.problems.length > 0 ? 'problem' : 'ok'}>
+              Version {health.schema.version}
+              {health.schema.problems.length === 0 ? ', matches the declared schema' : `, ${health.schema.problems.length} difference(s) from the declared schema`}
+            </dd>
+            <dt>Integrity</dt>
+            <dd className={health.integrity.ok ? 'ok' : 'problem'}>
+              {health.integrity.ok ? 'No problems found' : `${health.integrity.messages.length} problem(s) found`}
+            </dd>
+            <dt>Foreign keys</dt>
+            <dd className={health.foreignKeys.ok ? 'ok' : 'problem'}>
+              {health.foreignKeys.ok ? 'Every reference resolves' : `${violationCount} row(s) refer to missing records`}
+            </dd>
+            <dt>Orphaned rows</dt>
+            <dd className={orphanCount === 0 ? 'ok' : 'problem'}>
+              {orphanCount === 0 ? 'None' : `${orphanCount} row(s)`}
+            </dd>
+            <dt>Migration backups</dt>
+            <dd>
+              {health.migrationBackups.length === 0
+                ? 'None'
+                : `${health.migrationBackups.length}, latest ${new Date(health.migrationBackups[0].createdAt).toLocaleString()}`}
+            </dd>
+          </dl>
+
+          {health.schema.problems.length > 0 && (
+            <div className="database-health-findings">
+              <h4>Schema Differences</h4>
+              <ul>
+                {health.schema.problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {!health.integrity.ok && (
+            <div className="database-health-findings">
+              <h4>Integrity Check</h4>
+              <p>Restore a recent backup if these persist after a Reindex.</p>
+              <ul>
+                {health.integrity.messages.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {(violationCount > 0 || orphanCount > 0) && (
+            <div className="database-health-findings">
+              <h4>Rows Referring to Missing Records</h4>
+              <ul>
+                {health.foreignKeys.violations.map(violation => (
+                  <li key={`${violation.table}-${violation.parent}`}>
+                    {violation.count} row(s) in {violation.table} refer to missing {violation.parent} (row IDs {violation.rowIds.join(', ')}
+                    {violation.count > violation.rowIds.length && ', ...'})
+                  </li>
+                ))}
+                {health.orphans.map(finding => (
+                  <li key={finding.description}>
+                    {finding.description}: {finding.count} (IDs {finding.rowIds.join(', ')}
+                    {finding.count > finding.rowIds.length && ', ...'})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <details>
+            <summary>Row counts ({health.tables.length} tables)</summary>
+            <table className="database-health-table">
+              <thead>
+                <tr>
+                  <th>Table</th>
+                  <th>Rows</th>
+                </tr>
+              </thead>
+              <tbody>
+                {health.tables.map(table => (
+                  <tr key={table.table}>
+                    <td>{table.table}</td>
+                    <td>{table.rows.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+
+          <details>
+            <summary>
+              Index usage ({health.indexes.length} indexes
+              {unusedIndexes.length > 0 && `, ${unusedIndexes.length} not used by any application query`})
+            </summary>
+            <p>
+              Based on the query plans of the application's queries. Statistics appear after Analyze: the row count,
+              then the average number of rows per key.
+            </p>
+            <table className="database-health-table">
+              <thead>
+                <tr>
+                  <th>Index</th>
+                  <th>Table</th>
+                  <th>Columns</th>
+                  <th>Used by</th>
+                  <th>Statistics</th>
+                </tr>
+              </thead>
+              <tbody>
+                {health.indexes.map(index => (
+                  <tr key={index.name} className={index.usedBy.length === 0 ? 'unused' : undefined}>
+                    <td>{index.name}</td>
+                    <td>{index.table}</td>
+                    <td>{index.columns.join(', ')}</td>
+                    <td title={index.usedBy.join('\n')}>
+                      {index.usedBy.length === 0 ? 'No queries' : `${index.usedBy.length} quer${index.usedBy.length === 1 ? 'y' : 'ies'}`}
+                    </td>
+                    <td>{index.stat || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        </>
+      )}
+
+      <h4>Maintenance</h4>
+      <ul className="database-health-actions">
+        {MAINTENANCE.map(item => (
+          <li key={item.action}>
+            <button type="button" onClick={() => handleMaintenance(item)} disabled={busy !== null}>
+              {busy === item.action ? `${item.label}...` : item.label}
+            </button>
+            {item.description}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default DatabaseHealth;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import BackupHistory from './BackupHistory';
+import './DatabaseRestore.css';
+
+const COUNT_LABELS = [
+  ['equipment', 'Equipment'],
+  ['inspections', 'Inspections'],
+  ['openDeficiencies', 'Open deficiencies']
+];
+
+// Restores a backup after showing what it holds; the database it replaces is
+// kept so the last restore can be undone
+function DatabaseRestore() {
+  const [passphrase, setPassphrase] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    window.api.getRestoreStatus()
+      .then(status => setUndo(status.undo))
+      .catch(err => console.error('Error loading restore status:', err));
+  }, []);
+
+  const runStep = async (step) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await step();
+    } catch (err) {
+      console.error('Restore failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = (backupFileName) => runStep(async () => {
+    const result = await window.api.previewRestore({ passphrase: passphrase || undefined, backupFileName });
+    if (!result.cancelled) setPreview(result);
+  });
+
+  const handleCancel = () => runStep(async () => {
+    await window.api.cancelRestore();
+    setPreview(null);
+  });
+
+  const handleRestore = () => {
+    if (!window.confirm('Restore this backup? The application restarts; you can undo the restore afterwards from Settings.')) return;
+    // The application relaunches once the restore is installed
+    runStep(() => window.api.restoreDatabase());
+  };
+
+  const handleUndo = () => {
+    if (!window.confirm(`Undo the restore of ${undo.restoredFrom}? Changes made since then are lost and the application restarts.`)) return;
+    runStep(() => window.api.undoRestore());
+  };
+
+  return (
+    <div className="database-restore">
+      {undo && (
+        <div className="database-restore-undo" role="status">
+          Restored from {undo.restoredFrom} on {new Date(undo.restoredAt).toLocaleString()}.
+          <button type="button" onClick={handleUndo} disabled={busy}>Undo Restore</button>
+        </div>
+      )}
+
+      <div className="settings-field">
+        <label htmlFor="restorePassphrase">Backup passphrase (encrypted backups and archives only)</label>
+        <input
+          type="password"
+          id="restorePassphrase"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          autoComplete="off"
+        />
+      </div>
+      <button type="button" onClick={() => handlePreview()} disabled={busy}>Restore from File...</button>
+
+      {error && <div className="database-restore-error" role="alert">{error}</div>}
+
+      {preview && (
+        <section className={`database-restore-preview ${preview.compatible ? '' : 'incompatible'}`} aria-label="Restore preview">
+          <h4>{preview.source}</h4>
+          <dl>
+            <dt>Schema version</dt>
+            <dd>
+              {preview.schemaVersion === null ? 'Unknown' : `v${preview.schemaVersion}`}
+              {preview.needsMigration && ` (upgraded to v${preview.currentSchemaVersion} when restored)`}
+            </dd>
+            {preview.counts && COUNT_LABELS.map(([key, label]) => (
+              <React.Fragment key={key}>
+                <dt>{label}</dt>
+                <dd>{preview.counts[key] === null ? 'Not present' : preview.counts[key]}</dd>
+              </React.Fragment>
+            ))}
+            {preview.archive && (
+              <>
+                <dt>Documents and certificates</dt>
+                <dd>{preview.archive.fileCount}</dd>
+              </>
+            )}
+          </dl>
+          {preview.archive?.missing.length > 0 && (
+            <details className="database-restore-missing">
+              <summary>{preview.archive.missing.length} file(s) were missing when the archive was made</summary>
+              <ul>
+                {preview.archive.missing.map(filePath => <li key={filePath}>{filePath}</li>)}
+              </ul>
+            </details>
+          )}
+          {preview.problems.length > 0 && (
+            <ul className="database-restore-problems">
+              {preview.problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+          <div className="database-restore-actions">
+            {preview.compatible && (
+              <button type="button" onClick={handleRestore} disabled={busy}>Restore This Backup</button>
+            )}
+            <button type="button" className="secondary" onClick={handleCancel} disabled={busy}>
+              {preview.compatible ? 'Cancel' : 'Close'}
+            </button>
+          </div>
+        </section>
+      )}
+
+      <h4>Automatic Backups</h4>
+      <BackupHistory onRestore={handlePreview} disabled={busy} />
+    </div>
+  );
+}
+
+export default DatabaseRestore;
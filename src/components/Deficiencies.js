@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useUser } from '../contexts/UserContext';
+import { useUIStore } from '../store';
 import './Deficiencies.css';
 
 function Deficiencies() {
-  const { currentUser } = useUser();
+  const { currentUser, can } = useUser();
   const [deficiencies, setDeficiencies] = useState([]);
   const [equipment, setEquipment] = useState([]);
   const [filter, setFilter] = useState('all');
@@ -23,6 +24,23 @@ function Deficiencies() {
     loadData();
   }, [filter]);
 
+  const searchFocus = useUIStore((state) => state.searchFocus);
+  const setSearchFocus = useUIStore((state) => state.setSearchFocus);
+  const [highlightedId, setHighlightedId] = useState(null);
+
+  // A deficiency opened from search is shown whatever its status
+  useEffect(() => {
+    if (searchFocus?.entityType !== 'deficiency') return;
+    setFilter('all');
+    setHighlightedId(searchFocus.entityId);
+    setSearchFocus(null);
+  }, [searchFocus, setSearchFocus]);
+
+  useEffect(() => {
+    if (highlightedId === null || loading) return;
+    document.getElementById(`deficiency-${highlightedId}`)?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+  }, [highlightedId, loading, deficiencies]);
+
   const loadData = async () => {
     try {
       setLoading(true);
@@ -64,7 +82,7 @@ function Deficiencies() {
     e.preventDefault();
     
     try {
-      const createResult = await window.api.deficiencies.create({
+      await window.api.deficiencies.create({
         equipmentId: parseInt(newDeficiency.equipmentId),
         inspectionItemId: null,
         severity: newDeficiency.severity,
@@ -75,20 +93,6 @@ function Deficiencies() {
         dueDate: newDeficiency.dueDate || null,
         status: 'open'
       });
-      const createdDeficiencyId = createResult?.lastID || createResult?.id || 0;
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'deficiency',
-        entityId: createdDeficiencyId,
-        oldValues: null,
-        newValues: JSON.stringify(newDeficiency),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
 
       setShowCreateDeficiencyForm(false);
       setNewDeficiency({
@@ -139,30 +143,6 @@ function Deficiencies() {
       // Link the deficiency to the work order
       await window.api.deficiencies.linkToWorkOrder(deficiency.id, createdWOId);
 
-      // Log audit entries
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'work_order',
-        entityId: createdWOId,
-        oldValues: null,
-        newValues: JSON.stringify(workOrderData),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'link',
-        entityType: 'deficiency',
-        entityId: deficiency.id,
-        oldValues: JSON.stringify({ work_order_id: null }),
-        newValues: JSON.stringify({ work_order_id: createdWOId }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
 
       alert(`Work Order ${woNumber} created and linked to deficiency!`);
       await loadData();
@@ -178,8 +158,6 @@ function Deficiencies() {
       const deficiency = deficiencies.find(d => d.id === deficiencyId);
       if (!deficiency) return;
 
-      const oldStatus = deficiency.status;
-
       await window.api.deficiencies.update({
         id: deficiencyId,
         severity: deficiency.severity,
@@ -191,19 +169,6 @@ function Deficiencies() {
         status: newStatus
       });
 
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'update',
-        entityType: 'deficiency',
-        entityId: deficiencyId,
-        oldValues: JSON.stringify({ status: oldStatus }),
-        newValues: JSON.stringify({ status: newStatus }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
       fetchDeficiencies();
     } catch (error) {
       console.error('Error updating deficiency status:', error);
@@ -216,19 +181,6 @@ function Deficiencies() {
       const verificationSignature = currentUser?.full_name || 'Unknown User';
       await window.api.deficiencies.close(deficiencyId, verificationSignature);
 
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'close',
-        entityType: 'deficiency',
-        entityId: deficiencyId,
-        oldValues: JSON.stringify({ status: 'verified' }),
-        newValues: JSON.stringify({ status: 'closed', verificationSignature }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
       fetchDeficiencies();
     } catch (error) {
       console.error('Error closing deficiency:', error);
@@ -295,7 +247,11 @@ function Deficiencies() {
       ) : (
         <div className="deficiencies-grid">
           {deficiencies.map((deficiency) => (
-            <div key={deficiency.id} className="deficiency-card">
+            <div
+              key={deficiency.id}
+              id={`deficiency-${deficiency.id}`}
+              className={`deficiency-card${deficiency.id === highlightedId ? ' deficiency-card-highlighted' : ''}`}
+            >
               <div className="deficiency-header">
                 <div className="deficiency-badges">
                   <span 
@@ -360,7 +316,8 @@ function Deficiencies() {
                     Mark Verified
                   </button>
                 )}
-                {deficiency.status === 'verified' && (
+                {deficiency.status === 'verified' && can('deficiency.close') &&
+                  (deficiency.severity !== 'critical' || can('deficiency.close_critical')) && (
                   <button 
                     onClick={() => closeDeficiency(deficiency.id)}
                     className="close-btn"
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './EncryptionSettings.css';
+
+const EMPTY_FORM = { passphrase: '', newPassphrase: '', confirmPassphrase: '' };
+
+// Turns encryption at rest on or off and rotates its key. The passphrase is
+// also what restores encrypted backups, so losing it loses those backups.
+function EncryptionSettings() {
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await window.api.storage.getStatus());
+    } catch (err) {
+      console.error('Error loading encryption status:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Runs an encryption change, clearing the passphrase fields whatever the outcome
+  const runChange = async (change, successMessage) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      setStatus(await change());
+      setMessage(successMessage);
+    } catch (err) {
+      console.error('Encryption change failed:', err);
+      setError(err.message);
+    } finally {
+      setForm(EMPTY_FORM);
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (form.newPassphrase !== form.confirmPassphrase) {
+      setError('Passphrases do not match');
+      return;
+    }
+    runChange(
+      () => window.api.storage.enableEncryption(form.newPassphrase),
+      'Encryption enabled. The database is sealed each time the application closes.'
+    );
+  };
+
+  const handleRotate = (e) => {
+    e.preventDefault();
+    if (form.newPassphrase !== form.confirmPassphrase) {
+      setError('New passphrases do not match');
+      return;
+    }
+    runChange(
+      () => window.api.storage.rotateKey(form.passphrase, form.newPassphrase || null),
+      form.newPassphrase ? 'Key rotated and passphrase changed' : 'Key rotated'
+    );
+  };
+
+  const handleDisable = () => {
+    if (!form.passphrase) {
+      setError('Enter the current passphrase to disable encryption');
+      return;
+    }
+    if (!window.confirm('Disable encryption? The database and documents will be stored unencrypted.')) return;
+    runChange(() => window.api.storage.disableEncryption(form.passphrase), 'Encryption disabled');
+  };
+
+  if (!status) {
+    return error ? <div className="encryption-error" role="alert">{error}</div> : <div>Loading encryption status...</div>;
+  }
+
+  return (
+    <div className="encryption-settings">
+      <p>
+        Encrypts the database, imported documents and backups with a key protected by an administrator passphrase.
+        {!status.deviceKeyAvailable && ' This system has no keychain, so the passphrase will be asked for at every start.'}
+      </p>
+
+      <dl className="encryption-status">
+        <dt>Status</dt>
+        <dd>{status.enabled ? 'Enabled' : 'Disabled'}</dd>
+        {status.enabled && (
+          <>
+            <dt>Key</dt>
+            <dd><code>{status.keyId.slice(0, 8)}</code></dd>
+            <dt>Last rotated</dt>
+            <dd>{status.rotatedAt ? new Date(status.rotatedAt).toLocaleString() : 'Never'}</dd>
+          </>
+        )}
+      </dl>
+
+      {error && <div className="encryption-error" role="alert">{error}</div>}
+      {message && <div className="encryption-message" role="status">{message}</div>}
+
+      {status.enabled ? (
+        <form className="encryption-form" onSubmit={handleRotate}>
+          <label>
+            Current passphrase
+            <input type="password" value={form.passphrase} onChange={updateField('passphrase')} autoComplete="off" required />
+          </label>
+          <label>
+            New passphrase (optional)
+            <input type="password" value={form.newPassphrase} onChange={updateField('newPassphrase')} autoComplete="new-password" />
+          </label>
+          <label>
+            Confirm new passphrase
+            <input type="password" value={form.confirmPassphrase} onChange={updateField('confirmPassphrase')} autoComplete="new-password" />
+          </label>
+          <div>
+            <button type="submit" disabled={busy}>{busy ? 'Working...' : 'Rotate Key'}</button>
+            <button type="button" className="danger" onClick={handleDisable} disabled={busy}>Disable Encryption</button>
+          </div>
+        </form>
+      ) : (
+        <form className="encryption-form" onSubmit={handleEnable}>
+          <label>
+            Passphrase (at least 12 characters)
+            <input type="password" value={form.newPassphrase} onChange={updateField('newPassphrase')} autoComplete="new-password" required />
+          </label>
+          <label>
+            Confirm passphrase
+            <input type="password" value={form.confirmPassphrase} onChange={updateField('confirmPassphrase')} autoComplete="new-password" required />
+          </label>
+          <div>
+            <button type="submit" disabled={busy}>{busy ? 'Encrypting...' : 'Enable Encryption'}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default EncryptionSettings;
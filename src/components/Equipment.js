@@ -1,15 +1,23 @@
 import React, { useState } from 'react';
 import AddEquipmentForm from './AddEquipmentForm';
+import EquipmentImport from './EquipmentImport';
 import EquipmentList from './EquipmentList';
+import EquipmentTree from './EquipmentTree';
 import { useEquipmentStore } from '../store';
+import { useUser } from '../contexts/UserContext';
 import './Equipment.css';
 
 function Equipment({ onViewInspections, showToast }) {
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const { can } = useUser();
+  const toggleRefresh = useEquipmentStore((state) => state.toggleRefresh);
   const searchTerm = useEquipmentStore((state) => state.searchTerm);
   const setSearchTerm = useEquipmentStore((state) => state.setSearchTerm);
   const filterStatus = useEquipmentStore((state) => state.filterStatus);
   const setFilterStatus = useEquipmentStore((state) => state.setFilterStatus);
+  const layout = useEquipmentStore((state) => state.layout);
+  const setLayout = useEquipmentStore((state) => state.setLayout);
 
   const handleEquipmentAdded = () => {
     setShowAddForm(false);
@@ -18,6 +26,14 @@ function Equipment({ onViewInspections, showToast }) {
     }
   };
 
+  const handleEquipmentImported = (count) => {
+    setShowImport(false);
+    toggleRefresh();
+    if (showToast) {
+      showToast(`Imported ${count} equipment items`, 'success');
+    }
+  };
+
   return (
     <div className="equipment-container" data-testid="equipment-container">
       <div className="equipment-header">
@@ -41,12 +57,26 @@ function Equipment({ onViewInspections, showToast }) {
             <option value="inactive">Inactive</option>
             <option value="under maintenance">Under Maintenance</option>
           </select>
+          <select
+            value={layout}
+            onChange={(e) => setLayout(e.target.value)}
+            className="filter-select"
+            aria-label="Equipment layout"
+          >
+            <option value="list">List</option>
+            <option value="tree">Hierarchy</option>
+          </select>
           <button
             onClick={() => setShowAddForm(!showAddForm)}
             className="btn-primary"
           >
             {showAddForm ? 'Cancel' : 'Add Equipment'}
           </button>
+          {can('equipment.edit') && !showImport && (
+            <button onClick={() => setShowImport(true)} className="btn-primary">
+              Import
+            </button>
+          )}
         </div>
       </div>
 
@@ -59,12 +89,23 @@ function Equipment({ onViewInspections, showToast }) {
         </div>
       )}
 
-      <EquipmentList 
-        onViewInspections={onViewInspections} 
-        showToast={showToast}
-        searchTerm={searchTerm}
-        filterStatus={filterStatus}
-      />
+      {showImport && (
+        <EquipmentImport
+          onImported={handleEquipmentImported}
+          onCancel={() => setShowImport(false)}
+        />
+      )}
+
+      {layout === 'tree' ? (
+        <EquipmentTree showToast={showToast} />
+      ) : (
+        <EquipmentList 
+          onViewInspections={onViewInspections} 
+          showToast={showToast}
+          searchTerm={searchTerm}
+          filterStatus={filterStatus}
+        />
+      )}
     </div>
   );
 }
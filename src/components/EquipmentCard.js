@@ -1,9 +1,13 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './EquipmentCard.css';
 import DocumentList from './DocumentList';
+import MeterReadings from './MeterReadings';
+import Modal from './Modal';
 import { generateEquipmentPdf } from '../utils/generatePdf';
 
-function EquipmentCard({ equipment, onEdit, onDelete, onViewInspections, onInspect }) {
+function EquipmentCard({ equipment, onEdit, onDelete, onViewInspections, onInspect, showToast }) {
+  const [showMeters, setShowMeters] = useState(false);
+
   return (
     <div className="card" data-testid="equipment-card">
       <div className="card-body">
@@ -16,6 +20,7 @@ function EquipmentCard({ equipment, onEdit, onDelete, onViewInspections, onInspe
         <div className="card-buttons">
           <button onClick={() => onInspect(equipment)} className="btn-primary">Inspect</button>
           <button onClick={() => onViewInspections(equipment.id)} className="btn-outline">View History</button>
+          <button onClick={() => setShowMeters(true)} className="btn-outline">Meters</button>
           <button onClick={() => onEdit(equipment)} className="btn-secondary">Edit</button>
           <button onClick={() => generateEquipmentPdf(equipment)} className="btn-secondary">PDF</button>
           <button onClick={() => {
@@ -25,6 +30,11 @@ function EquipmentCard({ equipment, onEdit, onDelete, onViewInspections, onInspe
           }} className="btn-danger">Delete</button>
         </div>
       </div>
+      {showMeters && (
+        <Modal onClose={() => setShowMeters(false)}>
+          <MeterReadings equipment={equipment} showToast={showToast} />
+        </Modal>
+      )}
     </div>
   );
 }
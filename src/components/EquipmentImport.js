@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from 'react';
+import { parseCsvRows } from '../utils/csv';
+import { generateQrCode } from '../utils/qr';
+import {
+  EQUIPMENT_IMPORT_FIELDS,
+  DEFAULT_IMPORT_STATUS,
+  guessColumnMapping,
+  validateEquipmentImport
+} from '../utils/equipmentImport';
+import './EquipmentImport.css';
+
+const readFile = (file, asBuffer) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  if (asBuffer) reader.readAsArrayBuffer(file);
+  else reader.readAsText(file);
+});
+
+// Bulk equipment import from a CSV or Excel sheet: column mapping, a dry-run preview and a single transaction
+function EquipmentImport({ onImported, onCancel }) {
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const preview = useMemo(
+    () => (sheet ? validateEquipmentImport(sheet.rows, mapping, sheet.existing) : null),
+    [sheet, mapping]
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy('reading');
+    setError(null);
+    try {
+      const isWorkbook = /\.xlsx$/i.test(file.name);
+      const contents = await readFile(file, isWorkbook);
+      const rows = isWorkbook
+        ? (await window.api.equipment.readSpreadsheet(contents)).rows
+        : parseCsvRows(contents);
+      if (rows.length < 2) {
+        throw new Error('The sheet needs a header row and at least one row of equipment');
+      }
+
+      const [header, ...dataRows] = rows;
+      const existing = await window.api.equipment.getAll();
+      setMapping(guessColumnMapping(header.cells));
+      setSheet({ fileName: file.name, headers: header.cells, rows: dataRows, existing });
+    } catch (err) {
+      console.error('Error reading equipment import:', err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping(current => ({ ...current, [field]: column === '' ? null : Number(column) }));
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    try {
+      const equipment = [];
+      for (const item of preview.equipment) {
+        setBusy(`Generating QR codes (${equipment.length + 1} of ${preview.equipment.length})`);
+        equipment.push({ ...item, qrCodeData: await generateQrCode(item.equipmentId) });
+      }
+
+      setBusy('Importing...');
+      const { equipmentIds } = await window.api.equipment.import(equipment);
+      setSheet(null);
+      onImported(equipmentIds.length);
+    } catch (err) {
+      console.error('Error importing equipment:', err);
+      setError(`Nothing was imported: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <section className="equipment-import" aria-label="Import equipment">
+      <div className="equipment-import-header">
+        <h3>{sheet ? `Import from ${sheet.fileName}` : 'Import Equipment'}</h3>
+        <label className="equipment-import-file">
+          {sheet ? 'Choose Another File' : 'Choose CSV or Excel File'}
+          <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} disabled={busy !== null} />
+        </label>
+      </div>
+
+      {!sheet && (
+        <p>
+          The first row names the columns, such as Equipment ID, Type, Manufacturer, Model, Serial Number, Capacity,
+          Installation Date, Location, Status, Site, Building, Bay and Parent Equipment ID. Excel files are read from
+          their first worksheet.
+        </p>
+      )}
+
+      {error && <div className="equipment-import-error" role="alert">{error}</div>}
+      {busy === 'reading' && <p>Reading file...</p>}
+
+      {sheet && preview && (
+        <>
+          <fieldset className="equipment-import-mapping" disabled={busy !== null}>
+            <legend>Columns</legend>
+            {EQUIPMENT_IMPORT_FIELDS.map(({ field, label, required }) => (
+              <label key={field}>
+                {label}{required && ' *'}
+                <select
+                  value={Number.isInteger(mapping[field]) ? mapping[field] : ''}
+                  onChange={(e) => handleMappingChange(field, e.target.value)}
+                >
+                  <option value="">Not imported</option>
+                  {sheet.headers.map((header, column) => (
+                    <option key={column} value={column}>{header || `Column ${column + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+
+          <p>
+            {preview.equipment.length} of {sheet.rows.length} rows ready to import. Rows without a status are
+            imported as {DEFAULT_IMPORT_STATUS}, and each item gets a QR code of its equipment ID. Nothing is saved
+            unless every listed row is.
+          </p>
+
+          {preview.errors.length > 0 && (
+            <div className="equipment-import-errors">
+              <strong>{preview.errors.length} rows will be skipped:</strong>
+              <ul>
+                {preview.errors.map(({ line, message }) => (
+                  <li key={line}>Line {line}: {message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {preview.equipment.length > 0 && (
+            <div className="equipment-import-table-wrapper">
+              <table className="equipment-import-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Equipment ID</th>
+                    <th>Type</th>
+                    <th>Manufacturer</th>
+                    <th>Model</th>
+                    <th>Capacity</th>
+                    <th>Installed</th>
+                    <th>Status</th>
+                    <th>Site / Building / Bay</th>
+                    <th>Parent</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.equipment.map(item => (
+                    <tr key={item.line}>
+                      <td>{item.line}</td>
+                      <td>{item.equipmentId}</td>
+                      <td>{item.type}</td>
+                      <td>{item.manufacturer}</td>
+                      <td>{item.model}</td>
+                      <td>{item.capacity}</td>
+                      <td>{item.installationDate}</td>
+                      <td>{item.status}</td>
+                      <td>{[item.site, item.building, item.bay].filter(Boolean).join(' / ')}</td>
+                      <td>{item.parentEquipmentId}{item.parentEquipmentId && !item.parentId && ' (this file)'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="equipment-import-actions">
+        {sheet && (
+          <button type="button" className="btn-primary" onClick={handleImport} disabled={busy !== null || preview.equipment.length === 0}>
+            {busy && busy !== 'reading' ? busy : `Import ${preview.equipment.length} Items`}
+          </button>
+        )}
+        <button type="button" className="btn-secondary" onClick={onCancel} disabled={busy !== null}>
+          Cancel
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default EquipmentImport;
@@ -74,9 +74,10 @@ const fetchEquipment = async () => {
 
   const indexOfLastItem = currentPage * itemsPerPage;
   const indexOfFirstItem = indexOfLastItem - itemsPerPage;
-  // Filter equipment by search term (manufacturer or model)
+  // Filter equipment by search term (equipment ID, manufacturer or model)
   const filteredEquipment = equipment.filter(
     (item) =>
+      (item.equipmentId || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
       ((item.manufacturer || '') || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
       ((item.model || '') || '').toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -179,6 +180,7 @@ const fetchEquipment = async () => {
               onDelete={handleDelete}
               onViewInspections={onViewInspections}
               onInspect={setInspectingEquipment}
+              showToast={showToast}
             />
           ))
         )}
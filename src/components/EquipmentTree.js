@@ -0,0 +1,254 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { buildEquipmentTree, canMoveEquipment, getComponents } from '../utils/equipmentHierarchy';
+import { useEquipmentStore } from '../store';
+import { useUser } from '../contexts/UserContext';
+import BulkMeterEntry from './BulkMeterEntry';
+import Modal from './Modal';
+import './EquipmentTree.css';
+
+const KIND_LABELS = { site: 'Site', building: 'Building', bay: 'Bay' };
+
+// Where equipment dropped outside every node ends up: no parent and no location
+const ROOT_TARGET = { key: 'root', location: { site: null, building: null, bay: null }, equipment: null };
+
+// Equipment below a node, components included
+const collectEquipment = (node) => node.children.flatMap(child => (
+  child.equipment ? [child.equipment, ...collectEquipment(child)] : collectEquipment(child)
+));
+
+// Site → Building → Bay → equipment tree with deficiency and overdue roll-ups;
+// equipment is re-parented by dragging it onto another node
+function EquipmentTree({ showToast }) {
+  const [equipment, setEquipment] = useState([]);
+  const [counts, setCounts] = useState([]);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropKey, setDropKey] = useState(null);
+  const [moving, setMoving] = useState(false);
+  const [meterBay, setMeterBay] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { can } = useUser();
+  const canEdit = can('equipment.edit');
+  const canRecordMeters = can('meter.record');
+  const setInspectingEquipment = useEquipmentStore((state) => state.setInspectingEquipment);
+
+  const fetchTree = useCallback(async () => {
+    try {
+      setError(null);
+      const [equipmentData, countData] = await Promise.all([
+        window.api.equipment.getAll(),
+        window.api.equipment.getAttentionCounts()
+      ]);
+      setEquipment(equipmentData);
+      setCounts(countData);
+    } catch (err) {
+      console.error('Failed to load equipment hierarchy:', err);
+      setError(err.message || 'Failed to load equipment');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTree();
+  }, [fetchTree]);
+
+  const tree = useMemo(() => buildEquipmentTree(equipment, counts), [equipment, counts]);
+
+  const toggle = (key) => {
+    setCollapsed(current => {
+      const next = new Set(current);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const canDropOn = (target) => draggingId !== null &&
+    canMoveEquipment(equipment, draggingId, target.equipment ? target.equipment.id : null);
+
+  const handleDragOver = (target) => (e) => {
+    if (!canDropOn(target)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropKey(target.key);
+  };
+
+  const handleDrop = (target) => async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const id = draggingId;
+    const allowed = canDropOn(target);
+    setDraggingId(null);
+    setDropKey(null);
+    if (!allowed) return;
+
+    const item = equipment.find(candidate => candidate.id === id);
+    setMoving(true);
+    try {
+      await window.api.equipment.move({
+        id,
+        parentId: target.equipment ? target.equipment.id : null,
+        ...target.location
+      });
+      if (showToast) showToast(`Moved ${item.equipmentId} to ${target.equipment ? target.equipment.equipmentId : target.label || 'the top level'}`, 'success');
+      await fetchTree();
+    } catch (err) {
+      console.error('Failed to move equipment:', err);
+      if (showToast) showToast(`Failed to move ${item.equipmentId}: ${err.message}`, 'error');
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  const dropProps = (target) => (canEdit ? {
+    onDragOver: handleDragOver(target),
+    onDragLeave: () => setDropKey(current => (current === target.key ? null : current)),
+    onDrop: handleDrop(target)
+  } : {});
+
+  const renderNode = (node) => {
+    const isOpen = !collapsed.has(node.key);
+    const item = node.equipment;
+    const components = item ? getComponents(equipment, item.id) : [];
+
+    return (
+      <li
+        key={node.key}
+        role="treeitem"
+        aria-expanded={node.children.length > 0 ? isOpen : undefined}
+        aria-selected={false}
+        className={`tree-node tree-node-${node.kind}`}
+      >
+        <div
+          className={`tree-row${dropKey === node.key ? ' tree-row-drop' : ''}${draggingId === item?.id ? ' tree-row-dragging' : ''}`}
+          draggable={Boolean(item) && canEdit && !moving}
+          onDragStart={item ? (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.equipmentId);
+            setDraggingId(item.id);
+          } : undefined}
+          onDragEnd={() => {
+            setDraggingId(null);
+            setDropKey(null);
+          }}
+          {...dropProps(node)}
+        >
+          {node.children.length > 0 ? (
+            <button
+              type="button"
+              className="tree-toggle"
+              onClick={() => toggle(node.key)}
+              aria-label={`${isOpen ? 'Collapse' : 'Expand'} ${node.label}`}
+            >
+              {isOpen ? '▾' : '▸'}
+            </button>
+          ) : <span className="tree-toggle" />}
+
+          <span className="tree-label">
+            {item ? (
+              <>
+                <strong>{node.label}</strong> {item.type}
+                {item.status && <span className="tree-status">{item.status}</span>}
+              </>
+            ) : (
+              <>
+                <span className="tree-kind">{KIND_LABELS[node.kind]}</span> <strong>{node.label}</strong>
+              </>
+            )}
+          </span>
+
+          {node.openDeficiencies > 0 && (
+            <span className="tree-badge tree-badge-deficiencies" title="Open deficiencies, including components">
+              {node.openDeficiencies} open
+            </span>
+          )}
+          {node.overdue > 0 && (
+            <span className="tree-badge tree-badge-overdue" title="Overdue inspections, PM and work orders, including components">
+              {node.overdue} overdue
+            </span>
+          )}
+
+          {node.kind === 'bay' && canRecordMeters && (
+            <span className="tree-actions">
+              <button
+                type="button"
+                onClick={() => setMeterBay({
+                  label: Object.values(node.location).filter(Boolean).join(' › '),
+                  equipment: collectEquipment(node)
+                })}
+              >
+                Record Meters
+              </button>
+            </span>
+          )}
+
+          {item && (
+            <span className="tree-actions">
+              <button type="button" onClick={() => setInspectingEquipment(item)}>
+                Inspect
+              </button>
+              {components.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setInspectingEquipment({ ...item, components })}
+                >
+                  Inspect with {components.length} component{components.length === 1 ? '' : 's'}
+                </button>
+              )}
+            </span>
+          )}
+        </div>
+
+        {node.children.length > 0 && isOpen && (
+          <ul role="group">{node.children.map(renderNode)}</ul>
+        )}
+      </li>
+    );
+  };
+
+  if (loading) {
+    return <div className="equipment-tree"><div className="loading-spinner">Loading equipment...</div></div>;
+  }
+
+  if (error) {
+    return (
+      <div className="equipment-tree">
+        <div className="error-message">
+          <p>Error loading equipment: {error}</p>
+          <button onClick={fetchTree} className="retry-button">Retry</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`equipment-tree${dropKey === ROOT_TARGET.key ? ' equipment-tree-drop' : ''}`} {...dropProps(ROOT_TARGET)}>
+      {canEdit && (
+        <p className="equipment-tree-hint">
+          Drag equipment onto a site, building, bay or other equipment to move it there. Drop it on an empty area to clear its location.
+        </p>
+      )}
+      {tree.length === 0 ? (
+        <p className="equipment-tree-empty">No equipment found.</p>
+      ) : (
+        <ul role="tree" aria-label="Equipment hierarchy" aria-busy={moving}>
+          {tree.map(renderNode)}
+        </ul>
+      )}
+      {meterBay && (
+        <Modal onClose={() => setMeterBay(null)}>
+          <BulkMeterEntry
+            equipment={meterBay.equipment}
+            label={meterBay.label}
+            onSaved={() => setMeterBay(null)}
+            showToast={showToast}
+          />
+        </Modal>
+      )}
+    </div>
+  );
+}
+
+export default EquipmentTree;
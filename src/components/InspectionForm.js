@@ -22,16 +22,24 @@ function InspectionForm({ onInspectionAdded, onCancel, showToast }) {
   const [openSection, setOpenSection] = useState(null);
 
   useEffect(() => {
-    const checklistData = getChecklistForEquipment(equipment.type);
-    const formattedSections = Object.keys(checklistData).map((title, index) => ({
-      title,
-      items: checklistData[title].map(item => ({ ...item, result: null, photos: [], notes: '', priority: 'Minor', component: '' })),
-    }));
+    const checklistSections = (type, component = null) => {
+      const checklistData = getChecklistForEquipment(type);
+      return Object.keys(checklistData).map((title) => ({
+        // A component's sections are named after it, and its deficiencies are recorded against it
+        title: component ? `${component.equipmentId}: ${title}` : title,
+        ...(component && { equipmentId: component.id }),
+        items: checklistData[title].map(item => ({ ...item, result: null, photos: [], notes: '', priority: 'Minor', component: component ? component.equipmentId : '' })),
+      }));
+    };
+    const formattedSections = [
+      ...checklistSections(equipment.type),
+      ...(equipment.components || []).flatMap(component => checklistSections(component.type, component))
+    ];
     setSections(formattedSections);
     if (formattedSections.length > 0) {
       setOpenSection(formattedSections[0].title);
     }
-  }, [equipment.type]);
+  }, [equipment.type, equipment.components]);
 
   const handleUpdateItem = (sectionTitle, itemIndex, newValues) => {
     const updatedSections = sections.map(section => {
@@ -94,6 +102,7 @@ function InspectionForm({ onInspectionAdded, onCancel, showToast }) {
         onCancel();
       }} 
       equipment={equipment} 
+      scheduledInspectionId={equipment.scheduledInspectionId || null}
     />;
   }
 
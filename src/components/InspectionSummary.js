@@ -44,68 +44,19 @@ function InspectionSummary({ checklist, onDone, equipment, scheduledInspectionId
   const handleFinalize = async () => {
     try {
       const signature = sigCanvas.current.getTrimmedCanvas().toDataURL('image/png');
-      const inspectionDate = new Date().toISOString();
+      const inspectionDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD, as validateDate expects
       
-      // Create the main inspection record
-      const inspectionData = {
+      // The inspection, its items, deficiencies for failed items and the scheduled
+      // inspection's status are saved in one transaction: all or nothing
+      await window.api.inspections.finalize({
         equipmentId: equipment.id,
         inspector: inspector,
         inspectionDate: inspectionDate,
-        findings: JSON.stringify(checklist),
-        correctiveActions: '', // Will be populated from deficiencies
         summaryComments: summaryComments,
         signature: signature,
-        scheduledInspectionId: scheduledInspectionId
-      };
-
-      // Use the appropriate secure operation based on whether this is from a scheduled inspection
-      const operation = scheduledInspectionId ? 'createFromScheduled' : 'create';
-      const result = await window.api.secureOperation('inspections', operation, inspectionData);
-      const inspectionId = result.lastID;
-
-      // Create itemized inspection items
-      for (const section of checklist) {
-        for (const item of section.items) {
-          const itemData = {
-            inspectionId: inspectionId,
-            standardRef: item.standardRef || null,
-            itemText: item.text,
-            critical: item.critical || false,
-            result: item.result,
-            notes: item.notes || '',
-            photos: JSON.stringify(item.photos || []),
-            component: item.component || '',
-            priority: item.priority || 'Minor'
-          };
-
-          const itemResult = await window.api.secureOperation('inspectionItems', 'create', itemData);
-          
-          // Create deficiency record for failed items
-          if (item.result === 'fail') {
-            const deficiencyData = {
-              equipmentId: equipment.id,
-              inspectionItemId: itemResult.lastID,
-              severity: item.priority.toLowerCase(),
-              removeFromService: item.priority === 'Critical',
-              description: item.notes || `Failed inspection item: ${item.text}`,
-              component: item.component || '',
-              correctiveAction: '',
-              dueDate: null, // Will be set later
-              status: 'open'
-            };
-
-            await window.api.secureOperation('deficiencies', 'create', deficiencyData);
-          }
-        }
-      }
-
-      // Update scheduled inspection status if applicable
-      if (scheduledInspectionId) {
-        await window.api.secureOperation('scheduledInspections', 'updateStatus', {
-          id: scheduledInspectionId,
-          status: 'completed'
-        });
-      }
+        scheduledInspectionId: scheduledInspectionId,
+        checklist: checklist
+      });
 
       onDone(true); // Pass success = true
     } catch (error) {
@@ -137,6 +88,9 @@ function InspectionSummary({ checklist, onDone, equipment, scheduledInspectionId
       <div className="report-header">
         <h2>Inspection Report</h2>
         <p><strong>Equipment:</strong> {equipment.equipment_id} - {equipment.type}</p>
+        {equipment.components?.length > 0 && (
+          <p><strong>Components:</strong> {equipment.components.map(component => component.equipmentId).join(', ')}</p>
+        )}
         <p><strong>Date:</strong> {new Date().toLocaleDateString()}</p>
         <div className="inspector-field">
           <label><strong>Inspector:</strong></label>
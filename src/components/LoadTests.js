@@ -3,7 +3,7 @@ import { useUser } from '../contexts/UserContext';
 import './LoadTests.css';
 
 const LoadTests = () => {
-  const { currentUser } = useUser();
+  const { can } = useUser();
   const [loadTests, setLoadTests] = useState([]);
   const [equipment, setEquipment] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -140,21 +140,9 @@ const LoadTests = () => {
       const createResult = await window.api.loadTests.create(testData);
       const createdLoadTestId = createResult?.lastID || createResult?.id || 0;
 
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'load_test',
-        entityId: createdLoadTestId,
-        oldValues: null,
-        newValues: JSON.stringify(testData),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
-      // Generate certificate if test passed
-      if (newTest.testResults === 'pass') {
+      // Generate certificate if test passed and the user may issue one
+      const issueCertificate = newTest.testResults === 'pass' && can('certificate.issue_load_test');
+      if (issueCertificate) {
         const equipmentItem = equipment.find(eq => eq.id === parseInt(newTest.equipmentId));
         const certificateNumber = `LT-${equipmentItem?.equipment_id}-${new Date().getFullYear()}-${String(Date.now()).slice(-4)}`;
         
@@ -175,6 +163,9 @@ const LoadTests = () => {
       resetNewTest();
       await loadData();
       await checkUpcomingTests(); // Refresh notifications
+      if (newTest.testResults === 'pass' && !issueCertificate) {
+        setError('Load test saved. No certificate was issued: issuing load test certificates requires the certificate.issue_load_test permission.');
+      }
     } catch (err) {
       console.error('Error creating load test:', err);
       setError(err.message);
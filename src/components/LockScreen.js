@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import './Login.css';
+import './LockScreen.css';
+
+// Covers the app after the idle timeout or a manual lock. The app stays mounted
+// underneath, so forms in progress are still there after unlocking.
+const LockScreen = ({ darkMode }) => {
+  const [secret, setSecret] = useState('');
+  const [method, setMethod] = useState('password');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { currentUser, unlock, logout } = useUser();
+
+  const switchMethod = (newMethod) => {
+    setMethod(newMethod);
+    setSecret('');
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!secret) {
+      setError(method === 'pin' ? 'Please enter your PIN' : 'Please enter your password');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await unlock(secret, method);
+    } catch (err) {
+      setSecret('');
+      setError(err.message || 'Unlock failed');
+      setIsLoading(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    if (window.confirm('Sign out? Unsaved work in open forms will be lost.')) {
+      logout();
+    }
+  };
+
+  return (
+    <div className={`App lock-screen${darkMode ? ' dark' : ''}`} role="dialog" aria-modal="true" aria-labelledby="lock-screen-title">
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <h1 id="lock-screen-title">Session Locked</h1>
+            <p>{currentUser?.fullName || currentUser?.username}, sign in again to continue where you left off.</p>
+          </div>
+
+          <div className="login-method-toggle" role="tablist">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={method === 'password'}
+              className={method === 'password' ? 'active' : ''}
+              onClick={() => switchMethod('password')}
+              disabled={isLoading}
+            >
+              Password
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={method === 'pin'}
+              className={method === 'pin' ? 'active' : ''}
+              onClick={() => switchMethod('pin')}
+              disabled={isLoading}
+            >
+              PIN
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="unlockSecret">{method === 'pin' ? 'PIN' : 'Password'}</label>
+              <input
+                type="password"
+                id="unlockSecret"
+                value={secret}
+                onChange={(e) => setSecret(e.target.value)}
+                placeholder={method === 'pin' ? 'Enter your PIN' : 'Enter your password'}
+                inputMode={method === 'pin' ? 'numeric' : undefined}
+                autoComplete="current-password"
+                disabled={isLoading}
+                autoFocus
+              />
+            </div>
+
+            {error && (
+              <div className="error-message" role="alert">
+                {error}
+              </div>
+            )}
+
+            <button type="submit" className="login-button" disabled={isLoading}>
+              {isLoading ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </form>
+
+          <button type="button" className="login-link-button" onClick={handleSignOut} disabled={isLoading}>
+            Sign out instead
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
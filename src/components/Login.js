@@ -4,45 +4,48 @@ import './Login.css';
 
 const Login = () => {
   const [username, setUsername] = useState('');
+  const [secret, setSecret] = useState('');
+  const [confirmSecret, setConfirmSecret] = useState('');
+  const [method, setMethod] = useState('password');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useUser();
+  const { login, setupAdmin, needsSetup, sessionNotice } = useUser();
+
+  const switchMethod = (newMethod) => {
+    setMethod(newMethod);
+    setSecret('');
+    setError('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
+
     if (!username.trim()) {
       setError('Please enter a username');
       return;
     }
 
-    setIsLoading(true);
-    setError('');
-
-    try {
-      await login(username.trim());
-    } catch (err) {
-      setError(err.message || 'Login failed');
-    } finally {
-      setIsLoading(false);
+    if (!secret) {
+      setError(method === 'pin' ? 'Please enter your PIN' : 'Please enter your password');
+      return;
     }
-  };
 
-  const handleQuickLogin = async (role) => {
-    const defaultUsers = {
-      admin: 'admin',
-      inspector: 'inspector',
-      reviewer: 'reviewer',
-      viewer: 'viewer'
-    };
+    if (needsSetup && secret !== confirmSecret) {
+      setError('Passwords do not match');
+      return;
+    }
 
-    setUsername(defaultUsers[role]);
     setIsLoading(true);
     setError('');
 
     try {
-      await login(defaultUsers[role]);
+      if (needsSetup) {
+        await setupAdmin(username.trim(), secret);
+      } else {
+        await login(username.trim(), secret, method);
+      }
     } catch (err) {
+      setSecret('');
       setError(err.message || 'Login failed');
     } finally {
       setIsLoading(false);
@@ -54,72 +57,99 @@ const Login = () => {
       <div className="login-card">
         <div className="login-header">
           <h1>JSG Inspections</h1>
-          <p>Please sign in to continue</p>
+          <p>{needsSetup ? 'Create the administrator password to get started' : 'Please sign in to continue'}</p>
         </div>
 
+        {!needsSetup && (
+          <div className="login-method-toggle" role="tablist">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={method === 'password'}
+              className={method === 'password' ? 'active' : ''}
+              onClick={() => switchMethod('password')}
+              disabled={isLoading}
+            >
+              Password
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={method === 'pin'}
+              className={method === 'pin' ? 'active' : ''}
+              onClick={() => switchMethod('pin')}
+              disabled={isLoading}
+            >
+              PIN
+            </button>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="login-form">
           <div className="form-group">
-            <label htmlFor="username">Username</label>
+            <label htmlFor="username">{needsSetup ? 'Administrator Username' : 'Username'}</label>
             <input
               type="text"
               id="username"
               value={username}
               onChange={(e) => setUsername(e.target.value)}
               placeholder="Enter your username"
+              autoComplete="username"
               disabled={isLoading}
               autoFocus
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="secret">{method === 'pin' ? 'PIN' : 'Password'}</label>
+            <input
+              type="password"
+              id="secret"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder={method === 'pin' ? 'Enter your PIN' : 'Enter your password'}
+              inputMode={method === 'pin' ? 'numeric' : undefined}
+              autoComplete={needsSetup ? 'new-password' : 'current-password'}
+              disabled={isLoading}
+            />
+          </div>
+
+          {needsSetup && (
+            <div className="form-group">
+              <label htmlFor="confirmSecret">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmSecret"
+                value={confirmSecret}
+                onChange={(e) => setConfirmSecret(e.target.value)}
+                placeholder="Re-enter the password"
+                autoComplete="new-password"
+                disabled={isLoading}
+              />
+            </div>
+          )}
+
           {error && (
-            <div className="error-message">
+            <div className="error-message" role="alert">
               {error}
             </div>
           )}
 
-          <button 
-            type="submit" 
+          {!error && sessionNotice && (
+            <div className="error-message" role="status">
+              {sessionNotice}
+            </div>
+          )}
+
+          <button
+            type="submit"
             className="login-button"
             disabled={isLoading}
           >
-            {isLoading ? 'Signing in...' : 'Sign In'}
+            {isLoading ? 'Signing in...' : needsSetup ? 'Create Administrator' : 'Sign In'}
           </button>
         </form>
 
-        <div className="quick-login-section">
-          <p className="quick-login-title">Quick Login (Demo)</p>
-          <div className="quick-login-buttons">
-            <button 
-              onClick={() => handleQuickLogin('admin')}
-              disabled={isLoading}
-              className="quick-login-btn admin"
-            >
-              Admin
-            </button>
-            <button 
-              onClick={() => handleQuickLogin('inspector')}
-              disabled={isLoading}
-              className="quick-login-btn inspector"
-            >
-              Inspector
-            </button>
-            <button 
-              onClick={() => handleQuickLogin('reviewer')}
-              disabled={isLoading}
-              className="quick-login-btn reviewer"
-            >
-              Reviewer
-            </button>
-            <button 
-              onClick={() => handleQuickLogin('viewer')}
-              disabled={isLoading}
-              className="quick-login-btn viewer"
-            >
-              Viewer
-            </button>
-          </div>
-        </div>
-
         <div className="login-footer">
           <p>JSG Inspections - Compliance Management System</p>
         </div>
@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip
+} from 'chart.js';
+import { useUser } from '../contexts/UserContext';
+import { toDateKey } from '../utils/calendar';
+import {
+  METER_TYPES,
+  getMeterHistory,
+  checkReading,
+  flagHistory,
+  describeReadingNotes,
+  refreshPmAfterReadings
+} from '../utils/meterReadings';
+import './MeterReadings.css';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip);
+
+const POINT_COLOR = '#007bff';
+const FLAG_COLOR = '#dc3545';
+
+// Meter entry and history for one piece of equipment; a reading that goes down
+// or jumps past the usual rate is flagged and only saved once confirmed
+function MeterReadings({ equipment, showToast }) {
+  const { currentUser, can } = useUser();
+  const [readings, setReadings] = useState([]);
+  const [meterType, setMeterType] = useState(METER_TYPES[0].key);
+  const [readingValue, setReadingValue] = useState('');
+  const [readingDate, setReadingDate] = useState(() => toDateKey(new Date()));
+  const [notes, setNotes] = useState('');
+  const [confirmed, setConfirmed] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const canRecord = can('meter.record');
+  const meterLabel = METER_TYPES.find(type => type.key === meterType).label;
+
+  const fetchReadings = useCallback(async () => {
+    try {
+      setError(null);
+      setReadings(await window.api.meterReadings.getByEquipmentId(equipment.id));
+    } catch (err) {
+      console.error('Failed to load meter readings:', err);
+      setError(err.message || 'Failed to load meter readings');
+    } finally {
+      setLoading(false);
+    }
+  }, [equipment.id]);
+
+  useEffect(() => {
+    fetchReadings();
+  }, [fetchReadings]);
+
+  const history = useMemo(() => getMeterHistory(readings, meterType), [readings, meterType]);
+  const flaggedHistory = useMemo(() => flagHistory(history, meterType), [history, meterType]);
+  const value = readingValue === '' ? NaN : Number(readingValue);
+  const warnings = Number.isFinite(value) && readingDate
+    ? checkReading(history, { meterType, readingValue: value, readingDate })
+    : [];
+
+  // A confirmation only covers the reading it was given for
+  const edit = (setter) => (e) => {
+    setter(e.target.value);
+    setConfirmed(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!Number.isFinite(value) || value < 0) {
+      if (showToast) showToast('Enter a reading of zero or more', 'error');
+      return;
+    }
+    setSaving(true);
+    try {
+      await window.api.meterReadings.create({
+        equipmentId: equipment.id,
+        meterType,
+        readingValue: value,
+        readingDate,
+        recordedBy: currentUser?.fullName || currentUser?.username || 'Unknown User',
+        notes: describeReadingNotes(notes, warnings)
+      });
+      setReadingValue('');
+      setNotes('');
+      setConfirmed(false);
+      await fetchReadings();
+      try {
+        const raised = await refreshPmAfterReadings(can);
+        if (showToast) showToast(raised > 0 ? `Reading saved; ${raised} PM work order(s) raised` : 'Reading saved', 'success');
+      } catch (err) {
+        if (showToast) showToast(`Reading saved, but checking PM schedules failed: ${err.message}`, 'warning');
+      }
+    } catch (err) {
+      console.error('Failed to save meter reading:', err);
+      if (showToast) showToast(`Failed to save the reading: ${err.message}`, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const chartData = {
+    labels: flaggedHistory.map(reading => reading.reading_date),
+    datasets: [{
+      label: meterLabel,
+      data: flaggedHistory.map(reading => reading.reading_value),
+      borderColor: POINT_COLOR,
+      pointBackgroundColor: flaggedHistory.map(reading => (reading.warnings.length > 0 ? FLAG_COLOR : POINT_COLOR)),
+      pointRadius: flaggedHistory.map(reading => (reading.warnings.length > 0 ? 5 : 3))
+    }]
+  };
+
+  return (
+    <div className="meter-readings">
+      <h3>Meters · {equipment.equipmentId}</h3>
+
+      <div className="meter-types" role="tablist" aria-label="Meter type">
+        {METER_TYPES.map(type => (
+          <button
+            key={type.key}
+            type="button"
+            role="tab"
+            aria-selected={meterType === type.key}
+            className={meterType === type.key ? 'active' : ''}
+            onClick={() => {
+              setMeterType(type.key);
+              setConfirmed(false);
+            }}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+
+      {canRecord && (
+        <form className="meter-entry" onSubmit={handleSubmit}>
+          <label>
+            {meterLabel} Reading
+            <input type="number" min="0" step="any" value={readingValue} onChange={edit(setReadingValue)} required />
+          </label>
+          <label>
+            Date
+            <input type="date" value={readingDate} onChange={edit(setReadingDate)} required />
+          </label>
+          <label>
+            Notes
+            <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} />
+          </label>
+          <button type="submit" className="meter-save" disabled={saving || readingValue === '' || (warnings.length > 0 && !confirmed)}>
+            {saving ? 'Saving...' : 'Save Reading'}
+          </button>
+
+          {warnings.length > 0 && (
+            <div className="meter-warnings" role="alert">
+              <ul>
+                {warnings.map(warning => <li key={warning.message}>{warning.message}</li>)}
+              </ul>
+              <label className="meter-confirm">
+                <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />
+                Save anyway, e.g. after a meter was replaced
+              </label>
+            </div>
+          )}
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading-spinner">Loading readings...</div>
+      ) : error ? (
+        <div className="error-message">
+          <p>Error loading readings: {error}</p>
+          <button onClick={fetchReadings} className="retry-button">Retry</button>
+        </div>
+      ) : history.length === 0 ? (
+        <p className="meter-empty">No {meterLabel.toLowerCase()} readings recorded.</p>
+      ) : (
+        <>
+          <div className="meter-chart">
+            <Line
+              data={chartData}
+              options={{ responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } } }}
+            />
+          </div>
+          <table className="meter-history">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Reading</th>
+                <th>Recorded By</th>
+                <th>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...flaggedHistory].reverse().map(reading => (
+                <tr key={reading.id} className={reading.warnings.length > 0 ? 'meter-flagged' : undefined}>
+                  <td>{reading.reading_date}</td>
+                  <td>
+                    {reading.reading_value}
+                    {reading.warnings.length > 0 && (
+                      <span className="meter-flag" title={reading.warnings.map(warning => warning.message).join('\n')}> ⚠</span>
+                    )}
+                  </td>
+                  <td>{reading.recorded_by}</td>
+                  <td>{reading.notes}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MeterReadings;
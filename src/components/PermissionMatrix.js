@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useUser } from '../contexts/UserContext';
+import {
+  PERMISSIONS,
+  PERMISSION_ROLES,
+  EDITABLE_PERMISSION_ROLES,
+  isDefaultGrant,
+  isGrantable,
+  resolveRolePermissions
+} from '../database/permissions';
+import './PermissionMatrix.css';
+
+const PERMISSION_GROUPS = [...new Set(PERMISSIONS.map(permission => permission.group))];
+
+// Role x permission grid; each change is stored as an override of the role's default
+function PermissionMatrix() {
+  const { refreshPermissions } = useUser();
+  const [grants, setGrants] = useState(() => resolveRolePermissions());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadGrants = useCallback(async () => {
+    try {
+      const overrides = await window.api.permissions.getOverrides();
+      setGrants(resolveRolePermissions(overrides));
+    } catch (err) {
+      console.error('Error loading permissions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGrants();
+  }, [loadGrants]);
+
+  const handleToggle = async (role, key) => {
+    const cellId = `${role}:${key}`;
+    setSaving(cellId);
+    setError(null);
+    try {
+      await window.api.permissions.setGrant(role, key, !grants[role].includes(key));
+      await loadGrants();
+      await refreshPermissions();
+    } catch (err) {
+      console.error('Error updating permission:', err);
+      setError(err.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="permission-matrix-loading">Loading permissions...</div>;
+  }
+
+  return (
+    <div className="permission-matrix">
+      {error && <div className="permission-matrix-error" role="alert">{error}</div>}
+      <table>
+        <thead>
+          <tr>
+            <th>Permission</th>
+            {PERMISSION_ROLES.map(role => <th key={role}>{role}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {PERMISSION_GROUPS.map(group => (
+            <React.Fragment key={group}>
+              <tr className="permission-group">
+                <td colSpan={PERMISSION_ROLES.length + 1}>{group}</td>
+              </tr>
+              {PERMISSIONS.filter(permission => permission.group === group).map(permission => (
+                <tr key={permission.key}>
+                  <td>
+                    <div>{permission.label}</div>
+                    <code className="permission-key">{permission.key}</code>
+                  </td>
+                  {PERMISSION_ROLES.map(role => {
+                    const editable = isGrantable(role, permission.key);
+                    const granted = grants[role].includes(permission.key);
+                    const overridden = editable && granted !== isDefaultGrant(role, permission.key);
+                    let title = overridden ? 'Changed from the default' : 'Default';
+                    if (!EDITABLE_PERMISSION_ROLES.includes(role)) title = 'Administrators hold every permission';
+                    else if (!editable) title = 'Only administrators can hold this permission';
+                    return (
+                      <td key={role} className={overridden ? 'overridden' : ''}>
+                        <input
+                          type="checkbox"
+                          checked={granted}
+                          disabled={!editable || saving !== null}
+                          onChange={() => handleToggle(role, permission.key)}
+                          aria-label={`${permission.label} for ${role}`}
+                          title={title}
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      <p className="permission-matrix-legend">Highlighted cells differ from the role's default.</p>
+    </div>
+  );
+}
+
+export default PermissionMatrix;
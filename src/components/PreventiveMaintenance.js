@@ -71,7 +71,7 @@ const PreventiveMaintenance = () => {
     e.preventDefault();
     
     try {
-      const createTemplateResult = await window.api.pmTemplates.create({
+      await window.api.pmTemplates.create({
         name: newTemplate.name,
         equipmentType: newTemplate.equipmentType,
         description: newTemplate.description,
@@ -84,20 +84,6 @@ const PreventiveMaintenance = () => {
         requiredParts: newTemplate.requiredParts ? JSON.stringify(newTemplate.requiredParts.split(',').map(s => s.trim())) : null,
         safetyNotes: newTemplate.safetyNotes
       });
-      const createdTemplateId = createTemplateResult?.lastID || createTemplateResult?.id || 0;
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'pm_template',
-        entityId: createdTemplateId,
-        oldValues: null,
-        newValues: JSON.stringify(newTemplate),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
 
       setShowCreateTemplate(false);
       setNewTemplate({
@@ -125,26 +111,12 @@ const PreventiveMaintenance = () => {
     e.preventDefault();
     
     try {
-      const createScheduleResult = await window.api.pmSchedules.create({
+      await window.api.pmSchedules.create({
         equipmentId: parseInt(newSchedule.equipmentId),
         pmTemplateId: parseInt(newSchedule.pmTemplateId),
-        nextDueDate: newSchedule.nextDueDate,
+        nextDueDate: newSchedule.nextDueDate || null,
         nextDueUsage: newSchedule.nextDueUsage ? parseFloat(newSchedule.nextDueUsage) : null
       });
-      const createdScheduleId = createScheduleResult?.lastID || createScheduleResult?.id || 0;
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'pm_schedule',
-        entityId: createdScheduleId,
-        oldValues: null,
-        newValues: JSON.stringify(newSchedule),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
 
       setShowCreateSchedule(false);
       setNewSchedule({
@@ -201,9 +173,23 @@ const PreventiveMaintenance = () => {
     return <span className={`due-badge ${config.class}`}>{config.label}</span>;
   };
 
+  // Rolls schedules forward from completed PM work and raises work orders for crossed meter thresholds
+  const handleCheckMeters = async () => {
+    try {
+      const result = await window.api.pmSchedules.refreshFromMeters();
+      alert(result.raised.length > 0
+        ? `${result.raised.length} PM work order(s) raised from meter readings.`
+        : 'No meter thresholds crossed since the last check.');
+      await loadData();
+    } catch (err) {
+      console.error('Error checking meters:', err);
+      setError(err.message);
+    }
+  };
+
   const handleGenerateWorkOrder = async (schedule) => {
     try {
-      const equipmentItem = equipment.find(eq => eq.id === schedule.equipment_id);
+      const equipmentItem = equipment.find(eq => eq.id === schedule.equipmentId);
       const template = pmTemplates.find(t => t.id === schedule.pm_template_id);
       
       if (!equipmentItem || !template) {
@@ -212,13 +198,13 @@ const PreventiveMaintenance = () => {
       }
 
       // Generate unique work order number
-      const woNumber = `PM-${equipmentItem.equipment_id}-${new Date().getFullYear()}-${String(Date.now()).slice(-4)}`;
+      const woNumber = `PM-${equipmentItem.equipmentId}-${new Date().getFullYear()}-${String(Date.now()).slice(-4)}`;
       
       const workOrderData = {
-        equipmentId: schedule.equipment_id,
+        equipmentId: schedule.equipmentId,
         woNumber,
-        title: `${template.name} - ${equipmentItem.equipment_id}`,
-        description: template.description || `Preventive maintenance for ${equipmentItem.equipment_id}`,
+        title: `${template.name} - ${equipmentItem.equipmentId}`,
+        description: template.description || `Preventive maintenance for ${equipmentItem.equipmentId}`,
         workType: 'preventive',
         priority: getDueStatus(schedule.next_due_date) === 'overdue' ? 'high' : 'medium',
         assignedTo: null,
@@ -229,21 +215,7 @@ const PreventiveMaintenance = () => {
         pmScheduleId: schedule.id
       };
 
-      const createWOResult = await window.api.workOrders.create(workOrderData);
-      const createdWOId = createWOResult?.lastID || createWOResult?.id || 0;
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'work_order',
-        entityId: createdWOId,
-        oldValues: null,
-        newValues: JSON.stringify(workOrderData),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
+      await window.api.workOrders.create(workOrderData);
 
       alert(`Work Order ${woNumber} created successfully!`);
       await loadData(); // Refresh data to show updated state
@@ -254,73 +226,8 @@ const PreventiveMaintenance = () => {
     }
   };
 
-  const calculateNextDueDate = (template, lastCompletedDate = null) => {
-    const baseDate = lastCompletedDate ? new Date(lastCompletedDate) : new Date();
-    const { frequency_type, frequency_value, frequency_unit } = template;
-    
-    if (frequency_type === 'calendar') {
-      switch (frequency_unit) {
-        case 'days':
-          baseDate.setDate(baseDate.getDate() + frequency_value);
-          break;
-        case 'weeks':
-          baseDate.setDate(baseDate.getDate() + (frequency_value * 7));
-          break;
-        case 'months':
-          baseDate.setMonth(baseDate.getMonth() + frequency_value);
-          break;
-        default:
-          baseDate.setDate(baseDate.getDate() + frequency_value);
-      }
-    }
-    
-    return baseDate.toISOString().split('T')[0]; // Return YYYY-MM-DD format
-  };
-
-  const handleUpdatePMScheduleAfterCompletion = async (pmScheduleId, completedDate) => {
-    try {
-      const schedule = pmSchedules.find(s => s.id === pmScheduleId);
-      if (!schedule) return;
-
-      const template = pmTemplates.find(t => t.id === schedule.pm_template_id);
-      if (!template) return;
-
-      const nextDueDate = calculateNextDueDate(template, completedDate);
-      
-      await window.api.pmSchedules.updateDue({
-        id: pmScheduleId,
-        nextDueDate,
-        nextDueUsage: null, // For now, we'll handle usage-based separately
-        lastCompletedDate: completedDate,
-        lastCompletedUsage: null
-      });
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'update',
-        entityType: 'pm_schedule',
-        entityId: pmScheduleId,
-        oldValues: JSON.stringify({ 
-          next_due_date: schedule.next_due_date,
-          last_completed_date: schedule.last_completed_date 
-        }),
-        newValues: JSON.stringify({ 
-          next_due_date: nextDueDate,
-          last_completed_date: completedDate 
-        }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
-      await loadData(); // Refresh data to show updated schedule
-      
-    } catch (err) {
-      console.error('Error updating PM schedule:', err);
-      setError(err.message);
-    }
-  };
+  const scheduleTemplate = pmTemplates.find(t => t.id === parseInt(newSchedule.pmTemplateId));
+  const scheduleIsMeterBased = Boolean(scheduleTemplate) && scheduleTemplate.frequency_type !== 'calendar';
 
   const getEquipmentTypes = () => {
     return [...new Set(equipment.map(eq => eq.type).filter(Boolean))];
@@ -374,12 +281,17 @@ const PreventiveMaintenance = () => {
           </div>
           <div className="action-buttons">
             {activeTab === 'schedules' && (
-              <button 
-                className="create-button"
-                onClick={() => setShowCreateSchedule(true)}
-              >
-                + Schedule PM
-              </button>
+              <>
+                <button className="action-button check-meters" onClick={handleCheckMeters}>
+                  Check Meters
+                </button>
+                <button 
+                  className="create-button"
+                  onClick={() => setShowCreateSchedule(true)}
+                >
+                  + Schedule PM
+                </button>
+              </>
             )}
             {activeTab === 'templates' && (
               <button 
@@ -434,14 +346,15 @@ const PreventiveMaintenance = () => {
               </div>
             ) : (
               pmSchedules.map(schedule => {
-                const equipmentItem = equipment.find(eq => eq.id === schedule.equipment_id);
+                const equipmentItem = equipment.find(eq => eq.id === schedule.equipmentId);
+                const meterBased = schedule.frequency_type !== 'calendar';
                 return (
                   <div key={schedule.id} className="schedule-card">
                     <div className="schedule-header">
                       <div className="schedule-title">
                         <h3>{schedule.template_name}</h3>
                         <span className="schedule-equipment">
-                          {equipmentItem?.equipment_id} - {equipmentItem?.type}
+                          {equipmentItem?.equipmentId} - {equipmentItem?.type}
                         </span>
                       </div>
                       <div className="schedule-badges">
@@ -454,7 +367,7 @@ const PreventiveMaintenance = () => {
 
                     <div className="schedule-details">
                       <div className="detail-row">
-                        <span className="detail-label">Next Due:</span>
+                        <span className="detail-label">{meterBased ? 'Forecast Due:' : 'Next Due:'}</span>
                         <span className="detail-value">
                           {schedule.next_due_date ? new Date(schedule.next_due_date).toLocaleDateString() : 'Not scheduled'}
                         </span>
@@ -465,12 +378,28 @@ const PreventiveMaintenance = () => {
                           <span className="detail-value">{new Date(schedule.last_completed_date).toLocaleDateString()}</span>
                         </div>
                       )}
-                      {schedule.next_due_usage && (
+                      {schedule.next_due_usage != null && schedule.frequency_type === 'usage' && (
                         <div className="detail-row">
                           <span className="detail-label">Usage Due:</span>
                           <span className="detail-value">{schedule.next_due_usage} {schedule.frequency_unit}</span>
                         </div>
                       )}
+                      {meterBased && (
+                        <div className="detail-row">
+                          <span className="detail-label">Latest Reading:</span>
+                          <span className="detail-value">
+                            {schedule.latest_reading != null
+                              ? `${schedule.latest_reading} ${schedule.frequency_unit} on ${new Date(schedule.latest_reading_date).toLocaleDateString()}`
+                              : `No ${schedule.frequency_unit} readings recorded`}
+                          </span>
+                        </div>
+                      )}
+                      {schedule.open_wo_number && (
+                        <div className="detail-row">
+                          <span className="detail-label">Open Work Order:</span>
+                          <span className="detail-value">{schedule.open_wo_number}</span>
+                        </div>
+                      )}
                     </div>
 
                     <div className="schedule-actions">
@@ -799,7 +728,7 @@ const PreventiveMaintenance = () => {
                   <option value="">Select Equipment</option>
                   {equipment.map(eq => (
                     <option key={eq.id} value={eq.id}>
-                      {eq.equipment_id} - {eq.type}
+                      {eq.equipmentId} - {eq.type}
                     </option>
                   ))}
                 </select>
@@ -828,12 +757,12 @@ const PreventiveMaintenance = () => {
               </div>
 
               <div className="form-group">
-                <label>Next Due Date *</label>
+                <label>{scheduleIsMeterBased ? 'Next Due Date (forecast from meter readings)' : 'Next Due Date *'}</label>
                 <input
                   type="date"
                   value={newSchedule.nextDueDate}
                   onChange={(e) => setNewSchedule({...newSchedule, nextDueDate: e.target.value})}
-                  required
+                  required={!scheduleIsMeterBased}
                 />
               </div>
 
@@ -845,7 +774,7 @@ const PreventiveMaintenance = () => {
                   min="0"
                   value={newSchedule.nextDueUsage}
                   onChange={(e) => setNewSchedule({...newSchedule, nextDueUsage: e.target.value})}
-                  placeholder="e.g., 1000 (hours/cycles)"
+                  placeholder="Empty counts from the latest reading"
                 />
               </div>
 
@@ -1,212 +1,550 @@
-import React, { useState, useEffect } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import Modal from './Modal';
+import { useUser } from '../contexts/UserContext';
+import { useEquipmentStore, useUIStore } from '../store';
+import { RECURRENCE_RULES, getRecurrenceRule, nextOccurrence } from '../database/recurrence';
+import {
+  describeStop,
+  getWeekStart,
+  getWeekStarts,
+  getWeeklyLoad,
+  groupInspectors,
+  isQualified,
+  orderRoute,
+  planDayRoutes,
+  suggestRebalancing
+} from '../utils/inspectorWorkload';
+import {
+  CALENDAR_VIEWS,
+  getMonthGrid,
+  getPeriodLabel,
+  getVisibleRange,
+  getWeekDays,
+  groupByDay,
+  parseDateKey,
+  shiftPeriod,
+  toDateKey
+} from '../utils/calendar';
 import './Scheduler.css';
 
-function Scheduler() {
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const STATUS_LABELS = { scheduled: 'Scheduled', in_progress: 'In progress', completed: 'Completed' };
+
+const SCHEDULE_TYPE_LABELS = { inspection: 'Inspection', load_test: 'Load test' };
+
+const EMPTY_FORM = { equipmentId: '', scheduledDate: '', assignedUserId: '', recurrence: '' };
+
+const formatDay = (key) => parseDateKey(key).toLocaleDateString(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+});
+
+// Calendar of scheduled inspections: month, week and agenda views, drag-to-reschedule,
+// recurring series whose next occurrence is added when one is completed, inspector
+// workload and each day's route
+function Scheduler({ showToast }) {
   const [scheduledInspections, setScheduledInspections] = useState([]);
   const [equipment, setEquipment] = useState([]);
-  const [selectedEquipment, setSelectedEquipment] = useState('');
-  const [scheduledDate, setScheduledDate] = useState('');
-  const [assignedInspector, setAssignedInspector] = useState('');
-  const [editingInspection, setEditingInspection] = useState(null);
+  const [inspectors, setInspectors] = useState([]);
+  const [showWorkload, setShowWorkload] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [calendarView, setCalendarView] = useState('month');
+  const [currentDay, setCurrentDay] = useState(() => toDateKey(new Date()));
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { can } = useUser();
+  const canManage = can('schedule.manage');
+  const setView = useUIStore((state) => state.setView);
+  const setInspectingEquipment = useEquipmentStore((state) => state.setInspectingEquipment);
+  const today = toDateKey(new Date());
 
-  useEffect(() => {
-    fetchScheduledInspections();
-    fetchEquipment();
-  }, []);
+  const notify = (message, type) => {
+    if (showToast) showToast(message, type);
+  };
 
-  const fetchScheduledInspections = async () => {
+  const fetchSchedule = useCallback(async () => {
     try {
-      const inspections = await window.api.all('SELECT * FROM scheduled_inspections ORDER BY scheduled_date');
-      setScheduledInspections(inspections);
-    } catch (error) {
-      console.error('Error fetching scheduled inspections:', error);
+      setError(null);
+      const [scheduled, equipmentList, inspectorRows] = await Promise.all([
+        window.api.scheduledInspections.getAll(),
+        window.api.equipment.getAll(),
+        window.api.scheduledInspections.getInspectors()
+      ]);
+      setScheduledInspections(scheduled);
+      setEquipment(equipmentList);
+      setInspectors(groupInspectors(inspectorRows));
+    } catch (err) {
+      console.error('Failed to load scheduled inspections:', err);
+      setError(err.message || 'Failed to load scheduled inspections');
+    } finally {
+      setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  // Each day lists its inspections in route order
+  const byDay = useMemo(() => groupByDay(orderRoute(scheduledInspections), 'scheduled_date'), [scheduledInspections]);
+  const selected = scheduledInspections.find(item => item.id === selectedId) || null;
+
+  const weekStarts = useMemo(() => {
+    const { from, to } = getVisibleRange(currentDay, calendarView);
+    return getWeekStarts(from, to);
+  }, [currentDay, calendarView]);
+  const workload = useMemo(
+    () => getWeeklyLoad(scheduledInspections, inspectors, weekStarts),
+    [scheduledInspections, inspectors, weekStarts]
+  );
+  const suggestions = useMemo(
+    () => (showWorkload ? suggestRebalancing(scheduledInspections, inspectors, weekStarts) : []),
+    [showWorkload, scheduledInspections, inspectors, weekStarts]
+  );
 
-  const fetchEquipment = async () => {
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
     try {
-      const equipmentList = await window.api.all('SELECT * FROM equipment');
-      setEquipment(equipmentList);
-    } catch (error) {
-      console.error('Error fetching equipment:', error);
+      const result = await action();
+      if (successMessage) notify(typeof successMessage === 'function' ? successMessage(result) : successMessage, 'success');
+      await fetchSchedule();
+      return true;
+    } catch (err) {
+      console.error('Scheduled inspection update failed:', err);
+      notify(err.message || 'Failed to update the schedule', 'error');
+      return false;
+    } finally {
+      setSaving(false);
     }
   };
 
-  const resetForm = () => {
-    setSelectedEquipment('');
-    setScheduledDate('');
-    setAssignedInspector('');
-    setEditingInspection(null);
-  }
+  const handleDrop = (day) => async (e) => {
+    e.preventDefault();
+    const item = scheduledInspections.find(candidate => candidate.id === draggingId);
+    setDraggingId(null);
+    setDropDay(null);
+    if (!item || item.scheduled_date === day) return;
+    await runAction(
+      () => window.api.scheduledInspections.reschedule(item.id, day),
+      `Moved ${item.equipmentIdentifier} to ${formatDay(day)}`
+    );
+  };
+
+  const dayDropProps = (day) => (canManage ? {
+    onDragOver: (e) => {
+      if (draggingId === null) return;
+      e.preventDefault();
+      setDropDay(day);
+    },
+    onDragLeave: () => setDropDay(current => (current === day ? null : current)),
+    onDrop: handleDrop(day)
+  } : {});
 
-  const handleFormSubmit = async (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    console.log('Form submitted with:', { selectedEquipment, scheduledDate, assignedInspector });
-    if (!selectedEquipment || !scheduledDate) {
-      console.log('Validation failed:', { selectedEquipment, scheduledDate });
-      alert('Please select equipment and a date.');
-      return;
-    }
-    console.log('Validation passed, proceeding with API call');
+    const params = {
+      equipmentId: parseInt(form.equipmentId, 10),
+      scheduledDate: form.scheduledDate,
+      assignedUserId: parseInt(form.assignedUserId, 10),
+      recurrence: form.recurrence || null
+    };
+    const saved = await runAction(
+      () => (form.id
+        ? window.api.scheduledInspections.update({ ...params, id: form.id })
+        : window.api.scheduledInspections.create({ ...params, status: 'scheduled' })),
+      form.id ? 'Scheduled inspection updated' : 'Inspection scheduled'
+    );
+    if (saved) setForm(null);
+  };
 
-    try {
-      if (editingInspection) {
-        // Update existing inspection
-        await window.api.run(
-          'UPDATE scheduled_inspections SET equipment_id = ?, scheduled_date = ?, assigned_inspector = ? WHERE id = ?',
-          [parseInt(selectedEquipment), scheduledDate, assignedInspector, editingInspection.id]
-        );
-      } else {
-        // Add new inspection
-        await window.api.run(
-          'INSERT INTO scheduled_inspections (equipment_id, scheduled_date, assigned_inspector, status, equipmentIdentifier) VALUES (?, ?, ?, ?, ?)',
-          [parseInt(selectedEquipment), scheduledDate, assignedInspector, 'scheduled', `EQ-${selectedEquipment.toString().padStart(3, '0')}`]
-        );
-      }
+  const handleRebalance = async () => {
+    await runAction(
+      () => window.api.scheduledInspections.rebalance(suggestions.map(move => ({ id: move.id, assignedUserId: move.toUserId }))),
+      `Reassigned ${suggestions.length} inspection${suggestions.length === 1 ? '' : 's'}`
+    );
+  };
 
-      fetchScheduledInspections();
-      resetForm();
-    } catch (error) {
-      console.error('Error saving scheduled inspection:', error);
-      alert('Failed to save scheduled inspection. Please try again.');
-    }
+  const handleComplete = async (item) => {
+    const completed = await runAction(
+      () => window.api.scheduledInspections.complete(item.id),
+      () => (item.recurrence
+        ? `Inspection completed; the next one is scheduled for ${formatDay(nextOccurrence(item.scheduled_date, item.recurrence))}`
+        : 'Inspection completed')
+    );
+    if (completed) setSelectedId(null);
   };
 
-  const handleEditInspection = (inspection) => {
-    setEditingInspection(inspection);
-    setSelectedEquipment(inspection.equipment_id);
-    setScheduledDate(inspection.scheduled_date);
-    setAssignedInspector(inspection.assigned_inspector);
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete the inspection of ${item.equipmentIdentifier} scheduled for ${formatDay(item.scheduled_date)}?`)) return;
+    const deleted = await runAction(() => window.api.scheduledInspections.delete(item.id), 'Scheduled inspection deleted');
+    if (deleted) setSelectedId(null);
   };
 
-  const handleDeleteInspection = async (id) => {
-    if (window.confirm('Are you sure you want to delete this scheduled inspection?')) {
+  const handleStart = async (item) => {
+    const target = equipment.find(candidate => candidate.id === item.equipmentId);
+    if (!target) {
+      notify('The equipment for this inspection no longer exists', 'error');
+      return;
+    }
+    if (item.status === 'scheduled' && canManage) {
       try {
-        await window.api.run('DELETE FROM scheduled_inspections WHERE id = ?', [id]);
-        fetchScheduledInspections();
-      } catch (error) {
-        console.error('Error deleting scheduled inspection:', error);
-        alert('Failed to delete scheduled inspection. Please try again.');
+        await window.api.scheduledInspections.updateStatus(item.id, 'in_progress');
+      } catch (err) {
+        console.error('Failed to mark scheduled inspection in progress:', err);
       }
     }
+    // Finalizing the inspection completes this occurrence and schedules the next one
+    setView('equipment');
+    setInspectingEquipment({ ...target, scheduledInspectionId: item.id });
   };
 
-  const handleStatusChange = async (inspectionId, newStatus) => {
-    try {
-      await window.api.run(
-        'UPDATE scheduled_inspections SET status = ? WHERE id = ?',
-        [newStatus, inspectionId]
-      );
-      fetchScheduledInspections();
-    } catch (error) {
-      console.error('Error updating inspection status:', error);
-      alert('Failed to update inspection status. Please try again.');
-    }
+  const openForm = (item = null, day = null) => {
+    setSelectedId(null);
+    setForm(item ? {
+      id: item.id,
+      equipmentId: String(item.equipmentId),
+      scheduledDate: item.scheduled_date,
+      assignedUserId: item.assigned_user_id ? String(item.assigned_user_id) : '',
+      recurrence: item.recurrence || ''
+    } : { ...EMPTY_FORM, scheduledDate: day || currentDay });
+  };
+
+  const renderEvent = (item) => {
+    const draggable = canManage && item.status !== 'completed' && !saving;
+    return (
+      <button
+        type="button"
+        key={item.id}
+        className={`calendar-event calendar-event-${item.status}${draggingId === item.id ? ' calendar-event-dragging' : ''}${item.status !== 'completed' && item.scheduled_date < today ? ' calendar-event-overdue' : ''}`}
+        draggable={draggable}
+        onDragStart={draggable ? (e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', String(item.id));
+          setDraggingId(item.id);
+        } : undefined}
+        onDragEnd={() => {
+          setDraggingId(null);
+          setDropDay(null);
+        }}
+        onClick={() => setSelectedId(item.id)}
+        title={`${item.equipmentIdentifier} – ${STATUS_LABELS[item.status] || item.status}`}
+      >
+        {item.recurrence && <span className="calendar-event-recurring" aria-label="Recurring">↻</span>}
+        {item.source === 'compliance' && <span className="calendar-event-compliance" aria-label="Scheduled from compliance standards">§</span>}
+        {item.equipmentIdentifier}
+        {item.schedule_type === 'load_test' && <span className="calendar-event-type">Load test</span>}
+        {item.assigned_inspector && <span className="calendar-event-inspector">{item.assigned_inspector}</span>}
+      </button>
+    );
   };
 
-  const startInspection = (inspection) => {
-    // This would typically navigate to the inspection form
-    // For now, we'll just update the status to in_progress
-    handleStatusChange(inspection.id, 'in_progress');
+  const renderDay = (day, { outside = false } = {}) => (
+    <div
+      key={day}
+      className={`calendar-day${outside ? ' calendar-day-outside' : ''}${day === today ? ' calendar-day-today' : ''}${dropDay === day ? ' calendar-day-drop' : ''}`}
+      onDoubleClick={canManage ? () => openForm(null, day) : undefined}
+      {...dayDropProps(day)}
+    >
+      <span className="calendar-day-number">{parseDateKey(day).getDate()}</span>
+      <div className="calendar-day-events">
+        {(byDay.get(day) || []).map(renderEvent)}
+      </div>
+    </div>
+  );
+
+  const renderMonth = () => {
+    const month = currentDay.slice(0, 7);
+    return (
+      <div className="calendar-grid">
+        {WEEKDAY_LABELS.map(label => <div key={label} className="calendar-weekday">{label}</div>)}
+        {getMonthGrid(currentDay).flat().map(day => renderDay(day, { outside: !day.startsWith(month) }))}
+      </div>
+    );
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'scheduled': return '#007bff';
-      case 'in_progress': return '#ffc107';
-      case 'completed': return '#28a745';
-      default: return '#6c757d';
+  const renderWeek = () => (
+    <div className="calendar-grid calendar-grid-week">
+      {getWeekDays(currentDay).map((day, index) => (
+        <div key={`label-${day}`} className="calendar-weekday">
+          {WEEKDAY_LABELS[index]} {parseDateKey(day).getDate()}
+        </div>
+      ))}
+      {getWeekDays(currentDay).map(day => renderDay(day))}
+    </div>
+  );
+
+  const renderAgenda = () => {
+    const { from, to } = getVisibleRange(currentDay, 'agenda');
+    const days = [...byDay.keys()].filter(day => day >= from && day <= to).sort();
+    if (days.length === 0) {
+      return <p className="calendar-empty">No inspections scheduled between {formatDay(from)} and {formatDay(to)}.</p>;
     }
+    return (
+      <div className="calendar-agenda">
+        {days.map(day => (
+          <div key={day} className={`agenda-day${dropDay === day ? ' calendar-day-drop' : ''}`} {...dayDropProps(day)}>
+            <h4>{formatDay(day)}</h4>
+            {planDayRoutes(byDay.get(day)).map(route => (
+              <div key={route.inspector || 'unassigned'} className="agenda-route">
+                <h5>{route.inspector || 'Unassigned'} · {route.stops.length} stop{route.stops.length === 1 ? '' : 's'}</h5>
+                {route.stops.map((item, index) => (
+                  <div key={item.id} className="agenda-item">
+                    <span className="agenda-stop">{index + 1}</span>
+                    {renderEvent(item)}
+                    <span className="agenda-item-details">
+                      {describeStop(item)} · {STATUS_LABELS[item.status] || item.status}
+                      {item.recurrence && ` · ${getRecurrenceRule(item.recurrence)?.shortLabel || item.recurrence}`}
+                      {item.source === 'compliance' && ` · ${item.standard_name || 'Compliance'}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
   };
 
+  const renderWorkload = () => (
+    <div className="scheduler-workload">
+      <h3>Inspector Workload</h3>
+      {inspectors.length === 0 ? (
+        <p className="scheduler-note">No active inspector accounts. Inspections are assigned to users with the inspector role.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Inspector</th>
+              {weekStarts.map(week => <th key={week}>Week of {formatDay(week)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {workload.rows.map(row => (
+              <tr key={row.inspector.id}>
+                <td>
+                  {row.inspector.fullName}
+                  {row.inspector.credentials.length === 0 && <span className="workload-warning"> (no valid Inspector credential)</span>}
+                </td>
+                {row.counts.map((count, index) => <td key={weekStarts[index]}>{count}</td>)}
+              </tr>
+            ))}
+            <tr className="workload-unassigned">
+              <td>Unassigned</td>
+              {workload.unassigned.map((count, index) => <td key={weekStarts[index]}>{count}</td>)}
+            </tr>
+          </tbody>
+        </table>
+      )}
+      {suggestions.length > 0 ? (
+        <div className="workload-suggestions">
+          <h4>Suggested Reassignments</h4>
+          <ul>
+            {suggestions.map(move => (
+              <li key={move.id}>
+                {move.equipmentIdentifier} on {formatDay(move.scheduledDate)}: {move.fromName || 'Unassigned'} → {move.toName}
+              </li>
+            ))}
+          </ul>
+          {canManage && (
+            <button type="button" className="scheduler-primary" onClick={handleRebalance} disabled={saving}>
+              Apply Suggestions
+            </button>
+          )}
+        </div>
+      ) : (
+        inspectors.length > 0 && <p className="scheduler-note">The workload is balanced across qualified inspectors.</p>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return <div className="scheduler"><div className="loading-spinner">Loading schedule...</div></div>;
+  }
+
+  const formEquipment = form ? equipment.find(item => String(item.id) === String(form.equipmentId)) : null;
+  const qualifiedInspectors = form && formEquipment && form.scheduledDate
+    ? inspectors.filter(inspector => isQualified(inspector, formEquipment.type, form.scheduledDate))
+    : [];
+  const weekLoad = (inspectorId) => (form?.scheduledDate
+    ? scheduledInspections.filter(item => item.assigned_user_id === inspectorId && item.status !== 'completed' &&
+        item.id !== form.id && getWeekStart(item.scheduled_date) === getWeekStart(form.scheduledDate)).length
+    : 0);
+
   return (
     <div className="scheduler">
-      <h2>Inspection Scheduler</h2>
-      <form onSubmit={handleFormSubmit} className="scheduler-form">
-        <select
-          value={selectedEquipment}
-          onChange={(e) => setSelectedEquipment(e.target.value)}
-          required
-        >
-          <option value="">Select Equipment</option>
-          {equipment.map((item) => (
-            <option key={item.id} value={item.id}>
-              {item.equipment_id} - {item.type}
-            </option>
+      <div className="scheduler-header">
+        <h2>Inspection Scheduler</h2>
+        <div className="scheduler-header-actions">
+          <button type="button" aria-pressed={showWorkload} onClick={() => setShowWorkload(shown => !shown)}>
+            Workload
+          </button>
+          {canManage && (
+            <button type="button" className="scheduler-primary" onClick={() => openForm()}>
+              Schedule Inspection
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>Error loading scheduled inspections: {error}</p>
+          <button onClick={fetchSchedule} className="retry-button">Retry</button>
+        </div>
+      )}
+
+      <div className="scheduler-toolbar">
+        <div className="scheduler-nav">
+          <button type="button" onClick={() => setCurrentDay(day => shiftPeriod(day, calendarView, -1))} aria-label="Previous">‹</button>
+          <button type="button" onClick={() => setCurrentDay(today)}>Today</button>
+          <button type="button" onClick={() => setCurrentDay(day => shiftPeriod(day, calendarView, 1))} aria-label="Next">›</button>
+          <span className="scheduler-period">{getPeriodLabel(currentDay, calendarView)}</span>
+        </div>
+        <div className="scheduler-views" role="tablist" aria-label="Calendar view">
+          {CALENDAR_VIEWS.map(view => (
+            <button
+              type="button"
+              key={view.key}
+              role="tab"
+              aria-selected={calendarView === view.key}
+              className={calendarView === view.key ? 'active' : ''}
+              onClick={() => setCalendarView(view.key)}
+            >
+              {view.label}
+            </button>
           ))}
-        </select>
-        <input
-          type="date"
-          value={scheduledDate}
-          onChange={(e) => setScheduledDate(e.target.value)}
-          required
-        />
-        <input
-          type="text"
-          placeholder="Assigned Inspector"
-          value={assignedInspector}
-          onChange={(e) => setAssignedInspector(e.target.value)}
-        />
-        <button type="submit">{editingInspection ? 'Update Inspection' : 'Schedule Inspection'}</button>
-        {editingInspection && <button type="button" onClick={resetForm}>Cancel Edit</button>}
-      </form>
-
-      <div className="scheduled-inspections-list">
-        <h3>Scheduled Inspections</h3>
-        {scheduledInspections.length === 0 ? (
-          <p>No scheduled inspections found.</p>
-        ) : (
-          <div className="inspections-grid">
-            {scheduledInspections.map((inspection) => (
-              <div key={inspection.id} className="inspection-card">
-                <div className="inspection-header">
-                  <h4>Equipment: {inspection.equipmentIdentifier}</h4>
-                  <span 
-                    className="status-badge" 
-                    style={{ backgroundColor: getStatusColor(inspection.status) }}
-                  >
-                    {inspection.status.replace('_', ' ').toUpperCase()}
-                  </span>
-                </div>
-                <div className="inspection-details">
-                  <p><strong>Date:</strong> {new Date(inspection.scheduled_date).toLocaleDateString()}</p>
-                  <p><strong>Inspector:</strong> {inspection.assigned_inspector || 'Unassigned'}</p>
-                </div>
-                <div className="inspection-actions">
-                  {inspection.status === 'scheduled' && (
-                    <button 
-                      onClick={() => startInspection(inspection)}
-                      className="start-btn"
-                    >
-                      Start Inspection
-                    </button>
-                  )}
-                  {inspection.status === 'in_progress' && (
-                    <button 
-                      onClick={() => handleStatusChange(inspection.id, 'completed')}
-                      className="complete-btn"
-                    >
-                      Mark Complete
-                    </button>
-                  )}
-                  <button 
-                    onClick={() => handleEditInspection(inspection)}
-                    className="edit-btn"
-                  >
-                    Edit
-                  </button>
-                  <button 
-                    onClick={() => handleDeleteInspection(inspection.id)} 
-                    className="delete-btn"
-                  >
-                    Delete
-                  </button>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
+        </div>
+      </div>
+
+      {canManage && calendarView !== 'agenda' && (
+        <p className="scheduler-hint">Drag an inspection to another day to reschedule it. Double-click a day to schedule one.</p>
+      )}
+
+      {showWorkload && renderWorkload()}
+
+      <div aria-busy={saving}>
+        {calendarView === 'month' && renderMonth()}
+        {calendarView === 'week' && renderWeek()}
+        {calendarView === 'agenda' && renderAgenda()}
       </div>
+
+      {selected && (
+        <Modal onClose={() => setSelectedId(null)}>
+          <div className="scheduled-inspection-details">
+            <h3>{selected.equipmentIdentifier}</h3>
+            <p><strong>Date:</strong> {formatDay(selected.scheduled_date)}</p>
+            <p><strong>Inspector:</strong> {selected.assigned_inspector || 'Unassigned'}</p>
+            <p><strong>Status:</strong> {STATUS_LABELS[selected.status] || selected.status}</p>
+            <p><strong>Type:</strong> {SCHEDULE_TYPE_LABELS[selected.schedule_type] || 'Inspection'}</p>
+            <p><strong>Repeats:</strong> {getRecurrenceRule(selected.recurrence)?.label || 'Does not repeat'}</p>
+            {selected.due_reason && <p><strong>Why this date:</strong> {selected.due_reason}</p>}
+            {selected.source === 'compliance' && selected.status === 'scheduled' && (
+              <p className="scheduler-note">
+                Scheduled automatically from compliance standards. Moving or editing it keeps it where you put it.
+              </p>
+            )}
+            {selected.recurrence && selected.status !== 'completed' && (
+              <p className="scheduler-note">
+                Completing it schedules the next inspection for {formatDay(nextOccurrence(selected.scheduled_date, selected.recurrence))}.
+              </p>
+            )}
+            <div className="scheduled-inspection-actions">
+              {selected.status !== 'completed' && can('inspection.perform') && (
+                <button type="button" className="start-btn" onClick={() => handleStart(selected)}>
+                  Start Inspection
+                </button>
+              )}
+              {selected.status !== 'completed' && canManage && (
+                <button type="button" className="complete-btn" onClick={() => handleComplete(selected)} disabled={saving}>
+                  Mark Complete
+                </button>
+              )}
+              {canManage && (
+                <button type="button" className="edit-btn" onClick={() => openForm(selected)}>
+                  Edit
+                </button>
+              )}
+              {can('schedule.delete') && (
+                <button type="button" className="delete-btn" onClick={() => handleDelete(selected)} disabled={saving}>
+                  Delete
+                </button>
+              )}
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {form && (
+        <Modal onClose={() => setForm(null)}>
+          <form onSubmit={handleSubmit} className="scheduler-form">
+            <h3>{form.id ? 'Edit Scheduled Inspection' : 'Schedule Inspection'}</h3>
+            <label>
+              Equipment
+              <select
+                value={form.equipmentId}
+                onChange={(e) => setForm({ ...form, equipmentId: e.target.value })}
+                required
+              >
+                <option value="">Select Equipment</option>
+                {equipment.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {item.equipmentId} - {item.type}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Date
+              <input
+                type="date"
+                value={form.scheduledDate}
+                onChange={(e) => setForm({ ...form, scheduledDate: e.target.value })}
+                required
+              />
+            </label>
+            <label>
+              Assigned Inspector
+              <select
+                value={form.assignedUserId}
+                onChange={(e) => setForm({ ...form, assignedUserId: e.target.value })}
+                required
+              >
+                <option value="">Select Inspector</option>
+                {qualifiedInspectors.map(inspector => (
+                  <option key={inspector.id} value={inspector.id}>
+                    {inspector.fullName} ({weekLoad(inspector.id)} that week)
+                  </option>
+                ))}
+              </select>
+            </label>
+            {formEquipment && form.scheduledDate && qualifiedInspectors.length === 0 && (
+              <p className="scheduler-note">
+                No inspector holds a valid Inspector credential for {formEquipment.type} on {formatDay(form.scheduledDate)}.
+              </p>
+            )}
+            <label>
+              Repeats
+              <select value={form.recurrence} onChange={(e) => setForm({ ...form, recurrence: e.target.value })}>
+                <option value="">Does not repeat</option>
+                {RECURRENCE_RULES.map(rule => (
+                  <option key={rule.key} value={rule.key}>{rule.label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="scheduler-form-actions">
+              <button type="submit" className="scheduler-primary" disabled={saving}>
+                {form.id ? 'Update Inspection' : 'Schedule Inspection'}
+              </button>
+              <button type="button" onClick={() => setForm(null)}>Cancel</button>
+            </div>
+          </form>
+        </Modal>
+      )}
     </div>
   );
 }
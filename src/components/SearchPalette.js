@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useEquipmentStore, useInspectionStore, useUIStore } from '../store';
+import {
+  SEARCH_LIMIT,
+  buildSearchQuery,
+  getSearchDestination,
+  groupSearchResults,
+  splitSnippet
+} from '../utils/search';
+import './SearchPalette.css';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 200;
+
+// Command-palette search over every indexed record; choosing a result opens it in its view
+function SearchPalette({ onClose }) {
+  const [text, setText] = useState('');
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const setView = useUIStore((state) => state.setView);
+  const setSearchFocus = useUIStore((state) => state.setSearchFocus);
+  const setSearchTerm = useEquipmentStore((state) => state.setSearchTerm);
+  const setLayout = useEquipmentStore((state) => state.setLayout);
+  const setViewingInspectionsFor = useInspectionStore((state) => state.setViewingInspectionsFor);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const query = buildSearchQuery(text);
+    if (!query) {
+      setResults([]);
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const rows = await window.api.search.query(query, SEARCH_LIMIT);
+        if (!cancelled) {
+          setResults(rows);
+          setActiveIndex(0);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Search failed:', err);
+        if (!cancelled) setError(err.message || 'Search failed');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text]);
+
+  const groups = useMemo(() => groupSearchResults(results), [results]);
+  // Keyboard order follows the grouped display, not the ranking
+  const ordered = useMemo(() => groups.flatMap(group => group.results), [groups]);
+
+  const open = (result) => {
+    const destination = getSearchDestination(result);
+    if (destination.equipmentSearch !== undefined) {
+      setSearchTerm(destination.equipmentSearch || '');
+      setLayout('list');
+    }
+    if (destination.focus) setSearchFocus(destination.focus);
+    setView(destination.view);
+    if (destination.inspectionsFor) setViewingInspectionsFor(destination.inspectionsFor);
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown' && ordered.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % ordered.length);
+    } else if (e.key === 'ArrowUp' && ordered.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index - 1 + ordered.length) % ordered.length);
+    } else if (e.key === 'Enter' && ordered[activeIndex]) {
+      e.preventDefault();
+      open(ordered[activeIndex]);
+    }
+  };
+
+  const resultId = (result) => `search-result-${result.entityType}-${result.entityId}`;
+
+  return (
+    <div className="search-palette-overlay" onClick={onClose}>
+      <div
+        className="search-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          type="search"
+          className="search-palette-input"
+          placeholder="Search equipment, inspections, deficiencies, work orders and documents..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={ordered.length > 0}
+          aria-controls="search-palette-results"
+          aria-activedescendant={ordered[activeIndex] ? resultId(ordered[activeIndex]) : undefined}
+        />
+
+        <div id="search-palette-results" className="search-palette-results" role="listbox" aria-busy={searching}>
+          {error && <p className="search-palette-message search-palette-error">{error}</p>}
+          {!error && buildSearchQuery(text) && !searching && results.length === 0 && (
+            <p className="search-palette-message">No matches for “{text.trim()}”.</p>
+          )}
+          {groups.map(group => (
+            <div key={group.entityType} className="search-palette-group" role="group" aria-label={group.label}>
+              <h4>{group.label}</h4>
+              {group.results.map(result => {
+                const active = ordered[activeIndex] === result;
+                return (
+                  <div
+                    key={resultId(result)}
+                    id={resultId(result)}
+                    role="option"
+                    aria-selected={active}
+                    tabIndex={-1}
+                    className={`search-palette-result${active ? ' search-palette-result-active' : ''}`}
+                    onMouseEnter={() => setActiveIndex(ordered.indexOf(result))}
+                    onClick={() => open(result)}
+                    onKeyDown={handleKeyDown}
+                  >
+                    {result.equipment_identifier && (
+                      <span className="search-palette-equipment">{result.equipment_identifier}</span>
+                    )}
+                    <span className="search-palette-snippet">
+                      {splitSnippet(result.snippet).map((part, index) => (
+                        part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+                      ))}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className="search-palette-footer">
+          <span>↑↓ to move</span>
+          <span>Enter to open</span>
+          <span>Esc to close</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SearchPalette;
@@ -1,28 +1,147 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import PermissionMatrix from './PermissionMatrix';
+import AppSettingsForm from './AppSettingsForm';
+import EncryptionSettings from './EncryptionSettings';
+import DatabaseRestore from './DatabaseRestore';
+import DatabaseHealth from './DatabaseHealth';
 import './Settings.css';
 
+const BROKEN_LINK_REASONS = {
+  missing_hash: 'the row has no hash',
+  previous_hash_mismatch: 'a row before it was deleted, inserted or altered',
+  content_mismatch: 'the row was edited after it was written'
+};
+
 function Settings() {
+  const { can } = useUser();
+  const [chainResult, setChainResult] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+
   const handleBackup = async () => {
-    await window.api.backupDatabase();
-    alert('Backup complete!');
+    try {
+      const result = await window.api.backupDatabase();
+      if (!result.cancelled) {
+        alert(result.encrypted ? 'Encrypted backup complete!' : 'Backup complete!');
+      }
+    } catch (error) {
+      alert(`Backup failed: ${error.message}`);
+    }
   };
 
-  const handleRestore = async () => {
-    if (window.confirm('Restoring the database will overwrite current data and restart the application. Are you sure you want to continue?')) {
-      await window.api.restoreDatabase();
+  const handleExportArchive = async () => {
+    try {
+      const result = await window.api.exportArchive();
+      if (!result.cancelled) {
+        const missing = result.missing.length > 0
+          ? `\n\n${result.missing.length} referenced file(s) could not be found and were left out:\n${result.missing.join('\n')}`
+          : '';
+        alert(`Archive complete: the database and ${result.files} file(s)${result.encrypted ? ', encrypted' : ''}.${missing}`);
+      }
+    } catch (error) {
+      alert(`Archive export failed: ${error.message}`);
+    }
+  };
+
+  const handleVerifyAuditChain = async () => {
+    setIsVerifying(true);
+    try {
+      setChainResult(await window.api.verifyAuditChain());
+    } catch (error) {
+      setChainResult({ error: error.message });
+    } finally {
+      setIsVerifying(false);
     }
   };
 
   return (
     <div className="settings-container">
       <h2>Settings</h2>
-      <div className="settings-section">
-        <h3>Data Management</h3>
-        <button onClick={handleBackup}>Backup Database</button>
-        <button onClick={handleRestore}>Restore Database</button>
-      </div>
+      {can('backup.manage') && (
+        <div className="settings-section">
+          <h3>Data Management</h3>
+          <button onClick={handleBackup}>Backup Database</button>
+          <button onClick={handleExportArchive}>Export Full Archive</button>
+          <p>A full archive also holds the documents and certificate files, for moving to another computer.</p>
+          <h4>Restore</h4>
+          <p>
+            Backups and archives are checked and previewed before anything is replaced. Older backups are upgraded to
+            the current schema; files from an archive are placed in this computer's data folder and relinked.
+          </p>
+          <DatabaseRestore />
+        </div>
+      )}
+
+      {can('backup.manage') && can('settings.manage') && (
+        <div className="settings-section">
+          <h3>Automatic Backups</h3>
+          <p>
+            The database is backed up daily, weekly and monthly while the application runs. Each backup is
+            checked with SQLite's integrity check before it is kept, and the oldest are removed once a tier is full.
+          </p>
+          <AppSettingsForm group="Backups" />
+        </div>
+      )}
+
+      {can('database.maintain') && (
+        <div className="settings-section">
+          <h3>Database Health</h3>
+          <p>
+            Checks the database file for damage, references to deleted records and differences from the declared
+            schema, and shows how the indexes are used. The checks read every table, so they can take a moment.
+          </p>
+          <DatabaseHealth />
+        </div>
+      )}
+
+      {can('encryption.manage') && (
+        <div className="settings-section">
+          <h3>Encryption</h3>
+          <EncryptionSettings />
+        </div>
+      )}
+
+      {can('audit.view') && (
+        <div className="settings-section">
+          <h3>Audit Log Integrity</h3>
+          <p>Checks that no audit log entry has been edited or removed outside the application.</p>
+          <button onClick={handleVerifyAuditChain} disabled={isVerifying}>
+            {isVerifying ? 'Verifying...' : 'Verify Audit Chain'}
+          </button>
+
+          {chainResult && (
+            <div
+              className={`audit-chain-result ${chainResult.valid ? 'valid' : 'invalid'}`}
+              role="status"
+            >
+              {chainResult.error && `Verification failed: ${chainResult.error}`}
+              {chainResult.valid && `Chain intact: ${chainResult.totalRows} entries verified.`}
+              {chainResult.firstBrokenLink && (
+                `Chain broken at entry #${chainResult.firstBrokenLink.id}: ` +
+                `${BROKEN_LINK_REASONS[chainResult.firstBrokenLink.reason] || chainResult.firstBrokenLink.reason}.`
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {can('settings.manage') && (
+        <div className="settings-section">
+          <h3>Session Security</h3>
+          <p>Idle sessions lock until the user signs in again; every session ends after its maximum lifetime.</p>
+          <AppSettingsForm group="Sessions" />
+        </div>
+      )}
+
+      {can('permission.manage') && (
+        <div className="settings-section">
+          <h3>Role Permissions</h3>
+          <p>Grant or revoke individual permissions per role. Changes apply to signed-in users on their next action.</p>
+          <PermissionMatrix />
+        </div>
+      )}
     </div>
   );
 }
 
-export default Settings;
\ No newline at end of file
+export default Settings;
@@ -1,10 +1,12 @@
 import React from 'react';
 import useUIStore from '../store/uiStore';
+import { useUser } from '../contexts/UserContext';
 import './Sidebar.css';
 
 const Sidebar = React.memo(function Sidebar({ toggleSidebar, isSidebarOpen }) {
   const view = useUIStore((state) => state.view);
   const setView = useUIStore((state) => state.setView);
+  const { can } = useUser();
 
   return (
     <nav
@@ -176,6 +178,51 @@ const Sidebar = React.memo(function Sidebar({ toggleSidebar, isSidebarOpen }) {
             <span>Compliance</span>
           </button>
         </li>
+        {can('audit.view') && (
+          <li>
+            <button
+              type="button"
+              onClick={() => setView('auditTrail')}
+              className={view === 'auditTrail' ? 'active' : ''}
+              aria-current={view === 'auditTrail' ? 'page' : undefined}
+              tabIndex={0}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5em', width: '100%', background: 'none', border: 'none', color: 'inherit', font: 'inherit', padding: 0, cursor: 'pointer' }}
+            >
+              <span role="img" aria-label="Audit Trail">🧾</span>
+              <span>Audit Trail</span>
+            </button>
+          </li>
+        )}
+        {can('data.export') && (
+          <li>
+            <button
+              type="button"
+              onClick={() => setView('dataExport')}
+              className={view === 'dataExport' ? 'active' : ''}
+              aria-current={view === 'dataExport' ? 'page' : undefined}
+              tabIndex={0}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5em', width: '100%', background: 'none', border: 'none', color: 'inherit', font: 'inherit', padding: 0, cursor: 'pointer' }}
+            >
+              <span role="img" aria-label="Export">📤</span>
+              <span>Export</span>
+            </button>
+          </li>
+        )}
+        {can('user.manage') && (
+          <li>
+            <button
+              type="button"
+              onClick={() => setView('users')}
+              className={view === 'users' ? 'active' : ''}
+              aria-current={view === 'users' ? 'page' : undefined}
+              tabIndex={0}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5em', width: '100%', background: 'none', border: 'none', color: 'inherit', font: 'inherit', padding: 0, cursor: 'pointer' }}
+            >
+              <span role="img" aria-label="Users">👥</span>
+              <span>Users</span>
+            </button>
+          </li>
+        )}
         <li>
           <button
             type="button"
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import './Login.css';
+
+// Shown at startup when the database is encrypted and this device cannot unlock it on its own
+const StorageUnlock = () => {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { unlockStorage } = useUser();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!passphrase) {
+      setError('Please enter the encryption passphrase');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await unlockStorage(passphrase);
+    } catch (err) {
+      setPassphrase('');
+      setError(err.message || 'Unlock failed');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Encrypted Data</h1>
+          <p>This device cannot unlock the database on its own. An administrator must enter the encryption passphrase.</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <div className="form-group">
+            <label htmlFor="storagePassphrase">Encryption Passphrase</label>
+            <input
+              type="password"
+              id="storagePassphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="off"
+              disabled={isLoading}
+              autoFocus
+            />
+          </div>
+
+          {error && (
+            <div className="error-message" role="alert">
+              {error}
+            </div>
+          )}
+
+          <button type="submit" className="login-button" disabled={isLoading}>
+            {isLoading ? 'Unlocking...' : 'Unlock Data'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StorageUnlock;
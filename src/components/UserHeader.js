@@ -1,10 +1,27 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useUser } from '../contexts/UserContext';
+import Modal from './Modal';
+import AccountSecurity from './AccountSecurity';
+import SearchPalette from './SearchPalette';
 import './UserHeader.css';
 
 const UserHeader = () => {
-  const { currentUser, logout, canAdmin } = useUser();
+  const { currentUser, logout, lock, canAdmin } = useUser();
   const [showDropdown, setShowDropdown] = useState(false);
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+
+  // Ctrl+K (Cmd+K on macOS) opens search from anywhere
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setShowSearch(true);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   const handleLogout = async () => {
     try {
@@ -40,9 +57,20 @@ const UserHeader = () => {
 
   return (
     <div className="user-header">
+      <button
+        type="button"
+        className="header-search-button"
+        onClick={() => setShowSearch(true)}
+        title="Search (Ctrl+K)"
+      >
+        <span className="action-icon">🔍</span>
+        Search
+        <kbd>Ctrl K</kbd>
+      </button>
+
       <div className="user-info">
         <div className="user-details">
-          <span className="user-name">{currentUser.full_name}</span>
+          <span className="user-name">{currentUser.fullName}</span>
           <span 
             className="user-role"
             style={{ color: getRoleColor(currentUser.role) }}
@@ -55,14 +83,14 @@ const UserHeader = () => {
           onClick={() => setShowDropdown(!showDropdown)}
           style={{ backgroundColor: getRoleColor(currentUser.role) }}
         >
-          {currentUser.full_name.charAt(0).toUpperCase()}
+          {currentUser.fullName.charAt(0).toUpperCase()}
         </div>
       </div>
 
       {showDropdown && (
         <div className="user-dropdown">
           <div className="dropdown-header">
-            <div className="dropdown-user-name">{currentUser.full_name}</div>
+            <div className="dropdown-user-name">{currentUser.fullName}</div>
             <div className="dropdown-user-email">{currentUser.email || currentUser.username}</div>
             <div 
               className="dropdown-user-role"
@@ -87,10 +115,32 @@ const UserHeader = () => {
               My Activity
             </button>
             
+            <button
+              className="dropdown-action"
+              onClick={() => {
+                setShowDropdown(false);
+                setShowSecurity(true);
+              }}
+            >
+              <span className="action-icon">🔑</span>
+              Password &amp; PIN
+            </button>
+            
             <button className="dropdown-action">
               <span className="action-icon">⚙️</span>
               Preferences
             </button>
+            
+            <button
+              className="dropdown-action"
+              onClick={() => {
+                setShowDropdown(false);
+                lock('manual');
+              }}
+            >
+              <span className="action-icon">🔒</span>
+              Lock Screen
+            </button>
           </div>
           
           <div className="dropdown-divider"></div>
@@ -111,6 +161,14 @@ const UserHeader = () => {
           onClick={() => setShowDropdown(false)}
         />
       )}
+
+      {showSearch && <SearchPalette onClose={() => setShowSearch(false)} />}
+
+      {showSecurity && (
+        <Modal onClose={() => setShowSecurity(false)}>
+          <AccountSecurity onDone={() => setShowSecurity(false)} />
+        </Modal>
+      )}
     </div>
   );
 };
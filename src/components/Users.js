@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { parseUserImport, USER_ROLES, DEFAULT_IMPORT_ROLE } from '../utils/userImport';
+import './Users.css';
+
+const EMPTY_NEW_USER = { username: '', fullName: '', email: '', role: 'inspector' };
+
+const isActive = (user) => Boolean(user.active);
+
+function Users() {
+  const { currentUser, createUser, resetUserPassword, can } = useUser();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newUser, setNewUser] = useState(EMPTY_NEW_USER);
+  const [editing, setEditing] = useState(null);
+  const [resetting, setResetting] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setUsers(await window.api.users.getAllIncludingInactive());
+    } catch (err) {
+      console.error('Error loading users:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const activeAdminCount = users.filter(user => user.role === 'admin' && isActive(user)).length;
+
+  // Mirrors the database safeguard so the controls are disabled before a request fails
+  const isLastActiveAdmin = (user) => user.role === 'admin' && isActive(user) && activeAdminCount <= 1;
+
+  // Runs a change, reports the outcome and reloads the list
+  const runChange = async (change, successMessage) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await change();
+      setMessage(successMessage);
+      await loadUsers();
+      return true;
+    } catch (err) {
+      console.error('User administration error:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await runChange(
+      () => createUser({ ...newUser, username: newUser.username.trim(), email: newUser.email.trim() || null }),
+      `User ${newUser.username.trim()} created. Reset their password to let them sign in.`
+    );
+    if (created) setNewUser(EMPTY_NEW_USER);
+  };
+
+  const handleRoleChange = (user, role) => {
+    if (role === user.role) return;
+    runChange(() => window.api.users.updateRole(user.id, role), `${user.username} is now ${role}`);
+  };
+
+  const handleToggleActive = (user) => {
+    if (isActive(user)) {
+      if (!window.confirm(`Deactivate ${user.username}? They will be signed out and unable to sign in.`)) return;
+      runChange(() => window.api.users.deactivate(user.id), `${user.username} deactivated`);
+    } else {
+      runChange(() => window.api.users.reactivate(user.id), `${user.username} reactivated`);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const saved = await runChange(
+      () => window.api.users.update(editing.id, editing.fullName.trim(), editing.email.trim() || null),
+      `${editing.username} updated`
+    );
+    if (saved) setEditing(null);
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    const reset = await runChange(
+      () => resetUserPassword(resetting.username, resetting.temporaryPassword),
+      `Temporary password set for ${resetting.username}. They must change it at next sign-in.`
+    );
+    if (reset) setResetting(null);
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseUserImport(reader.result, users.map(user => user.username));
+      setImportPreview({ fileName: file.name, ...result });
+    };
+    reader.onerror = () => setError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const handleImport = async () => {
+    const toImport = importPreview.users.map(({ username, fullName, email, role }) => ({ username, fullName, email, role }));
+    const imported = await runChange(
+      () => window.api.users.import(toImport),
+      `Imported ${toImport.length} users. Reset their passwords to let them sign in.`
+    );
+    if (imported) setImportPreview(null);
+  };
+
+  return (
+    <div className="users-admin">
+      <div className="users-header">
+        <h2>Users</h2>
+        <label className="users-import-button">
+          Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleImportFile} disabled={busy} />
+        </label>
+      </div>
+
+      {error && <div className="users-error" role="alert">{error}</div>}
+      {message && <div className="users-message" role="status">{message}</div>}
+
+      {importPreview && (
+        <section className="users-panel" aria-label="Import preview">
+          <h3>Import from {importPreview.fileName}</h3>
+          <p>
+            {importPreview.users.length} users ready to import. Rows without a role get the {DEFAULT_IMPORT_ROLE} role.
+            Imported users have no password until one is reset.
+          </p>
+          {importPreview.errors.length > 0 && (
+            <div className="users-import-errors">
+              <strong>{importPreview.errors.length} rows will be skipped:</strong>
+              <ul>
+                {importPreview.errors.map(({ line, message: rowMessage }) => (
+                  <li key={`${line}-${rowMessage}`}>Line {line}: {rowMessage}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {importPreview.users.length > 0 && (
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  <th>Username</th>
+                  <th>Full Name</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importPreview.users.map(user => (
+                  <tr key={user.line}>
+                    <td>{user.line}</td>
+                    <td>{user.username}</td>
+                    <td>{user.fullName}</td>
+                    <td>{user.email}</td>
+                    <td>{user.role}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="users-form-actions">
+            <button type="button" onClick={handleImport} disabled={busy || importPreview.users.length === 0}>
+              Import {importPreview.users.length} Users
+            </button>
+            <button type="button" className="secondary" onClick={() => setImportPreview(null)} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </section>
+      )}
+
+      <form className="users-panel users-create-form" onSubmit={handleCreate}>
+        <h3>Add User</h3>
+        <div className="users-form-row">
+          <input
+            type="text"
+            placeholder="Username"
+            aria-label="Username"
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Full name"
+            aria-label="Full name"
+            value={newUser.fullName}
+            onChange={(e) => setNewUser({ ...newUser, fullName: e.target.value })}
+            required
+          />
+          <input
+            type="email"
+            placeholder="Email (optional)"
+            aria-label="Email"
+            value={newUser.email}
+            onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+          />
+          <select
+            aria-label="Role"
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          >
+            {USER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button type="submit" disabled={busy}>Add User</button>
+        </div>
+      </form>
+
+      {resetting && (
+        <form className="users-panel" onSubmit={handleResetPassword}>
+          <h3>Reset Password for {resetting.username}</h3>
+          <p>The user must choose a new password when they next sign in. Their PIN is cleared.</p>
+          <div className="users-form-row">
+            <input
+              type="password"
+              placeholder="Temporary password"
+              aria-label="Temporary password"
+              value={resetting.temporaryPassword}
+              onChange={(e) => setResetting({ ...resetting, temporaryPassword: e.target.value })}
+              autoComplete="new-password"
+              required
+            />
+            <button type="submit" disabled={busy}>Set Temporary Password</button>
+            <button type="button" className="secondary" onClick={() => setResetting(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="users-loading">Loading users...</div>
+      ) : (
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Full Name</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Last Login</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => {
+              const isSelf = user.id === currentUser?.id;
+              const protectedAdmin = isLastActiveAdmin(user);
+              const isEditing = editing?.id === user.id;
+
+              return (
+                <tr key={user.id} className={isActive(user) ? '' : 'inactive'}>
+                  <td>{user.username}{isSelf && <span className="users-self-tag">you</span>}</td>
+                  {isEditing ? (
+                    <td colSpan={2}>
+                      <form className="users-edit-form" onSubmit={handleSaveEdit}>
+                        <input
+                          type="text"
+                          aria-label="Full name"
+                          value={editing.fullName}
+                          onChange={(e) => setEditing({ ...editing, fullName: e.target.value })}
+                          required
+                        />
+                        <input
+                          type="email"
+                          aria-label="Email"
+                          value={editing.email}
+                          onChange={(e) => setEditing({ ...editing, email: e.target.value })}
+                        />
+                        <button type="submit" disabled={busy}>Save</button>
+                        <button type="button" className="secondary" onClick={() => setEditing(null)}>Cancel</button>
+                      </form>
+                    </td>
+                  ) : (
+                    <>
+                      <td>{user.fullName}</td>
+                      <td>{user.email}</td>
+                    </>
+                  )}
+                  <td>
+                    <select
+                      aria-label={`Role of ${user.username}`}
+                      value={user.role}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      disabled={busy || isSelf || protectedAdmin}
+                      title={protectedAdmin ? 'The last active administrator cannot be demoted' : undefined}
+                    >
+                      {USER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    <span className={`users-status ${isActive(user) ? 'active' : 'inactive'}`}>
+                      {isActive(user) ? 'Active' : 'Inactive'}
+                    </span>
+                    {!user.hasPassword && (
+                      <span
+                        className="users-status no-password"
+                        title="This account has no password and cannot sign in. Reset its password to give the user a temporary one."
+                      >
+                        No password
+                      </span>
+                    )}
+                  </td>
+                  <td>{user.lastLogin ? new Date(`${user.lastLogin.replace(' ', 'T')}Z`).toLocaleString() : 'Never'}</td>
+                  <td className="users-actions">
+                    <button
+                      type="button"
+                      className="link"
+                      onClick={() => setEditing({ id: user.id, username: user.username, fullName: user.fullName || '', email: user.email || '' })}
+                      disabled={busy}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="link"
+                      onClick={() => setResetting({ username: user.username, temporaryPassword: '' })}
+                      disabled={busy || !isActive(user) || !can('user.manage')}
+                      title={can('user.manage') ? undefined : 'Resetting passwords requires the user.manage permission'}
+                    >
+                      Reset Password
+                    </button>
+                    <button
+                      type="button"
+                      className="link"
+                      onClick={() => handleToggleActive(user)}
+                      disabled={busy || isSelf || protectedAdmin}
+                      title={protectedAdmin ? 'The last active administrator cannot be deactivated' : undefined}
+                    >
+                      {isActive(user) ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default Users;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useUser } from '../contexts/UserContext';
+import { useUIStore } from '../store';
 import WorkOrderCard from './WorkOrderCard';
 import WorkOrderCreateForm from './WorkOrderCreateForm';
 import WorkOrderCompletionForm from './WorkOrderCompletionForm';
@@ -38,6 +39,17 @@ const WorkOrders = () => {
     loadData();
   }, []);
 
+  const searchFocus = useUIStore((state) => state.searchFocus);
+  const setSearchFocus = useUIStore((state) => state.setSearchFocus);
+
+  // Open the details of a work order chosen in search once the list has loaded
+  useEffect(() => {
+    if (loading || searchFocus?.entityType !== 'work_order') return;
+    const workOrder = workOrders.find(wo => wo.id === searchFocus.entityId);
+    if (workOrder) setSelectedWorkOrder(workOrder);
+    setSearchFocus(null);
+  }, [loading, workOrders, searchFocus, setSearchFocus]);
+
   const loadData = async () => {
     try {
       setLoading(true);
@@ -74,7 +86,7 @@ const WorkOrders = () => {
         throw new Error('Please select valid equipment');
       }
 
-      const createResult = await window.api.workOrders.create({
+      await window.api.workOrders.create({
         equipmentId: parseInt(newWorkOrder.equipmentId),
         woNumber,
         title: newWorkOrder.title,
@@ -87,20 +99,6 @@ const WorkOrders = () => {
         scheduledDate: newWorkOrder.scheduledDate || null,
         deficiencyId: newWorkOrder.deficiencyId
       });
-      const createdWorkOrderId = createResult?.lastID || createResult?.id || 0;
-
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'create',
-        entityType: 'work_order',
-        entityId: createdWorkOrderId,
-        oldValues: null,
-        newValues: JSON.stringify({ ...newWorkOrder, woNumber }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
 
       setShowCreateForm(false);
       setNewWorkOrder({
@@ -135,18 +133,6 @@ const WorkOrders = () => {
 
       await window.api.workOrders.updateStatus(updateParams);
       
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'update',
-        entityType: 'work_order',
-        entityId: workOrderId,
-        oldValues: null,
-        newValues: JSON.stringify({ status: newStatus }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
 
       await loadData();
     } catch (err) {
@@ -178,22 +164,6 @@ const WorkOrders = () => {
         completionNotes: completionData.completionNotes || null
       });
 
-      // Log audit entry
-      await window.api.auditLog.create({
-        userId: currentUser?.id || null,
-        username: currentUser?.username || 'Unknown User',
-        action: 'complete',
-        entityType: 'work_order',
-        entityId: selectedWorkOrder.id,
-        oldValues: JSON.stringify({ status: 'in_progress' }),
-        newValues: JSON.stringify({ 
-          status: 'completed',
-          ...completionData
-        }),
-        ipAddress: null,
-        userAgent: navigator.userAgent
-      });
-
       setShowCompletionForm(false);
       setSelectedWorkOrder(null);
       setCompletionData({
@@ -0,0 +1,88 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BulkMeterEntry from '../BulkMeterEntry';
+
+jest.mock('../../contexts/UserContext', () => ({
+  useUser: () => ({ currentUser: { username: 'jdoe', fullName: 'John Doe' }, can: (permission) => permission === 'meter.record' })
+}));
+
+const bay = [
+  { id: 1, equipmentId: 'OHC-1', type: 'Overhead Crane' },
+  { id: 2, equipmentId: 'HST-1', type: 'Hoist' }
+];
+
+const mockHistories = {
+  1: [
+    { id: 1, meter_type: 'hours', reading_value: 100, reading_date: '2025-03-01' },
+    { id: 2, meter_type: 'hours', reading_value: 108, reading_date: '2025-03-02' }
+  ],
+  2: []
+};
+
+const mockApi = {
+  meterReadings: {
+    getByEquipmentId: jest.fn(),
+    createBatch: jest.fn()
+  },
+  pmSchedules: {
+    refreshFromMeters: jest.fn()
+  }
+};
+
+Object.defineProperty(window, 'api', {
+  value: mockApi,
+  writable: true
+});
+
+describe('BulkMeterEntry Component', () => {
+  const showToast = jest.fn();
+  const onSaved = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockApi.meterReadings.getByEquipmentId.mockImplementation(async (id) => mockHistories[id]);
+    mockApi.meterReadings.createBatch.mockResolvedValue({ createdIds: [3, 4] });
+  });
+
+  test('saves the readings of a bay together, confirming flagged ones first', async () => {
+    render(<BulkMeterEntry equipment={bay} label="Plant 1 › A › 3" onSaved={onSaved} showToast={showToast} />);
+
+    expect(await screen.findByText('108 on 2025-03-02')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2025-03-03' } });
+    fireEvent.change(screen.getByLabelText('OHC-1 reading'), { target: { value: '150' } });
+    fireEvent.change(screen.getByLabelText('HST-1 reading'), { target: { value: '12' } });
+
+    expect(screen.getByText('42 hours in 1 day is more than 24 a day')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Save 2 Readings' })).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('Save 1 flagged reading anyway'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save 2 Readings' }));
+
+    await waitFor(() => {
+      expect(mockApi.meterReadings.createBatch).toHaveBeenCalledWith([
+        { equipmentId: 1, meterType: 'hours', readingValue: 150, readingDate: '2025-03-03', recordedBy: 'John Doe', notes: 'Saved despite: 42 hours in 1 day is more than 24 a day' },
+        { equipmentId: 2, meterType: 'hours', readingValue: 12, readingDate: '2025-03-03', recordedBy: 'John Doe', notes: null }
+      ]);
+    });
+    expect(showToast).toHaveBeenCalledWith('2 readings saved', 'success');
+    expect(onSaved).toHaveBeenCalled();
+    // Without pm.schedule the PM check is left to the background refresh
+    expect(mockApi.pmSchedules.refreshFromMeters).not.toHaveBeenCalled();
+  });
+
+  test('leaves out equipment without a reading', async () => {
+    render(<BulkMeterEntry equipment={bay} label="Bay 3" onSaved={onSaved} showToast={showToast} />);
+    await screen.findByText('108 on 2025-03-02');
+
+    fireEvent.change(screen.getByLabelText('Meter'), { target: { value: 'cycles' } });
+    fireEvent.change(screen.getByLabelText('HST-1 reading'), { target: { value: '400' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save 1 Reading' }));
+
+    await waitFor(() => {
+      expect(mockApi.meterReadings.createBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ equipmentId: 2, meterType: 'cycles', readingValue: 400 })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MeterReadings from '../MeterReadings';
+
+jest.mock('react-chartjs-2', () => ({
+  Line: ({ data }) => <div data-testid="meter-chart">{JSON.stringify(data)}</div>
+}));
+
+jest.mock('chart.js', () => ({
+  Chart: { register: jest.fn() },
+  CategoryScale: jest.fn(),
+  LinearScale: jest.fn(),
+  PointElement: jest.fn(),
+  LineElement: jest.fn(),
+  Tooltip: jest.fn()
+}));
+
+jest.mock('../../contexts/UserContext', () => ({
+  useUser: () => ({ currentUser: { username: 'jdoe', fullName: 'John Doe' }, can: () => true })
+}));
+
+const equipment = { id: 1, equipmentId: 'OHC-1', type: 'Overhead Crane' };
+
+const mockReadings = [
+  { id: 1, meter_type: 'hours', reading_value: 100, reading_date: '2025-03-01', recorded_by: 'John Doe', notes: null },
+  { id: 2, meter_type: 'hours', reading_value: 108, reading_date: '2025-03-02', recorded_by: 'John Doe', notes: null },
+  { id: 3, meter_type: 'hours', reading_value: 90, reading_date: '2025-03-03', recorded_by: 'John Doe', notes: 'Meter replaced' },
+  { id: 4, meter_type: 'cycles', reading_value: 5000, reading_date: '2025-03-01', recorded_by: 'John Doe', notes: null }
+];
+
+const mockApi = {
+  meterReadings: {
+    getByEquipmentId: jest.fn(),
+    create: jest.fn()
+  },
+  pmSchedules: {
+    refreshFromMeters: jest.fn()
+  }
+};
+
+Object.defineProperty(window, 'api', {
+  value: mockApi,
+  writable: true
+});
+
+describe('MeterReadings Component', () => {
+  const showToast = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockApi.meterReadings.getByEquipmentId.mockResolvedValue(mockReadings);
+    mockApi.meterReadings.create.mockResolvedValue({ lastID: 5, changes: 1 });
+    mockApi.pmSchedules.refreshFromMeters.mockResolvedValue({ schedules: 1, updated: 1, raised: [9] });
+  });
+
+  test('charts the history of the selected meter and marks flagged readings', async () => {
+    render(<MeterReadings equipment={equipment} showToast={showToast} />);
+
+    const chart = JSON.parse((await screen.findByTestId('meter-chart')).textContent);
+    expect(chart.labels).toEqual(['2025-03-01', '2025-03-02', '2025-03-03']);
+    expect(chart.datasets[0].pointBackgroundColor).toEqual(['#007bff', '#007bff', '#dc3545']);
+    expect(screen.getByText('Meter replaced')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Starts' }));
+    expect(screen.getByText('No starts readings recorded.')).toBeInTheDocument();
+  });
+
+  test('holds back a flagged reading until it is confirmed', async () => {
+    render(<MeterReadings equipment={equipment} showToast={showToast} />);
+    await screen.findByTestId('meter-chart');
+
+    fireEvent.change(screen.getByLabelText('Hours Reading'), { target: { value: '80' } });
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2025-03-04' } });
+    expect(screen.getByRole('alert')).toHaveTextContent('Lower than the previous reading of 90 on 2025-03-03');
+    expect(screen.getByRole('button', { name: 'Save Reading' })).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText(/Save anyway/));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Reading' }));
+
+    await waitFor(() => {
+      expect(mockApi.meterReadings.create).toHaveBeenCalledWith({
+        equipmentId: 1,
+        meterType: 'hours',
+        readingValue: 80,
+        readingDate: '2025-03-04',
+        recordedBy: 'John Doe',
+        notes: 'Saved despite: Lower than the previous reading of 90 on 2025-03-03'
+      });
+    });
+    await waitFor(() => {
+      expect(showToast).toHaveBeenCalledWith('Reading saved; 1 PM work order(s) raised', 'success');
+    });
+  });
+
+  test('saves a reading in line with the history straight away', async () => {
+    render(<MeterReadings equipment={equipment} showToast={showToast} />);
+    await screen.findByTestId('meter-chart');
+
+    fireEvent.change(screen.getByLabelText('Hours Reading'), { target: { value: '98' } });
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2025-03-04' } });
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Save Reading' }));
+
+    await waitFor(() => {
+      expect(mockApi.meterReadings.create).toHaveBeenCalledWith(expect.objectContaining({ readingValue: 98, notes: null }));
+    });
+    expect(mockApi.meterReadings.getByEquipmentId).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports a failed PM check without losing the saved reading', async () => {
+    mockApi.pmSchedules.refreshFromMeters.mockRejectedValue(new Error('Database is busy'));
+    render(<MeterReadings equipment={equipment} showToast={showToast} />);
+    await screen.findByTestId('meter-chart');
+
+    fireEvent.change(screen.getByLabelText('Hours Reading'), { target: { value: '98' } });
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2025-03-04' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Reading' }));
+
+    await waitFor(() => {
+      expect(showToast).toHaveBeenCalledWith('Reading saved, but checking PM schedules failed: Database is busy', 'warning');
+    });
+    expect(mockApi.meterReadings.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,7 +1,14 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 
 const UserContext = createContext();
 
+// Activity is reported to the main process at most this often; keep in step
+// with ACTIVITY_REPORT_INTERVAL_MS in src/database/sessionManager.js
+const ACTIVITY_REPORT_INTERVAL_MS = 60 * 1000;
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel'];
+const SESSION_ENDED_NOTICE = 'Your session has ended. Please sign in again.';
+
 export const useUser = () => {
   const context = useContext(UserContext);
   if (!context) {
@@ -14,136 +21,249 @@ export const UserProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [needsSetup, setNeedsSetup] = useState(false);
+  const [pendingPasswordChange, setPendingPasswordChange] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [isLocked, setIsLocked] = useState(false);
+  const [sessionStatus, setSessionStatus] = useState(null);
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const [storageLocked, setStorageLocked] = useState(false);
+
+  // Permissions are resolved by the main process for the signed-in role
+  const refreshPermissions = useCallback(async () => {
+    try {
+      setPermissions(await window.api.auth.getPermissions());
+    } catch (error) {
+      console.error('Error loading permissions:', error);
+      setPermissions([]);
+    }
+  }, []);
 
-  // Initialize user session on app start
   useEffect(() => {
-    initializeUser();
+    if (currentUser) {
+      refreshPermissions();
+    } else {
+      setPermissions([]);
+    }
+  }, [currentUser, refreshPermissions]);
+
+  // Drops the signed-in state; used once the main process has already ended the session
+  const clearSession = useCallback((notice = null) => {
+    setCurrentUser(null);
+    setIsAuthenticated(false);
+    setPendingPasswordChange(null);
+    setIsLocked(false);
+    setSessionStatus(null);
+    setSessionNotice(notice);
   }, []);
 
-  const initializeUser = async () => {
+  // Applies { locked, idleTimeoutMs, expiresAt } from the main process; null means the session has ended
+  const applySessionStatus = useCallback((status) => {
+    if (!status) {
+      clearSession(SESSION_ENDED_NOTICE);
+      return;
+    }
+    setIsLocked(status.locked);
+    setSessionStatus(status);
+  }, [clearSession]);
+
+  const reportActivity = useCallback(async () => {
+    try {
+      applySessionStatus(await window.api.auth.heartbeat());
+    } catch (error) {
+      console.error('Error reporting activity:', error);
+    }
+  }, [applySessionStatus]);
+
+  // Locks the screen; the app stays mounted underneath so unsaved work survives
+  const lock = useCallback(async (reason = 'manual') => {
+    setIsLocked(true);
+    try {
+      applySessionStatus(await window.api.auth.lock(reason));
+    } catch (error) {
+      console.error('Error locking session:', error);
+      clearSession(SESSION_ENDED_NOTICE);
+    }
+  }, [applySessionStatus, clearSession]);
+
+  const idleTimeoutMs = sessionStatus?.idleTimeoutMs;
+  const expiresAt = sessionStatus?.expiresAt;
+
+  // Locks after the idle timeout and hands expiry to the main process, which ends the session
+  useEffect(() => {
+    if (!isAuthenticated || !idleTimeoutMs) return undefined;
+
+    let lastActivity = Date.now();
+    let lastReport = Date.now();
+
+    const handleActivity = () => {
+      lastActivity = Date.now();
+      if (lastActivity - lastReport >= ACTIVITY_REPORT_INTERVAL_MS) {
+        lastReport = lastActivity;
+        reportActivity();
+      }
+    };
+
+    const checkSession = () => {
+      if (Date.now() >= new Date(expiresAt).getTime()) {
+        reportActivity();
+      } else if (!isLocked && Date.now() - lastActivity >= idleTimeoutMs) {
+        lock('idle');
+      }
+    };
+
+    if (!isLocked) {
+      ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { passive: true }));
+    }
+    const timer = setInterval(checkSession, IDLE_CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity));
+      clearInterval(timer);
+    };
+  }, [isAuthenticated, isLocked, idleTimeoutMs, expiresAt, reportActivity, lock]);
+
+  const initializeUser = useCallback(async () => {
     try {
       setIsLoading(true);
       
-      // Check if there's a stored session
-      const storedUser = localStorage.getItem('currentUser');
-      if (storedUser) {
-        const user = JSON.parse(storedUser);
-        
-        // Verify user still exists and is active
-        const dbUser = await window.api.secureOperation('users', 'getByUsername', { username: user.username });
-        if (dbUser && dbUser.active) {
-          setCurrentUser(dbUser);
-          setIsAuthenticated(true);
-          
-          // Update last login
-          await window.api.secureOperation('users', 'updateLastLogin', { id: dbUser.id });
+      // With encryption enabled and no keychain access, the database stays closed until the passphrase is entered
+      const storageStatus = await window.api.storage.getStatus();
+      setStorageLocked(!storageStatus.unlocked);
+      if (!storageStatus.unlocked) {
+        return;
+      }
+      
+      const setupStatus = await window.api.auth.getSetupStatus();
+      setNeedsSetup(setupStatus.needsSetup);
+      
+      // Resume a session the main process still holds for this window (e.g. after a reload)
+      const session = await window.api.auth.resumeSession();
+      if (session) {
+        if (session.mustChangePassword) {
+          setPendingPasswordChange(session.user);
         } else {
-          // User no longer exists or is inactive, clear session
-          localStorage.removeItem('currentUser');
+          setCurrentUser(session.user);
+          setIsAuthenticated(true);
+          setIsLocked(Boolean(session.locked));
+          reportActivity();
         }
       }
     } catch (error) {
       console.error('Error initializing user session:', error);
-      localStorage.removeItem('currentUser');
     } finally {
       setIsLoading(false);
     }
+  }, [reportActivity]);
+
+  // Initialize user session on app start
+  useEffect(() => {
+    initializeUser();
+  }, [initializeUser]);
+
+  const startSession = (user) => {
+    setCurrentUser(user);
+    setIsAuthenticated(true);
+    setPendingPasswordChange(null);
+    setIsLocked(false);
+    setSessionNotice(null);
+    reportActivity();
   };
 
-  const login = async (username) => {
+  // Authenticates with a password (method 'password') or PIN (method 'pin').
+  // Failed attempts, lockout and the login itself are audited by the main process.
+  const login = async (username, secret, method = 'password') => {
     try {
-      setIsLoading(true);
-      
-      // Get user from database
-      const user = await window.api.secureOperation('users', 'getByUsername', { username });
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
+      const result = method === 'pin'
+        ? await window.api.auth.loginWithPin(username, secret)
+        : await window.api.auth.login(username, secret);
       
-      if (!user.active) {
-        throw new Error('User account is inactive');
+      if (result.mustChangePassword) {
+        // Hold the session until the user replaces their temporary password
+        setPendingPasswordChange(result.user);
+        return result.user;
       }
       
-      // Set user context
-      setCurrentUser(user);
-      setIsAuthenticated(true);
-      
-      // Store session
-      localStorage.setItem('currentUser', JSON.stringify(user));
-      
-      // Update last login
-      await window.api.secureOperation('users', 'updateLastLogin', { id: user.id });
-      
-      // Log the login action
-      await window.api.secureOperation('auditLog', 'create', {
-        userId: user.id,
-        username: user.username,
-        action: 'login',
-        entityType: 'user',
-        entityId: user.id,
-        oldValues: null,
-        newValues: JSON.stringify({ last_login: new Date().toISOString() }),
-        ipAddress: 'localhost', // In Electron app, this would be localhost
-        userAgent: navigator.userAgent
-      });
-      
-      return user;
+      startSession(result.user);
+      return result.user;
     } catch (error) {
       console.error('Login error:', error);
       throw error;
-    } finally {
-      setIsLoading(false);
     }
   };
 
-  const logout = async () => {
+  const setupAdmin = async (username, password) => {
+    await window.api.auth.setupAdmin(username, password);
+    setNeedsSetup(false);
+    
+    // Sign straight in with the new administrator account
+    return login(username, password);
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    const user = pendingPasswordChange || currentUser;
+    if (!user) {
+      throw new Error('No user is signed in');
+    }
+    
+    await window.api.auth.changePassword(currentPassword, newPassword);
+    
+    if (pendingPasswordChange) {
+      startSession({ ...pendingPasswordChange, must_change_password: 0 });
+    }
+  };
+
+  const setPin = async (currentPassword, pin) => {
+    if (!currentUser) {
+      throw new Error('No user is signed in');
+    }
+    return window.api.auth.setPin(currentPassword, pin);
+  };
+
+  const resetUserPassword = async (username, temporaryPassword) => {
+    if (!currentUser) {
+      throw new Error('No user is signed in');
+    }
+    return window.api.auth.resetPassword(username, temporaryPassword);
+  };
+
+  const unlockStorage = async (passphrase) => {
+    await window.api.storage.unlock(passphrase);
+    await initializeUser();
+  };
+
+  // Re-authenticates the signed-in user to dismiss the lock screen
+  const unlock = async (secret, method = 'password') => {
     try {
-      if (currentUser) {
-        // Log the logout action
-        await window.api.secureOperation('auditLog', 'create', {
-          userId: currentUser.id,
-          username: currentUser.username,
-          action: 'logout',
-          entityType: 'user',
-          entityId: currentUser.id,
-          oldValues: null,
-          newValues: null,
-          ipAddress: 'localhost',
-          userAgent: navigator.userAgent
-        });
+      applySessionStatus(await window.api.auth.unlock(secret, method));
+      refreshPermissions();
+    } catch (error) {
+      // Repeated failures lock the account and end the session in the main process
+      const status = await window.api.auth.heartbeat().catch(() => null);
+      if (!status) {
+        clearSession(error.message);
       }
+      throw error;
+    }
+  };
+
+  const logout = async () => {
+    try {
+      // Ends the main-process session; the logout itself is audited there
+      await window.api.auth.logout();
     } catch (error) {
-      console.error('Error logging logout:', error);
+      console.error('Error ending session:', error);
     }
     
     // Clear user context
-    setCurrentUser(null);
-    setIsAuthenticated(false);
-    
-    // Clear stored session
-    localStorage.removeItem('currentUser');
+    clearSession();
   };
 
   const createUser = async (userData) => {
     try {
+      // Creation is audited by the main process
       const newUser = await window.api.secureOperation('users', 'create', userData);
       
-      // Log user creation
-      if (currentUser) {
-        await window.api.secureOperation('auditLog', 'create', {
-          userId: currentUser.id,
-          username: currentUser.username,
-          action: 'create',
-          entityType: 'user',
-          entityId: newUser.lastID,
-          oldValues: null,
-          newValues: JSON.stringify(userData),
-          ipAddress: 'localhost',
-          userAgent: navigator.userAgent
-        });
-      }
-      
       return newUser;
     } catch (error) {
       console.error('Error creating user:', error);
@@ -176,6 +296,9 @@ export const UserProvider = ({ children }) => {
     return userLevel >= requiredLevel;
   };
 
+  // Fine-grained check against a permission key such as 'deficiency.close'
+  const can = (permission) => permissions.includes(permission);
+
   const canEdit = () => hasPermission('inspector');
   const canReview = () => hasPermission('reviewer');
   const canAdmin = () => hasPermission('admin');
@@ -184,11 +307,26 @@ export const UserProvider = ({ children }) => {
     currentUser,
     isLoading,
     isAuthenticated,
+    needsSetup,
+    pendingPasswordChange,
+    isLocked,
+    sessionNotice,
+    storageLocked,
+    unlockStorage,
     login,
     logout,
+    lock,
+    unlock,
+    setupAdmin,
+    changePassword,
+    setPin,
+    resetUserPassword,
     createUser,
     getAllUsers,
     hasPermission,
+    permissions,
+    can,
+    refreshPermissions,
     canEdit,
     canReview,
     canAdmin
@@ -0,0 +1,36 @@
+import { SETTINGS, SETTING_KEYS, isValidSetting, resolveSettings } from '../appSettings';
+
+describe('appSettings', () => {
+  it('should declare unique keys with defaults inside their range', () => {
+    expect(new Set(SETTING_KEYS).size).toBe(SETTINGS.length);
+    SETTINGS.forEach(setting => {
+      expect(isValidSetting(setting.key, setting.defaultValue)).toBe(true);
+    });
+  });
+
+  it('should accept integers within range only', () => {
+    expect(isValidSetting('session.idle_timeout_minutes', '30')).toBe(true);
+    expect(isValidSetting('session.idle_timeout_minutes', '0')).toBe(false);
+    expect(isValidSetting('session.idle_timeout_minutes', '2.5')).toBe(false);
+    expect(isValidSetting('session.idle_timeout_minutes', 'abc')).toBe(false);
+    expect(isValidSetting('session.max_lifetime_hours', '73')).toBe(false);
+    expect(isValidSetting('unknown.setting', '1')).toBe(false);
+  });
+
+  it('should apply stored values over the defaults and ignore invalid ones', () => {
+    const settings = resolveSettings([
+      { key: 'session.idle_timeout_minutes', value: '5' },
+      { key: 'session.max_lifetime_hours', value: '999' }
+    ]);
+
+    expect(settings['session.idle_timeout_minutes']).toBe(5);
+    expect(settings['session.max_lifetime_hours']).toBe(12);
+    expect(resolveSettings()).toEqual({
+      'session.idle_timeout_minutes': 15,
+      'session.max_lifetime_hours': 12,
+      'backup.daily_retention': 7,
+      'backup.weekly_retention': 4,
+      'backup.monthly_retention': 12
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import sqlite3 from 'sqlite3';
+import {
+  collectFilePaths,
+  rewriteFilePaths,
+  isSafeArchivePath,
+  exportArchive,
+  isArchiveFile,
+  extractArchive
+} from '../archiveBackup';
+import { TarWriter, readTar } from '../archive';
+import { EncryptedStorage } from '../encryptedStorage';
+import { RestoreManager } from '../restoreManager';
+
+const PASSPHRASE = 'shop floor passphrase';
+
+const createDeviceCipher = () => ({
+  isAvailable: () => true,
+  encrypt: (text) => Buffer.from(text, 'utf8').reverse(),
+  decrypt: (buffer) => Buffer.from(buffer).reverse().toString('utf8')
+});
+
+const execFile = (filePath, sql) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath);
+  db.exec(sql, (err) => db.close(() => (err ? reject(err) : resolve())));
+});
+
+const queryFile = (filePath, sql) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY);
+  db.all(sql, (err, rows) => db.close(() => (err ? reject(err) : resolve(rows))));
+});
+
+const readEntries = async (filePath) => {
+  const entries = {};
+  await readTar(filePath, async (name, data) => {
+    entries[name] = data;
+  });
+  return entries;
+};
+
+describe('archiveBackup', () => {
+  let root;
+  let userData;
+  let snapshotPath;
+  let documentPath;
+  let certificatePath;
+  let archivePath;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-archive-'));
+    userData = path.join(root, 'old-machine');
+    documentPath = path.join(userData, 'documents', 'EQ-1', 'manual.pdf');
+    certificatePath = path.join(root, 'shared', 'load-test.pdf');
+    snapshotPath = path.join(root, 'snapshot.db');
+    archivePath = path.join(root, 'export.jsgarchive');
+
+    fs.mkdirSync(path.dirname(documentPath), { recursive: true });
+    fs.mkdirSync(path.dirname(certificatePath), { recursive: true });
+    fs.writeFileSync(documentPath, 'manual pages');
+    fs.writeFileSync(certificatePath, 'certificate pages');
+    await execFile(snapshotPath, `
+      CREATE TABLE schema_version (version INTEGER PRIMARY KEY);
+      INSERT INTO schema_version (version) VALUES (10);
+      CREATE TABLE equipment (id INTEGER PRIMARY KEY, equipment_id TEXT);
+      CREATE TABLE inspections (id INTEGER PRIMARY KEY, equipment_id INTEGER);
+      CREATE TABLE documents (id INTEGER PRIMARY KEY, file_path TEXT);
+      CREATE TABLE load_tests (id INTEGER PRIMARY KEY, certificate_path TEXT);
+      INSERT INTO equipment (equipment_id) VALUES ('EQ-1');
+      INSERT INTO documents (file_path) VALUES ('${documentPath}');
+      INSERT INTO load_tests (certificate_path) VALUES ('${certificatePath}'), ('${path.join(root, 'gone.pdf')}'), (NULL);
+    `);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should round-trip tar entries, including names longer than 100 bytes', async () => {
+    const longName = `documents/${'a'.repeat(120)}/report.pdf`;
+    const writer = new TarWriter(archivePath);
+    await writer.addFile('database.db', Buffer.from('db'));
+    await writer.addFile(longName, Buffer.alloc(1500, 7));
+    await writer.close();
+
+    const entries = await readEntries(archivePath);
+    expect(Object.keys(entries)).toEqual(['database.db', longName]);
+    expect(entries[longName].equals(Buffer.alloc(1500, 7))).toBe(true);
+    expect(await isArchiveFile(archivePath)).toBe(true);
+    expect(await isArchiveFile(snapshotPath)).toBe(false);
+  });
+
+  it('should report a truncated archive', async () => {
+    const writer = new TarWriter(archivePath);
+    await writer.addFile('database.db', Buffer.alloc(4096, 1));
+    await writer.close();
+    const tar = zlib.gunzipSync(fs.readFileSync(archivePath));
+    fs.writeFileSync(archivePath, zlib.gzipSync(tar.subarray(0, 2048)));
+
+    await expect(readEntries(archivePath)).rejects.toThrow('The archive is incomplete');
+  });
+
+  it('should only accept entry names inside the staging folder', () => {
+    expect(isSafeArchivePath('manifest.json')).toBe(true);
+    expect(isSafeArchivePath('documents/EQ-1/manual.pdf')).toBe(true);
+    expect(isSafeArchivePath('certificates/2-load-test.pdf')).toBe(true);
+    expect(isSafeArchivePath('documents/../database.db')).toBe(false);
+    expect(isSafeArchivePath('/etc/passwd')).toBe(false);
+    expect(isSafeArchivePath('documents//x')).toBe(false);
+    expect(isSafeArchivePath('documents/C:\\x')).toBe(false);
+    expect(isSafeArchivePath('settings.json')).toBe(false);
+    expect(isSafeArchivePath('documents')).toBe(false);
+  });
+
+  it('should collect and rewrite stored file paths', async () => {
+    expect((await collectFilePaths(snapshotPath)).sort()).toEqual([certificatePath, documentPath, path.join(root, 'gone.pdf')].sort());
+
+    expect(await rewriteFilePaths(snapshotPath, { [documentPath]: '/new/manual.pdf' })).toBe(1);
+    expect(await queryFile(snapshotPath, 'SELECT file_path FROM documents')).toEqual([{ file_path: '/new/manual.pdf' }]);
+  });
+
+  it('should export the database, documents and certificates with a manifest', async () => {
+    const storage = new EncryptedStorage(userData, { isAvailable: () => false });
+    await storage.load();
+
+    const result = await exportArchive({ snapshotPath, userDataPath: userData, destinationPath: archivePath, storage, schemaVersion: 10, appVersion: '1.0.0' });
+    expect(result).toEqual({ files: 2, missing: [path.join(root, 'gone.pdf')], encrypted: false });
+
+    const entries = await readEntries(archivePath);
+    expect(Object.keys(entries)).toEqual(['database.db', 'documents/EQ-1/manual.pdf', 'certificates/2-load-test.pdf', 'manifest.json']);
+    const manifest = JSON.parse(entries['manifest.json']);
+    expect(manifest).toMatchObject({ format: 'jsg-inspections-archive', version: 1, schemaVersion: 10, encryption: null });
+    expect(manifest.files.map(file => file.originalPath)).toEqual([documentPath, certificatePath]);
+
+    const extracted = await extractArchive(archivePath, path.join(root, 'staging'));
+    expect(fs.readFileSync(extracted.files[1].stagedPath, 'utf8')).toBe('certificate pages');
+  });
+
+  it('should refuse an archive whose files do not match the manifest', async () => {
+    const storage = new EncryptedStorage(userData, { isAvailable: () => false });
+    await storage.load();
+    await exportArchive({ snapshotPath, userDataPath: userData, destinationPath: archivePath, storage, schemaVersion: 10, appVersion: '1.0.0' });
+
+    const entries = await readEntries(archivePath);
+    const writer = new TarWriter(archivePath);
+    for (const [name, data] of Object.entries(entries)) {
+      await writer.addFile(name, name === 'documents/EQ-1/manual.pdf' ? Buffer.from('tampered') : data);
+    }
+    await writer.close();
+
+    await expect(extractArchive(archivePath, path.join(root, 'staging'))).rejects.toThrow(/manual\.pdf does not match its SHA-256/);
+  });
+
+  it('should encrypt every entry while encryption is enabled and need the passphrase to extract', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+
+    const result = await exportArchive({ snapshotPath, userDataPath: userData, destinationPath: archivePath, storage, schemaVersion: 10, appVersion: '1.0.0' });
+    expect(result.encrypted).toBe(true);
+    expect((await readEntries(archivePath))['documents/EQ-1/manual.pdf'].toString()).not.toContain('manual pages');
+
+    await expect(extractArchive(archivePath, path.join(root, 'staging'))).rejects.toThrow(/encrypted/);
+    const extracted = await extractArchive(archivePath, path.join(root, 'staging-2'), PASSPHRASE);
+    expect(fs.readFileSync(extracted.files[0].stagedPath, 'utf8')).toBe('manual pages');
+  });
+
+  it('should place archived files on another machine and relink them when restoring', async () => {
+    const oldStorage = new EncryptedStorage(userData, { isAvailable: () => false });
+    await oldStorage.load();
+    await exportArchive({ snapshotPath, userDataPath: userData, destinationPath: archivePath, storage: oldStorage, schemaVersion: 10, appVersion: '1.0.0' });
+
+    const newUserData = path.join(root, 'new-machine');
+    const existingPath = path.join(newUserData, 'documents', 'EQ-1', 'manual.pdf');
+    fs.mkdirSync(path.dirname(existingPath), { recursive: true });
+    fs.writeFileSync(existingPath, 'a different manual');
+    fs.writeFileSync(path.join(newUserData, 'database.db'), 'live database');
+    const storage = new EncryptedStorage(newUserData, { isAvailable: () => false });
+    await storage.load();
+    const manager = new RestoreManager({ userDataPath: newUserData, storage, currentSchemaVersion: 10, migrateFile: jest.fn() });
+
+    const preview = await manager.stageArchive(archivePath, undefined, { source: 'export.jsgarchive', owner: 'token' });
+    expect(preview).toMatchObject({ compatible: true, archive: { fileCount: 2, missing: [path.join(root, 'gone.pdf')] } });
+
+    await manager.prepare('token');
+    const restoredManual = path.join(newUserData, 'documents', 'EQ-1', 'manual (restored).pdf');
+    const restoredCertificate = path.join(newUserData, 'certificates', '2-load-test.pdf');
+    expect(fs.readFileSync(existingPath, 'utf8')).toBe('a different manual');
+    expect(fs.readFileSync(restoredManual, 'utf8')).toBe('manual pages');
+    expect(fs.readFileSync(restoredCertificate, 'utf8')).toBe('certificate pages');
+    expect(await queryFile(manager.candidatePath, 'SELECT file_path FROM documents')).toEqual([{ file_path: restoredManual }]);
+    expect((await queryFile(manager.candidatePath, 'SELECT certificate_path FROM load_tests ORDER BY id'))[0]).toEqual({ certificate_path: restoredCertificate });
+
+    await manager.install({ undo: null });
+    expect(fs.existsSync(manager.archiveStagingPath)).toBe(false);
+    expect(await queryFile(path.join(newUserData, 'database.db'), 'SELECT COUNT(*) AS count FROM equipment')).toEqual([{ count: 1 }]);
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  diffAuditImages,
+  buildWriteAuditEntry,
+  computeAuditHash,
+  verifyAuditChain,
+  GENESIS_HASH
+} from '../auditLogger';
+
+// Minimal stand-in for a sqlite3 connection that streams the given rows through db.each
+const createRowSource = (rows) => ({
+  each: (sql, onRow, onComplete) => {
+    rows.forEach(row => onRow(null, row));
+    onComplete(null, rows.length);
+  }
+});
+
+const buildChain = (entries) => {
+  let prevHash = GENESIS_HASH;
+  return entries.map((entry, index) => {
+    const row = { id: index + 1, timestamp: '2024-05-01 10:00:00', ...entry, prev_hash: prevHash };
+    row.row_hash = computeAuditHash(row, prevHash);
+    prevHash = row.row_hash;
+    return row;
+  });
+};
+
+describe('auditLogger', () => {
+  describe('diffAuditImages', () => {
+    it('should return only the fields that changed, with their new values', () => {
+      const before = { id: 4, status: 'open', severity: 'major', closed_at: null };
+      const after = { id: 4, status: 'closed', severity: 'major', closed_at: '2024-05-01 10:00:00' };
+
+      expect(diffAuditImages(before, after)).toEqual({ status: 'closed', closed_at: '2024-05-01 10:00:00' });
+      expect(diffAuditImages(before, { ...before })).toEqual({});
+    });
+  });
+
+  describe('buildWriteAuditEntry', () => {
+    const target = { entityType: 'deficiency', table: 'deficiencies', statement: 'UPDATE' };
+
+    it('should record inserts with the new row as the after-image', () => {
+      const row = { id: 12, status: 'open' };
+      const entry = buildWriteAuditEntry({ ...target, statement: 'INSERT' }, {}, null, row, 12);
+
+      expect(entry).toEqual({ action: 'create', entityType: 'deficiency', entityId: 12, oldValues: null, newValues: row });
+    });
+
+    it('should record updates as a before-image plus a diff', () => {
+      const before = { id: 3, status: 'verified' };
+      const entry = buildWriteAuditEntry({ ...target, action: 'close' }, { id: 3 }, before, { id: 3, status: 'closed' }, 0);
+
+      expect(entry).toEqual({
+        action: 'close',
+        entityType: 'deficiency',
+        entityId: 3,
+        oldValues: before,
+        newValues: { status: 'closed' }
+      });
+    });
+
+    it('should record deletes with no after-image', () => {
+      const before = { id: 8, status: 'open' };
+      const entry = buildWriteAuditEntry({ ...target, statement: 'DELETE' }, { id: 8 }, before, null, 0);
+
+      expect(entry.action).toBe('delete');
+      expect(entry.oldValues).toBe(before);
+      expect(entry.newValues).toBeNull();
+    });
+
+    it('should take the entity id from the declared parameter when set', () => {
+      const assignTarget = { entityType: 'compliance_standard', statement: 'INSERT', entityIdParam: 'standardId', action: 'assign' };
+      const entry = buildWriteAuditEntry(assignTarget, { standardId: 5 }, null, { equipment_type: 'Hoist', standard_id: 5 }, 31);
+
+      expect(entry.entityId).toBe(5);
+      expect(entry.action).toBe('assign');
+    });
+  });
+
+  describe('computeAuditHash', () => {
+    it('should depend on both the row content and the previous hash', () => {
+      const row = { username: 'admin', action: 'login', entity_type: 'user', entity_id: 1 };
+      const hash = computeAuditHash(row, GENESIS_HASH);
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(computeAuditHash({ ...row }, GENESIS_HASH)).toBe(hash);
+      expect(computeAuditHash({ ...row, action: 'logout' }, GENESIS_HASH)).not.toBe(hash);
+      expect(computeAuditHash(row, hash)).not.toBe(hash);
+    });
+  });
+
+  describe('verifyAuditChain', () => {
+    const entries = [
+      { username: 'admin', action: 'login', entity_type: 'user', entity_id: 1 },
+      { username: 'admin', action: 'create', entity_type: 'equipment', entity_id: 4, new_values: '{"id":4}' },
+      { username: 'jdoe', action: 'close', entity_type: 'deficiency', entity_id: 9, new_values: '{"status":"closed"}' }
+    ];
+
+    it('should accept an intact chain', async () => {
+      const rows = buildChain(entries);
+      await expect(verifyAuditChain(createRowSource(rows))).resolves.toEqual({
+        valid: true,
+        totalRows: 3,
+        firstBrokenLink: null,
+        headHash: rows[2].row_hash
+      });
+    });
+
+    it('should report an edited row', async () => {
+      const rows = buildChain(entries);
+      rows[1].username = 'mallory';
+
+      const result = await verifyAuditChain(createRowSource(rows));
+      expect(result.valid).toBe(false);
+      expect(result.firstBrokenLink).toEqual({ id: 2, reason: 'content_mismatch' });
+    });
+
+    it('should report the row after a deleted one', async () => {
+      const rows = buildChain(entries);
+      rows.splice(1, 1);
+
+      const result = await verifyAuditChain(createRowSource(rows));
+      expect(result.firstBrokenLink).toEqual({ id: 3, reason: 'previous_hash_mismatch' });
+    });
+  });
+});
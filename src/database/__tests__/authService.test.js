@@ -0,0 +1,110 @@
+import sqlite3 from 'sqlite3';
+import { TABLES } from '../schema';
+import { createTableSql } from '../schemaBuilder';
+import {
+  AuthService,
+  hashSecret,
+  verifySecret,
+  validatePassword,
+  validatePin,
+  sanitizeUser
+} from '../authService';
+
+describe('authService', () => {
+  describe('hashSecret / verifySecret', () => {
+    it('should produce salted hashes that verify against the original secret', async () => {
+      const first = await hashSecret('Crane2024!');
+      const second = await hashSecret('Crane2024!');
+
+      expect(first).toMatch(/^scrypt\$16384\$8\$1\$/);
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('Crane2024!');
+      await expect(verifySecret('Crane2024!', first)).resolves.toBe(true);
+      await expect(verifySecret('Crane2024!', second)).resolves.toBe(true);
+    });
+
+    it('should reject wrong secrets and malformed hashes', async () => {
+      const hash = await hashSecret('1234');
+
+      await expect(verifySecret('4321', hash)).resolves.toBe(false);
+      await expect(verifySecret('1234', null)).resolves.toBe(false);
+      await expect(verifySecret('1234', 'md5$abc')).resolves.toBe(false);
+      await expect(verifySecret('', hash)).resolves.toBe(false);
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('should require length and a mix of letters and numbers', () => {
+      expect(validatePassword('')).toBe('Password is required');
+      expect(validatePassword('abc1')).toMatch(/at least 8 characters/);
+      expect(validatePassword('abcdefgh')).toMatch(/letters and numbers/);
+      expect(validatePassword('12345678')).toMatch(/letters and numbers/);
+      expect(validatePassword('hoist2024')).toBeNull();
+    });
+  });
+
+  describe('validatePin', () => {
+    it('should accept 4 to 8 digit strings only', () => {
+      expect(validatePin('1234')).toBe(true);
+      expect(validatePin('12345678')).toBe(true);
+      expect(validatePin('123')).toBe(false);
+      expect(validatePin('123456789')).toBe(false);
+      expect(validatePin('12a4')).toBe(false);
+      expect(validatePin(1234)).toBe(false);
+    });
+  });
+
+  describe('sanitizeUser', () => {
+    it('should strip credential and lockout columns', () => {
+      const user = sanitizeUser({
+        id: 1,
+        username: 'admin',
+        role: 'admin',
+        password_hash: 'scrypt$...',
+        pin_hash: 'scrypt$...',
+        failed_login_attempts: 2,
+        locked_until: null
+      });
+
+      expect(user).toEqual({ id: 1, username: 'admin', role: 'admin' });
+      expect(sanitizeUser(null)).toBeNull();
+    });
+  });
+
+  describe('resetPassword', () => {
+    // A reviewer holding user.manage, as the main process would resolve it from the matrix
+    const rolePermissions = { admin: ['user.manage'], reviewer: ['user.manage'] };
+    let db;
+    let authService;
+
+    beforeEach(async () => {
+      db = new sqlite3.Database(':memory:');
+      await new Promise((resolve, reject) => db.exec(
+        [...['users', 'audit_log'].map(name => createTableSql(TABLES.find(table => table.name === name))),
+          `INSERT INTO users (id, username, full_name, role) VALUES
+             (1, 'admin', 'Admin', 'admin'), (2, 'rev', 'Rev', 'reviewer'), (3, 'insp', 'Insp', 'inspector'), (4, 'admin2', 'Admin 2', 'admin')`
+        ].join(';\n'),
+        (err) => (err ? reject(err) : resolve())
+      ));
+      authService = new AuthService(db);
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => db.close(() => resolve()));
+    });
+
+    it("should let only administrators reset an administrator's password", async () => {
+      await expect(authService.resetPassword({ actorId: 2, rolePermissions, username: 'admin2', temporaryPassword: 'Temp1234' }))
+        .rejects.toThrow('only administrators');
+      await expect(authService.resetPassword({ actorId: 2, rolePermissions, username: 'insp', temporaryPassword: 'Temp1234' }))
+        .resolves.toEqual({ success: true });
+      await expect(authService.resetPassword({ actorId: 1, rolePermissions, username: 'admin2', temporaryPassword: 'Temp1234' }))
+        .resolves.toEqual({ success: true });
+    });
+
+    it('should require user.manage from the permission matrix', async () => {
+      await expect(authService.resetPassword({ actorId: 2, rolePermissions: { reviewer: [] }, username: 'insp', temporaryPassword: 'Temp1234' }))
+        .rejects.toThrow('requires the user.manage permission');
+    });
+  });
+});
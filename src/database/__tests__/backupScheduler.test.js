@@ -0,0 +1,146 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { getPeriodKey, getDueTiers, selectBackupsToPrune, BackupScheduler } from '../backupScheduler';
+import { EncryptedStorage } from '../encryptedStorage';
+
+const RETENTION = { daily: 7, weekly: 4, monthly: 12 };
+
+const backup = (createdAt, tiers) => ({ fileName: `backup-${createdAt}.db`, createdAt, tiers });
+
+const openDatabase = (filePath) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath, (err) => (err ? reject(err) : resolve(db)));
+});
+
+const exec = (db, sql) => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+
+describe('backupScheduler', () => {
+  describe('getPeriodKey', () => {
+    it('should name days, weeks by their Monday, and months', () => {
+      const sunday = new Date(2026, 2, 15, 23, 30);
+      expect(getPeriodKey('daily', sunday)).toBe('2026-03-15');
+      expect(getPeriodKey('weekly', sunday)).toBe('2026-03-09');
+      expect(getPeriodKey('weekly', new Date(2026, 2, 16))).toBe('2026-03-16');
+      expect(getPeriodKey('monthly', sunday)).toBe('2026-03');
+    });
+  });
+
+  describe('getDueTiers', () => {
+    it('should be due for every tier without a backup in the current period', () => {
+      const now = new Date(2026, 2, 18, 9);
+      expect(getDueTiers([], RETENTION, now)).toEqual(['daily', 'weekly', 'monthly']);
+
+      const backups = [backup(new Date(2026, 2, 17, 9).toISOString(), ['daily', 'weekly', 'monthly'])];
+      expect(getDueTiers(backups, RETENTION, now)).toEqual(['daily']);
+    });
+
+    it('should skip tiers whose retention is zero', () => {
+      expect(getDueTiers([], { daily: 0, weekly: 4, monthly: 0 }, new Date())).toEqual(['weekly']);
+    });
+  });
+
+  describe('selectBackupsToPrune', () => {
+    it('should keep a backup while any of its tiers still keeps it', () => {
+      const backups = [
+        backup('2026-03-18T09:00:00.000Z', ['daily']),
+        backup('2026-03-17T09:00:00.000Z', ['daily']),
+        backup('2026-03-16T09:00:00.000Z', ['daily', 'weekly']),
+        backup('2026-03-09T09:00:00.000Z', ['daily', 'weekly']),
+        backup('2026-03-01T09:00:00.000Z', ['daily', 'weekly', 'monthly'])
+      ];
+
+      const pruned = selectBackupsToPrune(backups, { daily: 2, weekly: 1, monthly: 1 });
+
+      expect(pruned.map(b => b.createdAt)).toEqual(['2026-03-09T09:00:00.000Z']);
+    });
+
+    it('should prune a whole tier when its retention drops to zero', () => {
+      const backups = [backup('2026-03-18T09:00:00.000Z', ['weekly'])];
+      expect(selectBackupsToPrune(backups, { daily: 7, weekly: 0, monthly: 12 })).toHaveLength(1);
+    });
+  });
+
+  describe('BackupScheduler', () => {
+    let userData;
+    let db;
+    let storage;
+
+    beforeEach(async () => {
+      userData = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-backups-'));
+      db = await openDatabase(path.join(userData, 'database.db'));
+      await exec(db, `
+        CREATE TABLE schema_version (version INTEGER PRIMARY KEY);
+        INSERT INTO schema_version (version) VALUES (10);
+        CREATE TABLE equipment (id INTEGER PRIMARY KEY, name TEXT);
+        INSERT INTO equipment (name) VALUES ('Crane 1'), ('Hoist 2');
+      `);
+      storage = new EncryptedStorage(userData, { isAvailable: () => false });
+      await storage.load();
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => db.close(resolve));
+      fs.rmSync(userData, { recursive: true, force: true });
+    });
+
+    const createScheduler = (retention = RETENTION) => new BackupScheduler({
+      directory: path.join(userData, 'backups', 'scheduled'),
+      storage,
+      getDatabase: () => db,
+      getRetention: async () => retention,
+      appVersion: '1.0.0'
+    });
+
+    it('should take a verified backup with a manifest once per period', async () => {
+      const scheduler = createScheduler();
+      const now = new Date(2026, 2, 18, 9);
+
+      const manifest = await scheduler.runDueBackups(now);
+
+      expect(manifest).toMatchObject({ tiers: ['daily', 'weekly', 'monthly'], schemaVersion: 10, integrityCheck: 'ok', encrypted: false });
+      expect(manifest.sha256).toMatch(/^[0-9a-f]{64}$/);
+      expect(await scheduler.runDueBackups(new Date(2026, 2, 18, 15))).toBeNull();
+      expect(await scheduler.verify(manifest.fileName)).toEqual({ ok: true, errors: [], schemaVersion: 10 });
+
+      const copy = await openDatabase(path.join(userData, 'backups', 'scheduled', manifest.fileName));
+      const rows = await new Promise((resolve, reject) => copy.all('SELECT name FROM equipment', (err, r) => (err ? reject(err) : resolve(r))));
+      await new Promise(resolve => copy.close(resolve));
+      expect(rows.map(row => row.name)).toEqual(['Crane 1', 'Hoist 2']);
+    });
+
+    it('should apply retention after each run', async () => {
+      const scheduler = createScheduler({ daily: 2, weekly: 0, monthly: 0 });
+
+      for (let day = 10; day <= 13; day++) {
+        await scheduler.runDueBackups(new Date(2026, 2, day, 9));
+      }
+
+      const kept = await scheduler.list();
+      expect(kept.map(b => new Date(b.createdAt).getDate())).toEqual([13, 12]);
+      expect(fs.readdirSync(path.join(userData, 'backups', 'scheduled'))).toHaveLength(4);
+    });
+
+    it('should report a backup that no longer matches its manifest', async () => {
+      const scheduler = createScheduler();
+      const manifest = await scheduler.runDueBackups(new Date(2026, 2, 18, 9));
+      fs.appendFileSync(path.join(userData, 'backups', 'scheduled', manifest.fileName), 'tampered');
+
+      const result = await scheduler.verify(manifest.fileName);
+
+      expect(result.ok).toBe(false);
+      expect(result.errors[0]).toMatch(/SHA-256/);
+    });
+
+    it('should skip runs while no database is open', async () => {
+      const scheduler = new BackupScheduler({
+        directory: path.join(userData, 'backups', 'scheduled'),
+        storage,
+        getDatabase: () => null,
+        getRetention: async () => RETENTION
+      });
+
+      expect(await scheduler.runDueBackups()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { computeDueDates, reconcileSchedule, refreshComplianceSchedule } from '../complianceScheduler';
+
+const input = (overrides) => ({
+  equipment_id: 1,
+  equipment_identifier: 'CR-001',
+  installation_date: '2024-06-01',
+  standard_id: 1,
+  standard_name: 'OSHA',
+  clause: '1910.179(j)',
+  inspection_frequency_days: null,
+  load_test_frequency_days: null,
+  last_inspection_date: null,
+  last_load_test_date: null,
+  ...overrides
+});
+
+describe('complianceScheduler', () => {
+  describe('computeDueDates', () => {
+    it('should count from the last completion under the strictest standard', () => {
+      const due = computeDueDates([
+        input({ standard_id: 1, inspection_frequency_days: 365, last_inspection_date: '2025-01-10' }),
+        input({ standard_id: 2, standard_name: 'ASME B30.2', clause: null, inspection_frequency_days: 30, last_inspection_date: '2025-01-10' })
+      ], '2025-03-01');
+
+      expect(due).toEqual([{
+        equipmentId: 1,
+        equipmentIdentifier: 'CR-001',
+        scheduleType: 'inspection',
+        standardId: 2,
+        dueDate: '2025-02-09',
+        reason: 'Every 30 days per ASME B30.2 (the most frequent of 2 assigned standards); last inspection on 2025-01-10'
+      }]);
+    });
+
+    it('should fall back to the installation date, then to today', () => {
+      const due = computeDueDates([
+        input({ load_test_frequency_days: 365 }),
+        input({ equipment_id: 2, equipment_identifier: 'CR-002', installation_date: null, inspection_frequency_days: 90 })
+      ], '2025-03-01');
+
+      expect(due.map(item => [item.equipmentId, item.scheduleType, item.dueDate, item.reason])).toEqual([
+        [1, 'load_test', '2025-06-01', 'Every 365 days per OSHA 1910.179(j); no passed load test on record, counted from installation on 2024-06-01'],
+        [2, 'inspection', '2025-03-01', 'Every 90 days per OSHA 1910.179(j); no inspection or installation date on record, so it is due now']
+      ]);
+    });
+  });
+
+  describe('reconcileSchedule', () => {
+    const due = [
+      { equipmentId: 1, scheduleType: 'inspection', standardId: 2, dueDate: '2025-02-09', reason: 'Every 30 days' },
+      { equipmentId: 1, scheduleType: 'load_test', standardId: 1, dueDate: '2025-06-01', reason: 'Every 365 days' }
+    ];
+    const row = (overrides) => ({
+      id: 1, equipment_id: 1, scheduled_date: '2025-02-09', status: 'scheduled', schedule_type: 'inspection',
+      source: 'compliance', standard_id: 2, due_reason: 'Every 30 days', ...overrides
+    });
+
+    it('should create missing rows and move stale ones', () => {
+      expect(reconcileSchedule(due, [row({ scheduled_date: '2025-01-01' })])).toEqual({
+        create: [{ equipmentId: 1, scheduleType: 'load_test', standardId: 1, scheduledDate: '2025-06-01', dueReason: 'Every 365 days' }],
+        update: [{ id: 1, standardId: 2, scheduledDate: '2025-02-09', dueReason: 'Every 30 days' }],
+        remove: []
+      });
+    });
+
+    it('should leave manual, started and current rows alone', () => {
+      const plan = reconcileSchedule(due, [
+        row({ id: 1, source: 'manual', scheduled_date: '2025-02-01' }),
+        row({ id: 2 }),
+        row({ id: 3, schedule_type: 'load_test', status: 'in_progress', scheduled_date: '2025-05-01' })
+      ]);
+      expect(plan).toEqual({ create: [], update: [], remove: [2] });
+
+      expect(reconcileSchedule(due.slice(0, 1), [row({ id: 2 }), row({ id: 3 })])).toEqual({ create: [], update: [], remove: [3] });
+    });
+
+    it('should remove rows whose standards no longer apply', () => {
+      expect(reconcileSchedule([], [row({ id: 4 }), row({ id: 5, source: 'manual' })])).toEqual({ create: [], update: [], remove: [4] });
+    });
+  });
+
+  describe('refreshComplianceSchedule', () => {
+    it('should apply the plan in one batch and report counts', async () => {
+      const execute = jest.fn((category, operation) => Promise.resolve({
+        getComplianceInputs: [input({ inspection_frequency_days: 30, last_inspection_date: '2025-01-10' })],
+        getOpen: [],
+        applyCompliancePlan: { createdIds: [9], updated: 0, removed: 0 }
+      }[operation]));
+
+      await expect(refreshComplianceSchedule(execute, { today: '2025-03-01' }))
+        .resolves.toEqual({ due: 1, created: 1, updated: 0, removed: 0 });
+      expect(execute).toHaveBeenLastCalledWith('scheduledInspections', 'applyCompliancePlan', {
+        create: [expect.objectContaining({ equipmentId: 1, scheduledDate: '2025-02-09', scheduleType: 'inspection' })],
+        update: [],
+        remove: []
+      });
+    });
+
+    it('should not write when the schedule is already current', async () => {
+      const execute = jest.fn().mockResolvedValue([]);
+      await expect(refreshComplianceSchedule(execute, { today: '2025-03-01' }))
+        .resolves.toEqual({ due: 0, created: 0, updated: 0, removed: 0 });
+      expect(execute).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import MigrationManager from '../migrationManager';
+import { SCHEMA_VERSION } from '../schema';
+import { baseTableStatements, generateMigration } from '../schemaBuilder';
+import { getDatabaseHealth, runMaintenance } from '../databaseHealth';
+
+const exec = (db, sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const migrations = {};
+for (let version = 1; version <= SCHEMA_VERSION; version++) {
+  migrations[version] = generateMigration(version, { description: `schema version ${version}` });
+}
+
+describe('databaseHealth', () => {
+  let directory;
+  let filePath;
+  let db;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-health-'));
+    filePath = path.join(directory, 'database.db');
+    db = await new Promise((resolve, reject) => {
+      const opened = new sqlite3.Database(filePath, (err) => (err ? reject(err) : resolve(opened)));
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await exec(db, baseTableStatements().join(';\n'));
+    await new MigrationManager(null, { dataDirectory: directory }).migrateTo(db, migrations, SCHEMA_VERSION, { backup: false });
+    await exec(db, `
+      INSERT INTO equipment (equipment_id, type) VALUES ('EQ-1', 'crane');
+      INSERT INTO inspections (equipment_id, inspector) VALUES (1, 'Alex');
+      INSERT INTO inspection_items (inspection_id, item_text) VALUES (1, 'Hook latch');
+      INSERT INTO deficiencies (equipment_id, severity, description) VALUES (1, 'minor', 'Worn latch');
+    `);
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await new Promise(resolve => db.close(() => resolve()));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should report a healthy database with row counts and the indexes each query uses', async () => {
+    const health = await getDatabaseHealth(db, {
+      filePath,
+      statements: [{ name: 'deficiencies.getOpen', sql: "SELECT * FROM deficiencies WHERE status = 'open'" }]
+    });
+
+    expect(health.integrity).toEqual({ ok: true, messages: [] });
+    expect(health.foreignKeys).toEqual({ ok: true, violations: [] });
+    expect(health.orphans).toEqual([]);
+    expect(health.storage).toMatchObject({ journalMode: 'delete', walSize: 0 });
+    expect(health.storage.size).toBe(health.storage.pageCount * health.storage.pageSize);
+    expect(health.tables).toContainEqual({ table: 'inspection_items', rows: 1 });
+    expect(health.indexes.find(index => index.name === 'idx_deficiencies_status'))
+      .toEqual({ name: 'idx_deficiencies_status', table: 'deficiencies', columns: ['status'], usedBy: ['deficiencies.getOpen'], stat: null });
+    expect(health.indexes.find(index => index.name === 'idx_equipment_site').usedBy).toEqual([]);
+  });
+
+  it('should find foreign key violations and rows pointing at deleted records', async () => {
+    await exec(db, `
+      PRAGMA foreign_keys = OFF;
+      INSERT INTO inspection_items (inspection_id, item_text) VALUES (99, 'Wire rope');
+      INSERT INTO signatures (entity_type, entity_id, signature_type, signatory_name, signature_data)
+        VALUES ('inspection', 1, 'inspector', 'Alex', 'data'), ('deficiency', 42, 'verification', 'Sam', 'data');
+      UPDATE deficiencies SET work_order_id = 7;
+    `);
+
+    const health = await getDatabaseHealth(db, { filePath });
+    expect(health.foreignKeys).toEqual({
+      ok: false,
+      violations: [{ table: 'inspection_items', parent: 'inspections', count: 1, rowIds: [2] }]
+    });
+    expect(health.orphans).toEqual([
+      { table: 'inspection_items', description: 'Inspection items whose inspection was deleted', count: 1, rowIds: [2] },
+      { table: 'signatures', description: 'Signatures on a deleted deficiency', count: 1, rowIds: [2] },
+      { table: 'deficiencies', description: 'Deficiencies linked to a deleted work order', count: 1, rowIds: [1] }
+    ]);
+  });
+
+  it('should run ANALYZE and VACUUM and reject other statements', async () => {
+    await runMaintenance(db, 'analyze', { filePath });
+    const health = await getDatabaseHealth(db, { filePath });
+    expect(health.indexes.find(index => index.name === 'idx_deficiencies_status').stat).toBe('1 1');
+
+    const rows = Array.from({ length: 400 }, (_, i) => `('EQ-${i + 2}', '${'x'.repeat(200)}')`).join(', ');
+    await exec(db, `INSERT INTO equipment (equipment_id, location) VALUES ${rows}; DELETE FROM equipment WHERE id > 1;`);
+    const result = await runMaintenance(db, 'vacuum', { filePath });
+    expect(result).toMatchObject({ action: 'vacuum' });
+    expect(result.sizeAfter).toBeLessThan(result.sizeBefore);
+
+    await expect(runMaintenance(db, 'DROP TABLE equipment', { filePath })).rejects.toThrow('Unknown maintenance action');
+  });
+});
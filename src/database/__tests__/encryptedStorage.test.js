@@ -0,0 +1,138 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EncryptedStorage, detectBackupFormat } from '../encryptedStorage';
+import { isEncryptedBuffer, readKeyId } from '../encryption';
+
+const PASSPHRASE = 'shop floor passphrase';
+const SQLITE_IMAGE = Buffer.concat([Buffer.from('SQLite format 3\0', 'ascii'), Buffer.from('pages')]);
+
+// Stands in for the operating system keychain
+const createDeviceCipher = (available = true) => ({
+  isAvailable: () => available,
+  encrypt: (text) => Buffer.from(text, 'utf8').reverse(),
+  decrypt: (buffer) => Buffer.from(buffer).reverse().toString('utf8')
+});
+
+describe('EncryptedStorage', () => {
+  let userData;
+  let documentPath;
+
+  beforeEach(() => {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-storage-'));
+    fs.mkdirSync(path.join(userData, 'documents', 'EQ-1'), { recursive: true });
+    documentPath = path.join(userData, 'documents', 'EQ-1', 'photo.jpg');
+    fs.writeFileSync(documentPath, 'jpeg bytes');
+    fs.writeFileSync(path.join(userData, 'database.db'), SQLITE_IMAGE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(userData, { recursive: true, force: true });
+  });
+
+  it('should encrypt managed files on enable and read them back', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    expect(await storage.load()).toBe(true);
+
+    const { filesEncrypted } = await storage.enable(PASSPHRASE);
+    expect(filesEncrypted).toBe(1);
+    expect(isEncryptedBuffer(fs.readFileSync(documentPath))).toBe(true);
+    expect((await storage.readFile(documentPath)).toString()).toBe('jpeg bytes');
+  });
+
+  it('should seal the database on close and reopen it with the device key', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+    await storage.sealDatabase();
+
+    expect(fs.existsSync(path.join(userData, 'database.db'))).toBe(false);
+
+    const restarted = new EncryptedStorage(userData, createDeviceCipher());
+    expect(await restarted.load()).toBe(true);
+    await restarted.openDatabase();
+    expect(fs.readFileSync(path.join(userData, 'database.db')).equals(SQLITE_IMAGE)).toBe(true);
+  });
+
+  it('should need the passphrase when the device key is unavailable', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+
+    const moved = new EncryptedStorage(userData, createDeviceCipher(false));
+    expect(await moved.load()).toBe(false);
+    await expect(moved.openDatabase()).rejects.toThrow('locked');
+    await expect(moved.unlock('not the passphrase')).rejects.toThrow('Incorrect passphrase');
+    await moved.unlock(PASSPHRASE);
+    expect(moved.isUnlocked()).toBe(true);
+  });
+
+  it('should refuse unlocking for a while after repeated incorrect passphrases', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+
+    const moved = new EncryptedStorage(userData, createDeviceCipher(false));
+    await moved.load();
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await expect(moved.unlock('not the passphrase')).rejects.toThrow('Incorrect passphrase');
+    }
+
+    // The count survives a restart
+    const restarted = new EncryptedStorage(userData, createDeviceCipher(false));
+    await restarted.load();
+    await expect(restarted.unlock('not the passphrase')).rejects.toThrow('Incorrect passphrase');
+    await expect(restarted.unlock(PASSPHRASE)).rejects.toThrow('Too many incorrect passphrases');
+    expect(restarted.isUnlocked()).toBe(false);
+    expect(restarted.status().unlockLockedUntil).not.toBeNull();
+
+    const record = JSON.parse(fs.readFileSync(path.join(userData, 'encryption.json'), 'utf8'));
+    record.unlockLockedUntil = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(path.join(userData, 'encryption.json'), JSON.stringify(record));
+    await restarted.load();
+    await restarted.unlock(PASSPHRASE);
+    expect(restarted.isUnlocked()).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(userData, 'encryption.json'), 'utf8')).unlockLockedUntil).toBeNull();
+  });
+
+  it('should move every file to the new key on rotation', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+    const firstKeyId = storage.status().keyId;
+
+    const { keyId, filesReencrypted } = await storage.rotate(PASSPHRASE, 'a brand new passphrase');
+
+    expect(keyId).not.toBe(firstKeyId);
+    expect(filesReencrypted).toBe(1);
+    expect(readKeyId(fs.readFileSync(documentPath))).toBe(keyId);
+    expect(Object.keys(storage.record.keys)).toEqual([keyId]);
+    await expect(storage.rotate(PASSPHRASE)).rejects.toThrow('Incorrect passphrase');
+  });
+
+  it('should write backups that restore with the passphrase only', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+    const backupPath = path.join(userData, 'backup.jsgbak');
+
+    expect(await storage.createBackup(path.join(userData, 'database.db'), backupPath)).toEqual({ encrypted: true });
+    expect(detectBackupFormat(fs.readFileSync(backupPath))).toBe('encrypted_backup');
+
+    const elsewhere = new EncryptedStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-other-')), createDeviceCipher());
+    await expect(elsewhere.readBackup(backupPath)).rejects.toThrow('This backup is encrypted');
+    await expect(elsewhere.readBackup(backupPath, 'wrong passphrase!!')).rejects.toThrow('Incorrect passphrase');
+    expect((await elsewhere.readBackup(backupPath, PASSPHRASE)).equals(SQLITE_IMAGE)).toBe(true);
+  });
+
+  it('should decrypt everything and forget the key when disabled', async () => {
+    const storage = new EncryptedStorage(userData, createDeviceCipher());
+    await storage.load();
+    await storage.enable(PASSPHRASE);
+
+    expect(await storage.disable(PASSPHRASE)).toEqual({ filesDecrypted: 1 });
+    expect(fs.readFileSync(documentPath, 'utf8')).toBe('jpeg bytes');
+    expect(fs.existsSync(path.join(userData, 'encryption.json'))).toBe(false);
+    expect(storage.status()).toMatchObject({ enabled: false, unlocked: true });
+  });
+});
@@ -0,0 +1,47 @@
+import {
+  validatePassphrase,
+  encryptBuffer,
+  decryptBuffer,
+  isEncryptedBuffer,
+  readKeyId,
+  wrapKeys,
+  unwrapKeys,
+  generateKey
+} from '../encryption';
+
+describe('encryption', () => {
+  it('should round-trip data and record the key ID', () => {
+    const { keyId, key } = generateKey();
+    const sealed = encryptBuffer(key, keyId, Buffer.from('inspection photo'));
+
+    expect(isEncryptedBuffer(sealed)).toBe(true);
+    expect(readKeyId(sealed)).toBe(keyId);
+    expect(decryptBuffer(key, sealed).toString()).toBe('inspection photo');
+    expect(isEncryptedBuffer(Buffer.from('plain text file contents that are long enough'))).toBe(false);
+  });
+
+  it('should reject tampered data and the wrong key', () => {
+    const { keyId, key } = generateKey();
+    const sealed = encryptBuffer(key, keyId, Buffer.from('signature'));
+    const tampered = Buffer.from(sealed);
+    tampered[tampered.length - 1] ^= 0xff;
+
+    expect(() => decryptBuffer(key, tampered)).toThrow('Decryption failed');
+    expect(() => decryptBuffer(generateKey().key, sealed)).toThrow('Decryption failed');
+  });
+
+  it('should unwrap data keys only with the right passphrase', async () => {
+    const { keyId, key } = generateKey();
+    const record = await wrapKeys({ [keyId]: key }, 'correct horse battery');
+
+    expect(record.kdf.algorithm).toBe('scrypt');
+    expect((await unwrapKeys(record, 'correct horse battery'))[keyId].equals(key)).toBe(true);
+    await expect(unwrapKeys(record, 'wrong passphrase!!')).rejects.toThrow('Incorrect passphrase');
+  });
+
+  it('should require passphrases of at least 12 characters', () => {
+    expect(validatePassphrase('short')).toMatch(/at least 12/);
+    expect(validatePassphrase(undefined)).toBe('Passphrase is required');
+    expect(validatePassphrase('long enough passphrase')).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import MigrationManager from '../migrationManager';
+import { readSchema, diffSchemas, isSchemaDiffEmpty, formatSchemaDiff } from '../schemaDiff';
+
+const run = (db, sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const step = (sql) => (db, callback) => db.exec(sql, callback);
+
+const migrations = {
+  1: step('CREATE TABLE equipment (id INTEGER PRIMARY KEY, equipment_id TEXT)'),
+  2: {
+    up: step('ALTER TABLE equipment ADD COLUMN location TEXT'),
+    down: step('ALTER TABLE equipment DROP COLUMN location')
+  },
+  3: {
+    up: step('CREATE TABLE meters (id INTEGER PRIMARY KEY, reading REAL); CREATE INDEX idx_meters_reading ON meters (reading)'),
+    down: step('DROP TABLE meters')
+  }
+};
+
+describe('MigrationManager', () => {
+  let directory;
+  let dbPath;
+  let db;
+  let manager;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-migrations-'));
+    dbPath = path.join(directory, 'database.db');
+    db = await new Promise((resolve, reject) => {
+      const opened = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(opened)));
+    });
+    manager = new MigrationManager(null, { dataDirectory: directory });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await new Promise(resolve => db.close(() => resolve()));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should only move forward in runMigrations', async () => {
+    expect(await manager.runMigrations(db, migrations, 3, { backup: false })).toMatchObject({ success: true, fromVersion: 0, toVersion: 3 });
+    expect(await manager.runMigrations(db, migrations, 1, { backup: false })).toMatchObject({ success: true, toVersion: 3 });
+    expect(await manager.getCurrentSchemaVersion(db)).toBe(3);
+  });
+
+  it('should run down steps newest first to reach an older version', async () => {
+    await manager.migrateTo(db, migrations, 3, { backup: false });
+
+    expect(await manager.migrateTo(db, migrations, 1, { backup: false })).toMatchObject({ success: true, fromVersion: 3, toVersion: 1 });
+    expect(await manager.getCurrentSchemaVersion(db)).toBe(1);
+    const schema = await readSchema(db);
+    expect(Object.keys(schema.tables)).not.toContain('meters');
+    expect(Object.keys(schema.tables.equipment.columns)).toEqual(['id', 'equipment_id']);
+
+    expect(await manager.migrateTo(db, migrations, 3, { backup: false })).toMatchObject({ success: true, toVersion: 3 });
+  });
+
+  it('should refuse a downgrade past a migration without a down step before changing anything', async () => {
+    await manager.migrateTo(db, migrations, 3, { backup: false });
+
+    const result = await manager.migrateTo(db, migrations, 0, { backup: false });
+    expect(result).toMatchObject({ success: false, toVersion: 3 });
+    expect(result.error).toMatch(/Migration 1 has no down step/);
+    expect(Object.keys((await readSchema(db)).tables)).toContain('meters');
+  });
+
+  it('should report where a failing down step stopped', async () => {
+    await manager.migrateTo(db, migrations, 3, { backup: false });
+    const broken = { ...migrations, 2: { ...migrations[2], down: step('ALTER TABLE equipment DROP COLUMN missing') } };
+
+    const result = await manager.migrateTo(db, broken, 1, { backup: false });
+    expect(result).toMatchObject({ success: false, fromVersion: 3, toVersion: 2 });
+    expect(await manager.getCurrentSchemaVersion(db)).toBe(2);
+  });
+
+  it('should dry-run on a copy and report the schema diff', async () => {
+    await manager.migrateTo(db, migrations, 1, { backup: false });
+    await run(db, "INSERT INTO equipment (equipment_id) VALUES ('EQ-1')");
+    const prepare = jest.fn(async () => {});
+
+    const result = await manager.dryRun(dbPath, migrations, 3, { prepare });
+    expect(result).toMatchObject({ success: true, fromVersion: 1, toVersion: 3 });
+    expect(prepare).toHaveBeenCalledTimes(1);
+    expect(formatSchemaDiff(result.diff)).toEqual([
+      '+ table meters',
+      '+ column equipment.location TEXT',
+      '+ index idx_meters_reading'
+    ]);
+
+    // The original file is untouched
+    expect(await manager.getCurrentSchemaVersion(db)).toBe(1);
+    expect(Object.keys((await readSchema(db)).tables)).not.toContain('meters');
+  });
+});
+
+describe('schemaDiff', () => {
+  const schema = (columns, extra = {}) => ({
+    tables: { equipment: { columns } },
+    indexes: {},
+    triggers: {},
+    ...extra
+  });
+  const column = (type, overrides = {}) => ({ type, notNull: false, defaultValue: null, primaryKey: false, references: null, ...overrides });
+
+  it('should find no changes between identical schemas', () => {
+    const before = schema({ id: column('INTEGER', { primaryKey: true }) });
+    expect(isSchemaDiffEmpty(diffSchemas(before, before))).toBe(true);
+  });
+
+  it('should describe removed and changed columns, indexes and triggers', () => {
+    const before = schema(
+      { id: column('INTEGER'), status: column('TEXT'), location: column('TEXT') },
+      { indexes: { idx_status: { table: 'equipment', columns: ['status'], unique: false } } }
+    );
+    const after = schema(
+      { id: column('INTEGER'), status: column('TEXT', { notNull: true, defaultValue: "'active'" }) },
+      { triggers: { keep_one: { table: 'equipment', sql: 'CREATE TRIGGER keep_one ...' } } }
+    );
+
+    expect(formatSchemaDiff(diffSchemas(before, after))).toEqual([
+      '- column equipment.location',
+      "~ column equipment.status: TEXT -> TEXT NOT NULL DEFAULT 'active'",
+      '- index idx_status',
+      '+ trigger keep_one'
+    ]);
+  });
+});
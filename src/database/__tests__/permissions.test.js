@@ -0,0 +1,62 @@
+import {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  isDefaultGrant,
+  isGrantable,
+  resolveRolePermissions,
+  roleHasPermission
+} from '../permissions';
+
+describe('permissions', () => {
+  it('should declare unique keys with a known default role', () => {
+    expect(new Set(PERMISSION_KEYS).size).toBe(PERMISSIONS.length);
+    PERMISSIONS.forEach(permission => {
+      expect(['viewer', 'inspector', 'reviewer', 'admin']).toContain(permission.defaultRole);
+    });
+  });
+
+  it('should grant defaults to the default role and every role above it', () => {
+    expect(isDefaultGrant('reviewer', 'deficiency.close')).toBe(true);
+    expect(isDefaultGrant('admin', 'deficiency.close')).toBe(true);
+    expect(isDefaultGrant('inspector', 'deficiency.close')).toBe(false);
+    expect(isDefaultGrant('inspector', 'unknown.permission')).toBe(false);
+  });
+
+  it('should apply overrides on top of the defaults', () => {
+    const grants = resolveRolePermissions([
+      { role: 'inspector', permission: 'deficiency.close', granted: 1 },
+      { role: 'reviewer', permission: 'deficiency.close_critical', granted: 0 },
+      { role: 'reviewer', permission: 'no.such.key', granted: 1 }
+    ]);
+
+    expect(roleHasPermission(grants, 'inspector', 'deficiency.close')).toBe(true);
+    expect(roleHasPermission(grants, 'inspector', 'deficiency.close_critical')).toBe(false);
+    expect(roleHasPermission(grants, 'reviewer', 'deficiency.close_critical')).toBe(false);
+    expect(grants.reviewer).not.toContain('no.such.key');
+  });
+
+  it('should keep admin-only permissions out of reach of every other role', () => {
+    expect(isGrantable('reviewer', 'deficiency.close')).toBe(true);
+    ['user.manage', 'permission.manage', 'settings.manage', 'backup.manage'].forEach(key => {
+      expect(isGrantable('reviewer', key)).toBe(false);
+    });
+    expect(isGrantable('admin', 'deficiency.close')).toBe(false);
+
+    const grants = resolveRolePermissions([
+      { role: 'reviewer', permission: 'user.manage', granted: 1 },
+      { role: 'viewer', permission: 'permission.manage', granted: 1 }
+    ]);
+    expect(roleHasPermission(grants, 'reviewer', 'user.manage')).toBe(false);
+    expect(roleHasPermission(grants, 'viewer', 'permission.manage')).toBe(false);
+  });
+
+  it('should keep every permission for admins regardless of overrides', () => {
+    const grants = resolveRolePermissions([{ role: 'admin', permission: 'permission.manage', granted: 0 }]);
+    expect(grants.admin).toEqual(PERMISSION_KEYS);
+  });
+
+  it('should deny unknown roles', () => {
+    expect(roleHasPermission(resolveRolePermissions(), 'superuser', 'equipment.edit')).toBe(false);
+    expect(roleHasPermission(null, 'admin', 'equipment.edit')).toBe(false);
+  });
+});
@@ -0,0 +1,181 @@
+import {
+  calculateNextDueDate,
+  getUsageRate,
+  forecastDueDate,
+  evaluateSchedule,
+  planPmSchedules,
+  refreshPmSchedules
+} from '../pmScheduler';
+
+const schedule = (overrides) => ({
+  id: 1,
+  equipment_id: 1,
+  equipment_identifier: 'FL-001',
+  template_name: 'Engine Service',
+  description: null,
+  estimated_duration: 2,
+  frequency_type: 'usage',
+  frequency_value: 250,
+  frequency_unit: 'hours',
+  next_due_date: null,
+  next_due_usage: null,
+  last_completed_date: null,
+  last_completed_usage: null,
+  last_work_completed: null,
+  last_work_raised: null,
+  open_work_orders: 0,
+  ...overrides
+});
+
+const reading = (reading_date, reading_value, meter_type = 'hours') => ({ equipment_id: 1, meter_type, reading_value, reading_date });
+
+describe('pmScheduler', () => {
+  describe('calculateNextDueDate', () => {
+    it('should add days, weeks and months, clamping to the end of shorter months', () => {
+      expect(calculateNextDueDate({ frequency_value: 30, frequency_unit: 'days' }, '2025-01-15')).toBe('2025-02-14');
+      expect(calculateNextDueDate({ frequency_value: 2, frequency_unit: 'weeks' }, '2025-01-15')).toBe('2025-01-29');
+      expect(calculateNextDueDate({ frequency_value: 1, frequency_unit: 'months' }, '2025-01-31')).toBe('2025-02-28');
+      expect(calculateNextDueDate({ frequency_value: 12, frequency_unit: 'months' }, '2024-02-29')).toBe('2025-02-28');
+    });
+  });
+
+  describe('getUsageRate and forecastDueDate', () => {
+    it('should average usage per day over the recent readings', () => {
+      const readings = [reading('2024-01-01', 0), reading('2025-01-01', 1000), reading('2025-01-11', 1100), reading('2025-01-21', 1200)];
+      expect(getUsageRate(readings)).toBe(10);
+      expect(forecastDueDate(readings[3], 1250, 10)).toBe('2025-01-26');
+      expect(forecastDueDate(readings[3], 1200, 10)).toBe('2025-01-21');
+    });
+
+    it('should give no rate without usage over at least a day', () => {
+      expect(getUsageRate([reading('2025-01-01', 100)])).toBeNull();
+      expect(getUsageRate([reading('2025-01-01', 100), reading('2025-01-01', 120)])).toBeNull();
+      expect(getUsageRate([reading('2025-01-01', 100), reading('2025-01-05', 100)])).toBeNull();
+      expect(forecastDueDate(reading('2025-01-05', 100), 200, null)).toBeNull();
+    });
+  });
+
+  describe('evaluateSchedule', () => {
+    it('should count a new usage schedule from the first reading and forecast its due date', () => {
+      const result = evaluateSchedule(schedule(), [reading('2025-01-01', 1000), reading('2025-01-11', 1100)], '2025-01-11');
+
+      expect(result.update).toEqual({
+        id: 1, nextDueDate: '2025-01-26', nextDueUsage: 1250, lastCompletedDate: null, lastCompletedUsage: null
+      });
+      expect(result.workOrder).toBeNull();
+    });
+
+    it('should raise a work order once the usage threshold is crossed', () => {
+      const result = evaluateSchedule(
+        schedule({ next_due_usage: 1250, next_due_date: '2025-01-26' }),
+        [reading('2025-01-01', 1000), reading('2025-01-11', 1100), reading('2025-01-20', 1260)],
+        '2025-01-21'
+      );
+
+      expect(result.update).toEqual(expect.objectContaining({ nextDueDate: '2025-01-20', nextDueUsage: 1250 }));
+      expect(result.workOrder).toEqual({
+        pmScheduleId: 1,
+        title: 'Engine Service - FL-001',
+        description: 'Raised automatically: hours meter read 1,260 on 2025-01-20 (due at 1,250 hours, every 250 hours).',
+        estimatedHours: 2,
+        createdBy: 'PM Scheduler',
+        scheduledDate: '2025-01-21'
+      });
+    });
+
+    it('should not raise a second work order for the same crossing', () => {
+      const crossed = [reading('2025-01-01', 1000), reading('2025-01-20', 1260)];
+      expect(evaluateSchedule(schedule({ next_due_usage: 1250, open_work_orders: 1 }), crossed, '2025-01-21').workOrder).toBeNull();
+      // A raised work order that was cancelled stays cancelled
+      expect(evaluateSchedule(schedule({ next_due_usage: 1250, last_work_raised: '2025-01-20' }), crossed, '2025-01-21').workOrder).toBeNull();
+    });
+
+    it('should roll a usage schedule forward from the reading when its work order was completed', () => {
+      const result = evaluateSchedule(
+        schedule({ next_due_usage: 1250, next_due_date: '2025-01-20', last_work_completed: '2025-01-22', last_work_raised: '2025-01-20' }),
+        [reading('2025-01-01', 1000), reading('2025-01-20', 1260), reading('2025-01-22', 1280), reading('2025-01-30', 1360)],
+        '2025-01-30'
+      );
+
+      expect(result.update).toEqual({
+        id: 1, nextDueDate: '2025-02-13', nextDueUsage: 1530, lastCompletedDate: '2025-01-22', lastCompletedUsage: 1280
+      });
+      expect(result.workOrder).toBeNull();
+    });
+
+    it('should roll a calendar schedule forward from the completion date', () => {
+      const result = evaluateSchedule(
+        schedule({ frequency_type: 'calendar', frequency_value: 3, frequency_unit: 'months', next_due_date: '2025-01-15', last_work_completed: '2025-01-20' }),
+        [],
+        '2025-01-21'
+      );
+
+      expect(result.update).toEqual({
+        id: 1, nextDueDate: '2025-04-20', nextDueUsage: null, lastCompletedDate: '2025-01-20', lastCompletedUsage: null
+      });
+      expect(result.workOrder).toBeNull();
+    });
+
+    it('should judge a condition on readings taken after the last maintenance', () => {
+      const condition = schedule({ frequency_type: 'condition', frequency_value: 80, frequency_unit: 'wear', template_name: 'Rope Replacement' });
+      const readings = [reading('2025-01-01', 60, 'wear'), reading('2025-01-10', 85, 'wear')];
+
+      const due = evaluateSchedule(condition, readings, '2025-01-10');
+      expect(due.workOrder.description).toBe('Raised automatically: wear meter read 85 on 2025-01-10 (threshold 80 wear).');
+
+      const maintained = evaluateSchedule(
+        { ...condition, last_completed_date: '2025-01-12', next_due_date: '2025-01-10' },
+        [...readings, reading('2025-01-13', 10, 'wear'), reading('2025-01-23', 20, 'wear')],
+        '2025-01-23'
+      );
+      expect(maintained.workOrder).toBeNull();
+      expect(maintained.update.nextDueDate).toBe('2025-03-24');
+    });
+
+    it('should leave a schedule without readings unchanged', () => {
+      expect(evaluateSchedule(schedule({ next_due_date: '2025-06-01' }), [], '2025-01-01')).toEqual({ update: null, workOrder: null });
+    });
+  });
+
+  describe('planPmSchedules', () => {
+    it('should match readings to each schedule by equipment and meter type', () => {
+      const plan = planPmSchedules(
+        [schedule({ next_due_usage: 1250 }), schedule({ id: 2, equipment_id: 2, equipment_identifier: 'FL-002', frequency_unit: 'Cycles', next_due_usage: 500 })],
+        [
+          reading('2025-01-20', 1260),
+          reading('2025-01-20', 9999, 'cycles'),
+          { equipment_id: 2, meter_type: 'cycles', reading_value: 400, reading_date: '2025-01-20' }
+        ],
+        '2025-01-21'
+      );
+
+      expect(plan.workOrders.map(item => item.pmScheduleId)).toEqual([1]);
+      expect(plan.update.map(item => item.id)).toEqual([1]);
+    });
+  });
+
+  describe('refreshPmSchedules', () => {
+    it('should apply the plan in one batch and report the work orders raised', async () => {
+      const execute = jest.fn(async (category, operation) => {
+        if (operation === 'getMeterInputs') return [schedule({ next_due_usage: 1250 })];
+        if (operation === 'getForPmSchedules') return [reading('2025-01-20', 1260)];
+        return { updated: 1, raised: [42] };
+      });
+
+      const result = await refreshPmSchedules(execute, { today: '2025-01-21' });
+
+      expect(execute).toHaveBeenCalledWith('pmSchedules', 'applyMeterPlan', {
+        update: [expect.objectContaining({ id: 1, nextDueDate: '2025-01-20' })],
+        workOrders: [expect.objectContaining({ pmScheduleId: 1 })]
+      });
+      expect(result).toEqual({ schedules: 1, updated: 1, raised: [42] });
+    });
+
+    it('should write nothing when every schedule is in step', async () => {
+      const execute = jest.fn(async () => []);
+
+      expect(await refreshPmSchedules(execute, { today: '2025-01-21' })).toEqual({ schedules: 0, updated: 0, raised: [] });
+      expect(execute).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import sqlite3 from 'sqlite3';
+import { RECURRENCE_KEYS, RECURRENCE_RULES, getRecurrenceRule, nextOccurrence, nextOccurrenceSql } from '../recurrence';
+
+describe('recurrence', () => {
+  it('should declare unique rules', () => {
+    expect(new Set(RECURRENCE_KEYS).size).toBe(RECURRENCE_RULES.length);
+    expect(getRecurrenceRule('frequent_monthly')).toMatchObject({ months: 1 });
+    expect(getRecurrenceRule('weekly')).toBeNull();
+    expect(getRecurrenceRule(null)).toBeNull();
+  });
+
+  it('should keep the day of the month, or use the last day of a shorter month', () => {
+    expect(nextOccurrence('2025-03-15', 'frequent_monthly')).toBe('2025-04-15');
+    expect(nextOccurrence('2025-01-31', 'frequent_monthly')).toBe('2025-02-28');
+    expect(nextOccurrence('2024-01-31', 'frequent_monthly')).toBe('2024-02-29');
+    expect(nextOccurrence('2025-12-10', 'frequent_monthly')).toBe('2026-01-10');
+    expect(nextOccurrence('2024-02-29', 'periodic_annual')).toBe('2025-02-28');
+    expect(nextOccurrence('2025-06-01', 'periodic_annual')).toBe('2026-06-01');
+    expect(nextOccurrence('2025-06-01', null)).toBeNull();
+  });
+
+  it('should compute the same dates in SQLite', async () => {
+    const db = new sqlite3.Database(':memory:');
+    const cases = ['2025-03-15', '2025-01-31', '2024-01-31', '2025-12-10', '2024-02-29', '2025-08-31']
+      .flatMap(date => RECURRENCE_KEYS.map(key => [date, key]));
+
+    try {
+      for (const [date, key] of cases) {
+        const row = await new Promise((resolve, reject) => {
+          db.get(`SELECT ${nextOccurrenceSql('?1', '?2')} AS next`, [date, key], (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        expect({ date, key, next: row.next }).toEqual({ date, key, next: nextOccurrence(date, key) });
+      }
+    } finally {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  });
+});
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { assessRestoreCandidate, inspectDatabaseFile, RestoreManager } from '../restoreManager';
+import { EncryptedStorage } from '../encryptedStorage';
+
+const CURRENT_SCHEMA_VERSION = 10;
+
+// Builds a database file with the given schema version and contents
+const createDatabaseFile = (filePath, { schemaVersion = CURRENT_SCHEMA_VERSION, sql = '' } = {}) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath);
+  db.exec(`
+    CREATE TABLE schema_version (version INTEGER PRIMARY KEY);
+    INSERT INTO schema_version (version) VALUES (${schemaVersion});
+    CREATE TABLE equipment (id INTEGER PRIMARY KEY, equipment_id TEXT);
+    CREATE TABLE inspections (id INTEGER PRIMARY KEY, equipment_id INTEGER);
+    ${sql}
+  `, (err) => db.close(() => (err ? reject(err) : resolve())));
+});
+
+const inspection = (overrides) => ({ ok: true, errors: [], schemaVersion: 10, tables: ['equipment', 'inspections'], ...overrides });
+
+describe('restoreManager', () => {
+  describe('assessRestoreCandidate', () => {
+    it('should accept current and older schemas, flagging older ones for migration', () => {
+      expect(assessRestoreCandidate(inspection(), 10)).toEqual({ compatible: true, problems: [], needsMigration: false });
+      expect(assessRestoreCandidate(inspection({ schemaVersion: 4 }), 10)).toEqual({ compatible: true, problems: [], needsMigration: true });
+    });
+
+    it('should refuse newer, corrupt and foreign databases', () => {
+      expect(assessRestoreCandidate(inspection({ schemaVersion: 11 }), 10).problems[0]).toMatch(/newer version/);
+      expect(assessRestoreCandidate(inspection({ ok: false, errors: ['page 3 is never used'] }), 10).problems[0]).toMatch(/integrity check: page 3/);
+      expect(assessRestoreCandidate(inspection({ tables: ['notes'] }), 10)).toMatchObject({
+        compatible: false,
+        needsMigration: false,
+        problems: ['The file is not a JSG Inspections database (no equipment or inspections table)']
+      });
+    });
+  });
+
+  describe('RestoreManager', () => {
+    let userData;
+    let backupPath;
+    let storage;
+    let migrateFile;
+    let manager;
+
+    beforeEach(async () => {
+      userData = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-restore-'));
+      backupPath = path.join(userData, 'backup.db');
+      fs.writeFileSync(path.join(userData, 'database.db'), 'live database');
+      storage = new EncryptedStorage(userData, { isAvailable: () => false });
+      await storage.load();
+      migrateFile = jest.fn(filePath => new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(filePath);
+        db.run('INSERT INTO schema_version (version) VALUES (10)', err => db.close(() => (err ? reject(err) : resolve())));
+      }));
+      manager = new RestoreManager({ userDataPath: userData, storage, currentSchemaVersion: CURRENT_SCHEMA_VERSION, migrateFile });
+    });
+
+    afterEach(() => {
+      fs.rmSync(userData, { recursive: true, force: true });
+    });
+
+    it('should count what a backup holds', async () => {
+      await createDatabaseFile(backupPath, {
+        sql: `
+          INSERT INTO equipment (equipment_id) VALUES ('CR-1'), ('CR-2');
+          CREATE TABLE deficiencies (id INTEGER PRIMARY KEY, status TEXT);
+          INSERT INTO deficiencies (status) VALUES ('open'), ('in_progress'), ('closed');
+        `
+      });
+
+      const result = await inspectDatabaseFile(backupPath);
+
+      expect(result).toMatchObject({ ok: true, schemaVersion: 10, counts: { equipment: 2, inspections: 0, openDeficiencies: 2 } });
+    });
+
+    it('should preview a backup and install it with an undo snapshot', async () => {
+      await createDatabaseFile(backupPath, { sql: "INSERT INTO equipment (equipment_id) VALUES ('CR-1');" });
+
+      const preview = await manager.stage(fs.readFileSync(backupPath), { source: 'backup.db', owner: 'token-a' });
+      expect(preview).toMatchObject({ source: 'backup.db', compatible: true, counts: { equipment: 1, openDeficiencies: null } });
+      await expect(manager.prepare('token-b')).rejects.toThrow('No restore has been previewed');
+
+      await manager.prepare('token-a');
+      const snapshotPath = path.join(userData, 'snapshot.db');
+      fs.writeFileSync(snapshotPath, 'live database');
+      const snapshotFileName = await manager.saveUndoSnapshot(snapshotPath);
+      await manager.install({ undo: { snapshotFileName, restoredFrom: 'backup.db' }, pendingAudit: [{ action: 'restore' }] });
+
+      expect(fs.readFileSync(path.join(userData, 'database.db')).equals(fs.readFileSync(backupPath))).toBe(true);
+      expect((await manager.readUndoSnapshot()).toString()).toBe('live database');
+      expect(await manager.takePendingAudit()).toEqual([{ action: 'restore' }]);
+      expect(await manager.takePendingAudit()).toEqual([]);
+      expect(migrateFile).not.toHaveBeenCalled();
+    });
+
+    it('should migrate an older backup before it is installed', async () => {
+      await createDatabaseFile(backupPath, { schemaVersion: 7 });
+
+      const preview = await manager.stage(fs.readFileSync(backupPath), { source: 'old.db', owner: 'token-a' });
+      expect(preview).toMatchObject({ schemaVersion: 7, needsMigration: true });
+
+      await manager.prepare('token-a');
+      expect(migrateFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a backup from a newer version and one that is not a database', async () => {
+      await createDatabaseFile(backupPath, { schemaVersion: 12 });
+
+      const newer = await manager.stage(fs.readFileSync(backupPath), { source: 'newer.db', owner: 'token-a' });
+      expect(newer.compatible).toBe(false);
+      await expect(manager.prepare('token-a')).rejects.toThrow('No restore has been previewed');
+
+      const garbage = await manager.stage(Buffer.from('not a database at all'), { source: 'notes.txt', owner: 'token-a' });
+      expect(garbage).toMatchObject({ compatible: false, schemaVersion: null });
+      expect(fs.existsSync(path.join(userData, 'restore-candidate.db.tmp'))).toBe(false);
+    });
+
+    it('should leave the live database alone when the migration fails', async () => {
+      await createDatabaseFile(backupPath, { schemaVersion: 3 });
+      migrateFile.mockRejectedValueOnce(new Error('no such column: status'));
+
+      await manager.stage(fs.readFileSync(backupPath), { source: 'old.db', owner: 'token-a' });
+
+      await expect(manager.prepare('token-a')).rejects.toThrow('could not be upgraded from schema v3: no such column: status');
+      expect(fs.readFileSync(path.join(userData, 'database.db'), 'utf8')).toBe('live database');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import MigrationManager from '../migrationManager';
+import { SCHEMA_VERSION } from '../schema';
+import { baseTableStatements, generateMigration, checkSchemaDrift } from '../schemaBuilder';
+import { readSchema } from '../schemaDiff';
+import { secureOperations } from '../secureOperations';
+
+const exec = (db, sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const prepare = (db, sql) => new Promise((resolve) => {
+  const statement = db.prepare(sql, (err) => statement.finalize(() => resolve(err ? err.message : null)));
+});
+
+const migrations = {};
+for (let version = 1; version <= SCHEMA_VERSION; version++) {
+  migrations[version] = generateMigration(version, { description: `schema version ${version}` });
+}
+
+describe('schemaBuilder', () => {
+  let directory;
+  let db;
+  let manager;
+
+  const migrateTo = async (version) => {
+    const result = await manager.migrateTo(db, migrations, version, { backup: false });
+    expect(result).toMatchObject({ success: true, toVersion: version });
+  };
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-schema-'));
+    db = await new Promise((resolve, reject) => {
+      const opened = new sqlite3.Database(path.join(directory, 'database.db'), (err) => (err ? reject(err) : resolve(opened)));
+    });
+    manager = new MigrationManager(null, { dataDirectory: directory });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await exec(db, `PRAGMA foreign_keys = ON; ${baseTableStatements().join(';\n')}`);
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await new Promise(resolve => db.close(() => resolve()));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should build a database that matches the declared schema at every version', async () => {
+    for (const version of [2, 5, SCHEMA_VERSION]) {
+      await migrateTo(version);
+      expect(checkSchemaDrift(await readSchema(db), version)).toEqual([]);
+    }
+  });
+
+  it('should prepare every registered operation against the declared schema', async () => {
+    await migrateTo(SCHEMA_VERSION);
+
+    const failures = [];
+    for (const [category, operations] of Object.entries(secureOperations)) {
+      for (const [operation, definition] of Object.entries(operations)) {
+        if (typeof definition.sql === 'string') {
+          const error = await prepare(db, definition.sql);
+          if (error) failures.push(`${category}.${operation}: ${error}`);
+        }
+      }
+    }
+    expect(failures).toEqual([]);
+  });
+
+  it('should report missing columns, CHECK constraints and undeclared indexes', async () => {
+    await migrateTo(SCHEMA_VERSION);
+    await exec(db, `
+      ALTER TABLE deficiencies DROP COLUMN work_order_id;
+      DROP TABLE app_settings;
+      CREATE TABLE app_settings (id INTEGER PRIMARY KEY AUTOINCREMENT, key TEXT UNIQUE NOT NULL, value TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+      CREATE INDEX idx_equipment_location ON equipment (location);
+    `);
+
+    expect(checkSchemaDrift(await readSchema(db), SCHEMA_VERSION)).toEqual([
+      'Missing column deficiencies.work_order_id INTEGER',
+      'Column app_settings.value is TEXT, declared TEXT NOT NULL',
+      'Undeclared index idx_equipment_location'
+    ]);
+
+    const schema = await readSchema(db);
+    schema.tables.inspection_items.sql = schema.tables.inspection_items.sql.replace("'na'", "'n/a'");
+    expect(checkSchemaDrift(schema, SCHEMA_VERSION)).toContain(
+      "Missing CHECK (result IN ('pass', 'fail', 'na')) on inspection_items.result"
+    );
+  });
+
+  it('should generate down steps only where SQLite can drop the added columns', async () => {
+    expect(migrations[SCHEMA_VERSION].down).toEqual(expect.any(Function));
+    // Migration 3 adds equipment.parent_id, which references equipment
+    expect(migrations[3].down).toBeUndefined();
+
+    await migrateTo(SCHEMA_VERSION);
+    await migrateTo(3);
+    const schema = await readSchema(db);
+    expect(Object.keys(schema.tables)).not.toContain('users');
+    expect(checkSchemaDrift(schema, 3)).toEqual([]);
+
+    await migrateTo(SCHEMA_VERSION);
+    expect(checkSchemaDrift(await readSchema(db), SCHEMA_VERSION)).toEqual([]);
+  });
+
+  it('should index existing records when the search index is added and keep it in step', async () => {
+    const all = (sql) => new Promise((resolve, reject) => db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+    const search = (text) => all(`SELECT entity_type, entity_id, equipment_id FROM search_index WHERE search_index MATCH '${text}' ORDER BY rowid`);
+
+    await migrateTo(11);
+    await exec(db, `
+      INSERT INTO equipment (id, equipment_id, type, manufacturer, model) VALUES (1, 'OHC-1', 'Overhead Crane', 'Demag', 'EKDR');
+      INSERT INTO inspections (id, equipment_id, inspector, inspection_date, findings) VALUES (1, 1, 'Alex', '2024-03-01', '[{"title":"Hoist"}]');
+      INSERT INTO inspection_items (id, inspection_id, item_text, result, notes) VALUES (1, 1, 'Wire rope', 'fail', 'Broken strands'), (2, 1, 'Hook latch', 'pass', '');
+    `);
+    await migrateTo(12);
+
+    expect(await search('demag')).toEqual([{ entity_type: 'equipment', entity_id: 1, equipment_id: 1 }]);
+    expect(await search('strands')).toEqual([{ entity_type: 'inspection_item', entity_id: 1, equipment_id: 1 }]);
+    expect(await search('latch')).toEqual([]);
+    expect(await search('hoist')).toEqual([]);
+
+    await exec(db, `
+      INSERT INTO deficiencies (id, equipment_id, severity, description) VALUES (1, 1, 'major', 'Hook throat opening exceeds limit');
+      UPDATE equipment SET manufacturer = 'Konecranes' WHERE id = 1;
+    `);
+    expect(await search('throat')).toEqual([{ entity_type: 'deficiency', entity_id: 1, equipment_id: 1 }]);
+    expect(await search('demag')).toEqual([]);
+    expect(await search('konecranes')).toHaveLength(1);
+
+    await exec(db, 'DELETE FROM equipment WHERE id = 1');
+    expect(await all('SELECT rowid FROM search_index')).toEqual([]);
+  });
+
+  it('should skip columns a partly applied migration already added', async () => {
+    await migrateTo(4);
+    await exec(db, 'ALTER TABLE documents ADD COLUMN hash TEXT; ALTER TABLE equipment ADD COLUMN tagged_out BOOLEAN DEFAULT 0');
+
+    await migrateTo(5);
+    expect(checkSchemaDrift(await readSchema(db), 5)).toEqual([]);
+  });
+});
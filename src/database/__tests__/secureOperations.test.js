@@ -0,0 +1,511 @@
+import { secureOperations, getAuditTarget, getRequiredPermission, hasRequiredRole, ROLE_LEVELS } from '../secureOperations';
+import { PERMISSIONS } from '../permissions';
+import { TABLES, TRIGGERS } from '../schema';
+import { createTableSql } from '../schemaBuilder';
+import sqlite3 from 'sqlite3';
+
+describe('secureOperations', () => {
+  it('should declare a known minimum role on every operation', () => {
+    Object.entries(secureOperations).forEach(([category, operations]) => {
+      Object.entries(operations).forEach(([operation, definition]) => {
+        expect({ operation: `${category}.${operation}`, known: definition.minRole in ROLE_LEVELS })
+          .toEqual({ operation: `${category}.${operation}`, known: true });
+      });
+    });
+  });
+
+  it('should reserve sensitive operations for higher roles', () => {
+    expect(secureOperations.deficiencies.close.minRole).toBe('reviewer');
+    expect(secureOperations.users.create.minRole).toBe('admin');
+    expect(secureOperations.equipment.delete.minRole).toBe('admin');
+  });
+
+  describe('permissions', () => {
+    const defaultRoles = Object.fromEntries(PERMISSIONS.map(permission => [permission.key, permission.defaultRole]));
+
+    it('should only use catalogued permissions, held by default by the operation minRole', () => {
+      Object.entries(secureOperations).forEach(([category, operations]) => {
+        Object.entries(operations)
+          .filter(([, definition]) => typeof definition.permission === 'string')
+          .forEach(([operation, definition]) => {
+            expect({ operation: `${category}.${operation}`, defaultRole: defaultRoles[definition.permission] })
+              .toEqual({ operation: `${category}.${operation}`, defaultRole: definition.minRole });
+          });
+      });
+    });
+
+    it('should guard every write operation with a permission, except audit log entries', () => {
+      Object.entries(secureOperations).forEach(([category, operations]) => {
+        Object.entries(operations)
+          .filter(([, definition]) => ['write', 'batch'].includes(definition.returnType))
+          .filter(([operation]) => !(category === 'auditLog' && operation === 'create'))
+          .forEach(([operation, definition]) => {
+            expect({ operation: `${category}.${operation}`, guarded: definition.permission !== undefined })
+              .toEqual({ operation: `${category}.${operation}`, guarded: true });
+          });
+      });
+    });
+
+    it('should resolve certificate permissions by certificate type', () => {
+      const { create } = secureOperations.certificates;
+      expect(getRequiredPermission(create, { certificateType: 'load_test' })).toBe('certificate.issue_load_test');
+      expect(getRequiredPermission(create, { certificateType: 'calibration' })).toBe('certificate.issue_calibration');
+      expect(getRequiredPermission(create, { certificateType: 'bogus' })).toBeNull();
+      expect(getRequiredPermission(secureOperations.equipment.getAll, {})).toBeNull();
+    });
+
+    it('should refuse grants of admin-only permissions', () => {
+      const { validate } = secureOperations.permissions.setGrant;
+      expect(validate({ role: 'reviewer', permission: 'deficiency.close', granted: 1 })).toBe(true);
+      expect(validate({ role: 'reviewer', permission: 'user.manage', granted: 1 })).toBe(false);
+      expect(validate({ role: 'inspector', permission: 'permission.manage', granted: 1 })).toBe(false);
+      expect(validate({ role: 'admin', permission: 'deficiency.close', granted: 0 })).toBe(false);
+    });
+
+    it('should require the critical permission when closing a critical deficiency', () => {
+      expect(secureOperations.deficiencies.close.conditionalPermission).toMatchObject({ permission: 'deficiency.close_critical' });
+      expect(defaultRoles['deficiency.close_critical']).toBeDefined();
+    });
+  });
+
+  describe('settings.set', () => {
+    const { validate } = secureOperations.settings.set;
+
+    it('should only accept known settings with in-range text values', () => {
+      expect(validate({ key: 'session.idle_timeout_minutes', value: '10' })).toBe(true);
+      expect(validate({ key: 'session.idle_timeout_minutes', value: 10 })).toBe(false);
+      expect(validate({ key: 'session.idle_timeout_minutes', value: '0' })).toBe(false);
+      expect(validate({ key: 'theme', value: '1' })).toBe(false);
+    });
+  });
+
+  describe('inspections.finalize', () => {
+    const checklist = [
+      { section: 'Hoist', items: [
+        { text: 'Hook latch', result: 'pass' },
+        { text: 'Wire rope', result: 'fail', priority: 'Critical', notes: 'Broken strands', component: 'Rope' }
+      ] },
+      { section: 'Controls', items: [{ text: 'Pendant labels', result: 'fail' }] }
+    ];
+    const params = {
+      equipmentId: 3,
+      inspector: 'J. Smith',
+      inspectionDate: '2024-05-01',
+      scheduledInspectionId: 8,
+      checklist
+    };
+
+    it('should validate the inspection fields and checklist shape', () => {
+      const { validate } = secureOperations.inspections.finalize;
+      expect(validate(params)).toBe(true);
+      expect(validate({ ...params, scheduledInspectionId: null })).toBe(true);
+      expect(validate({ ...params, checklist: 'not a list' })).toBe(false);
+      expect(validate({ ...params, checklist: [{ section: 'Hoist' }] })).toBe(false);
+      expect(validate({ ...params, equipmentId: 0 })).toBe(false);
+    });
+
+    it('should write the inspection, every item and a deficiency per failed item, returning all ids', async () => {
+      let nextId = 100;
+      const execute = jest.fn(async () => ({ lastID: nextId++, changes: 1 }));
+
+      const result = await secureOperations.inspections.finalize.run(execute, params);
+
+      expect(execute.mock.calls.map(([category, operation]) => `${category}.${operation}`)).toEqual([
+        'inspections.createFromScheduled',
+        'inspectionItems.create',
+        'inspectionItems.create',
+        'deficiencies.create',
+        'inspectionItems.create',
+        'deficiencies.create',
+        'scheduledInspections.updateStatus',
+        'scheduledInspections.scheduleNext'
+      ]);
+      expect(execute.mock.calls[3][2]).toMatchObject({
+        equipmentId: 3, inspectionItemId: 102, severity: 'critical', removeFromService: true, description: 'Broken strands'
+      });
+      expect(execute.mock.calls[5][2]).toMatchObject({ severity: 'minor', description: 'Failed inspection item: Pendant labels' });
+      expect(execute.mock.calls[6][2]).toEqual({ id: 8, status: 'completed' });
+      expect(result).toEqual({ inspectionId: 100, itemIds: [101, 102, 104], deficiencyIds: [103, 105] });
+    });
+
+    it('should record deficiencies of component sections against the component', async () => {
+      const execute = jest.fn(async () => ({ lastID: 1, changes: 1 }));
+      const componentChecklist = [checklist[0], { ...checklist[1], equipmentId: 12 }];
+      expect(secureOperations.inspections.finalize.validate({ ...params, checklist: componentChecklist })).toBe(true);
+      expect(secureOperations.inspections.finalize.validate({ ...params, checklist: [{ ...checklist[1], equipmentId: '12' }] })).toBe(false);
+
+      await secureOperations.inspections.finalize.run(execute, { ...params, checklist: componentChecklist });
+
+      const deficiencies = execute.mock.calls.filter(([category]) => category === 'deficiencies');
+      expect(deficiencies.map(([, , stepParams]) => stepParams.equipmentId)).toEqual([3, 12]);
+    });
+
+    it('should use the plain create operation without a scheduled inspection', async () => {
+      const execute = jest.fn(async () => ({ lastID: 1, changes: 1 }));
+      await secureOperations.inspections.finalize.run(execute, { ...params, scheduledInspectionId: null, checklist: [] });
+      expect(execute.mock.calls.map(([category, operation]) => `${category}.${operation}`)).toEqual(['inspections.create']);
+    });
+  });
+
+  describe('equipment.import', () => {
+    const equipment = [
+      { equipmentId: 'RW-2', type: 'Monorail', manufacturer: 'Acme', site: 'North', parentEquipmentId: 'OHC-2', parentId: null },
+      { equipmentId: 'OHC-2', type: 'Overhead Crane', manufacturer: 'Acme', capacity: 10, parentEquipmentId: 'RUNWAY-1', parentId: 7, qrCodeData: 'data:image/jpeg;base64,AA' },
+      { equipmentId: 'JIB-1', type: 'Jib', manufacturer: 'Acme', parentEquipmentId: null, parentId: null }
+    ];
+
+    it('should only accept unique rows whose parents can be linked', () => {
+      const { validate } = secureOperations.equipment.import;
+      expect(validate({ equipment })).toBe(true);
+      expect(validate({ equipment: [] })).toBe(false);
+      expect(validate({ equipment: [...equipment, equipment[2]] })).toBe(false);
+      expect(validate({ equipment: [{ ...equipment[0], parentEquipmentId: 'MISSING' }] })).toBe(false);
+      expect(validate({ equipment: [equipment[0], { ...equipment[1], parentEquipmentId: 'RW-2', parentId: null }] })).toBe(false);
+      expect(validate({ equipment: [{ ...equipment[2], type: '' }] })).toBe(false);
+    });
+
+    it('should create every row, then link parents within the import and in the database', async () => {
+      let nextId = 20;
+      const execute = jest.fn(async () => ({ lastID: nextId++, changes: 1 }));
+
+      const result = await secureOperations.equipment.import.run(execute, { equipment });
+
+      expect(execute.mock.calls.map(([category, operation]) => `${category}.${operation}`)).toEqual([
+        'equipment.create', 'equipment.create', 'equipment.create', 'equipment.setHierarchy', 'equipment.setHierarchy'
+      ]);
+      expect(execute.mock.calls[1][2]).toMatchObject({ equipmentId: 'OHC-2', capacity: 10, status: 'active', qrCodeData: 'data:image/jpeg;base64,AA' });
+      expect(execute.mock.calls[3][2]).toEqual({ id: 20, site: 'North', building: null, bay: null, parentId: 21 });
+      expect(execute.mock.calls[4][2]).toEqual({ id: 21, site: null, building: null, bay: null, parentId: 7 });
+      expect(result).toEqual({ equipmentIds: [20, 21, 22] });
+    });
+  });
+
+  describe('equipment.move', () => {
+    const params = { id: 4, parentId: 9, site: 'North', building: 'Shop 2', bay: '' };
+
+    it('should refuse to make equipment its own parent', () => {
+      const { validate } = secureOperations.equipment.move;
+      expect(validate(params)).toBe(true);
+      expect(validate({ ...params, parentId: null })).toBe(true);
+      expect(validate({ ...params, parentId: 4 })).toBe(false);
+    });
+
+    it('should re-parent the equipment and move its components to the same location', async () => {
+      const execute = jest.fn(async () => ({ lastID: 0, changes: 2 }));
+
+      await expect(secureOperations.equipment.move.run(execute, { ...params, componentIds: [77] }))
+        .resolves.toEqual({ id: 4, componentsMoved: 2 });
+
+      expect(execute.mock.calls).toEqual([
+        ['equipment', 'setHierarchy', { id: 4, parentId: 9, site: 'North', building: 'Shop 2', bay: null }],
+        ['equipment', 'setComponentsLocation', { id: 4, site: 'North', building: 'Shop 2', bay: null }]
+      ]);
+    });
+
+    it('should fail when the new parent is one of its components', async () => {
+      const execute = jest.fn(async () => ({ lastID: 0, changes: 0 }));
+      await expect(secureOperations.equipment.move.run(execute, params)).rejects.toThrow('cannot be moved under itself');
+      expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should relocate only the components below the equipment, at any depth', async () => {
+      const db = new sqlite3.Database(':memory:');
+      const exec = (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())));
+      const { sql, params: names } = secureOperations.equipment.setComponentsLocation;
+      try {
+        await exec(createTableSql(TABLES.find(table => table.name === 'equipment')));
+        await exec(`INSERT INTO equipment (id, equipment_id, type, parent_id, site) VALUES
+          (4, 'OHC-1', 'Crane', NULL, 'South'), (5, 'HST-1', 'Hoist', 4, 'South'), (6, 'TRL-1', 'Trolley', 5, 'South'),
+          (7, 'OHC-2', 'Crane', NULL, 'South'), (8, 'HST-2', 'Hoist', 7, 'South')`);
+        await new Promise((resolve, reject) => db.run(
+          sql, names.map(name => ({ id: 4, site: 'North', building: 'Shop 2', bay: null })[name]),
+          (err) => (err ? reject(err) : resolve())
+        ));
+
+        const rows = await new Promise((resolve, reject) => db.all(
+          'SELECT id, site FROM equipment ORDER BY id', [], (err, result) => (err ? reject(err) : resolve(result))
+        ));
+        expect(rows).toEqual([
+          { id: 4, site: 'South' }, { id: 5, site: 'North' }, { id: 6, site: 'North' },
+          { id: 7, site: 'South' }, { id: 8, site: 'South' }
+        ]);
+      } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+      }
+    });
+  });
+
+  describe('compliance standards', () => {
+    it('should accept only whole-day frequencies', () => {
+      const params = { name: 'OSHA', description: 'Overhead cranes', authority: 'OSHA' };
+      const { validate } = secureOperations.compliance.createStandard;
+      expect(validate(params)).toBe(true);
+      expect(validate({ ...params, inspectionFrequencyDays: 30, loadTestFrequencyDays: null })).toBe(true);
+      expect(validate({ ...params, inspectionFrequencyDays: 0 })).toBe(false);
+      expect(validate({ ...params, loadTestFrequencyDays: 1.5 })).toBe(false);
+      expect(secureOperations.compliance.updateStandard.validate({ ...params, id: 3, inspectionFrequencyDays: 365 })).toBe(true);
+    });
+  });
+
+  describe('scheduledInspections', () => {
+    const createTable = (db) => new Promise((resolve, reject) => {
+      const statements = [
+        ...['equipment', 'users', 'credentials', 'scheduled_inspections'].map(name => createTableSql(TABLES.find(table => table.name === name))),
+        ...TRIGGERS.filter(trigger => trigger.table === 'scheduled_inspections').map(trigger => trigger.sql)
+      ];
+      db.exec(statements.join(';\n'), (err) => (err ? reject(err) : resolve()));
+    });
+    const run = (db, sql, params) => new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+    const all = (db, sql) => new Promise((resolve, reject) => {
+      db.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+    it('should accept only known recurrence rules', () => {
+      const params = { equipmentId: 1, scheduledDate: '2025-01-31', assignedInspector: 'Alex', status: 'scheduled' };
+      const { validate } = secureOperations.scheduledInspections.create;
+      expect(validate(params)).toBe(true);
+      expect(validate({ ...params, recurrence: 'periodic_annual' })).toBe(true);
+      expect(validate({ ...params, recurrence: 'weekly' })).toBe(false);
+    });
+
+    it('should schedule the next occurrence of a series once', async () => {
+      const db = new sqlite3.Database(':memory:');
+      const { sql } = secureOperations.scheduledInspections.scheduleNext;
+      try {
+        await createTable(db);
+        await run(db, `INSERT INTO scheduled_inspections (equipment_id, scheduled_date, assigned_inspector, status, recurrence)
+          VALUES (1, '2025-01-31', 'Alex', 'completed', 'frequent_monthly'), (2, '2025-01-31', NULL, 'completed', NULL)`);
+
+        expect(await run(db, sql, [1])).toMatchObject({ lastID: 3, changes: 1 });
+        expect(await run(db, sql, [1])).toMatchObject({ changes: 0 });
+        expect(await run(db, sql, [2])).toMatchObject({ changes: 0 });
+        await run(db, sql, [3]);
+
+        expect(await all(db, 'SELECT id, equipment_id, scheduled_date, assigned_inspector, status, recurrence, series_id FROM scheduled_inspections WHERE id > 2'))
+          .toEqual([
+            { id: 3, equipment_id: 1, scheduled_date: '2025-02-28', assigned_inspector: 'Alex', status: 'scheduled', recurrence: 'frequent_monthly', series_id: 1 },
+            { id: 4, equipment_id: 1, scheduled_date: '2025-03-28', assigned_inspector: 'Alex', status: 'scheduled', recurrence: 'frequent_monthly', series_id: 1 }
+          ]);
+      } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+      }
+    });
+
+    it('should assign only inspectors qualified for the equipment on the day', async () => {
+      const db = new sqlite3.Database(':memory:');
+      const { sql: assign } = secureOperations.scheduledInspections.assign;
+      const { sql: scheduleNext } = secureOperations.scheduledInspections.scheduleNext;
+      try {
+        await createTable(db);
+        await run(db, `INSERT INTO equipment (id, equipment_id, type) VALUES (1, 'OHC-1', 'Overhead Crane'), (2, 'FL-1', 'Forklift')`);
+        await run(db, `INSERT INTO users (id, username, full_name, role) VALUES
+          (1, 'alex', 'Alex Kim', 'inspector'), (2, 'sam', 'Sam Lee', 'inspector'), (3, 'rev', 'Rita Vo', 'reviewer')`);
+        await run(db, `INSERT INTO credentials (person_name, credential_type, equipment_types, issue_date, expiration_date) VALUES
+          ('alex kim', 'Inspector', '["Overhead Crane"]', '2024-01-01', '2025-12-31'),
+          ('sam', 'Inspector', NULL, '2024-01-01', '2025-02-15'),
+          ('Rita Vo', 'Inspector', NULL, '2024-01-01', '2030-01-01')`);
+        await run(db, `INSERT INTO scheduled_inspections (id, equipment_id, scheduled_date, status, recurrence) VALUES
+          (1, 1, '2025-01-31', 'scheduled', 'frequent_monthly'), (2, 2, '2025-01-31', 'scheduled', 'frequent_monthly')`);
+
+        await expect(run(db, assign, [1, 1, 1])).resolves.toMatchObject({ changes: 1 });
+        await expect(run(db, assign, [1, 1, 2])).rejects.toThrow('does not hold a valid Inspector credential');
+        await expect(run(db, assign, [3, 3, 2])).rejects.toThrow('does not hold a valid Inspector credential');
+        await expect(run(db, assign, [2, 2, 2])).resolves.toMatchObject({ changes: 1 });
+
+        // Sam's credential lapses before the next occurrence of inspection 2; Alex's does not
+        await run(db, scheduleNext, [1]);
+        await run(db, scheduleNext, [2]);
+        expect(await all(db, 'SELECT id, equipment_id, scheduled_date, assigned_user_id, assigned_inspector FROM scheduled_inspections WHERE id > 2'))
+          .toEqual([
+            { id: 3, equipment_id: 1, scheduled_date: '2025-02-28', assigned_user_id: 1, assigned_inspector: 'Alex Kim' },
+            { id: 4, equipment_id: 2, scheduled_date: '2025-02-28', assigned_user_id: null, assigned_inspector: null }
+          ]);
+      } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+      }
+    });
+
+    it('should complete an occurrence and report the next one', async () => {
+      const execute = jest.fn()
+        .mockResolvedValueOnce({ lastID: 0, changes: 1 })
+        .mockResolvedValueOnce({ lastID: 12, changes: 1 });
+
+      await expect(secureOperations.scheduledInspections.complete.run(execute, { id: 7 })).resolves.toEqual({ id: 7, nextId: 12 });
+      expect(execute.mock.calls).toEqual([
+        ['scheduledInspections', 'updateStatus', { id: 7, status: 'completed' }],
+        ['scheduledInspections', 'scheduleNext', { id: 7 }]
+      ]);
+
+      execute.mockReset().mockResolvedValue({ lastID: 0, changes: 0 });
+      await expect(secureOperations.scheduledInspections.complete.run(execute, { id: 7 })).rejects.toThrow('not found');
+    });
+
+    it('should apply a compliance plan step by step', async () => {
+      const plan = {
+        create: [{ equipmentId: 1, scheduleType: 'load_test', standardId: 2, scheduledDate: '2025-06-01', dueReason: 'Every 365 days' }],
+        update: [{ id: 4, standardId: 2, scheduledDate: '2025-02-09', dueReason: 'Every 30 days' }],
+        remove: [5]
+      };
+      const { validate, run: apply } = secureOperations.scheduledInspections.applyCompliancePlan;
+      expect(validate(plan)).toBe(true);
+      expect(validate({ ...plan, create: [{ ...plan.create[0], scheduleType: 'calibration' }] })).toBe(false);
+      expect(validate({ ...plan, remove: ['5'] })).toBe(false);
+
+      const execute = jest.fn().mockResolvedValue({ lastID: 11, changes: 1 });
+      await expect(apply(execute, plan)).resolves.toEqual({ createdIds: [11], updated: 1, removed: 1 });
+      expect(execute.mock.calls.map(([category, operation]) => `${category}.${operation}`)).toEqual([
+        'scheduledInspections.createFromCompliance',
+        'scheduledInspections.refreshFromCompliance',
+        'scheduledInspections.removeFromCompliance'
+      ]);
+    });
+  });
+
+  describe('pmSchedules', () => {
+    it('should raise one PM work order per schedule while it is open', async () => {
+      const db = new sqlite3.Database(':memory:');
+      const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      });
+      const { sql, params: names } = secureOperations.workOrders.createFromPmSchedule;
+      const raise = (params) => run(sql, names.map(name => params[name]));
+      const params = { pmScheduleId: 1, title: 'Engine Service - FL-1', description: 'Due', estimatedHours: 2, createdBy: 'PM Scheduler', scheduledDate: '2025-01-21' };
+      try {
+        await new Promise((resolve, reject) => db.exec(
+          ['equipment', 'pm_templates', 'pm_schedules', 'work_orders'].map(name => createTableSql(TABLES.find(table => table.name === name))).join(';\n'),
+          (err) => (err ? reject(err) : resolve())
+        ));
+        await run(`INSERT INTO equipment (id, equipment_id, type) VALUES (1, 'FL-1', 'Forklift')`);
+        await run(`INSERT INTO pm_templates (id, name, equipment_type, frequency_type, frequency_value, frequency_unit) VALUES (1, 'Engine Service', 'Forklift', 'usage', 250, 'hours')`);
+        await run('INSERT INTO pm_schedules (id, equipment_id, pm_template_id) VALUES (1, 1, 1)');
+
+        await expect(raise(params)).resolves.toMatchObject({ changes: 1 });
+        await expect(raise(params)).resolves.toMatchObject({ changes: 0 });
+        await run(`UPDATE work_orders SET status = 'completed'`);
+        await expect(raise(params)).resolves.toMatchObject({ changes: 1 });
+
+        const rows = await new Promise((resolve, reject) => db.all(
+          'SELECT wo_number, work_type, status, pm_schedule_id FROM work_orders ORDER BY id', [],
+          (err, result) => (err ? reject(err) : resolve(result))
+        ));
+        expect(rows).toEqual([
+          { wo_number: 'PM-FL-1-1-1', work_type: 'preventive', status: 'completed', pm_schedule_id: 1 },
+          { wo_number: 'PM-FL-1-1-2', work_type: 'preventive', status: 'draft', pm_schedule_id: 1 }
+        ]);
+      } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+      }
+    });
+
+    it('should apply a meter plan and report only the work orders actually raised', async () => {
+      const plan = {
+        update: [{ id: 1, nextDueDate: '2025-01-20', nextDueUsage: 1250, lastCompletedDate: null, lastCompletedUsage: null }],
+        workOrders: [
+          { pmScheduleId: 1, title: 'Engine Service - FL-1', createdBy: 'PM Scheduler', scheduledDate: '2025-01-21' },
+          { pmScheduleId: 2, title: 'Mast Check - FL-2', createdBy: 'PM Scheduler', scheduledDate: '2025-01-21' }
+        ]
+      };
+      const { validate, run: apply } = secureOperations.pmSchedules.applyMeterPlan;
+      expect(validate(plan)).toBe(true);
+      expect(validate({ ...plan, workOrders: [{ ...plan.workOrders[0], scheduledDate: 'soon' }] })).toBe(false);
+
+      const execute = jest.fn()
+        .mockResolvedValueOnce({ lastID: 0, changes: 1 })
+        .mockResolvedValueOnce({ lastID: 7, changes: 1 })
+        .mockResolvedValueOnce({ lastID: 7, changes: 0 });
+      await expect(apply(execute, plan)).resolves.toEqual({ updated: 1, raised: [7] });
+      expect(execute.mock.calls.map(([category, operation]) => `${category}.${operation}`)).toEqual([
+        'pmSchedules.updateDue',
+        'workOrders.createFromPmSchedule',
+        'workOrders.createFromPmSchedule'
+      ]);
+    });
+  });
+
+  describe('users', () => {
+    // What a reviewer holding user.manage may do, applying each operation's conditionalRole
+    // the way the main process does
+    it('should keep administrator accounts and the admin role from non-admin holders of user.manage', async () => {
+      const db = new sqlite3.Database(':memory:');
+      const reviewerMay = async (operation, params) => {
+        const condition = secureOperations.users[operation].conditionalRole;
+        const row = await new Promise((resolve, reject) => db.get(
+          condition.sql, condition.params.map(name => params[name]),
+          (err, result) => (err ? reject(err) : resolve(result))
+        ));
+        return !row || hasRequiredRole('reviewer', condition.role);
+      };
+      try {
+        await new Promise((resolve, reject) => db.exec(
+          createTableSql(TABLES.find(table => table.name === 'users')),
+          (err) => (err ? reject(err) : resolve())
+        ));
+        await new Promise((resolve, reject) => db.exec(
+          `INSERT INTO users (id, username, full_name, role) VALUES (1, 'admin', 'Admin', 'admin'), (2, 'rev', 'Rev', 'reviewer')`,
+          (err) => (err ? reject(err) : resolve())
+        ));
+
+        await expect(reviewerMay('create', { role: 'inspector' })).resolves.toBe(true);
+        await expect(reviewerMay('create', { role: 'admin' })).resolves.toBe(false);
+        await expect(reviewerMay('updateRole', { id: 2, role: 'inspector' })).resolves.toBe(true);
+        await expect(reviewerMay('updateRole', { id: 2, role: 'admin' })).resolves.toBe(false);
+        await expect(reviewerMay('updateRole', { id: 1, role: 'viewer' })).resolves.toBe(false);
+        for (const operation of ['update', 'deactivate', 'reactivate']) {
+          await expect(reviewerMay(operation, { id: 2 })).resolves.toBe(true);
+          await expect(reviewerMay(operation, { id: 1 })).resolves.toBe(false);
+        }
+        // Imports create each account through users.create, so its condition applies to every row
+        const execute = jest.fn(async () => ({ lastID: 3, changes: 1 }));
+        await secureOperations.users.import.run(execute, { users: [{ username: ' boss ', fullName: 'Boss', role: 'admin' }] });
+        expect(execute).toHaveBeenCalledWith('users', 'create', { username: 'boss', fullName: 'Boss', email: null, role: 'admin' });
+      } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+      }
+    });
+  });
+
+  describe('hasRequiredRole', () => {
+    it('should allow equal or higher roles', () => {
+      expect(hasRequiredRole('admin', 'reviewer')).toBe(true);
+      expect(hasRequiredRole('reviewer', 'reviewer')).toBe(true);
+      expect(hasRequiredRole('inspector', 'viewer')).toBe(true);
+    });
+
+    it('should deny lower, unknown or missing roles', () => {
+      expect(hasRequiredRole('inspector', 'reviewer')).toBe(false);
+      expect(hasRequiredRole('viewer', 'inspector')).toBe(false);
+      expect(hasRequiredRole('superuser', 'viewer')).toBe(false);
+      expect(hasRequiredRole('admin', undefined)).toBe(false);
+      expect(hasRequiredRole(undefined, 'viewer')).toBe(false);
+    });
+  });
+
+  describe('getAuditTarget', () => {
+    it('should resolve an audited entity for every write operation except audit log entries', () => {
+      Object.entries(secureOperations).forEach(([category, operations]) => {
+        Object.entries(operations)
+          .filter(([, definition]) => definition.returnType === 'write')
+          .forEach(([operation]) => {
+            const target = getAuditTarget(category, operation);
+            const expected = category === 'auditLog' ? null : expect.objectContaining({ entityType: expect.any(String), table: expect.any(String) });
+            expect({ operation: `${category}.${operation}`, target }).toEqual({ operation: `${category}.${operation}`, target: expected });
+          });
+      });
+    });
+
+    it('should not audit reads and should apply operation overrides', () => {
+      expect(getAuditTarget('equipment', 'getAll')).toBeNull();
+      expect(getAuditTarget('equipment', 'update')).toEqual({ entityType: 'equipment', table: 'equipment', statement: 'UPDATE' });
+      expect(getAuditTarget('deficiencies', 'close')).toMatchObject({ entityType: 'deficiency', action: 'close' });
+      expect(getAuditTarget('templates', 'save')).toMatchObject({ lookup: { name: 'name' }, statement: 'INSERT' });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { ACTIVITY_REPORT_INTERVAL_MS, SessionManager, SYSTEM_SESSION } from '../sessionManager';
+
+describe('SessionManager', () => {
+  const admin = { id: 1, username: 'admin', role: 'admin' };
+  const inspector = { id: 2, username: 'jdoe', role: 'inspector' };
+
+  it('should issue tokens that only resolve for the renderer that signed in', () => {
+    const sessions = new SessionManager();
+    const token = sessions.create(admin, 7);
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(sessions.get(token, 7)).toMatchObject({ userId: 1, username: 'admin', role: 'admin', restricted: false });
+    expect(sessions.get(token, 8)).toBeNull();
+    expect(sessions.get('not-a-token', 7)).toBeNull();
+    expect(sessions.get(undefined, 7)).toBeNull();
+  });
+
+  it('should replace the previous session when the same renderer signs in again', () => {
+    const sessions = new SessionManager();
+    const first = sessions.create(admin, 7);
+    const second = sessions.create(inspector, 7, { restricted: true });
+
+    expect(sessions.get(first, 7)).toBeNull();
+    expect(sessions.findByOwner(7)).toEqual({ token: second, session: expect.objectContaining({ username: 'jdoe', restricted: true }) });
+  });
+
+  it('should destroy sessions by token and by user', () => {
+    const sessions = new SessionManager();
+    const token = sessions.create(admin, 7);
+    sessions.create(inspector, 8);
+    sessions.create(inspector, 9);
+
+    expect(sessions.destroy(token)).toBe(true);
+    expect(sessions.get(token, 7)).toBeNull();
+    expect(sessions.destroyForUser(2)).toBe(2);
+    expect(sessions.findByOwner(8)).toBeNull();
+  });
+
+  it('should apply account changes to every session of a user', () => {
+    const sessions = new SessionManager();
+    const first = sessions.create(inspector, 8);
+    const second = sessions.create(inspector, 9);
+    const other = sessions.create(admin, 7);
+
+    expect(sessions.updateForUser(2, { role: 'reviewer' })).toBe(2);
+    expect(sessions.get(first, 8).role).toBe('reviewer');
+    expect(sessions.get(second, 9).role).toBe('reviewer');
+    expect(sessions.get(other, 7).role).toBe('admin');
+  });
+
+  it('should lock idle sessions and expire them after their lifetime', () => {
+    const sessions = new SessionManager();
+    const token = sessions.create(inspector, 8);
+    const session = sessions.get(token, 8);
+    const policy = { idleTimeoutMs: 15 * 60000, maxLifetimeMs: 12 * 3600000 };
+    const start = session.createdAt;
+
+    expect(sessions.getState(session, policy, start + policy.idleTimeoutMs)).toBe('active');
+    expect(sessions.getState(session, policy, start + policy.idleTimeoutMs + ACTIVITY_REPORT_INTERVAL_MS + 1)).toBe('idle');
+    expect(sessions.getState(session, policy, start + policy.maxLifetimeMs)).toBe('expired');
+
+    expect(sessions.lock(token)).toBe(true);
+    expect(sessions.lock(token)).toBe(false);
+    expect(sessions.getState(session, policy, start + 1000)).toBe('locked');
+  });
+
+  it('should ignore activity while locked and resume it on unlock', () => {
+    const sessions = new SessionManager();
+    const token = sessions.create(inspector, 8);
+    const session = sessions.get(token, 8);
+    session.lastActivity = 0;
+
+    sessions.lock(token);
+    sessions.touch(token);
+    expect(session.lastActivity).toBe(0);
+
+    sessions.unlock(token);
+    expect(session.locked).toBe(false);
+    expect(session.lastActivity).toBeGreaterThan(0);
+  });
+
+  it('should expose a frozen system context for main-process work', () => {
+    expect(SYSTEM_SESSION.system).toBe(true);
+    expect(Object.isFrozen(SYSTEM_SESSION)).toBe(true);
+  });
+});
@@ -0,0 +1,98 @@
+import zlib from 'zlib';
+import { isXlsxFile, readXlsxRows } from '../spreadsheet';
+
+// Writes a zip with deflated entries; the reader ignores the CRCs, so they are left at 0
+const createZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(Buffer.from(content, 'utf8'));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const workbook = (sheetXml) => createZip({
+  '[Content_Types].xml': '<Types/>',
+  'xl/workbook.xml': '<workbook><sheets><sheet name="Cranes" sheetId="1" r:id="rId3"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId3" Target="worksheets/cranes.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Equipment ID</t></si><si><t>Installed</t></si><si><r><t>Bay </t></r><r><t xml:space="preserve">&amp; Hall</t></r></si></sst>',
+  'xl/styles.xml': '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/><numFmt numFmtId="165" formatCode="0.0&quot; t&quot;"/></numFmts>' +
+    '<cellXfs><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="14"/><xf numFmtId="165"/></cellXfs></styleSheet>',
+  'xl/worksheets/cranes.xml': sheetXml
+});
+
+describe('spreadsheet', () => {
+  it('should read shared, inline, numeric and date cells from the first worksheet', () => {
+    const buffer = workbook(`<worksheet><sheetData>
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="s"><v>2</v></c></row>
+      <row r="2"/>
+      <row r="3"><c r="A3" t="inlineStr"><is><t>OHC-&lt;1&gt;</t></is></c><c r="B3" s="1"><v>45306</v></c><c r="C3" s="3"><v>7.5</v></c><c r="D3" t="b"><v>1</v></c></row>
+      <row r="4"><c r="A4" t="str"><v>OHC-2</v></c><c r="B4" s="2" t="n"><v>36526</v></c></row>
+    </sheetData></worksheet>`);
+
+    expect(isXlsxFile(buffer)).toBe(true);
+    expect(readXlsxRows(buffer)).toEqual([
+      { line: 1, cells: ['Equipment ID', 'Installed', '', 'Bay & Hall'] },
+      { line: 3, cells: ['OHC-<1>', '2024-01-15', '7.5', 'TRUE'] },
+      { line: 4, cells: ['OHC-2', '2000-01-01'] }
+    ]);
+  });
+
+  it('should refuse files that are not workbooks', () => {
+    expect(isXlsxFile(Buffer.from('equipment_id,type\n'))).toBe(false);
+    expect(() => readXlsxRows(Buffer.from('equipment_id,type\n'))).toThrow('Not an Excel workbook');
+    expect(() => readXlsxRows(createZip({ 'word/document.xml': '<document/>' }))).toThrow('The workbook has no worksheet');
+  });
+
+  it('should refuse cells beyond the last Excel column', () => {
+    const sheet = (reference) => workbook(`<worksheet><sheetData><row r="1"><c r="${reference}"><v>1</v></c></row></sheetData></worksheet>`);
+
+    expect(readXlsxRows(sheet('XFD99999999'))[0].cells).toHaveLength(16384);
+    expect(() => readXlsxRows(sheet('XFE1'))).toThrow('beyond its last column');
+    expect(() => readXlsxRows(sheet('AAAA1'))).toThrow('invalid cell reference: AAAA1');
+  });
+
+  it('should refuse a zip whose directory points outside the file', () => {
+    const buffer = workbook('<worksheet><sheetData/></worksheet>');
+    const directoryStart = buffer.readUInt32LE(buffer.length - 22 + 16);
+
+    const pastEnd = Buffer.from(buffer);
+    pastEnd.writeUInt16LE(0xffff, directoryStart + 28);
+    expect(() => readXlsxRows(pastEnd)).toThrow('the zip directory is damaged');
+
+    const oversized = Buffer.from(buffer);
+    oversized.writeUInt32LE(0x7fffffff, directoryStart + 20);
+    expect(() => readXlsxRows(oversized)).toThrow('the zip directory is damaged');
+
+    const misplaced = Buffer.from(buffer);
+    misplaced.writeUInt32LE(5, directoryStart + 42);
+    expect(() => readXlsxRows(misplaced)).toThrow('the zip directory is damaged');
+  });
+});
@@ -0,0 +1,76 @@
+import { runExclusive, runInTransaction } from '../transaction';
+
+// Records the SQL run on a connection; statements listed in `failing` fail
+const createRecordingDb = (failing = []) => {
+  const statements = [];
+  return {
+    statements,
+    run: (sql, callback) => {
+      statements.push(sql);
+      setTimeout(() => callback(failing.includes(sql) ? new Error(`${sql} failed`) : null), 0);
+    }
+  };
+};
+
+describe('transaction', () => {
+  describe('runInTransaction', () => {
+    it('should commit and return the result of successful work', async () => {
+      const db = createRecordingDb();
+      const result = await runInTransaction(db, async () => {
+        db.statements.push('INSERT');
+        return { ids: [1, 2] };
+      });
+
+      expect(result).toEqual({ ids: [1, 2] });
+      expect(db.statements).toEqual(['BEGIN IMMEDIATE', 'INSERT', 'COMMIT']);
+    });
+
+    it('should roll back and rethrow when the work fails', async () => {
+      const db = createRecordingDb();
+      await expect(runInTransaction(db, async () => {
+        db.statements.push('INSERT');
+        throw new Error('step failed');
+      })).rejects.toThrow('step failed');
+
+      expect(db.statements).toEqual(['BEGIN IMMEDIATE', 'INSERT', 'ROLLBACK']);
+    });
+
+    it('should not run the work when the transaction cannot start', async () => {
+      const db = createRecordingDb(['BEGIN IMMEDIATE']);
+      const work = jest.fn();
+
+      await expect(runInTransaction(db, work)).rejects.toThrow('BEGIN IMMEDIATE failed');
+      expect(work).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when the commit fails', async () => {
+      const db = createRecordingDb(['COMMIT']);
+      await expect(runInTransaction(db, async () => 'done')).rejects.toThrow('COMMIT failed');
+      expect(db.statements).toEqual(['BEGIN IMMEDIATE', 'COMMIT', 'ROLLBACK']);
+    });
+  });
+
+  describe('runExclusive', () => {
+    it('should run queued tasks one at a time, in order, even after a failure', async () => {
+      const db = {};
+      const events = [];
+      const task = (name, fail = false) => async () => {
+        events.push(`${name}:start`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        events.push(`${name}:end`);
+        if (fail) throw new Error(`${name} failed`);
+        return name;
+      };
+
+      const results = await Promise.allSettled([
+        runExclusive(db, task('a', true)),
+        runExclusive(db, task('b')),
+        runExclusive(db, task('c'))
+      ]);
+
+      expect(events).toEqual(['a:start', 'a:end', 'b:start', 'b:end', 'c:start', 'c:end']);
+      expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled', 'fulfilled']);
+      expect(results[2].value).toBe('c');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Application Settings Catalog
+ *
+ * Settings administrators can change from the Settings view. Values are stored
+ * as text in app_settings and only when they differ from the default, so a
+ * missing row always means "use the default".
+ */
+
+const SETTINGS = [
+  {
+    key: 'session.idle_timeout_minutes',
+    group: 'Sessions',
+    label: 'Lock the screen after this many idle minutes',
+    defaultValue: 15,
+    min: 1,
+    max: 240
+  },
+  {
+    key: 'session.max_lifetime_hours',
+    group: 'Sessions',
+    label: 'Sign out after this many hours, even when active',
+    defaultValue: 12,
+    min: 1,
+    max: 72
+  },
+  {
+    key: 'backup.daily_retention',
+    group: 'Backups',
+    label: 'Daily backups to keep (0 turns them off)',
+    defaultValue: 7,
+    min: 0,
+    max: 60
+  },
+  {
+    key: 'backup.weekly_retention',
+    group: 'Backups',
+    label: 'Weekly backups to keep (0 turns them off)',
+    defaultValue: 4,
+    min: 0,
+    max: 52
+  },
+  {
+    key: 'backup.monthly_retention',
+    group: 'Backups',
+    label: 'Monthly backups to keep (0 turns them off)',
+    defaultValue: 12,
+    min: 0,
+    max: 120
+  }
+];
+
+const SETTING_KEYS = SETTINGS.map(setting => setting.key);
+
+/**
+ * Checks a value against a setting's accepted range
+ * @param {string} key - Setting key
+ * @param {*} value - Proposed value
+ * @returns {boolean} - True if the key is known and the value is an integer in range
+ */
+function isValidSetting(key, value) {
+  const setting = SETTINGS.find(s => s.key === key);
+  if (!setting) return false;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= setting.min && number <= setting.max;
+}
+
+/**
+ * Builds the effective settings from the stored rows
+ * @param {Array<Object>} rows - app_settings rows ({ key, value })
+ * @returns {Object} - { [key]: number } for every setting; invalid stored values fall back to the default
+ */
+function resolveSettings(rows = []) {
+  const settings = {};
+
+  SETTINGS.forEach(setting => {
+    const row = rows.find(r => r.key === setting.key);
+    settings[setting.key] = row && isValidSetting(setting.key, row.value) ? Number(row.value) : setting.defaultValue;
+  });
+
+  return settings;
+}
+
+module.exports = {
+  SETTINGS,
+  SETTING_KEYS,
+  isValidSetting,
+  resolveSettings
+};
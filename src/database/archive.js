@@ -0,0 +1,189 @@
+/**
+ * Tar Archives
+ *
+ * Minimal gzip-compressed tar (ustar) writing and streaming reading for the
+ * full-archive backup. Only regular files are stored; names longer than the
+ * 100 bytes ustar allows are carried in a PAX extended header.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+
+const paddingFor = (size) => (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+function writeOctal(header, offset, length, value) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 32 : header[i];
+  }
+  return sum;
+}
+
+function createHeader(name, size, type) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(Date.now() / 1000));
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\x0000', 257, 8, 'ascii');
+  header.write(`${checksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+// A PAX record is "<length> path=<value>\n", where the length counts itself
+function createPaxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return Buffer.from(`${length}${body}`, 'utf8');
+}
+
+class TarWriter {
+  /**
+   * @param {string} destinationPath - .tar.gz file to create
+   */
+  constructor(destinationPath) {
+    this.gzip = zlib.createGzip();
+    this.done = pipeline(this.gzip, fs.createWriteStream(destinationPath));
+    // Surfaced by close(); without a handler a write error would be unhandled until then
+    this.done.catch(() => {});
+  }
+
+  async write(buffer) {
+    if (!this.gzip.write(buffer)) {
+      await once(this.gzip, 'drain');
+    }
+  }
+
+  /**
+   * Appends a regular file
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Buffer} data - File contents
+   */
+  async addFile(name, data) {
+    if (Buffer.byteLength(name) > 100) {
+      const pax = createPaxRecord('path', name);
+      await this.write(createHeader('PaxHeader', pax.length, 'x'));
+      await this.write(Buffer.concat([pax, Buffer.alloc(paddingFor(pax.length))]));
+    }
+    await this.write(createHeader(name, data.length, '0'));
+    await this.write(data);
+    await this.write(Buffer.alloc(paddingFor(data.length)));
+  }
+
+  async close() {
+    this.gzip.end(END_OF_ARCHIVE);
+    await this.done;
+  }
+}
+
+function parseHeader(header) {
+  if (header.every(byte => byte === 0)) return null;
+
+  const stored = parseInt(header.toString('ascii', 148, 156).replace(/\0.*$/, '').trim(), 8);
+  if (stored !== checksum(header)) {
+    throw new Error('The archive is damaged (bad tar header checksum)');
+  }
+
+  const field = (offset, length) => header.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+  const prefix = field(345, 155);
+  const name = field(0, 100);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: parseInt(field(124, 12).trim() || '0', 8),
+    type: String.fromCharCode(header[156] || 48)
+  };
+}
+
+function parsePaxPath(data) {
+  const match = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Reads a .tar.gz archive entry by entry without loading it whole
+ * @param {string} filePath - Archive to read
+ * @param {Function} onEntry - Async; (name, data) for each regular file, in archive order
+ * @returns {Promise<void>}
+ */
+async function readTar(filePath, onEntry) {
+  const input = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+  input.on('error', error => gunzip.destroy(error));
+  input.pipe(gunzip);
+
+  const chunks = [];
+  let buffered = 0;
+  const take = (length) => {
+    const all = Buffer.concat(chunks);
+    chunks.length = 0;
+    chunks.push(all.subarray(length));
+    buffered -= length;
+    return all.subarray(0, length);
+  };
+
+  let entry = null;
+  let paxPath = null;
+  let ended = false;
+
+  try {
+    for await (const chunk of gunzip) {
+      chunks.push(chunk);
+      buffered += chunk.length;
+
+      while (!ended) {
+        if (!entry) {
+          if (buffered < BLOCK_SIZE) break;
+          entry = parseHeader(take(BLOCK_SIZE));
+          if (!entry) {
+            ended = true;
+            break;
+          }
+        }
+
+        const stored = entry.size + paddingFor(entry.size);
+        if (buffered < stored) break;
+        const data = take(stored).subarray(0, entry.size);
+
+        if (entry.type === 'x') {
+          paxPath = parsePaxPath(data);
+        } else {
+          if (entry.type === '0') {
+            await onEntry(paxPath || entry.name, data);
+          }
+          paxPath = null;
+        }
+        entry = null;
+      }
+
+      if (ended) break;
+    }
+  } finally {
+    input.destroy();
+    gunzip.destroy();
+  }
+
+  if (!ended) {
+    throw new Error('The archive is incomplete');
+  }
+}
+
+module.exports = {
+  TarWriter,
+  readTar
+};
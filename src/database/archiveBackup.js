@@ -0,0 +1,313 @@
+/**
+ * Full-Archive Backup
+ *
+ * A single .jsgarchive file (gzip-compressed tar) holding a database
+ * snapshot, the managed documents tree, the certificate files the database
+ * points to, and manifest.json listing every file with its SHA-256 and the
+ * path the database knew it by. Restoring places the files under the new
+ * userData folder and rewrites the stored paths, so links survive a move to
+ * another machine.
+ *
+ * While encryption at rest is enabled each file in the archive is encrypted
+ * and the manifest carries the data key wrapped by the passphrase, as an
+ * encrypted backup does. The manifest itself (file names and hashes) is not
+ * encrypted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { TarWriter, readTar } = require('./archive');
+const { sha256 } = require('./databaseBackup');
+const { decryptWithEnvelope } = require('./encryptedStorage');
+const { isEncryptedBuffer, unwrapKeys } = require('./encryption');
+
+const ARCHIVE_FORMAT = 'jsg-inspections-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const DATABASE_NAME = 'database.db';
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+// Columns holding paths of files stored outside the database
+const FILE_PATH_COLUMNS = [
+  { table: 'documents', column: 'file_path' },
+  { table: 'load_tests', column: 'certificate_path' },
+  { table: 'calibrations', column: 'certificate_path' },
+  { table: 'credentials', column: 'certificate_path' },
+  { table: 'certificates', column: 'certificate_path' }
+];
+
+const openDatabaseFile = (filePath, mode) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath, mode, (err) => (err ? reject(err) : resolve(db)));
+});
+
+const query = (db, method, sql, params = []) => new Promise((resolve, reject) => {
+  db[method](sql, params, function (err, result) {
+    if (err) reject(err);
+    else resolve(method === 'run' ? this.changes : result);
+  });
+});
+
+const closeDatabaseFile = (db) => new Promise(resolve => db.close(resolve));
+
+async function listFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const files = await Promise.all(entries.map(entry => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  }));
+  return files.flat().filter(filePath => !filePath.endsWith('.tmp'));
+}
+
+// Lists the FILE_PATH_COLUMNS present in a database, for schemas from before some of them existed
+async function getFilePathColumns(db) {
+  const present = [];
+  for (const { table, column } of FILE_PATH_COLUMNS) {
+    const columns = await query(db, 'all', `PRAGMA table_info(${table})`);
+    if (columns.some(c => c.name === column)) present.push({ table, column });
+  }
+  return present;
+}
+
+/**
+ * Lists every file path stored in a database
+ * @param {string} dbFilePath - SQLite file
+ * @returns {Promise<Array<string>>} - Distinct non-empty paths
+ */
+async function collectFilePaths(dbFilePath) {
+  const db = await openDatabaseFile(dbFilePath, sqlite3.OPEN_READONLY);
+  try {
+    const paths = new Set();
+    for (const { table, column } of await getFilePathColumns(db)) {
+      const rows = await query(db, 'all', `SELECT DISTINCT ${column} AS file_path FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`);
+      rows.forEach(row => paths.add(row.file_path));
+    }
+    return [...paths];
+  } finally {
+    await closeDatabaseFile(db);
+  }
+}
+
+/**
+ * Replaces stored file paths in a database
+ * @param {string} dbFilePath - SQLite file, changed in place
+ * @param {Object} pathMap - { [old path]: new path }
+ * @returns {Promise<number>} - Rows updated
+ */
+async function rewriteFilePaths(dbFilePath, pathMap) {
+  const db = await openDatabaseFile(dbFilePath, sqlite3.OPEN_READWRITE);
+  let updated = 0;
+  try {
+    const columns = await getFilePathColumns(db);
+    await query(db, 'run', 'BEGIN IMMEDIATE');
+    try {
+      for (const [oldPath, newPath] of Object.entries(pathMap)) {
+        for (const { table, column } of columns) {
+          updated += await query(db, 'run', `UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [newPath, oldPath]);
+        }
+      }
+      await query(db, 'run', 'COMMIT');
+    } catch (error) {
+      await query(db, 'run', 'ROLLBACK').catch(() => {});
+      throw error;
+    }
+  } finally {
+    await closeDatabaseFile(db);
+  }
+  return updated;
+}
+
+/**
+ * Checks that an archive entry name stays inside the staging folder
+ * @param {string} name - Entry name from the archive
+ * @returns {boolean} - True for the manifest, the database and relative paths under documents/ or certificates/
+ */
+function isSafeArchivePath(name) {
+  if (name === MANIFEST_NAME || name === DATABASE_NAME) return true;
+  const parts = name.split('/');
+  return ['documents', 'certificates'].includes(parts[0]) &&
+    parts.length >= 2 &&
+    parts.every(part => part !== '' && part !== '.' && part !== '..' && !part.includes('\\') && !part.includes(':'));
+}
+
+/**
+ * Works out where each archived file goes under a userData folder
+ * @param {Array<Object>} files - Manifest file entries ({ archivePath, originalPath, sha256 })
+ * @param {string} userDataPath - Folder of the installation restoring the archive
+ * @returns {Array<Object>} - The entries with their targetPath
+ */
+function planFileRestore(files, userDataPath) {
+  return files.map(file => ({
+    ...file,
+    targetPath: path.join(userDataPath, ...file.archivePath.split('/'))
+  }));
+}
+
+/**
+ * Writes a full archive
+ * @param {Object} options
+ * @param {string} options.snapshotPath - Consistent copy of the database
+ * @param {string} options.userDataPath - Folder holding the documents tree
+ * @param {string} options.destinationPath - .jsgarchive file to write
+ * @param {Object} options.storage - EncryptedStorage; reads managed files and encrypts the archive while enabled
+ * @param {number} options.schemaVersion - Schema version of the snapshot
+ * @param {string} options.appVersion - Application version
+ * @returns {Promise<Object>} - { files, missing, encrypted }; missing lists stored paths with no file behind them
+ */
+async function exportArchive({ snapshotPath, userDataPath, destinationPath, storage, schemaVersion, appVersion }) {
+  const encrypted = storage.isEnabled();
+  const seal = (plaintext) => (encrypted ? storage.encrypt(plaintext) : plaintext);
+  const writer = new TarWriter(destinationPath);
+
+  try {
+    const image = await fs.readFile(snapshotPath);
+    await writer.addFile(DATABASE_NAME, seal(image));
+
+    const files = [];
+    const addFile = async (archivePath, originalPath) => {
+      const plaintext = await storage.readFile(originalPath);
+      await writer.addFile(archivePath, seal(plaintext));
+      files.push({ archivePath, originalPath, sha256: sha256(plaintext), size: plaintext.length });
+    };
+
+    const documentsDir = path.join(userDataPath, 'documents');
+    for (const filePath of await listFiles(documentsDir)) {
+      await addFile(['documents', ...path.relative(documentsDir, filePath).split(path.sep)].join('/'), filePath);
+    }
+
+    // Certificates and any other file the database points to outside the documents tree
+    const missing = [];
+    for (const storedPath of await collectFilePaths(snapshotPath)) {
+      if (files.some(file => file.originalPath === storedPath)) continue;
+      try {
+        await fs.access(storedPath);
+      } catch (error) {
+        missing.push(storedPath);
+        continue;
+      }
+      const fileName = path.basename(storedPath.replace(/\\/g, '/'));
+      await addFile(`certificates/${files.length + 1}-${fileName}`, storedPath);
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      appVersion,
+      schemaVersion,
+      database: { archivePath: DATABASE_NAME, sha256: sha256(image), size: image.length },
+      files,
+      missing,
+      encryption: encrypted ? storage.exportKeyEnvelope() : null
+    };
+    await writer.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    return { files: files.length, missing, encrypted };
+  } finally {
+    await writer.close();
+  }
+}
+
+/**
+ * Tells a full archive from a database backup by its first bytes
+ * @param {string} filePath - File chosen for restore
+ * @returns {Promise<boolean>} - True for a gzip-compressed archive
+ */
+async function isArchiveFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(GZIP_MAGIC.length), 0, GZIP_MAGIC.length, 0);
+    return bytesRead === GZIP_MAGIC.length && buffer.equals(GZIP_MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Unpacks an archive into a staging folder, decrypting and checking every file
+ * @param {string} filePath - .jsgarchive file
+ * @param {string} stagingDirectory - Empty folder to unpack into
+ * @param {string} passphrase - Passphrase the archive was made under (encrypted archives only)
+ * @returns {Promise<Object>} - { manifest, databasePath, files }; files are manifest entries with their stagedPath
+ */
+async function extractArchive(filePath, stagingDirectory, passphrase) {
+  await fs.mkdir(stagingDirectory, { recursive: true });
+  const staged = new Set();
+
+  await readTar(filePath, async (name, data) => {
+    if (!isSafeArchivePath(name)) {
+      throw new Error(`The archive contains an unsafe path: ${name}`);
+    }
+    const stagedPath = path.join(stagingDirectory, ...name.split('/'));
+    await fs.mkdir(path.dirname(stagedPath), { recursive: true });
+    await fs.writeFile(stagedPath, data);
+    staged.add(name);
+  });
+
+  if (!staged.has(MANIFEST_NAME) || !staged.has(DATABASE_NAME)) {
+    throw new Error('The file is not a JSG Inspections archive');
+  }
+  const manifest = JSON.parse(await fs.readFile(path.join(stagingDirectory, MANIFEST_NAME), 'utf8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('The file is not a JSG Inspections archive');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error('The archive was made by a newer version of the application');
+  }
+
+  let keys = null;
+  if (manifest.encryption) {
+    if (!passphrase) {
+      throw new Error('This archive is encrypted. Enter the passphrase that was in use when it was made.');
+    }
+    keys = await unwrapKeys(manifest.encryption, passphrase);
+  }
+
+  // Decrypts in place and compares with the manifest
+  const verify = async (archivePath, expectedHash) => {
+    if (!staged.has(archivePath)) {
+      throw new Error(`The archive is missing ${archivePath}`);
+    }
+    const stagedPath = path.join(stagingDirectory, ...archivePath.split('/'));
+    let contents = await fs.readFile(stagedPath);
+    if (keys) {
+      if (!isEncryptedBuffer(contents)) {
+        throw new Error(`The archive is damaged: ${archivePath} is not encrypted`);
+      }
+      contents = decryptWithEnvelope(keys, contents);
+      await fs.writeFile(stagedPath, contents);
+    }
+    if (sha256(contents) !== expectedHash) {
+      throw new Error(`The archive is damaged: ${archivePath} does not match its SHA-256`);
+    }
+    return stagedPath;
+  };
+
+  const databasePath = await verify(DATABASE_NAME, manifest.database.sha256);
+  const files = [];
+  for (const file of manifest.files) {
+    if (!isSafeArchivePath(file.archivePath)) {
+      throw new Error(`The archive contains an unsafe path: ${file.archivePath}`);
+    }
+    files.push({ ...file, stagedPath: await verify(file.archivePath, file.sha256) });
+  }
+
+  return { manifest, databasePath, files };
+}
+
+module.exports = {
+  FILE_PATH_COLUMNS,
+  collectFilePaths,
+  rewriteFilePaths,
+  isSafeArchivePath,
+  planFileRestore,
+  exportArchive,
+  isArchiveFile,
+  extractArchive
+};
@@ -0,0 +1,253 @@
+/**
+ * Audit Logger
+ *
+ * Main-process writer for audit_log entries. Services and the secure operation
+ * dispatcher record events here rather than trusting the renderer to do it.
+ * Write operations are audited automatically: the affected row is read before
+ * and after the write, and the change is stored as a before-image plus a diff.
+ *
+ * Rows form a hash chain: each row stores the SHA-256 of its own content and
+ * the previous row's hash, so editing or deleting a row outside the app breaks
+ * the chain at that point.
+ */
+
+const crypto = require('crypto');
+
+// Columns never copied into audit images
+const AUDIT_EXCLUDED_COLUMNS = ['password_hash', 'pin_hash'];
+
+// Columns covered by each row's hash, in hashing order
+const AUDIT_HASH_FIELDS = [
+  'user_id', 'username', 'action', 'entity_type', 'entity_id',
+  'old_values', 'new_values', 'ip_address', 'user_agent', 'timestamp'
+];
+
+// prev_hash of the first row in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Appends are serialized per connection so two writers never link to the same previous row
+const appendQueues = new WeakMap();
+
+/**
+ * Computes the chain hash of an audit row
+ * @param {Object} row - audit_log row (column names as stored)
+ * @param {string} prevHash - Hash of the previous row, or GENESIS_HASH
+ * @returns {string} - Hex-encoded SHA-256
+ */
+function computeAuditHash(row, prevHash) {
+  const content = JSON.stringify([prevHash, ...AUDIT_HASH_FIELDS.map(field => row[field] ?? null)]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function enqueueAppend(db, task) {
+  const previous = appendQueues.get(db) || Promise.resolve();
+  const next = previous.then(task, task);
+  appendQueues.set(db, next.catch(() => {}));
+  return next;
+}
+
+// Formats a date the way SQLite's CURRENT_TIMESTAMP does
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Appends a row to the audit_log hash chain
+ * @param {Object} db - sqlite3 database connection
+ * @param {Object} entry - { userId, username, action, entityType, entityId, oldValues, newValues, ipAddress, userAgent }
+ * @returns {Promise<number>} - ID of the new audit row
+ */
+function recordAuditEntry(db, entry) {
+  const serialize = (values) => {
+    if (values === null || values === undefined) return null;
+    return typeof values === 'string' ? values : JSON.stringify(values);
+  };
+
+  // Values are normalized to what SQLite will hand back, so verification recomputes the same hash
+  const row = {
+    user_id: entry.userId ? Number(entry.userId) : null,
+    username: entry.username || 'system',
+    action: entry.action,
+    entity_type: entry.entityType,
+    entity_id: Number(entry.entityId) || 0,
+    old_values: serialize(entry.oldValues),
+    new_values: serialize(entry.newValues),
+    ip_address: entry.ipAddress || 'localhost',
+    user_agent: entry.userAgent || 'main-process',
+    timestamp: toSqliteTimestamp(new Date())
+  };
+
+  return enqueueAppend(db, () => new Promise((resolve, reject) => {
+    db.get('SELECT row_hash FROM audit_log ORDER BY id DESC LIMIT 1', (err, last) => {
+      if (err) return reject(err);
+
+      const prevHash = last ? last.row_hash : GENESIS_HASH;
+      const rowHash = computeAuditHash(row, prevHash);
+
+      db.run(
+        `INSERT INTO audit_log (${AUDIT_HASH_FIELDS.join(', ')}, prev_hash, row_hash)
+         VALUES (${AUDIT_HASH_FIELDS.map(() => '?').join(', ')}, ?, ?)`,
+        [...AUDIT_HASH_FIELDS.map(field => row[field]), prevHash, rowHash],
+        function (insertErr) {
+          if (insertErr) reject(insertErr);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }));
+}
+
+/**
+ * Records an audit entry without letting a logging failure break the calling operation
+ * @param {Object} db - sqlite3 database connection
+ * @param {Object} entry - Audit entry (see recordAuditEntry)
+ * @returns {Promise<number|null>} - ID of the new audit row, or null on failure
+ */
+async function safeRecordAuditEntry(db, entry) {
+  try {
+    return await recordAuditEntry(db, entry);
+  } catch (err) {
+    console.error(`Failed to record audit entry (${entry.action} ${entry.entityType}):`, err.message);
+    return null;
+  }
+}
+
+function stripExcludedColumns(row) {
+  if (!row) return null;
+  const image = { ...row };
+  AUDIT_EXCLUDED_COLUMNS.forEach(column => delete image[column]);
+  return image;
+}
+
+/**
+ * Reads the row a write operation affects, for use as a before- or after-image
+ * @param {Object} db - sqlite3 database connection
+ * @param {Object} target - Audit target from getAuditTarget
+ * @param {Object} params - Operation parameters
+ * @param {number|null} rowId - Row ID to read instead of the target's lookup (for inserts)
+ * @returns {Promise<Object|null>} - Row without excluded columns, or null if not found
+ */
+function captureAuditImage(db, target, params, rowId = null) {
+  const lookup = rowId !== null ? { rowid: null } : (target.lookup || { id: 'id' });
+  const columns = Object.keys(lookup);
+  const values = rowId !== null ? [rowId] : columns.map(column => params[lookup[column]]);
+
+  if (values.some(value => value === undefined || value === null)) {
+    return Promise.resolve(null);
+  }
+
+  // Table and column names come from the operation registry, never from params
+  const where = columns.map(column => `${column} = ?`).join(' AND ');
+
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM ${target.table} WHERE ${where}`, values, (err, row) => {
+      if (err) reject(err);
+      else resolve(stripExcludedColumns(row));
+    });
+  });
+}
+
+/**
+ * Lists the fields whose values differ between two images
+ * @param {Object} before - Before-image
+ * @param {Object} after - After-image
+ * @returns {Object} - Changed fields mapped to their new values
+ */
+function diffAuditImages(before, after) {
+  const diff = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (oldValue !== newValue) {
+      diff[field] = newValue === undefined ? null : newValue;
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Builds the audit entry for a completed write operation
+ * @param {Object} target - Audit target from getAuditTarget
+ * @param {Object} params - Operation parameters
+ * @param {Object|null} before - Row before the write
+ * @param {Object|null} after - Row after the write
+ * @param {number} lastID - Insert row ID reported by the write
+ * @returns {Object} - { action, entityType, entityId, oldValues, newValues }
+ */
+function buildWriteAuditEntry(target, params, before, after, lastID) {
+  const isDelete = target.statement === 'DELETE';
+  const action = target.action || (isDelete ? 'delete' : (before ? 'update' : 'create'));
+
+  let entityId;
+  if (target.entityIdParam) {
+    entityId = params[target.entityIdParam];
+  } else {
+    entityId = (after && after.id) || (before && before.id) || params.id || lastID;
+  }
+
+  return {
+    action,
+    entityType: target.entityType,
+    entityId: entityId || 0,
+    oldValues: before,
+    newValues: isDelete ? null : (before ? diffAuditImages(before, after) : after)
+  };
+}
+
+/**
+ * Walks the audit_log hash chain in ID order and reports the first broken link
+ * @param {Object} db - sqlite3 database connection
+ * @returns {Promise<Object>} - { valid, totalRows, firstBrokenLink: { id, reason } | null, headHash }
+ */
+function verifyAuditChain(db) {
+  return new Promise((resolve, reject) => {
+    let expectedPrevHash = GENESIS_HASH;
+    let firstBrokenLink = null;
+
+    db.each(
+      'SELECT * FROM audit_log ORDER BY id',
+      (err, row) => {
+        if (err || firstBrokenLink) return;
+
+        if (!row.row_hash) {
+          firstBrokenLink = { id: row.id, reason: 'missing_hash' };
+        } else if (row.prev_hash !== expectedPrevHash) {
+          // A row before this one was deleted, inserted or re-hashed
+          firstBrokenLink = { id: row.id, reason: 'previous_hash_mismatch' };
+        } else if (computeAuditHash(row, row.prev_hash) !== row.row_hash) {
+          // This row's content was edited
+          firstBrokenLink = { id: row.id, reason: 'content_mismatch' };
+        }
+        expectedPrevHash = row.row_hash;
+      },
+      (err, totalRows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({
+            valid: !firstBrokenLink,
+            totalRows,
+            firstBrokenLink,
+            headHash: firstBrokenLink ? null : expectedPrevHash
+          });
+        }
+      }
+    );
+  });
+}
+
+module.exports = {
+  AUDIT_EXCLUDED_COLUMNS,
+  AUDIT_HASH_FIELDS,
+  GENESIS_HASH,
+  computeAuditHash,
+  verifyAuditChain,
+  recordAuditEntry,
+  safeRecordAuditEntry,
+  captureAuditImage,
+  diffAuditImages,
+  buildWriteAuditEntry
+};
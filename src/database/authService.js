@@ -0,0 +1,417 @@
+/**
+ * Authentication Service
+ *
+ * Runs in the main process only. Passwords and PINs are hashed with a salted
+ * scrypt key derivation before they touch the database, and are never passed
+ * through the generic secure operation layer.
+ */
+
+const crypto = require('crypto');
+const { safeRecordAuditEntry } = require('./auditLogger');
+const { roleHasPermission } = require('./permissions');
+
+const HASH_ALGORITHM = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// users columns that never leave the main process
+const CREDENTIAL_COLUMNS = ['password_hash', 'pin_hash', 'failed_login_attempts', 'locked_until'];
+
+/**
+ * Derives a salted hash for a password or PIN
+ * @param {string} secret - Plaintext password or PIN
+ * @returns {Promise<string>} - Encoded hash in the form scrypt$N$r$p$salt$hash
+ */
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(secret, salt, KEY_LENGTH, SCRYPT_PARAMS, (err, derivedKey) => {
+      if (err) {
+        reject(err);
+      } else {
+        const { N, r, p } = SCRYPT_PARAMS;
+        resolve([HASH_ALGORITHM, N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$'));
+      }
+    });
+  });
+}
+
+/**
+ * Verifies a plaintext secret against an encoded hash using a constant-time comparison
+ * @param {string} secret - Plaintext password or PIN
+ * @param {string} encodedHash - Hash produced by hashSecret
+ * @returns {Promise<boolean>} - True if the secret matches
+ */
+function verifySecret(secret, encodedHash) {
+  if (!secret || typeof secret !== 'string' || !encodedHash) {
+    return Promise.resolve(false);
+  }
+
+  const [algorithm, N, r, p, saltB64, hashB64] = encodedHash.split('$');
+  if (algorithm !== HASH_ALGORITHM || !saltB64 || !hashB64) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(secret, Buffer.from(saltB64, 'base64'), expected.length, params, (err, derivedKey) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(crypto.timingSafeEqual(derivedKey, expected));
+      }
+    });
+  });
+}
+
+/**
+ * Validates password strength
+ * @param {string} password - Password to validate
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+function validatePassword(password) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  return null;
+}
+
+/**
+ * Validates PIN format (4-8 digits)
+ * @param {string} pin - PIN to validate
+ * @returns {boolean} - True if valid
+ */
+function validatePin(pin) {
+  return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+/**
+ * Strips credential columns from a user row before it leaves the main process
+ * @param {Object} user - Raw users row
+ * @returns {Object} - User without hashes or lockout state
+ */
+function sanitizeUser(user) {
+  if (!user) return null;
+  const safeUser = { ...user };
+  CREDENTIAL_COLUMNS.forEach(column => delete safeUser[column]);
+  return safeUser;
+}
+
+class AuthService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  recordAudit(user, action, newValues = null, actor = user) {
+    return safeRecordAuditEntry(this.db, {
+      userId: actor.id,
+      username: actor.username,
+      action,
+      entityType: 'user',
+      entityId: user.id,
+      newValues
+    });
+  }
+
+  async getCredentialRow(whereClause, value) {
+    return this.get(`SELECT * FROM users WHERE ${whereClause} = ?`, [value]);
+  }
+
+  /**
+   * Loads a user for session resumption; inactive accounts are treated as missing
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} - Sanitized user, or null
+   */
+  async getActiveUser(id) {
+    const user = await this.getCredentialRow('id', id);
+    return user && user.active ? sanitizeUser(user) : null;
+  }
+
+  isLocked(user) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+  }
+
+  /**
+   * Reports whether the first-run administrator password still needs to be set
+   * @returns {Promise<Object>} - { needsSetup }
+   */
+  async getSetupStatus() {
+    const row = await this.get(
+      "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND active = 1 AND password_hash IS NOT NULL"
+    );
+    return { needsSetup: row.count === 0 };
+  }
+
+  /**
+   * Sets the first administrator password. Only allowed while no active admin has a password.
+   * An existing admin account with the given username is reused; otherwise one is created.
+   * @param {Object} params - { username, password }
+   * @returns {Promise<Object>} - Sanitized admin user
+   */
+  async setupAdmin({ username, password }) {
+    const { needsSetup } = await this.getSetupStatus();
+    if (!needsSetup) {
+      throw new Error('An administrator account is already configured');
+    }
+    if (!username || typeof username !== 'string') {
+      throw new Error('Username is required');
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    const passwordHash = await hashSecret(password);
+    let admin = await this.getCredentialRow('username', username.trim());
+
+    // The first account must hold the admin role itself, not just user.manage: only
+    // admins are immune to permission overrides and counted by getSetupStatus
+    if (admin && admin.role !== 'admin') {
+      throw new Error('An existing non-admin user already has this username');
+    }
+
+    if (admin) {
+      await this.run(
+        `UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP,
+         failed_login_attempts = 0, locked_until = NULL, active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [passwordHash, admin.id]
+      );
+    } else {
+      const result = await this.run(
+        `INSERT INTO users (username, full_name, role, password_hash, must_change_password, password_changed_at)
+         VALUES (?, 'Administrator', 'admin', ?, 0, CURRENT_TIMESTAMP)`,
+        [username.trim(), passwordHash]
+      );
+      admin = { id: result.lastID, username: username.trim() };
+    }
+
+    await this.recordAudit(admin, 'admin_setup');
+    return sanitizeUser(await this.getCredentialRow('id', admin.id));
+  }
+
+  /**
+   * Checks a password or PIN for an account, applying failed-attempt lockout
+   * @param {Object} user - Raw users row of an active account
+   * @param {Object} credentials - { password } or { pin }
+   * @param {string} attempt - 'login' or 'unlock'; prefixes the audit actions for blocked and failed attempts
+   * @returns {Promise<string>} - The method that succeeded ('password' or 'pin')
+   */
+  async verifyCredentials(user, { password, pin }, attempt) {
+    if (this.isLocked(user)) {
+      await this.recordAudit(user, `${attempt}_blocked`, { locked_until: user.locked_until });
+      throw new Error(`Account is locked until ${new Date(user.locked_until).toLocaleTimeString()}`);
+    }
+
+    const method = pin !== undefined ? 'pin' : 'password';
+    const storedHash = method === 'pin' ? user.pin_hash : user.password_hash;
+    const valid = storedHash ? await verifySecret(method === 'pin' ? pin : password, storedHash) : false;
+
+    if (!valid) {
+      const attempts = (user.failed_login_attempts || 0) + 1;
+
+      if (attempts >= MAX_FAILED_ATTEMPTS) {
+        const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString();
+        await this.run('UPDATE users SET failed_login_attempts = 0, locked_until = ? WHERE id = ?', [lockedUntil, user.id]);
+        await this.recordAudit(user, 'account_locked', { method, failed_attempts: attempts, locked_until: lockedUntil });
+      } else {
+        await this.run('UPDATE users SET failed_login_attempts = ? WHERE id = ?', [attempts, user.id]);
+        await this.recordAudit(user, `${attempt}_failed`, { method, failed_attempts: attempts });
+      }
+
+      // An account without a password fails like a wrong password, so the error does not
+      // reveal that the username exists; administrators see it in the user list
+      throw method === 'pin' ? new Error('Invalid username or PIN') : new Error('Invalid username or password');
+    }
+
+    return method;
+  }
+
+  /**
+   * Authenticates a user by password or PIN, applying failed-attempt lockout
+   * @param {Object} params - { username, password } or { username, pin }
+   * @returns {Promise<Object>} - { user, mustChangePassword }
+   */
+  async login({ username, password, pin }) {
+    const invalidCredentials = new Error('Invalid username or password');
+
+    if (!username || typeof username !== 'string') {
+      throw invalidCredentials;
+    }
+
+    const user = await this.getCredentialRow('username', username.trim());
+    if (!user || !user.active) {
+      throw invalidCredentials;
+    }
+
+    const method = await this.verifyCredentials(user, { password, pin }, 'login');
+
+    await this.run(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = ?',
+      [user.id]
+    );
+    await this.recordAudit(user, 'login', { method, last_login: new Date().toISOString() });
+
+    return {
+      user: sanitizeUser(await this.getCredentialRow('id', user.id)),
+      mustChangePassword: Boolean(user.must_change_password)
+    };
+  }
+
+  /**
+   * Re-authenticates the user of a locked session. Failures count toward the same lockout as logins.
+   * @param {Object} params - { userId, password } or { userId, pin }
+   * @returns {Promise<Object>} - { success }; a thrown error has accountLocked set when the account is now locked out
+   */
+  async unlock({ userId, password, pin }) {
+    const user = await this.getCredentialRow('id', userId);
+    if (!user || !user.active) {
+      throw new Error('User not found');
+    }
+
+    try {
+      const method = await this.verifyCredentials(user, { password, pin }, 'unlock');
+      await this.run('UPDATE users SET failed_login_attempts = 0 WHERE id = ?', [user.id]);
+      await this.recordAudit(user, 'unlock', { method });
+      return { success: true };
+    } catch (error) {
+      const current = await this.getCredentialRow('id', userId);
+      error.accountLocked = this.isLocked(current);
+      throw error;
+    }
+  }
+
+  /**
+   * Changes a user's own password after verifying the current one
+   * @param {Object} params - { username, currentPassword, newPassword }
+   * @returns {Promise<Object>} - { success }
+   */
+  async changePassword({ username, currentPassword, newPassword }) {
+    const user = await this.getCredentialRow('username', username);
+    if (!user || !user.active) {
+      throw new Error('User not found');
+    }
+    if (!(await verifySecret(currentPassword, user.password_hash))) {
+      await this.recordAudit(user, 'password_change_failed');
+      throw new Error('Current password is incorrect');
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+    if (newPassword === currentPassword) {
+      throw new Error('New password must be different from the current password');
+    }
+
+    await this.run(
+      `UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [await hashSecret(newPassword), user.id]
+    );
+    await this.recordAudit(user, 'password_change', { forced: Boolean(user.must_change_password) });
+
+    return { success: true };
+  }
+
+  /**
+   * Sets or replaces a user's PIN after verifying their password
+   * @param {Object} params - { username, currentPassword, pin }
+   * @returns {Promise<Object>} - { success }
+   */
+  async setPin({ username, currentPassword, pin }) {
+    const user = await this.getCredentialRow('username', username);
+    if (!user || !user.active) {
+      throw new Error('User not found');
+    }
+    if (!(await verifySecret(currentPassword, user.password_hash))) {
+      throw new Error('Current password is incorrect');
+    }
+    if (!validatePin(pin)) {
+      throw new Error('PIN must be 4 to 8 digits');
+    }
+
+    await this.run('UPDATE users SET pin_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [await hashSecret(pin), user.id]);
+    await this.recordAudit(user, 'pin_change');
+
+    return { success: true };
+  }
+
+  /**
+   * Admin reset: assigns a temporary password, clears lockout and PIN, and forces a change on next login
+   * @param {Object} params - { actorId, rolePermissions, username, temporaryPassword }; rolePermissions
+   *   is the result of resolveRolePermissions, so the actor needs user.manage as granted in the matrix
+   * @returns {Promise<Object>} - { success }
+   */
+  async resetPassword({ actorId, rolePermissions, username, temporaryPassword }) {
+    const actor = await this.getCredentialRow('id', actorId);
+    if (!actor || !actor.active || !roleHasPermission(rolePermissions, actor.role, 'user.manage')) {
+      throw new Error('Access denied: resetPassword requires the user.manage permission');
+    }
+
+    const user = await this.getCredentialRow('username', username);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    // Otherwise a holder of user.manage could choose an administrator's password and sign in as them
+    if (user.role === 'admin' && actor.role !== 'admin') {
+      throw new Error("Access denied: only administrators can reset an administrator's password");
+    }
+
+    const passwordError = validatePassword(temporaryPassword);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    await this.run(
+      `UPDATE users SET password_hash = ?, pin_hash = NULL, must_change_password = 1, failed_login_attempts = 0,
+       locked_until = NULL, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [await hashSecret(temporaryPassword), user.id]
+    );
+    await this.recordAudit(user, 'password_reset', { reset_by: actor.username, was_locked: this.isLocked(user) }, actor);
+
+    return { success: true };
+  }
+}
+
+module.exports = {
+  AuthService,
+  hashSecret,
+  verifySecret,
+  validatePassword,
+  validatePin,
+  sanitizeUser,
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES
+};
@@ -0,0 +1,289 @@
+/**
+ * Backup Scheduler
+ *
+ * Takes automatic backups in the main process. A backup is due for a tier
+ * (daily, weekly, monthly) when the tier has none from the current day, week
+ * or month; one backup can serve several tiers at once. Each tier keeps its
+ * configured number of most recent backups, and a file is deleted only when no
+ * tier keeps it.
+ *
+ * Every backup is a consistent copy made with the online backup API, checked
+ * with PRAGMA integrity_check before it is kept, and described by a manifest
+ * (<name>.json) holding the SHA-256 of the database image and its schema
+ * version. Both files are written through EncryptedStorage, so they are
+ * encrypted while encryption is enabled; the hash is of the decrypted image
+ * and survives key rotation.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { runExclusive } = require('./transaction');
+const { copyDatabase, verifyDatabaseFile, sha256 } = require('./databaseBackup');
+
+const BACKUP_TIERS = ['daily', 'weekly', 'monthly'];
+const MANIFEST_VERSION = 1;
+const BACKUP_CHECK_INTERVAL_MS = 3600000;
+const STARTUP_DELAY_MS = 60000;
+
+const pad = (value) => String(value).padStart(2, '0');
+const localDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Names the day, week or month a date falls in, in local time
+ * @param {string} tier - 'daily', 'weekly' or 'monthly'
+ * @param {Date} date - Point in time
+ * @returns {string} - Period key; weeks are named by their Monday
+ */
+function getPeriodKey(tier, date) {
+  switch (tier) {
+    case 'daily':
+      return localDate(date);
+    case 'weekly': {
+      const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+      return localDate(monday);
+    }
+    case 'monthly':
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    default:
+      throw new Error(`Unknown backup tier: ${tier}`);
+  }
+}
+
+/**
+ * Works out which tiers need a backup now
+ * @param {Array<Object>} backups - Manifests ({ tiers, createdAt })
+ * @param {Object} retention - { [tier]: number of backups to keep }; 0 turns a tier off
+ * @param {Date} now - Current time
+ * @returns {Array<string>} - Tiers without a backup in the current period
+ */
+function getDueTiers(backups, retention, now) {
+  return BACKUP_TIERS.filter(tier => {
+    if (!(retention[tier] > 0)) return false;
+    const current = getPeriodKey(tier, now);
+    return !backups.some(backup => backup.tiers.includes(tier) && getPeriodKey(tier, new Date(backup.createdAt)) === current);
+  });
+}
+
+/**
+ * Chooses the backups no tier keeps any more
+ * @param {Array<Object>} backups - Manifests ({ tiers, createdAt })
+ * @param {Object} retention - { [tier]: number of backups to keep }
+ * @returns {Array<Object>} - Backups to delete
+ */
+function selectBackupsToPrune(backups, retention) {
+  const newestFirst = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const kept = new Set();
+
+  Object.entries(retention).forEach(([tier, count]) => {
+    newestFirst
+      .filter(backup => backup.tiers.includes(tier))
+      .slice(0, Math.max(0, count))
+      .forEach(backup => kept.add(backup));
+  });
+
+  return newestFirst.filter(backup => !kept.has(backup));
+}
+
+class BackupScheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Folder for the backups and their manifests
+   * @param {Object} options.storage - EncryptedStorage used to write and read them
+   * @param {Function} options.getDatabase - Returns the open connection, or null while none is open
+   * @param {Function} options.getRetention - Async; returns { daily, weekly, monthly }
+   * @param {Function} options.onBackup - Async; called with each new manifest
+   * @param {Function} options.onError - Async; called with the error of a failed scheduled backup
+   * @param {string} options.appVersion - Recorded in each manifest
+   */
+  constructor({ directory, storage, getDatabase, getRetention, onBackup = async () => {}, onError = async () => {}, appVersion = null }) {
+    this.directory = directory;
+    this.storage = storage;
+    this.getDatabase = getDatabase;
+    this.getRetention = getRetention;
+    this.onBackup = onBackup;
+    this.onError = onError;
+    this.appVersion = appVersion;
+    this.running = null;
+    this.startupTimer = null;
+    this.intervalTimer = null;
+  }
+
+  start() {
+    this.stop();
+    this.startupTimer = setTimeout(() => this.runScheduled(), STARTUP_DELAY_MS);
+    this.intervalTimer = setInterval(() => this.runScheduled(), BACKUP_CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    clearTimeout(this.startupTimer);
+    clearInterval(this.intervalTimer);
+    this.startupTimer = null;
+    this.intervalTimer = null;
+  }
+
+  // Timer entry point: failures are reported, never thrown
+  async runScheduled() {
+    try {
+      await this.runDueBackups();
+    } catch (error) {
+      console.error('Scheduled backup failed:', error);
+      await Promise.resolve(this.onError(error)).catch(() => {});
+    }
+  }
+
+  /**
+   * Takes a backup for every due tier, then applies retention
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - Manifest of the new backup, or null if none was due or possible
+   */
+  async runDueBackups(now = new Date()) {
+    // Skips the run while locked, restoring or already backing up
+    if (this.running || !this.getDatabase() || !this.storage.isUnlocked()) {
+      return null;
+    }
+
+    this.running = (async () => {
+      const retention = await this.getRetention();
+      const tiers = getDueTiers(await this.list(), retention, now);
+      const manifest = tiers.length > 0 ? await this.createBackup(tiers, now) : null;
+      await this.prune(retention);
+      return manifest;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Copies, verifies and stores a backup with its manifest
+   * @param {Array<string>} tiers - Tiers the backup counts towards
+   * @param {Date} now - Creation time
+   * @returns {Promise<Object>} - Manifest
+   */
+  async createBackup(tiers, now = new Date()) {
+    const db = this.getDatabase();
+    const name = `backup-${now.toISOString().replace(/[:.]/g, '-')}`;
+    const backupPath = path.join(this.directory, `${name}.db`);
+    // The .tmp suffix keeps the plaintext copy out of re-encryption passes
+    const snapshotPath = `${backupPath}.snapshot.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    try {
+      await runExclusive(db, () => copyDatabase(db, snapshotPath));
+      const verification = await verifyDatabaseFile(snapshotPath);
+      if (!verification.ok) {
+        throw new Error(`Backup failed its integrity check: ${verification.errors.slice(0, 5).join('; ')}`);
+      }
+
+      const image = await fs.readFile(snapshotPath);
+      await this.storage.writeFile(backupPath, image);
+
+      const manifest = {
+        version: MANIFEST_VERSION,
+        fileName: `${name}.db`,
+        tiers,
+        createdAt: now.toISOString(),
+        size: image.length,
+        sha256: sha256(image),
+        schemaVersion: verification.schemaVersion,
+        appVersion: this.appVersion,
+        encrypted: this.storage.isEnabled(),
+        integrityCheck: 'ok'
+      };
+      await this.storage.writeFile(this.manifestPath(manifest.fileName), Buffer.from(JSON.stringify(manifest, null, 2)));
+      await this.onBackup(manifest);
+      return manifest;
+    } finally {
+      await fs.rm(snapshotPath, { force: true });
+    }
+  }
+
+  manifestPath(fileName) {
+    return path.join(this.directory, fileName.replace(/\.db$/, '.json'));
+  }
+
+  /**
+   * Lists the backups that have a readable manifest
+   * @returns {Promise<Array<Object>>} - Manifests, newest first
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const manifests = [];
+    for (const file of files.filter(name => name.startsWith('backup-') && name.endsWith('.json'))) {
+      try {
+        manifests.push(JSON.parse((await this.storage.readFile(path.join(this.directory, file))).toString('utf8')));
+      } catch (error) {
+        console.error(`Unreadable backup manifest ${file}:`, error.message);
+      }
+    }
+    return manifests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Deletes the backups no tier keeps
+   * @param {Object} retention - { [tier]: number of backups to keep }
+   * @returns {Promise<Array<string>>} - File names deleted
+   */
+  async prune(retention) {
+    const toDelete = selectBackupsToPrune(await this.list(), retention);
+    for (const backup of toDelete) {
+      await fs.rm(path.join(this.directory, backup.fileName), { force: true });
+      await fs.rm(this.manifestPath(backup.fileName), { force: true });
+    }
+    return toDelete.map(backup => backup.fileName);
+  }
+
+  /**
+   * Reads a stored backup, checked against the SHA-256 in its manifest
+   * @param {string} fileName - Backup file name from its manifest
+   * @returns {Promise<Object>} - { manifest, image, matchesManifest }; image is the decrypted database
+   */
+  async read(fileName) {
+    const manifest = (await this.list()).find(backup => backup.fileName === fileName);
+    if (!manifest) {
+      throw new Error(`No backup named ${fileName}`);
+    }
+
+    const image = await this.storage.readFile(path.join(this.directory, manifest.fileName));
+    return { manifest, image, matchesManifest: sha256(image) === manifest.sha256 };
+  }
+
+  /**
+   * Re-checks a stored backup against its manifest and with PRAGMA integrity_check
+   * @param {string} fileName - Backup file name from its manifest
+   * @returns {Promise<Object>} - { ok, errors, schemaVersion }
+   */
+  async verify(fileName) {
+    const { manifest, image, matchesManifest } = await this.read(fileName);
+    if (!matchesManifest) {
+      return { ok: false, errors: ['The backup does not match the SHA-256 in its manifest'], schemaVersion: manifest.schemaVersion };
+    }
+
+    const checkPath = path.join(this.directory, `${manifest.fileName}.verify.tmp`);
+    try {
+      await fs.writeFile(checkPath, image);
+      return await verifyDatabaseFile(checkPath);
+    } finally {
+      await fs.rm(checkPath, { force: true });
+    }
+  }
+}
+
+module.exports = {
+  BACKUP_TIERS,
+  BACKUP_CHECK_INTERVAL_MS,
+  getPeriodKey,
+  getDueTiers,
+  selectBackupsToPrune,
+  BackupScheduler
+};
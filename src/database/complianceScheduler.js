@@ -0,0 +1,158 @@
+/**
+ * Compliance Scheduler
+ *
+ * Works out when each piece of equipment is next due for an inspection and a
+ * load test from the compliance standards assigned to its type, and keeps one
+ * open scheduled_inspections row per due item in step with that date. Rows it
+ * manages have source 'compliance'; manual rows are never changed, but an open
+ * manual row on or before the due date already covers it.
+ */
+
+const SCHEDULE_TYPES = [
+  { key: 'inspection', frequencyField: 'inspection_frequency_days', lastField: 'last_inspection_date', noun: 'inspection' },
+  { key: 'load_test', frequencyField: 'load_test_frequency_days', lastField: 'last_load_test_date', noun: 'passed load test' }
+];
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const describeStandard = (row) => (row.clause ? `${row.standard_name} ${row.clause}` : row.standard_name);
+
+/**
+ * Computes the next due date of every scheduled type for every piece of equipment
+ * @param {Array<Object>} inputs - Rows of scheduledInspections.getComplianceInputs, one per equipment and assigned standard
+ * @param {string} today - YYYY-MM-DD, used when nothing is on record to count from
+ * @returns {Array<Object>} - { equipmentId, equipmentIdentifier, scheduleType, standardId, dueDate, reason }
+ */
+function computeDueDates(inputs, today) {
+  const byEquipment = new Map();
+  inputs.forEach(row => {
+    if (!byEquipment.has(row.equipment_id)) byEquipment.set(row.equipment_id, []);
+    byEquipment.get(row.equipment_id).push(row);
+  });
+
+  const due = [];
+  byEquipment.forEach((rows, equipmentId) => {
+    SCHEDULE_TYPES.forEach(type => {
+      const applicable = rows
+        .filter(row => row[type.frequencyField] > 0)
+        .sort((a, b) => a[type.frequencyField] - b[type.frequencyField] || a.standard_id - b.standard_id);
+      if (applicable.length === 0) return;
+
+      // The strictest standard governs
+      const governing = applicable[0];
+      const frequency = governing[type.frequencyField];
+      const last = governing[type.lastField];
+      const installed = governing.installation_date;
+      const rule = `Every ${frequency} days per ${describeStandard(governing)}`;
+
+      let dueDate;
+      let basis;
+      if (last) {
+        dueDate = addDays(last, frequency);
+        basis = `last ${type.noun} on ${last}`;
+      } else if (installed) {
+        dueDate = addDays(installed, frequency);
+        basis = `no ${type.noun} on record, counted from installation on ${installed}`;
+      } else {
+        dueDate = today;
+        basis = `no ${type.noun} or installation date on record, so it is due now`;
+      }
+      const strictest = applicable.length > 1 ? ` (the most frequent of ${applicable.length} assigned standards)` : '';
+
+      due.push({
+        equipmentId,
+        equipmentIdentifier: governing.equipment_identifier,
+        scheduleType: type.key,
+        standardId: governing.standard_id,
+        dueDate,
+        reason: `${rule}${strictest}; ${basis}`
+      });
+    });
+  });
+  return due;
+}
+
+/**
+ * Compares due dates with the open scheduled inspections and lists the changes that bring them in step
+ * @param {Array<Object>} due - Result of computeDueDates
+ * @param {Array<Object>} openSchedules - Rows of scheduledInspections.getOpen
+ * @returns {Object} - { create: [...], update: [...], remove: [ids] } in the parameters of
+ *   createFromCompliance and refreshFromCompliance
+ */
+function reconcileSchedule(due, openSchedules) {
+  const plan = { create: [], update: [], remove: [] };
+  const keyOf = (equipmentId, scheduleType) => `${equipmentId}:${scheduleType || 'inspection'}`;
+  const openByKey = new Map();
+  openSchedules.forEach(row => {
+    const key = keyOf(row.equipment_id, row.schedule_type);
+    if (!openByKey.has(key)) openByKey.set(key, []);
+    openByKey.get(key).push(row);
+  });
+
+  const handled = new Set();
+  due.forEach(item => {
+    const key = keyOf(item.equipmentId, item.scheduleType);
+    handled.add(key);
+    const open = openByKey.get(key) || [];
+    const managed = open.filter(row => row.source === 'compliance');
+    const coveredByManual = open.some(row => row.source !== 'compliance' && row.scheduled_date <= item.dueDate);
+    // Rows already being worked on are left as they are
+    const pending = managed.filter(row => row.status === 'scheduled');
+    const inProgress = managed.length > pending.length;
+
+    if (coveredByManual || inProgress) {
+      plan.remove.push(...pending.map(row => row.id));
+      return;
+    }
+
+    const [current, ...duplicates] = pending;
+    plan.remove.push(...duplicates.map(row => row.id));
+    const fields = { standardId: item.standardId, scheduledDate: item.dueDate, dueReason: item.reason };
+    if (!current) {
+      plan.create.push({ equipmentId: item.equipmentId, scheduleType: item.scheduleType, ...fields });
+    } else if (current.scheduled_date !== item.dueDate || current.due_reason !== item.reason || current.standard_id !== item.standardId) {
+      plan.update.push({ id: current.id, ...fields });
+    }
+  });
+
+  // Equipment whose type no longer has a standard asking for this kind of schedule
+  openByKey.forEach((rows, key) => {
+    if (handled.has(key)) return;
+    rows
+      .filter(row => row.source === 'compliance' && row.status === 'scheduled')
+      .forEach(row => plan.remove.push(row.id));
+  });
+
+  return plan;
+}
+
+/**
+ * Brings the compliance-managed scheduled inspections in step with the standards
+ * @param {Function} execute - (category, operation, params) => Promise, runs a secure operation
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD; defaults to the current UTC date
+ * @returns {Promise<Object>} - Counts: { due, created, updated, removed }
+ */
+async function refreshComplianceSchedule(execute, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const [inputs, openSchedules] = await Promise.all([
+    execute('scheduledInspections', 'getComplianceInputs', {}),
+    execute('scheduledInspections', 'getOpen', {})
+  ]);
+  const due = computeDueDates(inputs, today);
+  const plan = reconcileSchedule(due, openSchedules);
+
+  if (plan.create.length + plan.update.length + plan.remove.length > 0) {
+    await execute('scheduledInspections', 'applyCompliancePlan', plan);
+  }
+  return { due: due.length, created: plan.create.length, updated: plan.update.length, removed: plan.remove.length };
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  computeDueDates,
+  reconcileSchedule,
+  refreshComplianceSchedule
+};
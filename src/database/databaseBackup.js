@@ -0,0 +1,82 @@
+/**
+ * Database Backup Helpers
+ *
+ * Consistent copies of the open database through SQLite's online backup API,
+ * and verification of a copy by opening it read-only and running
+ * PRAGMA integrity_check. Shared by the backup scheduler, the manual backup
+ * and the pre-migration backup.
+ */
+
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+
+/**
+ * Copies the open database to a file page by page with the online backup API.
+ * Callers serialize it with runExclusive so no transaction is half-applied.
+ * @param {Object} db - Open sqlite3 connection
+ * @param {string} destinationPath - File to create
+ * @returns {Promise<void>}
+ */
+function copyDatabase(db, destinationPath) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(destinationPath, (initErr) => {
+      if (initErr) {
+        reject(initErr);
+        return;
+      }
+      backup.step(-1, (stepErr) => {
+        const completed = backup.completed;
+        backup.finish((finishErr) => {
+          if (stepErr || finishErr) reject(stepErr || finishErr);
+          else if (!completed) reject(new Error('Database backup did not complete'));
+          else resolve();
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Opens a database file read-only and checks it
+ * @param {string} filePath - SQLite file to verify
+ * @returns {Promise<Object>} - { ok, errors, schemaVersion }; errors lists integrity_check findings
+ */
+function verifyDatabaseFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const verifyDb = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (openErr) => {
+      if (openErr) {
+        reject(new Error(`Backup could not be opened: ${openErr.message}`));
+        return;
+      }
+
+      const finish = (error, result) => {
+        verifyDb.close(() => (error ? reject(error) : resolve(result)));
+      };
+
+      verifyDb.all('PRAGMA integrity_check', (checkErr, rows) => {
+        if (checkErr) {
+          finish(new Error(`Integrity check failed to run: ${checkErr.message}`));
+          return;
+        }
+        const messages = rows.map(row => row.integrity_check);
+        const errors = messages.length === 1 && messages[0] === 'ok' ? [] : messages;
+
+        verifyDb.get('SELECT MAX(version) AS version FROM schema_version', (versionErr, row) => {
+          // A database from before versioned migrations has no schema_version table
+          const schemaVersion = versionErr ? 0 : (row?.version || 0);
+          finish(null, { ok: errors.length === 0, errors, schemaVersion });
+        });
+      });
+    });
+  });
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+  copyDatabase,
+  verifyDatabaseFile,
+  sha256
+};
@@ -0,0 +1,235 @@
+/**
+ * Database Health
+ *
+ * Checks of the open database for the maintenance panel in Settings: file and
+ * journal sizes, row counts, which indexes the application's queries use,
+ * PRAGMA integrity_check and foreign_key_check, and rows left pointing at
+ * records that no longer exist. Also runs VACUUM, ANALYZE and REINDEX.
+ * Callers serialize both with runExclusive, between transactions.
+ */
+
+const fs = require('fs').promises;
+
+// Row IDs listed per finding; the counts are always complete
+const SAMPLE_SIZE = 20;
+
+const all = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const run = (db, sql) => new Promise((resolve, reject) => {
+  db.run(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+// References without a foreign key (signatures and certificates point at several tables),
+// and inspection items, whose foreign key is not enforced when foreign_keys was off
+const ORPHAN_CHECKS = [
+  {
+    table: 'inspection_items',
+    description: 'Inspection items whose inspection was deleted',
+    sql: 'SELECT id FROM inspection_items WHERE inspection_id NOT IN (SELECT id FROM inspections)'
+  },
+  ...[
+    ['inspection', 'inspections'],
+    ['deficiency', 'deficiencies'],
+    ['work_order', 'work_orders']
+  ].map(([entityType, table]) => ({
+    table: 'signatures',
+    description: `Signatures on a deleted ${entityType.replace('_', ' ')}`,
+    sql: `SELECT id FROM signatures WHERE entity_type = '${entityType}' AND entity_id NOT IN (SELECT id FROM ${table})`
+  })),
+  ...[
+    ['inspection', 'inspections'],
+    ['load_test', 'load_tests'],
+    ['calibration', 'calibrations']
+  ].map(([certificateType, table]) => ({
+    table: 'certificates',
+    description: `Certificates for a deleted ${certificateType.replace('_', ' ')}`,
+    sql: `SELECT id FROM certificates WHERE certificate_type = '${certificateType}' AND entity_id NOT IN (SELECT id FROM ${table})`
+  })),
+  {
+    table: 'work_orders',
+    description: 'Work orders raised by a deleted PM schedule',
+    sql: 'SELECT id FROM work_orders WHERE pm_schedule_id IS NOT NULL AND pm_schedule_id NOT IN (SELECT id FROM pm_schedules)'
+  },
+  {
+    table: 'deficiencies',
+    description: 'Deficiencies linked to a deleted work order',
+    sql: 'SELECT id FROM deficiencies WHERE work_order_id IS NOT NULL AND work_order_id NOT IN (SELECT id FROM work_orders)'
+  }
+];
+
+const MAINTENANCE_STATEMENTS = {
+  vacuum: 'VACUUM',
+  analyze: 'ANALYZE',
+  reindex: 'REINDEX'
+};
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+async function pragmaValue(db, name) {
+  const [row] = await all(db, `PRAGMA ${name}`);
+  return row ? Object.values(row)[0] : null;
+}
+
+async function readStorage(db, filePath) {
+  const [size, walSize, pageSize, pageCount, freePages, journalMode] = await Promise.all([
+    fileSize(filePath),
+    fileSize(`${filePath}-wal`),
+    pragmaValue(db, 'page_size'),
+    pragmaValue(db, 'page_count'),
+    pragmaValue(db, 'freelist_count'),
+    pragmaValue(db, 'journal_mode')
+  ]);
+  return {
+    size,
+    pageSize,
+    pageCount,
+    freePages,
+    // VACUUM gives these back to the file system
+    reclaimableBytes: freePages * pageSize,
+    journalMode,
+    walSize
+  };
+}
+
+async function countRows(db) {
+  const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+  const counts = [];
+  for (const { name } of tables) {
+    const [{ count }] = await all(db, `SELECT COUNT(*) AS count FROM "${name}"`);
+    counts.push({ table: name, rows: count });
+  }
+  return counts;
+}
+
+/**
+ * Lists the indexes with the statements whose query plan uses them. SQLite keeps no
+ * usage counters, so an index no statement uses is a candidate for review, not proof.
+ * @param {Object} db - Open connection
+ * @param {Array<Object>} statements - { name, sql } of the application's queries
+ * @returns {Promise<Array<Object>>} - { name, table, columns, usedBy, stat }
+ */
+async function readIndexUsage(db, statements) {
+  const indexes = await all(db, "SELECT name, tbl_name FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL ORDER BY tbl_name, name");
+  const usage = new Map(indexes.map(index => [index.name, []]));
+
+  for (const statement of statements) {
+    let plan;
+    try {
+      plan = await all(db, `EXPLAIN QUERY PLAN ${statement.sql}`);
+    } catch (error) {
+      // Statements that no longer prepare are reported by the schema drift check
+      continue;
+    }
+    const used = new Set(plan.flatMap(step => [...step.detail.matchAll(/USING (?:COVERING )?INDEX (\w+)/g)].map(match => match[1])));
+    used.forEach(name => usage.has(name) && usage.get(name).push(statement.name));
+  }
+
+  // sqlite_stat1 exists once ANALYZE has run: rows in the table, then rows per distinct key
+  const hasStats = (await all(db, "SELECT name FROM sqlite_master WHERE name = 'sqlite_stat1'")).length > 0;
+  const stats = hasStats ? await all(db, 'SELECT idx, stat FROM sqlite_stat1 WHERE idx IS NOT NULL') : [];
+
+  const result = [];
+  for (const index of indexes) {
+    const columns = await all(db, `PRAGMA index_info("${index.name}")`);
+    const stat = stats.find(row => row.idx === index.name);
+    result.push({
+      name: index.name,
+      table: index.tbl_name,
+      columns: columns.map(column => column.name),
+      usedBy: usage.get(index.name),
+      stat: stat ? stat.stat : null
+    });
+  }
+  return result;
+}
+
+async function checkIntegrity(db) {
+  const messages = (await all(db, 'PRAGMA integrity_check')).map(row => row.integrity_check);
+  const ok = messages.length === 1 && messages[0] === 'ok';
+  return { ok, messages: ok ? [] : messages };
+}
+
+async function checkForeignKeys(db) {
+  const rows = await all(db, 'PRAGMA foreign_key_check');
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = `${row.table}->${row.parent}`;
+    if (!groups.has(key)) {
+      groups.set(key, { table: row.table, parent: row.parent, count: 0, rowIds: [] });
+    }
+    const group = groups.get(key);
+    group.count++;
+    if (group.rowIds.length < SAMPLE_SIZE) group.rowIds.push(row.rowid);
+  });
+  return { ok: rows.length === 0, violations: [...groups.values()] };
+}
+
+async function findOrphans(db) {
+  const findings = [];
+  for (const check of ORPHAN_CHECKS) {
+    const rows = await all(db, check.sql);
+    if (rows.length > 0) {
+      findings.push({
+        table: check.table,
+        description: check.description,
+        count: rows.length,
+        rowIds: rows.slice(0, SAMPLE_SIZE).map(row => row.id)
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Runs every health check on the open database
+ * @param {Object} db - Open connection
+ * @param {Object} options - { filePath, statements } - the database file, and the
+ *   application's queries ({ name, sql }) for the index usage report
+ * @returns {Promise<Object>} - { storage, tables, indexes, integrity, foreignKeys, orphans, checkedAt }
+ */
+async function getDatabaseHealth(db, { filePath, statements = [] }) {
+  return {
+    storage: await readStorage(db, filePath),
+    tables: await countRows(db),
+    indexes: await readIndexUsage(db, statements),
+    integrity: await checkIntegrity(db),
+    foreignKeys: await checkForeignKeys(db),
+    orphans: await findOrphans(db),
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Runs VACUUM, ANALYZE or REINDEX on the open database
+ * @param {Object} db - Open connection, not inside a transaction
+ * @param {string} action - 'vacuum', 'analyze' or 'reindex'
+ * @param {Object} options - { filePath } - the database file, to report its size
+ * @returns {Promise<Object>} - { action, durationMs, sizeBefore, sizeAfter }
+ */
+async function runMaintenance(db, action, { filePath }) {
+  const statement = MAINTENANCE_STATEMENTS[action];
+  if (!statement) {
+    throw new Error(`Unknown maintenance action: ${action}`);
+  }
+
+  const sizeBefore = await fileSize(filePath);
+  const startedAt = Date.now();
+  await run(db, statement);
+  return { action, durationMs: Date.now() - startedAt, sizeBefore, sizeAfter: await fileSize(filePath) };
+}
+
+module.exports = {
+  ORPHAN_CHECKS,
+  MAINTENANCE_ACTIONS: Object.keys(MAINTENANCE_STATEMENTS),
+  getDatabaseHealth,
+  runMaintenance
+};
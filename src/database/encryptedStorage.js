@@ -0,0 +1,426 @@
+/**
+ * Encrypted Storage
+ *
+ * Optional encryption at rest for the files under userData: the database, the
+ * managed documents and certificates folders and the backups. While encryption is
+ * enabled the database is sealed in database.db.enc between runs; the app
+ * decrypts it to a working copy on start and seals it again on quit. A working
+ * copy left behind by a crash is newer than the sealed file and is used as is.
+ *
+ * Data keys are kept in encryption.json, wrapped by the administrator
+ * passphrase and, where the operating system provides one, by its keychain
+ * (the device cipher) so the app can start without the passphrase.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  validatePassphrase,
+  encryptBuffer,
+  decryptBuffer,
+  isEncryptedBuffer,
+  readKeyId,
+  wrapKeys,
+  unwrapKeys,
+  generateKey
+} = require('./encryption');
+
+const KEY_FILE_NAME = 'encryption.json';
+const BACKUP_MAGIC = Buffer.from('JSGBAK1\0', 'ascii');
+const SQLITE_MAGIC = Buffer.from('SQLite format 3\0', 'ascii');
+const MAX_FAILED_UNLOCKS = 5;
+const UNLOCK_LOCKOUT_MINUTES = 15;
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Replaces a file without leaving it half-written if the process stops midway
+async function writeFileAtomic(filePath, data) {
+  const temporaryPath = `${filePath}.tmp`;
+  await fs.writeFile(temporaryPath, data);
+  await fs.rename(temporaryPath, filePath);
+}
+
+async function listFiles(directory) {
+  if (!(await exists(directory))) return [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  }));
+  return files.flat();
+}
+
+/**
+ * Tells whether a file holds a SQLite database, a backup from createBackup, or something else
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - 'sqlite', 'encrypted_backup' or 'unknown'
+ */
+function detectBackupFormat(buffer) {
+  if (buffer.subarray(0, SQLITE_MAGIC.length).equals(SQLITE_MAGIC)) return 'sqlite';
+  if (buffer.subarray(0, BACKUP_MAGIC.length).equals(BACKUP_MAGIC)) return 'encrypted_backup';
+  return 'unknown';
+}
+
+/**
+ * Decrypts data sealed with one of a set of unwrapped keys
+ * @param {Object} keys - { [keyId]: Buffer } from unwrapKeys
+ * @param {Buffer} buffer - Encrypted contents
+ * @returns {Buffer} - Plaintext
+ */
+function decryptWithEnvelope(keys, buffer) {
+  const key = keys[readKeyId(buffer)];
+  if (!key) {
+    throw new Error('The data was encrypted with a key the passphrase does not unlock');
+  }
+  return decryptBuffer(key, buffer);
+}
+
+class EncryptedStorage {
+  /**
+   * @param {string} userDataPath - Application data folder
+   * @param {Object} deviceCipher - { isAvailable(), encrypt(string) => Buffer, decrypt(Buffer) => string }
+   */
+  constructor(userDataPath, deviceCipher) {
+    this.keyFilePath = path.join(userDataPath, KEY_FILE_NAME);
+    this.databasePath = path.join(userDataPath, 'database.db');
+    this.sealedDatabasePath = `${this.databasePath}.enc`;
+    this.managedDirectories = ['documents', 'certificates', 'backups'].map(name => path.join(userDataPath, name));
+    this.deviceCipher = deviceCipher;
+    this.record = null;
+    this.keys = null;
+  }
+
+  isEnabled() {
+    return this.record !== null;
+  }
+
+  isUnlocked() {
+    return !this.isEnabled() || this.keys !== null;
+  }
+
+  /**
+   * Reads the key record and unlocks it with the device cipher when possible
+   * @returns {Promise<boolean>} - True if storage is usable (disabled, or enabled and unlocked)
+   */
+  async load() {
+    if (!(await exists(this.keyFilePath))) {
+      this.record = null;
+      this.keys = null;
+      return true;
+    }
+
+    this.record = JSON.parse(await fs.readFile(this.keyFilePath, 'utf8'));
+    this.keys = null;
+
+    if (this.record.deviceKeys && this.deviceCipher.isAvailable()) {
+      try {
+        const stored = JSON.parse(this.deviceCipher.decrypt(Buffer.from(this.record.deviceKeys, 'base64')));
+        if (Object.keys(this.record.keys).every(keyId => stored[keyId])) {
+          this.keys = Object.fromEntries(Object.keys(this.record.keys).map(keyId => [keyId, Buffer.from(stored[keyId], 'hex')]));
+        }
+      } catch (error) {
+        // The keychain entry belongs to another machine or account; the passphrase is needed
+        console.error('Device key unavailable:', error.message);
+      }
+    }
+
+    return this.isUnlocked();
+  }
+
+  isUnlockBlocked() {
+    return Boolean(this.record?.unlockLockedUntil) && new Date(this.record.unlockLockedUntil) > new Date();
+  }
+
+  /**
+   * Unlocks storage with the administrator passphrase and re-enrols this device.
+   * Unlocking needs no session, so failed attempts are counted in the key record
+   * and further attempts are refused for a while after too many, across restarts.
+   * @param {string} passphrase - Administrator passphrase
+   */
+  async unlock(passphrase) {
+    if (!this.isEnabled()) return;
+    if (this.isUnlockBlocked()) {
+      throw new Error(`Too many incorrect passphrases; try again after ${new Date(this.record.unlockLockedUntil).toLocaleTimeString()}`);
+    }
+
+    let keys;
+    try {
+      keys = await unwrapKeys(this.record, passphrase);
+    } catch (error) {
+      const attempts = (this.record.failedUnlocks || 0) + 1;
+      this.record = attempts >= MAX_FAILED_UNLOCKS
+        ? { ...this.record, failedUnlocks: 0, unlockLockedUntil: new Date(Date.now() + UNLOCK_LOCKOUT_MINUTES * 60000).toISOString() }
+        : { ...this.record, failedUnlocks: attempts };
+      await writeFileAtomic(this.keyFilePath, JSON.stringify(this.record, null, 2));
+      throw error;
+    }
+
+    this.keys = keys;
+    await this.saveRecord({ ...this.record, failedUnlocks: 0, unlockLockedUntil: null });
+  }
+
+  async saveRecord(record) {
+    let deviceKeys = null;
+    if (this.deviceCipher.isAvailable()) {
+      const hexKeys = Object.fromEntries(Object.entries(this.keys).map(([keyId, key]) => [keyId, key.toString('hex')]));
+      deviceKeys = this.deviceCipher.encrypt(JSON.stringify(hexKeys)).toString('base64');
+    }
+    this.record = { ...record, deviceKeys };
+    await writeFileAtomic(this.keyFilePath, JSON.stringify(this.record, null, 2));
+  }
+
+  requireUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('Encrypted storage is locked');
+    }
+  }
+
+  encrypt(plaintext) {
+    this.requireUnlocked();
+    const keyId = this.record.currentKeyId;
+    return encryptBuffer(this.keys[keyId], keyId, plaintext);
+  }
+
+  decrypt(buffer) {
+    this.requireUnlocked();
+    const key = this.keys[readKeyId(buffer)];
+    if (!key) {
+      throw new Error('File was encrypted with a key this installation does not hold');
+    }
+    return decryptBuffer(key, buffer);
+  }
+
+  /**
+   * Reads a managed file, decrypting it if needed
+   * @param {string} filePath - File to read
+   * @returns {Promise<Buffer>} - Plaintext contents
+   */
+  async readFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    return isEncryptedBuffer(buffer) ? this.decrypt(buffer) : buffer;
+  }
+
+  /**
+   * Writes a managed file, encrypting it while encryption is enabled
+   * @param {string} filePath - Destination
+   * @param {Buffer} plaintext - Contents
+   */
+  async writeFile(filePath, plaintext) {
+    await writeFileAtomic(filePath, this.isEnabled() ? this.encrypt(plaintext) : plaintext);
+  }
+
+  // Brings one managed file to the current key, or to plaintext when encryption is off
+  async reencryptFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const encrypted = isEncryptedBuffer(buffer);
+    if (this.isEnabled() && encrypted && readKeyId(buffer) === this.record.currentKeyId) return false;
+    if (!this.isEnabled() && !encrypted) return false;
+
+    await this.writeFile(filePath, encrypted ? this.decrypt(buffer) : buffer);
+    return true;
+  }
+
+  async reencryptManagedFiles() {
+    const files = (await Promise.all(this.managedDirectories.map(listFiles))).flat()
+      .filter(filePath => !filePath.endsWith('.tmp'));
+    if (await exists(this.sealedDatabasePath)) files.push(this.sealedDatabasePath);
+
+    let changed = 0;
+    for (const filePath of files) {
+      if (await this.reencryptFile(filePath)) changed++;
+    }
+    return changed;
+  }
+
+  /**
+   * Turns encryption on and encrypts every managed file
+   * @param {string} passphrase - New administrator passphrase
+   * @returns {Promise<Object>} - { filesEncrypted }
+   */
+  async enable(passphrase) {
+    if (this.isEnabled()) {
+      throw new Error('Encryption is already enabled');
+    }
+    const passphraseError = validatePassphrase(passphrase);
+    if (passphraseError) {
+      throw new Error(passphraseError);
+    }
+
+    const { keyId, key } = generateKey();
+    this.keys = { [keyId]: key };
+    const now = new Date().toISOString();
+    await this.saveRecord({ version: 1, currentKeyId: keyId, ...(await wrapKeys(this.keys, passphrase)), createdAt: now, rotatedAt: null });
+
+    return { filesEncrypted: await this.reencryptManagedFiles() };
+  }
+
+  /**
+   * Replaces the data key and re-encrypts every managed file, optionally changing the passphrase.
+   * Both keys stay in the record until every file has moved, so an interrupted rotation can be rerun.
+   * @param {string} passphrase - Current administrator passphrase
+   * @param {string} newPassphrase - Replacement passphrase, or empty to keep the current one
+   * @returns {Promise<Object>} - { keyId, filesReencrypted }
+   */
+  async rotate(passphrase, newPassphrase = null) {
+    if (!this.isEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+    const finalPassphrase = newPassphrase || passphrase;
+    const passphraseError = newPassphrase ? validatePassphrase(newPassphrase) : null;
+    if (passphraseError) {
+      throw new Error(passphraseError);
+    }
+
+    this.keys = await unwrapKeys(this.record, passphrase);
+    const { keyId, key } = generateKey();
+    this.keys = { ...this.keys, [keyId]: key };
+    await this.saveRecord({ ...this.record, currentKeyId: keyId, ...(await wrapKeys(this.keys, finalPassphrase)) });
+
+    const filesReencrypted = await this.reencryptManagedFiles();
+
+    this.keys = { [keyId]: key };
+    await this.saveRecord({ ...this.record, ...(await wrapKeys(this.keys, finalPassphrase)), rotatedAt: new Date().toISOString() });
+
+    return { keyId, filesReencrypted };
+  }
+
+  /**
+   * Decrypts every managed file and removes the key record
+   * @param {string} passphrase - Administrator passphrase
+   * @returns {Promise<Object>} - { filesDecrypted }
+   */
+  async disable(passphrase) {
+    if (!this.isEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+    const keys = await unwrapKeys(this.record, passphrase);
+    const record = this.record;
+
+    this.keys = keys;
+    this.record = null;
+    try {
+      const filesDecrypted = await this.reencryptManagedFiles();
+      await fs.unlink(this.keyFilePath);
+      this.keys = null;
+      return { filesDecrypted };
+    } catch (error) {
+      this.record = record;
+      throw error;
+    }
+  }
+
+  /**
+   * Prepares the working database before it is opened: decrypts the sealed copy
+   * unless a working copy is already there
+   */
+  async openDatabase() {
+    if (!this.isEnabled()) return;
+    this.requireUnlocked();
+
+    if (!(await exists(this.databasePath)) && (await exists(this.sealedDatabasePath))) {
+      await writeFileAtomic(this.databasePath, this.decrypt(await fs.readFile(this.sealedDatabasePath)));
+    }
+  }
+
+  /**
+   * Seals the working database after it has been closed and removes the plaintext copy
+   */
+  async sealDatabase() {
+    if (!this.isEnabled() || !this.isUnlocked() || !(await exists(this.databasePath))) return;
+
+    await writeFileAtomic(this.sealedDatabasePath, this.encrypt(await fs.readFile(this.databasePath)));
+    await fs.unlink(this.databasePath);
+    await fs.unlink(`${this.databasePath}-journal`).catch(() => {});
+  }
+
+  /**
+   * Writes a backup of a database snapshot. With encryption enabled the backup
+   * carries its data key wrapped by the passphrase, so it can be restored on
+   * another installation that knows the passphrase.
+   * @param {string} snapshotPath - Consistent copy of the database
+   * @param {string} destinationPath - Backup file to write
+   * @returns {Promise<Object>} - { encrypted }
+   */
+  async createBackup(snapshotPath, destinationPath) {
+    const snapshot = await fs.readFile(snapshotPath);
+    if (!this.isEnabled()) {
+      await fs.writeFile(destinationPath, snapshot);
+      return { encrypted: false };
+    }
+
+    const header = Buffer.from(JSON.stringify({
+      version: 1,
+      createdAt: new Date().toISOString(),
+      ...this.exportKeyEnvelope()
+    }), 'utf8');
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32BE(header.length);
+
+    await fs.writeFile(destinationPath, Buffer.concat([BACKUP_MAGIC, headerLength, header, this.encrypt(snapshot)]));
+    return { encrypted: true };
+  }
+
+  /**
+   * Reads a backup file into a plaintext database image
+   * @param {string} filePath - Backup written by createBackup, or a plain SQLite file
+   * @param {string} passphrase - Passphrase the backup was made under (encrypted backups only)
+   * @returns {Promise<Buffer>} - SQLite database contents
+   */
+  async readBackup(filePath, passphrase) {
+    const buffer = await fs.readFile(filePath);
+    const format = detectBackupFormat(buffer);
+
+    if (format === 'sqlite') return buffer;
+    if (format !== 'encrypted_backup') {
+      throw new Error('The file is not a database backup');
+    }
+    if (!passphrase) {
+      throw new Error('This backup is encrypted. Enter the passphrase that was in use when it was made.');
+    }
+
+    const headerLength = buffer.readUInt32BE(BACKUP_MAGIC.length);
+    const headerStart = BACKUP_MAGIC.length + 4;
+    const header = JSON.parse(buffer.subarray(headerStart, headerStart + headerLength).toString('utf8'));
+    const payload = buffer.subarray(headerStart + headerLength);
+
+    return decryptWithEnvelope(await unwrapKeys(header, passphrase), payload);
+  }
+
+  /**
+   * The current data key wrapped by the passphrase, for files that leave this
+   * installation (backups, archives) and must be readable elsewhere
+   * @returns {Object} - { kdf, keys: { [keyId]: wrapped } }
+   */
+  exportKeyEnvelope() {
+    if (!this.isEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+    const keyId = this.record.currentKeyId;
+    return { kdf: this.record.kdf, keys: { [keyId]: this.record.keys[keyId] } };
+  }
+
+  status() {
+    return {
+      enabled: this.isEnabled(),
+      unlocked: this.isUnlocked(),
+      keyId: this.record?.currentKeyId || null,
+      createdAt: this.record?.createdAt || null,
+      rotatedAt: this.record?.rotatedAt || null,
+      unlockLockedUntil: this.isUnlockBlocked() ? this.record.unlockLockedUntil : null,
+      deviceKeyAvailable: this.deviceCipher.isAvailable()
+    };
+  }
+}
+
+module.exports = {
+  EncryptedStorage,
+  detectBackupFormat,
+  decryptWithEnvelope
+};
@@ -0,0 +1,169 @@
+/**
+ * Encryption Primitives
+ *
+ * AES-256-GCM encryption of whole files with a random data key. The data key
+ * never touches the disk in clear: it is stored wrapped by a key derived from
+ * the administrator passphrase (scrypt), and every encrypted file names the
+ * key that sealed it so a rotation interrupted halfway can still be read.
+ *
+ * Encrypted file layout: MAGIC (8) | key ID (16) | IV (12) | auth tag (16) | ciphertext.
+ * The first 36 bytes are authenticated as additional data.
+ */
+
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const MAGIC = Buffer.from('JSGENC1\0', 'ascii');
+const KEY_BYTES = 32;
+const KEY_ID_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + KEY_ID_BYTES + IV_BYTES + TAG_BYTES;
+
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const MIN_PASSPHRASE_LENGTH = 12;
+
+/**
+ * Checks the strength of a new encryption passphrase
+ * @param {string} passphrase - Proposed passphrase
+ * @returns {string|null} - Error message, or null if acceptable
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    return 'Passphrase is required';
+  }
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Derives a key-encryption key from a passphrase
+ * @param {string} passphrase - Administrator passphrase
+ * @param {Object} kdf - { N, r, p, salt } with a base64 salt
+ * @returns {Promise<Buffer>} - 32-byte key
+ */
+function deriveKey(passphrase, kdf) {
+  return new Promise((resolve, reject) => {
+    const { N, r, p } = kdf;
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_BYTES, { N, r, p, maxmem: 128 * N * r * 2 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+function createKdf() {
+  return { algorithm: 'scrypt', ...KDF_PARAMS, salt: crypto.randomBytes(SALT_BYTES).toString('base64') };
+}
+
+/**
+ * Encrypts a buffer with a data key
+ * @param {Buffer} key - 32-byte data key
+ * @param {string} keyId - Hex ID of the key, recorded in the header
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer} - Encrypted file contents
+ */
+function encryptBuffer(key, keyId, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const header = Buffer.concat([MAGIC, Buffer.from(keyId, 'hex'), iv]);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([header, cipher.getAuthTag(), ciphertext]);
+}
+
+function isEncryptedBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= HEADER_BYTES && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Reads the ID of the key that sealed an encrypted buffer
+ * @param {Buffer} buffer - Encrypted file contents
+ * @returns {string} - Hex key ID
+ */
+function readKeyId(buffer) {
+  if (!isEncryptedBuffer(buffer)) {
+    throw new Error('Data is not encrypted');
+  }
+  return buffer.subarray(MAGIC.length, MAGIC.length + KEY_ID_BYTES).toString('hex');
+}
+
+/**
+ * Decrypts a buffer produced by encryptBuffer
+ * @param {Buffer} key - Data key named in the header
+ * @param {Buffer} buffer - Encrypted file contents
+ * @returns {Buffer} - Plaintext; throws if the data was altered or the key is wrong
+ */
+function decryptBuffer(key, buffer) {
+  if (!isEncryptedBuffer(buffer)) {
+    throw new Error('Data is not encrypted');
+  }
+  const ivStart = MAGIC.length + KEY_ID_BYTES;
+  const tagStart = ivStart + IV_BYTES;
+  const decipher = crypto.createDecipheriv(CIPHER, key, buffer.subarray(ivStart, tagStart));
+  decipher.setAAD(buffer.subarray(0, tagStart));
+  decipher.setAuthTag(buffer.subarray(tagStart, HEADER_BYTES));
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(HEADER_BYTES)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Decryption failed: the data was altered or the key is wrong');
+  }
+}
+
+/**
+ * Wraps data keys under a passphrase
+ * @param {Object} keys - { [keyId]: Buffer }
+ * @param {string} passphrase - Administrator passphrase
+ * @returns {Promise<Object>} - { kdf, keys: { [keyId]: base64 } }
+ */
+async function wrapKeys(keys, passphrase) {
+  const kdf = createKdf();
+  const kek = await deriveKey(passphrase, kdf);
+  const wrapped = {};
+  Object.entries(keys).forEach(([keyId, key]) => {
+    wrapped[keyId] = encryptBuffer(kek, keyId, key).toString('base64');
+  });
+  return { kdf, keys: wrapped };
+}
+
+/**
+ * Unwraps the data keys of a key record
+ * @param {Object} record - { kdf, keys } from wrapKeys
+ * @param {string} passphrase - Administrator passphrase
+ * @returns {Promise<Object>} - { [keyId]: Buffer }; throws 'Incorrect passphrase' on a mismatch
+ */
+async function unwrapKeys(record, passphrase) {
+  const kek = await deriveKey(passphrase || '', record.kdf);
+  const keys = {};
+  try {
+    Object.entries(record.keys).forEach(([keyId, wrapped]) => {
+      keys[keyId] = decryptBuffer(kek, Buffer.from(wrapped, 'base64'));
+    });
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+  return keys;
+}
+
+function generateKey() {
+  return {
+    keyId: crypto.randomBytes(KEY_ID_BYTES).toString('hex'),
+    key: crypto.randomBytes(KEY_BYTES)
+  };
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  validatePassphrase,
+  deriveKey,
+  encryptBuffer,
+  decryptBuffer,
+  isEncryptedBuffer,
+  readKeyId,
+  wrapKeys,
+  unwrapKeys,
+  generateKey
+};
@@ -1,13 +1,45 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
+const { copyDatabase } = require('./databaseBackup');
+const { selectBackupsToPrune } = require('./backupScheduler');
+const { readSchema, diffSchemas } = require('./schemaDiff');
+
+/**
+ * Returns one direction of a migrations map entry. An entry is either the up
+ * step itself or { up, down }; both take (db, callback).
+ * @param {Function|Object} migration - Entry of the migrations map
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Function|null} - The step, or null if the entry does not define it
+ */
+function getMigrationStep(migration, direction) {
+  if (typeof migration === 'function') {
+    return direction === 'up' ? migration : null;
+  }
+  return migration?.[direction] || null;
+}
+
+const openDatabaseFile = (filePath, mode) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath, mode, (err) => (err ? reject(err) : resolve(db)));
+});
+
+const closeDatabaseFile = (db) => new Promise(resolve => db.close(() => resolve()));
 
 class MigrationManager {
-  constructor(app) {
+  /**
+   * @param {Object} app - Electron app; may be null when dataDirectory is given
+   * @param {Object} options - { storage, dataDirectory }
+   * @param {Object} options.storage - EncryptedStorage; backups are encrypted while it is enabled
+   * @param {string} options.dataDirectory - Folder for the database, backups and log; defaults to userData
+   */
+  constructor(app, { storage = null, dataDirectory = null } = {}) {
+    const directory = dataDirectory || app.getPath('userData');
     this.app = app;
-    this.dbPath = path.join(app.getPath('userData'), 'database.db');
-    this.backupDir = path.join(app.getPath('userData'), 'backups');
-    this.logPath = path.join(app.getPath('userData'), 'migration.log');
+    this.storage = storage;
+    this.dbPath = path.join(directory, 'database.db');
+    this.backupDir = path.join(directory, 'backups');
+    this.logPath = path.join(directory, 'migration.log');
     
     // Ensure backup directory exists
     if (!fs.existsSync(this.backupDir)) {
@@ -28,13 +60,21 @@ class MigrationManager {
     }
   }
 
-  async createBackup() {
+  /**
+   * Backs up the database before migrations run
+   * @param {Object} db - Open connection, copied with the online backup API
+   * @returns {Promise<string|null>} - Backup path, or null if there is no database yet
+   */
+  async createBackup(db) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupPath = path.join(this.backupDir, `database-backup-${timestamp}.db`);
     
     try {
       if (fs.existsSync(this.dbPath)) {
-        fs.copyFileSync(this.dbPath, backupPath);
+        await copyDatabase(db, backupPath);
+        if (this.storage?.isEnabled()) {
+          await this.storage.writeFile(backupPath, fs.readFileSync(backupPath));
+        }
         this.log(`Database backup created: ${backupPath}`);
         return backupPath;
       } else {
@@ -53,15 +93,21 @@ class MigrationManager {
     }
 
     try {
-      fs.copyFileSync(backupPath, this.dbPath);
+      if (this.storage) {
+        fs.writeFileSync(this.dbPath, await this.storage.readFile(backupPath));
+      } else {
+        fs.copyFileSync(backupPath, this.dbPath);
+      }
       this.log(`Database rolled back from: ${backupPath}`);
       
       // After rollback, reinitialize DB connection or relaunch app
-      this.log('Initiating app relaunch after rollback to avoid closed DB state');
-      setTimeout(() => {
-        this.app.relaunch();
-        this.app.exit();
-      }, 1000); // Give time for log to be written
+      if (this.app) {
+        this.log('Initiating app relaunch after rollback to avoid closed DB state');
+        setTimeout(() => {
+          this.app.relaunch();
+          this.app.exit();
+        }, 1000); // Give time for log to be written
+      }
       
     } catch (err) {
       this.log(`Rollback failed: ${err.message}`);
@@ -98,24 +144,61 @@ class MigrationManager {
     });
   }
 
-  async runMigration(db, version, migrationFunction) {
+  async removeSchemaVersion(db, version) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM schema_version WHERE version >= ?', [version], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async runMigration(db, version, migrationFunction, direction = 'up') {
+    const label = direction === 'up' ? 'Migration' : 'Down-migration';
     return new Promise((resolve, reject) => {
-      this.log(`Starting migration ${version}`);
+      this.log(`Starting ${label.toLowerCase()} ${version}`);
       
       migrationFunction(db, (err) => {
         if (err) {
-          this.log(`Migration ${version} failed: ${err.message}`);
+          this.log(`${label} ${version} failed: ${err.message}`);
           reject(err);
         } else {
-          this.log(`Migration ${version} completed successfully`);
+          this.log(`${label} ${version} completed successfully`);
           resolve();
         }
       });
     });
   }
 
-  async runMigrations(db, migrations, targetVersion) {
+  /**
+   * Brings a database up to the target schema version; a newer database is left as it is
+   * @param {Object} db - Open connection
+   * @param {Object} migrations - { [version]: step or { up, down } }, see getMigrationStep
+   * @param {number} targetVersion - Schema version to reach
+   * @param {Object} options - { backup } - false for a disposable copy: no backup is taken and nothing is rolled back
+   * @returns {Promise<Object>} - { success, error, backupPath, fromVersion, toVersion }
+   */
+  async runMigrations(db, migrations, targetVersion, { backup = true } = {}) {
+    return this.migrateTo(db, migrations, targetVersion, { backup, allowDowngrade: false });
+  }
+
+  /**
+   * Moves a database to the target schema version, running down steps when the
+   * target is older. A downgrade is refused before anything runs if a migration
+   * on the way has no down step.
+   * @param {Object} db - Open connection
+   * @param {Object} migrations - { [version]: step or { up, down } }
+   * @param {number} targetVersion - Schema version to reach
+   * @param {Object} options - { backup, allowDowngrade }
+   * @returns {Promise<Object>} - { success, error, backupPath, fromVersion, toVersion }
+   */
+  async migrateTo(db, migrations, targetVersion, { backup = true, allowDowngrade = true } = {}) {
     let backupPath = null;
+    let fromVersion = null;
+    let toVersion = null;
     
     try {
       // Create schema_version table if it doesn't exist
@@ -129,23 +212,46 @@ class MigrationManager {
       });
 
       const currentVersion = await this.getCurrentSchemaVersion(db);
+      fromVersion = currentVersion;
+      toVersion = currentVersion;
       this.log(`Current schema version: ${currentVersion}, Target version: ${targetVersion}`);
 
-      if (currentVersion >= targetVersion) {
+      if (currentVersion === targetVersion || (currentVersion > targetVersion && !allowDowngrade)) {
         this.log('Database is already up to date');
-        return { success: true, backupPath: null };
+        return { success: true, backupPath: null, fromVersion, toVersion };
+      }
+
+      // Newest first when going down; each version is undone by its own down step
+      const direction = currentVersion < targetVersion ? 'up' : 'down';
+      const versions = [];
+      if (direction === 'up') {
+        for (let version = currentVersion + 1; version <= targetVersion; version++) versions.push(version);
+      } else {
+        for (let version = currentVersion; version > targetVersion; version--) versions.push(version);
+        const irreversible = versions.find(version => migrations[version] && !getMigrationStep(migrations[version], 'down'));
+        if (irreversible) {
+          throw new Error(`Migration ${irreversible} has no down step, so the database cannot go below schema version ${irreversible}`);
+        }
       }
 
       // Create backup before running migrations
-      backupPath = await this.createBackup();
+      if (backup) {
+        backupPath = await this.createBackup(db);
+      }
 
       // Run migrations sequentially
-      for (let version = currentVersion + 1; version <= targetVersion; version++) {
-        if (migrations[version]) {
+      for (const version of versions) {
+        const step = getMigrationStep(migrations[version], direction);
+        if (step) {
           try {
-            await this.runMigration(db, version, migrations[version]);
-            await this.updateSchemaVersion(db, version);
-            this.log(`Schema version updated to ${version}`);
+            await this.runMigration(db, version, step, direction);
+            if (direction === 'up') {
+              await this.updateSchemaVersion(db, version);
+            } else {
+              await this.removeSchemaVersion(db, version);
+            }
+            toVersion = direction === 'up' ? version : version - 1;
+            this.log(`Schema version updated to ${toVersion}`);
           } catch (err) {
             this.log(`Migration ${version} failed, initiating rollback`);
             
@@ -161,20 +267,69 @@ class MigrationManager {
               });
               
               await this.rollback(backupPath);
+              toVersion = fromVersion;
               this.log('Rollback completed');
             }
             
             throw new Error(`Migration failed at version ${version}: ${err.message}`);
           }
+        } else if (direction === 'down') {
+          await this.removeSchemaVersion(db, version);
+          toVersion = version - 1;
         }
       }
 
       this.log('All migrations completed successfully');
-      return { success: true, backupPath };
+      return { success: true, backupPath, fromVersion, toVersion };
 
     } catch (err) {
       this.log(`Migration process failed: ${err.message}`);
-      return { success: false, error: err.message, backupPath };
+      return { success: false, error: err.message, backupPath, fromVersion, toVersion };
+    }
+  }
+
+  /**
+   * Migrates a temporary copy of a database file and reports the schema changes;
+   * the file itself is only read
+   * @param {string} filePath - Database file to try the migration on
+   * @param {Object} migrations - { [version]: step or { up, down } }
+   * @param {number} targetVersion - Schema version to reach, older or newer than the file's
+   * @param {Object} options - { prepare } - async (db) => void, run on the copy before an upgrade
+   * @returns {Promise<Object>} - { success, error, fromVersion, toVersion, diff }; diff is from diffSchemas
+   */
+  async dryRun(filePath, migrations, targetVersion, { prepare = null } = {}) {
+    const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsg-migration-dry-run-'));
+    const copyPath = path.join(workDirectory, 'database.db');
+
+    try {
+      const sourceDb = await openDatabaseFile(filePath, sqlite3.OPEN_READONLY);
+      try {
+        await copyDatabase(sourceDb, copyPath);
+      } finally {
+        await closeDatabaseFile(sourceDb);
+      }
+
+      const copyDb = await openDatabaseFile(copyPath, sqlite3.OPEN_READWRITE);
+      try {
+        const before = await readSchema(copyDb);
+        const currentVersion = await this.getCurrentSchemaVersion(copyDb);
+        if (prepare && targetVersion > currentVersion) {
+          await prepare(copyDb);
+        }
+        this.log(`Dry run on a copy of ${filePath}`);
+        const result = await this.migrateTo(copyDb, migrations, targetVersion, { backup: false });
+        return {
+          success: result.success,
+          error: result.error,
+          fromVersion: result.fromVersion,
+          toVersion: result.toVersion,
+          diff: diffSchemas(before, await readSchema(copyDb))
+        };
+      } finally {
+        await closeDatabaseFile(copyDb);
+      }
+    } finally {
+      fs.rmSync(workDirectory, { recursive: true, force: true });
     }
   }
 
@@ -185,16 +340,13 @@ class MigrationManager {
         .map(file => ({
           name: file,
           path: path.join(this.backupDir, file),
-          mtime: fs.statSync(path.join(this.backupDir, file)).mtime
-        }))
-        .sort((a, b) => b.mtime - a.mtime);
-
-      if (files.length > maxBackups) {
-        const filesToDelete = files.slice(maxBackups);
-        for (const file of filesToDelete) {
-          fs.unlinkSync(file.path);
-          this.log(`Deleted old backup: ${file.name}`);
-        }
+          tiers: ['migration'],
+          createdAt: fs.statSync(path.join(this.backupDir, file)).mtime
+        }));
+
+      for (const file of selectBackupsToPrune(files, { migration: maxBackups })) {
+        fs.unlinkSync(file.path);
+        this.log(`Deleted old backup: ${file.name}`);
       }
     } catch (err) {
       this.log(`Failed to cleanup old backups: ${err.message}`);
@@ -226,3 +378,4 @@ class MigrationManager {
 }
 
 module.exports = MigrationManager;
+module.exports.getMigrationStep = getMigrationStep;
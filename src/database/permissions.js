@@ -0,0 +1,127 @@
+/**
+ * Permission Catalog
+ *
+ * Named permissions checked by the operation registry in the main process and
+ * by `can()` in the renderer. Each permission is held by default by its
+ * defaultRole and every role above it; administrators can grant or revoke it
+ * per role, and those overrides are stored in role_permissions. Admins always
+ * hold every permission so the matrix can never lock them out. Permissions
+ * marked adminOnly would let a role raise itself to admin, so they cannot be
+ * granted to any other role.
+ */
+
+const PERMISSION_ROLES = ['viewer', 'inspector', 'reviewer', 'admin'];
+
+// Roles whose grants can be edited; admin is implicit
+const EDITABLE_PERMISSION_ROLES = ['viewer', 'inspector', 'reviewer'];
+
+const PERMISSIONS = [
+  { key: 'equipment.edit', group: 'Equipment', label: 'Add and edit equipment', defaultRole: 'inspector' },
+  { key: 'equipment.delete', group: 'Equipment', label: 'Delete equipment', defaultRole: 'admin' },
+  { key: 'document.view', group: 'Equipment', label: 'View documents', defaultRole: 'viewer' },
+  { key: 'document.upload', group: 'Equipment', label: 'Attach documents', defaultRole: 'inspector' },
+  { key: 'meter.record', group: 'Equipment', label: 'Record meter readings', defaultRole: 'inspector' },
+  { key: 'inspection.perform', group: 'Inspections', label: 'Perform and sign inspections', defaultRole: 'inspector' },
+  { key: 'inspection.delete_items', group: 'Inspections', label: 'Delete inspection items', defaultRole: 'reviewer' },
+  { key: 'signature.delete', group: 'Inspections', label: 'Delete signatures', defaultRole: 'admin' },
+  { key: 'schedule.manage', group: 'Inspections', label: 'Schedule inspections', defaultRole: 'inspector' },
+  { key: 'schedule.delete', group: 'Inspections', label: 'Delete scheduled inspections', defaultRole: 'reviewer' },
+  { key: 'template.manage', group: 'Inspections', label: 'Manage inspection templates', defaultRole: 'reviewer' },
+  { key: 'deficiency.manage', group: 'Deficiencies', label: 'Record and update deficiencies', defaultRole: 'inspector' },
+  { key: 'deficiency.close', group: 'Deficiencies', label: 'Close deficiencies', defaultRole: 'reviewer' },
+  { key: 'deficiency.close_critical', group: 'Deficiencies', label: 'Close critical deficiencies', defaultRole: 'reviewer' },
+  { key: 'workorder.manage', group: 'Maintenance', label: 'Create and complete work orders', defaultRole: 'inspector' },
+  { key: 'pm.schedule', group: 'Maintenance', label: 'Schedule preventive maintenance', defaultRole: 'inspector' },
+  { key: 'pm.manage_templates', group: 'Maintenance', label: 'Manage PM templates', defaultRole: 'reviewer' },
+  { key: 'loadtest.record', group: 'Testing', label: 'Record load tests', defaultRole: 'inspector' },
+  { key: 'calibration.record', group: 'Testing', label: 'Record calibrations', defaultRole: 'inspector' },
+  { key: 'certificate.issue_inspection', group: 'Testing', label: 'Issue inspection certificates', defaultRole: 'reviewer' },
+  { key: 'certificate.issue_load_test', group: 'Testing', label: 'Issue load test certificates', defaultRole: 'reviewer' },
+  { key: 'certificate.issue_calibration', group: 'Testing', label: 'Issue calibration certificates', defaultRole: 'reviewer' },
+  { key: 'certificate.manage', group: 'Testing', label: 'Revoke or expire certificates', defaultRole: 'reviewer' },
+  { key: 'credential.manage', group: 'Compliance', label: 'Manage inspector credentials', defaultRole: 'reviewer' },
+  { key: 'compliance.assign', group: 'Compliance', label: 'Assign standards to equipment types', defaultRole: 'reviewer' },
+  { key: 'compliance.manage_standards', group: 'Compliance', label: 'Create and delete compliance standards', defaultRole: 'admin' },
+  { key: 'audit.view', group: 'Administration', label: 'View the audit trail', defaultRole: 'reviewer' },
+  { key: 'data.export', group: 'Administration', label: 'Export data to CSV, Excel and JSON', defaultRole: 'reviewer' },
+  { key: 'user.manage', group: 'Administration', label: 'Manage user accounts', defaultRole: 'admin', adminOnly: true },
+  { key: 'permission.manage', group: 'Administration', label: 'Edit role permissions', defaultRole: 'admin', adminOnly: true },
+  { key: 'settings.manage', group: 'Administration', label: 'Change session and application settings', defaultRole: 'admin', adminOnly: true },
+  { key: 'backup.manage', group: 'Administration', label: 'Back up and restore the database', defaultRole: 'admin', adminOnly: true },
+  { key: 'database.maintain', group: 'Administration', label: 'Check and maintain the database', defaultRole: 'admin' },
+  { key: 'encryption.manage', group: 'Administration', label: 'Manage encryption and its passphrase', defaultRole: 'admin' }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+/**
+ * Checks whether a role holds a permission when no override applies
+ * @param {string} role - Role name
+ * @param {string} key - Permission key
+ * @returns {boolean} - True if the role is at or above the permission's defaultRole
+ */
+function isDefaultGrant(role, key) {
+  const permission = PERMISSIONS.find(p => p.key === key);
+  if (!permission) return false;
+  const roleIndex = PERMISSION_ROLES.indexOf(role);
+  return roleIndex !== -1 && roleIndex >= PERMISSION_ROLES.indexOf(permission.defaultRole);
+}
+
+/**
+ * Checks whether a permission can be granted to or revoked from a role in the matrix
+ * @param {string} role - Role name
+ * @param {string} key - Permission key
+ * @returns {boolean} - False for admins, unknown keys and adminOnly permissions
+ */
+function isGrantable(role, key) {
+  const permission = PERMISSIONS.find(p => p.key === key);
+  return EDITABLE_PERMISSION_ROLES.includes(role) && Boolean(permission) && !permission.adminOnly;
+}
+
+/**
+ * Builds each role's effective permission list from the stored overrides
+ * @param {Array<Object>} overrides - role_permissions rows ({ role, permission, granted })
+ * @returns {Object} - { [role]: Array<string> } of granted permission keys
+ */
+function resolveRolePermissions(overrides = []) {
+  const grants = {};
+
+  PERMISSION_ROLES.forEach(role => {
+    const granted = new Set(PERMISSION_KEYS.filter(key => role === 'admin' || isDefaultGrant(role, key)));
+
+    if (role !== 'admin') {
+      overrides
+        .filter(row => row.role === role && isGrantable(role, row.permission))
+        .forEach(row => {
+          if (row.granted) granted.add(row.permission);
+          else granted.delete(row.permission);
+        });
+    }
+
+    grants[role] = PERMISSION_KEYS.filter(key => granted.has(key));
+  });
+
+  return grants;
+}
+
+/**
+ * Checks a role against resolved permissions
+ * @param {Object} rolePermissions - Result of resolveRolePermissions
+ * @param {string} role - Role of the session
+ * @param {string} key - Permission key
+ * @returns {boolean} - True if granted; unknown roles and keys are denied
+ */
+function roleHasPermission(rolePermissions, role, key) {
+  return Boolean(rolePermissions?.[role]?.includes(key));
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  PERMISSION_ROLES,
+  EDITABLE_PERMISSION_ROLES,
+  isDefaultGrant,
+  isGrantable,
+  resolveRolePermissions,
+  roleHasPermission
+};
@@ -0,0 +1,216 @@
+/**
+ * PM Scheduler
+ *
+ * Keeps preventive maintenance schedules in step with the work done and the
+ * meters read. When a PM work order is completed its schedule rolls forward:
+ * calendar schedules from the completion date, usage schedules from the meter
+ * reading at that time. Usage and condition schedules compare the latest
+ * reading of the template's meter type (its frequency_unit) with the threshold,
+ * forecast the due date from the average usage rate, and raise a preventive
+ * work order once the threshold is crossed.
+ */
+
+// Readings this many days before the latest one set the usage rate
+const RATE_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 3600000;
+
+const parseDate = (date) => {
+  const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const addDays = (date, days) => formatDate(parseDate(date) + days * DAY_MS);
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Next due date of a calendar schedule
+ * @param {Object} template - { frequency_value, frequency_unit } with unit 'days', 'weeks' or 'months'
+ * @param {string} fromDate - YYYY-MM-DD the interval counts from
+ * @returns {string} - YYYY-MM-DD
+ */
+function calculateNextDueDate(template, fromDate) {
+  const value = template.frequency_value;
+  switch (template.frequency_unit) {
+    case 'weeks':
+      return addDays(fromDate, value * 7);
+    case 'months': {
+      const [year, month, day] = fromDate.slice(0, 10).split('-').map(Number);
+      // Clamped to the end of shorter months, so Jan 31 + 1 month is Feb 28 (or 29)
+      const lastDay = new Date(Date.UTC(year, month - 1 + value + 1, 0)).getUTCDate();
+      return formatDate(Date.UTC(year, month - 1 + value, Math.min(day, lastDay)));
+    }
+    default:
+      return addDays(fromDate, value);
+  }
+}
+
+/**
+ * Average usage per day over the readings of one meter
+ * @param {Array<Object>} readings - { reading_value, reading_date }, oldest first
+ * @returns {number|null} - Units per day, or null without two readings on different days that show usage
+ */
+function getUsageRate(readings) {
+  if (readings.length < 2) return null;
+  const latest = readings[readings.length - 1];
+  const windowStart = addDays(latest.reading_date, -RATE_WINDOW_DAYS);
+  const first = readings.find(reading => reading.reading_date >= windowStart);
+  const days = (parseDate(latest.reading_date) - parseDate(first.reading_date)) / DAY_MS;
+  const usage = latest.reading_value - first.reading_value;
+  return days > 0 && usage > 0 ? usage / days : null;
+}
+
+/**
+ * Date a reading is expected to reach a threshold
+ * @param {Object} latest - Latest reading { reading_value, reading_date }
+ * @param {number} threshold - Meter value the schedule is due at
+ * @param {number|null} rate - Result of getUsageRate
+ * @returns {string|null} - YYYY-MM-DD, or null without a rate
+ */
+function forecastDueDate(latest, threshold, rate) {
+  if (latest.reading_value >= threshold) return latest.reading_date;
+  if (!rate) return null;
+  return addDays(latest.reading_date, Math.ceil((threshold - latest.reading_value) / rate));
+}
+
+// The reading at a date: the last one on or before it, otherwise the first one after
+const readingAt = (readings, date) => {
+  if (!date) return readings[0] || null;
+  const before = readings.filter(reading => reading.reading_date <= date);
+  return before.length > 0 ? before[before.length - 1] : readings.find(reading => reading.reading_date > date) || null;
+};
+
+const formatValue = (value) => Number(value.toFixed(2)).toLocaleString('en-US');
+
+/**
+ * Works out the changes that bring one schedule in step with its work orders and readings
+ * @param {Object} schedule - Row of pmSchedules.getMeterInputs
+ * @param {Array<Object>} readings - The schedule's meter readings, oldest first
+ * @param {string} today - YYYY-MM-DD, the scheduled date of a raised work order
+ * @returns {Object} - { update, workOrder }, each null when nothing changes; update is in the
+ *   parameters of pmSchedules.updateDue, workOrder in those of workOrders.createFromPmSchedule
+ */
+function evaluateSchedule(schedule, readings, today) {
+  const state = {
+    nextDueDate: schedule.next_due_date,
+    nextDueUsage: schedule.next_due_usage,
+    lastCompletedDate: schedule.last_completed_date,
+    lastCompletedUsage: schedule.last_completed_usage
+  };
+  const isUsage = schedule.frequency_type === 'usage';
+  const unit = schedule.frequency_unit;
+
+  // PM work completed since the schedule last rolled forward
+  const completed = schedule.last_work_completed;
+  if (completed && (!state.lastCompletedDate || completed > state.lastCompletedDate)) {
+    state.lastCompletedDate = completed;
+    if (schedule.frequency_type === 'calendar') {
+      state.nextDueDate = calculateNextDueDate(schedule, completed);
+    } else {
+      const base = readingAt(readings, completed);
+      state.lastCompletedUsage = base ? base.reading_value : null;
+      if (isUsage) state.nextDueUsage = base ? base.reading_value + schedule.frequency_value : null;
+    }
+  }
+
+  let workOrder = null;
+  if (schedule.frequency_type !== 'calendar' && readings.length > 0) {
+    if (isUsage && state.nextDueUsage == null) {
+      state.nextDueUsage = readingAt(readings, state.lastCompletedDate).reading_value + schedule.frequency_value;
+    }
+    // A condition is judged on what was measured after the last maintenance
+    const relevant = isUsage || !state.lastCompletedDate
+      ? readings
+      : readings.filter(reading => reading.reading_date > state.lastCompletedDate);
+    const threshold = isUsage ? state.nextDueUsage : schedule.frequency_value;
+
+    if (relevant.length > 0) {
+      const latest = relevant[relevant.length - 1];
+      const crossing = relevant.find(reading => reading.reading_value >= threshold);
+      const forecast = crossing ? crossing.reading_date : forecastDueDate(latest, threshold, getUsageRate(relevant));
+      if (forecast) state.nextDueDate = forecast;
+
+      const alreadyRaised = schedule.open_work_orders > 0 ||
+        (crossing && schedule.last_work_raised && schedule.last_work_raised >= crossing.reading_date);
+      if (crossing && !alreadyRaised) {
+        const rule = isUsage
+          ? `due at ${formatValue(threshold)} ${unit}, every ${formatValue(schedule.frequency_value)} ${unit}`
+          : `threshold ${formatValue(threshold)} ${unit}`;
+        workOrder = {
+          pmScheduleId: schedule.id,
+          title: `${schedule.template_name} - ${schedule.equipment_identifier}`,
+          description: `Raised automatically: ${unit} meter read ${formatValue(crossing.reading_value)} on ${crossing.reading_date} (${rule}).` +
+            (schedule.description ? `\n\n${schedule.description}` : ''),
+          estimatedHours: schedule.estimated_duration ?? null,
+          createdBy: 'PM Scheduler',
+          scheduledDate: today
+        };
+      }
+    }
+  }
+
+  const changed = state.nextDueDate !== schedule.next_due_date ||
+    state.nextDueUsage !== schedule.next_due_usage ||
+    state.lastCompletedDate !== schedule.last_completed_date ||
+    state.lastCompletedUsage !== schedule.last_completed_usage;
+  return { update: changed ? { id: schedule.id, ...state } : null, workOrder };
+}
+
+/**
+ * Works out the changes for every active schedule
+ * @param {Array<Object>} schedules - Rows of pmSchedules.getMeterInputs
+ * @param {Array<Object>} readings - Rows of meterReadings.getForPmSchedules, oldest first
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} - { update: [...], workOrders: [...] } in the parameters of pmSchedules.applyMeterPlan
+ */
+function planPmSchedules(schedules, readings, today) {
+  const byMeter = new Map();
+  readings.forEach(reading => {
+    const key = `${reading.equipment_id}:${normalize(reading.meter_type)}`;
+    if (!byMeter.has(key)) byMeter.set(key, []);
+    byMeter.get(key).push(reading);
+  });
+
+  const plan = { update: [], workOrders: [] };
+  schedules.forEach(schedule => {
+    const meterReadings = byMeter.get(`${schedule.equipment_id}:${normalize(schedule.frequency_unit)}`) || [];
+    const { update, workOrder } = evaluateSchedule(schedule, meterReadings, today);
+    if (update) plan.update.push(update);
+    if (workOrder) plan.workOrders.push(workOrder);
+  });
+  return plan;
+}
+
+/**
+ * Brings the PM schedules in step with completed work and meter readings
+ * @param {Function} execute - (category, operation, params) => Promise, runs a secure operation
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD; defaults to the current UTC date
+ * @returns {Promise<Object>} - { schedules, updated, raised: [work order ids] }
+ */
+async function refreshPmSchedules(execute, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const [schedules, readings] = await Promise.all([
+    execute('pmSchedules', 'getMeterInputs', {}),
+    execute('meterReadings', 'getForPmSchedules', {})
+  ]);
+  const plan = planPmSchedules(schedules, readings, today);
+
+  let raised = [];
+  if (plan.update.length + plan.workOrders.length > 0) {
+    ({ raised } = await execute('pmSchedules', 'applyMeterPlan', plan));
+  }
+  return { schedules: schedules.length, updated: plan.update.length, raised };
+}
+
+module.exports = {
+  RATE_WINDOW_DAYS,
+  calculateNextDueDate,
+  getUsageRate,
+  forecastDueDate,
+  evaluateSchedule,
+  planPmSchedules,
+  refreshPmSchedules
+};
@@ -0,0 +1,71 @@
+/**
+ * Inspection Recurrence Rules
+ *
+ * Repeat intervals a scheduled inspection can follow. When an occurrence is
+ * completed the next one is scheduled `months` after it, on the same day of
+ * the month, or on the month's last day when that month is shorter.
+ */
+
+const RECURRENCE_RULES = [
+  {
+    key: 'frequent_monthly',
+    label: 'Monthly frequent inspection (ASME B30.2)',
+    shortLabel: 'Monthly',
+    months: 1
+  },
+  {
+    key: 'periodic_annual',
+    label: 'Annual periodic inspection (ASME B30.2)',
+    shortLabel: 'Annual',
+    months: 12
+  }
+];
+
+const RECURRENCE_KEYS = RECURRENCE_RULES.map(rule => rule.key);
+
+/**
+ * Looks up a recurrence rule
+ * @param {string|null} key - Rule key
+ * @returns {Object|null} - The rule, or null for one-off inspections and unknown keys
+ */
+function getRecurrenceRule(key) {
+  return RECURRENCE_RULES.find(rule => rule.key === key) || null;
+}
+
+/**
+ * Date of the occurrence following one on `date`
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} key - Rule key
+ * @returns {string|null} - YYYY-MM-DD, or null when the key is not a rule
+ */
+function nextOccurrence(date, key) {
+  const rule = getRecurrenceRule(key);
+  if (!rule) return null;
+
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + rule.months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + rule.months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * SQL expression computing nextOccurrence in SQLite
+ * @param {string} dateColumn - Column holding the occurrence date
+ * @param {string} ruleColumn - Column holding the rule key
+ * @returns {string} - Expression that is NULL when the rule column is not a rule key
+ */
+function nextOccurrenceSql(dateColumn, ruleColumn) {
+  // Adding months overflows into the following month (Jan 31 + 1 month = Mar 2),
+  // so take the earlier of that and the last day of the target month
+  const cases = RECURRENCE_RULES.map(rule => `WHEN '${rule.key}' THEN MIN(` +
+    `date(${dateColumn}, '+${rule.months} months'), ` +
+    `date(${dateColumn}, 'start of month', '+${rule.months + 1} months', '-1 day'))`);
+  return `CASE ${ruleColumn} ${cases.join(' ')} END`;
+}
+
+module.exports = {
+  RECURRENCE_RULES,
+  RECURRENCE_KEYS,
+  getRecurrenceRule,
+  nextOccurrence,
+  nextOccurrenceSql
+};
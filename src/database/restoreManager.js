@@ -0,0 +1,349 @@
+/**
+ * Restore Manager
+ *
+ * Restores a backup in three steps: stage it (copy it next to the live
+ * database and inspect it read-only), prepare it (refuse corrupt or
+ * incompatible files, migrate older schemas on the staged copy) and install
+ * it over the working database before a relaunch. A snapshot of the database
+ * being replaced is kept in backups/pre-restore so the last restore can be
+ * undone. Full archives also bring their files: these are placed under
+ * userData next to the existing ones, never over a different file, and the
+ * staged database is pointed at them. Undoing a restore leaves those files.
+ *
+ * Audit entries about a restore belong in the database that is live after the
+ * relaunch, so they are kept in restore-state.json until the next start.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { verifyDatabaseFile, sha256 } = require('./databaseBackup');
+const { selectBackupsToPrune } = require('./backupScheduler');
+const { extractArchive, planFileRestore, rewriteFilePaths } = require('./archiveBackup');
+
+const STATE_FILE_NAME = 'restore-state.json';
+// The .tmp suffix keeps the staged plaintext copy out of re-encryption passes
+const CANDIDATE_FILE_NAME = 'restore-candidate.db.tmp';
+const ARCHIVE_STAGING_NAME = 'restore-archive.tmp';
+const REQUIRED_TABLES = ['equipment', 'inspections'];
+const UNDO_SNAPSHOTS_TO_KEEP = 5;
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const queryAll = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+/**
+ * Opens a database file read-only and describes what it holds
+ * @param {string} filePath - SQLite file
+ * @returns {Promise<Object>} - { ok, errors, schemaVersion, tables, counts }; counts are null for missing tables
+ */
+async function inspectDatabaseFile(filePath) {
+  const verification = await verifyDatabaseFile(filePath);
+
+  const inspectDb = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(opened)));
+  });
+
+  try {
+    const tables = (await queryAll(inspectDb, "SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+    const count = async (table, where = '') => {
+      if (!tables.includes(table)) return null;
+      const [row] = await queryAll(inspectDb, `SELECT COUNT(*) AS count FROM ${table} ${where}`);
+      return row.count;
+    };
+
+    return {
+      ...verification,
+      tables,
+      counts: {
+        equipment: await count('equipment'),
+        inspections: await count('inspections'),
+        openDeficiencies: await count('deficiencies', "WHERE status IN ('open', 'in_progress')")
+      }
+    };
+  } finally {
+    await new Promise(resolve => inspectDb.close(resolve));
+  }
+}
+
+/**
+ * Decides whether an inspected file can replace the live database
+ * @param {Object} inspection - Result of inspectDatabaseFile
+ * @param {number} currentSchemaVersion - Schema version of this application
+ * @returns {Object} - { compatible, problems, needsMigration }
+ */
+function assessRestoreCandidate(inspection, currentSchemaVersion) {
+  const problems = [];
+
+  if (!inspection.ok) {
+    problems.push(`The file failed SQLite's integrity check: ${inspection.errors.slice(0, 3).join('; ')}`);
+  }
+  const missingTables = REQUIRED_TABLES.filter(table => !inspection.tables.includes(table));
+  if (missingTables.length > 0) {
+    problems.push(`The file is not a JSG Inspections database (no ${missingTables.join(' or ')} table)`);
+  }
+  if (inspection.schemaVersion > currentSchemaVersion) {
+    problems.push(
+      `The backup was made by a newer version of the application (schema v${inspection.schemaVersion}; ` +
+      `this version supports up to v${currentSchemaVersion})`
+    );
+  }
+
+  return {
+    compatible: problems.length === 0,
+    problems,
+    needsMigration: problems.length === 0 && inspection.schemaVersion < currentSchemaVersion
+  };
+}
+
+class RestoreManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.userDataPath - Application data folder
+   * @param {Object} options.storage - EncryptedStorage; undo snapshots are encrypted while it is enabled
+   * @param {number} options.currentSchemaVersion - Schema version of this application
+   * @param {Function} options.migrateFile - Async; (filePath) => migrates a database file in place
+   */
+  constructor({ userDataPath, storage, currentSchemaVersion, migrateFile }) {
+    this.userDataPath = userDataPath;
+    this.databasePath = path.join(userDataPath, 'database.db');
+    this.statePath = path.join(userDataPath, STATE_FILE_NAME);
+    this.candidatePath = path.join(userDataPath, CANDIDATE_FILE_NAME);
+    this.archiveStagingPath = path.join(userDataPath, ARCHIVE_STAGING_NAME);
+    this.undoDirectory = path.join(userDataPath, 'backups', 'pre-restore');
+    this.storage = storage;
+    this.currentSchemaVersion = currentSchemaVersion;
+    this.migrateFile = migrateFile;
+    this.pending = null;
+  }
+
+  /**
+   * Stages a database image and previews it; replaces any earlier staged restore
+   * @param {Buffer} image - Decrypted database contents
+   * @param {Object} details - { source, owner } - what is being restored and who may apply it
+   * @returns {Promise<Object>} - Preview: { source, schemaVersion, currentSchemaVersion, counts, compatible, problems, needsMigration }
+   */
+  async stage(image, details) {
+    await this.discard();
+    return this.stageCandidate(image, details);
+  }
+
+  /**
+   * Unpacks a full archive and previews it; the preview adds { archive: { fileCount, missing } }
+   * @param {string} filePath - .jsgarchive file
+   * @param {string} passphrase - Passphrase the archive was made under (encrypted archives only)
+   * @param {Object} details - { source, owner }, as for stage
+   * @returns {Promise<Object>} - Preview
+   */
+  async stageArchive(filePath, passphrase, details) {
+    await this.discard();
+
+    let extracted;
+    try {
+      extracted = await extractArchive(filePath, this.archiveStagingPath, passphrase);
+    } catch (error) {
+      await this.discard();
+      throw error;
+    }
+
+    return this.stageCandidate(await fs.readFile(extracted.databasePath), {
+      ...details,
+      archive: {
+        files: planFileRestore(extracted.files, this.userDataPath),
+        missing: extracted.manifest.missing
+      }
+    });
+  }
+
+  async stageCandidate(image, { source, owner, archive = null }) {
+    await fs.writeFile(this.candidatePath, image);
+
+    let inspection;
+    try {
+      inspection = await inspectDatabaseFile(this.candidatePath);
+    } catch (error) {
+      await this.discard();
+      return {
+        source,
+        schemaVersion: null,
+        currentSchemaVersion: this.currentSchemaVersion,
+        counts: null,
+        compatible: false,
+        problems: [`The file could not be opened as a database: ${error.message}`],
+        needsMigration: false
+      };
+    }
+
+    const preview = {
+      source,
+      schemaVersion: inspection.schemaVersion,
+      currentSchemaVersion: this.currentSchemaVersion,
+      counts: inspection.counts,
+      ...assessRestoreCandidate(inspection, this.currentSchemaVersion),
+      ...(archive && { archive: { fileCount: archive.files.length, missing: archive.missing } })
+    };
+
+    if (preview.compatible) {
+      this.pending = { preview, owner, archive };
+    } else {
+      await this.discard();
+    }
+    return preview;
+  }
+
+  async discard() {
+    this.pending = null;
+    await fs.rm(this.candidatePath, { force: true });
+    await fs.rm(this.archiveStagingPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Copies archived files to their place, beside any different file already there
+   * @param {Array<Object>} files - Planned files with stagedPath and targetPath
+   * @returns {Promise<Object>} - { [original path]: path on this machine }
+   */
+  async placeArchiveFiles(files) {
+    const pathMap = {};
+
+    for (const file of files) {
+      const { dir, name, ext } = path.parse(file.targetPath);
+      let targetPath = file.targetPath;
+      for (let attempt = 1; ; attempt++) {
+        if (!(await exists(targetPath))) {
+          await fs.mkdir(dir, { recursive: true });
+          await this.storage.writeFile(targetPath, await fs.readFile(file.stagedPath));
+          break;
+        }
+        const current = await this.storage.readFile(targetPath).catch(() => null);
+        if (current && sha256(current) === file.sha256) break;
+        targetPath = path.join(dir, `${name} (restored${attempt > 1 ? ` ${attempt}` : ''})${ext}`);
+      }
+      pathMap[file.originalPath] = targetPath;
+    }
+
+    return pathMap;
+  }
+
+  /**
+   * Makes the staged file ready to install, migrating it if it is older
+   * @param {*} owner - Must match the owner given to stage
+   * @returns {Promise<Object>} - Preview of the staged file
+   */
+  async prepare(owner) {
+    if (!this.pending || this.pending.owner !== owner) {
+      throw new Error('No restore has been previewed. Choose the backup again.');
+    }
+    const { preview } = this.pending;
+
+    if (preview.needsMigration) {
+      try {
+        await this.migrateFile(this.candidatePath);
+      } catch (error) {
+        await this.discard();
+        throw new Error(`The backup could not be upgraded from schema v${preview.schemaVersion}: ${error.message}`);
+      }
+
+      const migrated = await inspectDatabaseFile(this.candidatePath);
+      const { compatible, problems } = assessRestoreCandidate(migrated, this.currentSchemaVersion);
+      if (!compatible || migrated.schemaVersion !== this.currentSchemaVersion) {
+        await this.discard();
+        throw new Error(`The upgraded backup failed verification: ${problems.join('; ') || `schema v${migrated.schemaVersion}`}`);
+      }
+    }
+
+    if (this.pending.archive) {
+      await rewriteFilePaths(this.candidatePath, await this.placeArchiveFiles(this.pending.archive.files));
+    }
+
+    return preview;
+  }
+
+  /**
+   * Keeps a snapshot of the database about to be replaced
+   * @param {string} snapshotPath - Consistent copy of the live database
+   * @returns {Promise<string>} - File name of the undo snapshot
+   */
+  async saveUndoSnapshot(snapshotPath) {
+    const fileName = `pre-restore-${new Date().toISOString().replace(/[:.]/g, '-')}.db`;
+    await fs.mkdir(this.undoDirectory, { recursive: true });
+    await this.storage.writeFile(path.join(this.undoDirectory, fileName), await fs.readFile(snapshotPath));
+
+    const names = (await fs.readdir(this.undoDirectory)).filter(name => name.startsWith('pre-restore-') && name.endsWith('.db'));
+    const snapshots = await Promise.all(names.map(async name => ({
+      name,
+      tiers: ['undo'],
+      createdAt: (await fs.stat(path.join(this.undoDirectory, name))).mtime
+    })));
+    for (const snapshot of selectBackupsToPrune(snapshots, { undo: UNDO_SNAPSHOTS_TO_KEEP })) {
+      await fs.rm(path.join(this.undoDirectory, snapshot.name), { force: true });
+    }
+
+    return fileName;
+  }
+
+  /**
+   * Reads the undo snapshot of the last restore
+   * @returns {Promise<Buffer>} - Decrypted database contents
+   */
+  async readUndoSnapshot() {
+    const { undo } = await this.readState();
+    if (!undo) {
+      throw new Error('There is no restore to undo');
+    }
+    return this.storage.readFile(path.join(this.undoDirectory, undo.snapshotFileName));
+  }
+
+  /**
+   * Replaces the working database with the prepared file; the database must be closed
+   * @param {Object} state - { undo, pendingAudit } to keep for the next start
+   */
+  async install(state) {
+    if (!this.pending) {
+      throw new Error('No restore has been prepared');
+    }
+    await this.writeState(state);
+    await fs.rm(`${this.databasePath}-journal`, { force: true });
+    await fs.rename(this.candidatePath, this.databasePath);
+    await this.discard();
+  }
+
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { undo: null, pendingAudit: [] };
+      throw error;
+    }
+  }
+
+  async writeState(state) {
+    await fs.writeFile(this.statePath, JSON.stringify({ undo: null, pendingAudit: [], ...state }, null, 2));
+  }
+
+  /**
+   * Hands over the audit entries waiting for the restored database and forgets them
+   * @returns {Promise<Array<Object>>} - Audit entries for safeRecordAuditEntry
+   */
+  async takePendingAudit() {
+    const state = await this.readState();
+    if (state.pendingAudit.length > 0) {
+      await this.writeState({ ...state, pendingAudit: [] });
+    }
+    return state.pendingAudit;
+  }
+}
+
+module.exports = {
+  inspectDatabaseFile,
+  assessRestoreCandidate,
+  RestoreManager
+};
@@ -0,0 +1,733 @@
+/**
+ * Declared Database Schema
+ *
+ * Every table, column, index, trigger and virtual table of the database, each with the schema
+ * version that introduced it (`since`; 0 for the tables that predate versioned
+ * migrations). Migrations are generated from this declaration by
+ * schemaBuilder.js, and the schema of the live database is compared with it at
+ * startup. A schema change is made by adding to this file with the next
+ * version and raising SCHEMA_VERSION.
+ *
+ * Columns: { name, type, since, notNull, default, primaryKey, autoIncrement,
+ * unique, check, references: { table, column, onDelete, onUpdate } }. Defaults
+ * are SQL expressions ("'open'", '0', 'CURRENT_TIMESTAMP').
+ *
+ * A column added to an existing table is added with ALTER TABLE, so it cannot
+ * be NOT NULL without a default, UNIQUE or a primary key, and SQLite cannot
+ * drop it again if it references another table.
+ *
+ * Kept free of Node and Electron dependencies.
+ */
+
+const SCHEMA_VERSION = 15;
+
+const CASCADE = { onDelete: 'CASCADE', onUpdate: 'CASCADE' };
+const SET_NULL = { onDelete: 'SET NULL', onUpdate: 'CASCADE' };
+
+const id = { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true };
+const createdAt = { name: 'created_at', type: 'DATETIME', default: 'CURRENT_TIMESTAMP' };
+const updatedAt = { name: 'updated_at', type: 'DATETIME', default: 'CURRENT_TIMESTAMP' };
+const equipmentId = { name: 'equipment_id', type: 'INTEGER', notNull: true, references: { table: 'equipment', column: 'id', ...CASCADE } };
+
+const TABLES = [
+  {
+    name: 'schema_version',
+    since: 0,
+    columns: [{ name: 'version', type: 'INTEGER', primaryKey: true }]
+  },
+  {
+    name: 'equipment',
+    since: 0,
+    columns: [
+      id,
+      { name: 'equipment_id', type: 'TEXT', unique: true },
+      { name: 'type', type: 'TEXT' },
+      { name: 'manufacturer', type: 'TEXT' },
+      { name: 'model', type: 'TEXT' },
+      { name: 'serial_number', type: 'TEXT' },
+      { name: 'capacity', type: 'REAL' },
+      { name: 'installation_date', type: 'TEXT' },
+      { name: 'location', type: 'TEXT' },
+      { name: 'status', type: 'TEXT' },
+      { name: 'qr_code_data', type: 'TEXT' },
+      // Asset hierarchy
+      { name: 'parent_id', type: 'INTEGER', since: 3, references: { table: 'equipment', column: 'id' } },
+      { name: 'site', type: 'TEXT', since: 3 },
+      { name: 'building', type: 'TEXT', since: 3 },
+      { name: 'bay', type: 'TEXT', since: 3 },
+      { name: 'tagged_out', type: 'BOOLEAN', since: 5, default: '0' }
+    ]
+  },
+  {
+    name: 'inspections',
+    since: 0,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'inspector', type: 'TEXT' },
+      { name: 'inspection_date', type: 'TEXT' },
+      { name: 'findings', type: 'TEXT' },
+      { name: 'corrective_actions', type: 'TEXT' },
+      { name: 'summary_comments', type: 'TEXT', since: 1 },
+      { name: 'signature', type: 'TEXT', since: 1 },
+      { name: 'scheduled_inspection_id', type: 'INTEGER', since: 2, references: { table: 'scheduled_inspections', column: 'id' } },
+      // date(inspection_date), for filtering by day
+      { name: 'inspection_date_date', type: 'TEXT', since: 2 }
+    ]
+  },
+  {
+    name: 'documents',
+    since: 0,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'file_name', type: 'TEXT' },
+      { name: 'file_path', type: 'TEXT' },
+      // SHA-256 of the original content
+      { name: 'hash', type: 'TEXT', since: 5 },
+      { name: 'size', type: 'INTEGER', since: 5 },
+      { name: 'uploaded_by', type: 'TEXT', since: 5 },
+      { name: 'uploaded_at', type: 'DATETIME', since: 5, default: 'CURRENT_TIMESTAMP' }
+    ]
+  },
+  {
+    name: 'scheduled_inspections',
+    since: 0,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'scheduled_date', type: 'TEXT' },
+      { name: 'assigned_inspector', type: 'TEXT' },
+      // 'scheduled', 'in_progress', 'completed'
+      { name: 'status', type: 'TEXT' },
+      // Key of a RECURRENCE_RULES entry (recurrence.js); null for a one-off inspection
+      { name: 'recurrence', type: 'TEXT', since: 13 },
+      // First occurrence of the series this one was generated from; null on that first
+      // occurrence. No foreign key, so the first occurrence can be deleted on its own
+      { name: 'series_id', type: 'INTEGER', since: 13 },
+      // 'inspection' or 'load_test'
+      { name: 'schedule_type', type: 'TEXT', since: 14, default: "'inspection'" },
+      // 'manual', or 'compliance' for rows the compliance scheduler creates and keeps up to date
+      { name: 'source', type: 'TEXT', since: 14, default: "'manual'" },
+      // Standard that set the due date; no foreign key, like series_id
+      { name: 'standard_id', type: 'INTEGER', since: 14 },
+      // Why the compliance scheduler chose the date
+      { name: 'due_reason', type: 'TEXT', since: 14 },
+      // Inspector account the inspection is assigned to; assigned_inspector keeps the name.
+      // No foreign key, so the migration stays reversible; accounts are deactivated, not deleted
+      { name: 'assigned_user_id', type: 'INTEGER', since: 15 }
+    ]
+  },
+  {
+    name: 'compliance_standards',
+    since: 0,
+    columns: [
+      id,
+      { name: 'name', type: 'TEXT' },
+      { name: 'description', type: 'TEXT' },
+      // OSHA, ANSI, ...
+      { name: 'authority', type: 'TEXT' },
+      { name: 'code', type: 'TEXT', since: 2 },
+      { name: 'clause', type: 'TEXT', since: 2 },
+      { name: 'inspection_frequency_days', type: 'INTEGER', since: 4 },
+      { name: 'load_test_frequency_days', type: 'INTEGER', since: 4 }
+    ]
+  },
+  {
+    name: 'equipment_type_compliance',
+    since: 0,
+    columns: [
+      { name: 'equipment_type', type: 'TEXT', notNull: true },
+      { name: 'standard_id', type: 'INTEGER', notNull: true, references: { table: 'compliance_standards', column: 'id', ...CASCADE } }
+    ],
+    primaryKey: ['equipment_type', 'standard_id']
+  },
+  {
+    name: 'inspection_templates',
+    since: 0,
+    columns: [
+      id,
+      { name: 'name', type: 'TEXT', unique: true },
+      { name: 'fields', type: 'TEXT' }
+    ]
+  },
+  {
+    name: 'inspection_items',
+    since: 2,
+    columns: [
+      id,
+      { name: 'inspection_id', type: 'INTEGER', notNull: true, references: { table: 'inspections', column: 'id', ...CASCADE } },
+      { name: 'standard_ref', type: 'TEXT' },
+      { name: 'item_text', type: 'TEXT', notNull: true },
+      { name: 'critical', type: 'BOOLEAN', default: '0' },
+      { name: 'result', type: 'TEXT', check: "result IN ('pass', 'fail', 'na')" },
+      { name: 'notes', type: 'TEXT' },
+      // JSON array of photo data
+      { name: 'photos', type: 'TEXT' },
+      { name: 'component', type: 'TEXT' },
+      { name: 'priority', type: 'TEXT', check: "priority IN ('Critical', 'Major', 'Minor')" },
+      createdAt
+    ]
+  },
+  {
+    name: 'deficiencies',
+    since: 2,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'inspection_item_id', type: 'INTEGER', references: { table: 'inspection_items', column: 'id', ...SET_NULL } },
+      { name: 'severity', type: 'TEXT', notNull: true, check: "severity IN ('critical', 'major', 'minor')" },
+      { name: 'remove_from_service', type: 'BOOLEAN', default: '0' },
+      { name: 'description', type: 'TEXT', notNull: true },
+      { name: 'component', type: 'TEXT' },
+      { name: 'corrective_action', type: 'TEXT' },
+      { name: 'due_date', type: 'TEXT' },
+      { name: 'status', type: 'TEXT', default: "'open'", check: "status IN ('open', 'in_progress', 'verified', 'closed')" },
+      createdAt,
+      updatedAt,
+      { name: 'closed_at', type: 'DATETIME' },
+      { name: 'verification_signature', type: 'TEXT' },
+      { name: 'verification_timestamp', type: 'DATETIME' },
+      // Work order raised for the deficiency. No foreign key: SQLite cannot drop
+      // a referencing column, and the migration is meant to be reversible
+      { name: 'work_order_id', type: 'INTEGER', since: 11 }
+    ]
+  },
+  {
+    name: 'signatures',
+    since: 2,
+    columns: [
+      id,
+      // 'inspection', 'deficiency', 'work_order'
+      { name: 'entity_type', type: 'TEXT', notNull: true },
+      { name: 'entity_id', type: 'INTEGER', notNull: true },
+      // 'inspector', 'supervisor', 'verification'
+      { name: 'signature_type', type: 'TEXT', notNull: true },
+      { name: 'signatory_name', type: 'TEXT', notNull: true },
+      // Base64 image data
+      { name: 'signature_data', type: 'TEXT', notNull: true },
+      { name: 'timestamp', type: 'DATETIME', default: 'CURRENT_TIMESTAMP' }
+    ]
+  },
+  {
+    name: 'work_orders',
+    since: 3,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'wo_number', type: 'TEXT', unique: true, notNull: true },
+      { name: 'title', type: 'TEXT', notNull: true },
+      { name: 'description', type: 'TEXT' },
+      { name: 'work_type', type: 'TEXT', notNull: true, check: "work_type IN ('preventive', 'corrective', 'emergency', 'project')" },
+      { name: 'priority', type: 'TEXT', default: "'medium'", check: "priority IN ('low', 'medium', 'high', 'critical')" },
+      {
+        name: 'status',
+        type: 'TEXT',
+        default: "'draft'",
+        check: "status IN ('draft', 'approved', 'assigned', 'in_progress', 'completed', 'closed', 'cancelled')"
+      },
+      { name: 'assigned_to', type: 'TEXT' },
+      { name: 'estimated_hours', type: 'REAL' },
+      { name: 'actual_hours', type: 'REAL' },
+      { name: 'parts_cost', type: 'REAL', default: '0' },
+      { name: 'labor_cost', type: 'REAL', default: '0' },
+      { name: 'created_by', type: 'TEXT', notNull: true },
+      createdAt,
+      { name: 'scheduled_date', type: 'TEXT' },
+      { name: 'started_at', type: 'DATETIME' },
+      { name: 'completed_at', type: 'DATETIME' },
+      { name: 'closed_at', type: 'DATETIME' },
+      { name: 'deficiency_id', type: 'INTEGER', references: { table: 'deficiencies', column: 'id', ...SET_NULL } },
+      { name: 'pm_schedule_id', type: 'INTEGER' },
+      { name: 'completion_notes', type: 'TEXT' },
+      { name: 'verification_signature', type: 'TEXT' }
+    ]
+  },
+  {
+    name: 'pm_templates',
+    since: 3,
+    columns: [
+      id,
+      { name: 'name', type: 'TEXT', notNull: true },
+      { name: 'equipment_type', type: 'TEXT', notNull: true },
+      { name: 'description', type: 'TEXT' },
+      { name: 'frequency_type', type: 'TEXT', notNull: true, check: "frequency_type IN ('calendar', 'usage', 'condition')" },
+      // Days for calendar, hours or cycles for usage
+      { name: 'frequency_value', type: 'INTEGER', notNull: true },
+      // 'days', 'hours', 'cycles', ...
+      { name: 'frequency_unit', type: 'TEXT' },
+      // Hours
+      { name: 'estimated_duration', type: 'REAL' },
+      { name: 'instructions', type: 'TEXT' },
+      // JSON arrays
+      { name: 'required_skills', type: 'TEXT' },
+      { name: 'required_parts', type: 'TEXT' },
+      { name: 'safety_notes', type: 'TEXT' },
+      { name: 'active', type: 'BOOLEAN', default: '1' },
+      createdAt,
+      updatedAt
+    ]
+  },
+  {
+    name: 'pm_schedules',
+    since: 3,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'pm_template_id', type: 'INTEGER', notNull: true, references: { table: 'pm_templates', column: 'id', ...CASCADE } },
+      { name: 'next_due_date', type: 'TEXT' },
+      { name: 'next_due_usage', type: 'REAL' },
+      { name: 'last_completed_date', type: 'TEXT' },
+      { name: 'last_completed_usage', type: 'REAL' },
+      { name: 'active', type: 'BOOLEAN', default: '1' },
+      createdAt
+    ]
+  },
+  {
+    name: 'meter_readings',
+    since: 3,
+    columns: [
+      id,
+      equipmentId,
+      // 'hours', 'cycles', 'distance', ...
+      { name: 'meter_type', type: 'TEXT', notNull: true },
+      { name: 'reading_value', type: 'REAL', notNull: true },
+      { name: 'reading_date', type: 'TEXT', notNull: true },
+      { name: 'recorded_by', type: 'TEXT', notNull: true },
+      { name: 'notes', type: 'TEXT' },
+      createdAt
+    ]
+  },
+  {
+    name: 'load_tests',
+    since: 4,
+    columns: [
+      id,
+      equipmentId,
+      { name: 'test_date', type: 'TEXT', notNull: true },
+      { name: 'test_type', type: 'TEXT', notNull: true, check: "test_type IN ('annual', 'periodic', 'initial', 'after_repair')" },
+      // 100, 110, 125, ...
+      { name: 'test_load_percentage', type: 'INTEGER', notNull: true },
+      { name: 'rated_capacity', type: 'REAL', notNull: true },
+      { name: 'test_load', type: 'REAL', notNull: true },
+      // Minutes
+      { name: 'test_duration', type: 'INTEGER' },
+      { name: 'inspector', type: 'TEXT', notNull: true },
+      { name: 'test_results', type: 'TEXT', notNull: true, check: "test_results IN ('pass', 'fail')" },
+      { name: 'deficiencies_found', type: 'TEXT' },
+      { name: 'corrective_actions', type: 'TEXT' },
+      { name: 'next_test_due', type: 'TEXT' },
+      { name: 'certificate_number', type: 'TEXT' },
+      { name: 'certificate_path', type: 'TEXT' },
+      { name: 'notes', type: 'TEXT' },
+      createdAt
+    ]
+  },
+  {
+    name: 'calibrations',
+    since: 4,
+    columns: [
+      id,
+      equipmentId,
+      // 'load_block', 'pressure_gauge', 'torque_wrench', ...
+      { name: 'instrument_type', type: 'TEXT', notNull: true },
+      { name: 'calibration_date', type: 'TEXT', notNull: true },
+      { name: 'calibration_due_date', type: 'TEXT', notNull: true },
+      { name: 'calibrated_by', type: 'TEXT', notNull: true },
+      { name: 'calibration_agency', type: 'TEXT' },
+      { name: 'certificate_number', type: 'TEXT' },
+      { name: 'certificate_path', type: 'TEXT' },
+      { name: 'calibration_results', type: 'TEXT', notNull: true, check: "calibration_results IN ('pass', 'fail', 'limited')" },
+      { name: 'accuracy_tolerance', type: 'TEXT' },
+      { name: 'actual_accuracy', type: 'TEXT' },
+      { name: 'adjustments_made', type: 'TEXT' },
+      { name: 'notes', type: 'TEXT' },
+      createdAt
+    ]
+  },
+  {
+    name: 'credentials',
+    since: 4,
+    columns: [
+      id,
+      { name: 'person_name', type: 'TEXT', notNull: true },
+      // 'operator', 'inspector', 'rigger', ...
+      { name: 'credential_type', type: 'TEXT', notNull: true },
+      // JSON array of the equipment types covered
+      { name: 'equipment_types', type: 'TEXT' },
+      { name: 'certification_body', type: 'TEXT' },
+      { name: 'certificate_number', type: 'TEXT' },
+      { name: 'issue_date', type: 'TEXT', notNull: true },
+      { name: 'expiration_date', type: 'TEXT', notNull: true },
+      { name: 'renewal_required', type: 'BOOLEAN', default: '1' },
+      { name: 'status', type: 'TEXT', default: "'active'", check: "status IN ('active', 'expired', 'suspended', 'revoked')" },
+      { name: 'certificate_path', type: 'TEXT' },
+      { name: 'notes', type: 'TEXT' },
+      createdAt,
+      updatedAt
+    ]
+  },
+  {
+    name: 'template_items',
+    since: 4,
+    columns: [
+      id,
+      { name: 'template_id', type: 'INTEGER', notNull: true, references: { table: 'inspection_templates', column: 'id', ...CASCADE } },
+      { name: 'standard_id', type: 'INTEGER', references: { table: 'compliance_standards', column: 'id', ...SET_NULL } },
+      { name: 'item_order', type: 'INTEGER', notNull: true },
+      // e.g. "ASME B30.2-2016 2-1.3.1"
+      { name: 'standard_ref', type: 'TEXT' },
+      { name: 'item_text', type: 'TEXT', notNull: true },
+      { name: 'critical', type: 'BOOLEAN', default: '0' },
+      { name: 'component', type: 'TEXT' },
+      // 'visual', 'functional', 'measurement', ...
+      { name: 'inspection_method', type: 'TEXT' },
+      { name: 'acceptance_criteria', type: 'TEXT' },
+      { name: 'notes', type: 'TEXT' },
+      createdAt
+    ]
+  },
+  {
+    name: 'users',
+    since: 5,
+    columns: [
+      id,
+      { name: 'username', type: 'TEXT', unique: true, notNull: true },
+      { name: 'full_name', type: 'TEXT', notNull: true },
+      { name: 'email', type: 'TEXT' },
+      { name: 'role', type: 'TEXT', notNull: true, check: "role IN ('admin', 'inspector', 'reviewer', 'viewer')" },
+      { name: 'active', type: 'BOOLEAN', default: '1' },
+      { name: 'last_login', type: 'DATETIME' },
+      createdAt,
+      updatedAt,
+      // Password and PIN sign-in
+      { name: 'password_hash', type: 'TEXT', since: 6 },
+      { name: 'pin_hash', type: 'TEXT', since: 6 },
+      { name: 'failed_login_attempts', type: 'INTEGER', since: 6, default: '0' },
+      { name: 'locked_until', type: 'DATETIME', since: 6 },
+      { name: 'must_change_password', type: 'BOOLEAN', since: 6, default: '1' },
+      { name: 'password_changed_at', type: 'DATETIME', since: 6 }
+    ]
+  },
+  {
+    name: 'audit_log',
+    since: 5,
+    columns: [
+      id,
+      { name: 'user_id', type: 'INTEGER', references: { table: 'users', column: 'id', ...SET_NULL } },
+      { name: 'username', type: 'TEXT', notNull: true },
+      // 'create', 'update', 'delete', 'approve', 'sign', ...
+      { name: 'action', type: 'TEXT', notNull: true },
+      // 'equipment', 'inspection', 'deficiency', 'work_order', ...
+      { name: 'entity_type', type: 'TEXT', notNull: true },
+      { name: 'entity_id', type: 'INTEGER', notNull: true },
+      // JSON of the values before and after
+      { name: 'old_values', type: 'TEXT' },
+      { name: 'new_values', type: 'TEXT' },
+      { name: 'ip_address', type: 'TEXT' },
+      { name: 'user_agent', type: 'TEXT' },
+      { name: 'timestamp', type: 'DATETIME', default: 'CURRENT_TIMESTAMP' },
+      // Hash chain (see auditLogger.js)
+      { name: 'prev_hash', type: 'TEXT', since: 7 },
+      { name: 'row_hash', type: 'TEXT', since: 7 }
+    ]
+  },
+  {
+    name: 'certificates',
+    since: 5,
+    columns: [
+      id,
+      { name: 'certificate_number', type: 'TEXT', unique: true, notNull: true },
+      // 'inspection', 'load_test', 'calibration'
+      { name: 'certificate_type', type: 'TEXT', notNull: true },
+      equipmentId,
+      // ID of the inspection, load test or calibration
+      { name: 'entity_id', type: 'INTEGER', notNull: true },
+      { name: 'issue_date', type: 'TEXT', notNull: true },
+      { name: 'expiration_date', type: 'TEXT' },
+      { name: 'issued_by', type: 'TEXT', notNull: true },
+      { name: 'qr_code_data', type: 'TEXT' },
+      // SHA-256 of the certificate file
+      { name: 'certificate_hash', type: 'TEXT' },
+      { name: 'certificate_path', type: 'TEXT' },
+      { name: 'status', type: 'TEXT', default: "'active'", check: "status IN ('active', 'expired', 'revoked')" },
+      createdAt
+    ]
+  },
+  {
+    // Only departures from the defaults in permissions.js are stored, so
+    // permissions added in later versions start with their default grants
+    name: 'role_permissions',
+    since: 9,
+    columns: [
+      id,
+      { name: 'role', type: 'TEXT', notNull: true, check: "role IN ('inspector', 'reviewer', 'viewer')" },
+      { name: 'permission', type: 'TEXT', notNull: true },
+      { name: 'granted', type: 'BOOLEAN', notNull: true },
+      updatedAt
+    ],
+    unique: [['role', 'permission']]
+  },
+  {
+    // Only values changed from the defaults in appSettings.js are stored
+    name: 'app_settings',
+    since: 10,
+    columns: [
+      id,
+      { name: 'key', type: 'TEXT', unique: true, notNull: true },
+      { name: 'value', type: 'TEXT', notNull: true },
+      updatedAt
+    ]
+  }
+];
+
+const index = (since, table, columns, name = `idx_${table}_${columns.join('_')}`) => ({ name, table, columns, since });
+
+const INDEXES = [
+  index(0, 'equipment', ['equipment_id'], 'idx_equipment_id'),
+  index(0, 'equipment', ['type'], 'idx_equipment_type'),
+  index(0, 'equipment', ['status'], 'idx_equipment_status'),
+  index(0, 'inspections', ['equipment_id']),
+  index(0, 'inspections', ['inspection_date'], 'idx_inspections_date'),
+  index(0, 'inspections', ['inspector']),
+  index(0, 'documents', ['equipment_id']),
+  index(0, 'scheduled_inspections', ['equipment_id']),
+  index(0, 'scheduled_inspections', ['scheduled_date'], 'idx_scheduled_inspections_date'),
+  index(0, 'scheduled_inspections', ['status']),
+  index(0, 'scheduled_inspections', ['assigned_inspector'], 'idx_scheduled_inspections_inspector'),
+  index(0, 'compliance_standards', ['authority']),
+  index(0, 'equipment_type_compliance', ['equipment_type'], 'idx_equipment_type_compliance_type'),
+  index(0, 'equipment_type_compliance', ['standard_id'], 'idx_equipment_type_compliance_standard'),
+
+  index(2, 'inspections', ['scheduled_inspection_id'], 'idx_inspections_scheduled_id'),
+  index(2, 'inspections', ['inspection_date_date'], 'idx_inspections_date_date'),
+  index(2, 'inspection_items', ['inspection_id']),
+  index(2, 'inspection_items', ['result']),
+  index(2, 'inspection_items', ['critical']),
+  index(2, 'deficiencies', ['equipment_id']),
+  index(2, 'deficiencies', ['status']),
+  index(2, 'deficiencies', ['severity']),
+  index(2, 'signatures', ['entity_type', 'entity_id'], 'idx_signatures_entity'),
+
+  index(3, 'equipment', ['parent_id']),
+  index(3, 'equipment', ['site']),
+  index(3, 'work_orders', ['equipment_id']),
+  index(3, 'work_orders', ['status']),
+  index(3, 'work_orders', ['priority']),
+  index(3, 'work_orders', ['assigned_to']),
+  index(3, 'work_orders', ['scheduled_date']),
+  index(3, 'pm_templates', ['equipment_type']),
+  index(3, 'pm_schedules', ['equipment_id']),
+  index(3, 'pm_schedules', ['next_due_date']),
+  index(3, 'meter_readings', ['equipment_id']),
+  index(3, 'meter_readings', ['reading_date'], 'idx_meter_readings_date'),
+
+  index(4, 'load_tests', ['equipment_id']),
+  index(4, 'load_tests', ['test_date']),
+  index(4, 'load_tests', ['next_test_due'], 'idx_load_tests_next_due'),
+  index(4, 'calibrations', ['equipment_id']),
+  index(4, 'calibrations', ['calibration_due_date'], 'idx_calibrations_due_date'),
+  index(4, 'credentials', ['person_name']),
+  index(4, 'credentials', ['expiration_date'], 'idx_credentials_expiration'),
+  index(4, 'credentials', ['status']),
+  index(4, 'template_items', ['template_id']),
+  index(4, 'template_items', ['template_id', 'item_order'], 'idx_template_items_order'),
+
+  index(5, 'users', ['username']),
+  index(5, 'users', ['role']),
+  index(5, 'audit_log', ['user_id']),
+  index(5, 'audit_log', ['entity_type', 'entity_id'], 'idx_audit_log_entity'),
+  index(5, 'audit_log', ['timestamp']),
+  index(5, 'certificates', ['equipment_id']),
+  index(5, 'certificates', ['certificate_number'], 'idx_certificates_number'),
+  index(5, 'certificates', ['expiration_date'], 'idx_certificates_expiration'),
+  index(5, 'documents', ['hash']),
+  index(13, 'scheduled_inspections', ['series_id']),
+  index(15, 'scheduled_inspections', ['assigned_user_id', 'scheduled_date'])
+];
+
+// Text each kind of record contributes to search_index. Expressions are SQL over
+// the record's row, written ROW.column; rows are only indexed when `when` holds.
+// An indexed row's rowid is the record's id * 8 + code, so triggers can find it
+// without scanning the index.
+const SEARCH_SOURCES = [
+  {
+    code: 1,
+    table: 'equipment',
+    entityType: 'equipment',
+    equipmentId: 'ROW.id',
+    title: ['ROW.equipment_id'],
+    body: ['ROW.type', 'ROW.manufacturer', 'ROW.model', 'ROW.serial_number', 'ROW.location']
+  },
+  {
+    code: 2,
+    table: 'inspections',
+    entityType: 'inspection',
+    equipmentId: 'ROW.equipment_id',
+    title: ['ROW.inspection_date', 'ROW.inspector'],
+    // Checklist findings are JSON with photos; their items are indexed on their own
+    body: ["CASE WHEN json_valid(ROW.findings) THEN NULL ELSE ROW.findings END", 'ROW.summary_comments', 'ROW.corrective_actions']
+  },
+  {
+    code: 3,
+    table: 'inspection_items',
+    entityType: 'inspection_item',
+    equipmentId: '(SELECT equipment_id FROM inspections WHERE id = ROW.inspection_id)',
+    title: ['ROW.item_text'],
+    body: ['ROW.notes', 'ROW.component'],
+    when: "ROW.result = 'fail' OR COALESCE(ROW.notes, '') != ''"
+  },
+  {
+    code: 4,
+    table: 'deficiencies',
+    entityType: 'deficiency',
+    equipmentId: 'ROW.equipment_id',
+    title: ['ROW.component'],
+    body: ['ROW.description', 'ROW.corrective_action']
+  },
+  {
+    code: 5,
+    table: 'work_orders',
+    entityType: 'work_order',
+    equipmentId: 'ROW.equipment_id',
+    title: ['ROW.wo_number', 'ROW.title'],
+    body: ['ROW.description', 'ROW.completion_notes']
+  },
+  {
+    code: 6,
+    table: 'documents',
+    entityType: 'document',
+    equipmentId: 'ROW.equipment_id',
+    title: ['ROW.file_name'],
+    body: []
+  }
+];
+
+const searchText = (expressions, row) => (
+  expressions.length === 0 ? "''" : expressions.map(expression => `COALESCE(${expression.replace(/ROW\./g, row)}, '')`).join(" || ' ' || ")
+);
+
+// INSERT of a record's search_index row; row is 'NEW.' in triggers, or the table name when reading the table
+const searchInsertSql = (source, row, fromTable = false) => [
+  'INSERT INTO search_index (rowid, entity_type, entity_id, equipment_id, title, body)',
+  `SELECT ${row}id * 8 + ${source.code}, '${source.entityType}', ${row}id, ${source.equipmentId.replace(/ROW\./g, row)},`,
+  `${searchText(source.title, row)}, ${searchText(source.body, row)}`,
+  fromTable && `FROM ${source.table}`,
+  source.when ? `WHERE ${source.when.replace(/ROW\./g, row)}` : ''
+].filter(Boolean).join('\n            ');
+
+const searchTriggers = (since, source) => {
+  const removeOld = `DELETE FROM search_index WHERE rowid = OLD.id * 8 + ${source.code};`;
+  return [
+    { event: 'insert', statements: [`${searchInsertSql(source, 'NEW.')};`] },
+    { event: 'update', statements: [removeOld, `${searchInsertSql(source, 'NEW.')};`] },
+    { event: 'delete', statements: [removeOld] }
+  ].map(({ event, statements }) => ({
+    name: `${source.table}_search_${event}`,
+    table: source.table,
+    since,
+    sql: `CREATE TRIGGER IF NOT EXISTS ${source.table}_search_${event}
+          AFTER ${event.toUpperCase()} ON ${source.table}
+          BEGIN
+            ${statements.join('\n            ')}
+          END`
+  }));
+};
+
+/**
+ * SQL condition: the user is an active inspector account named on an active Inspector
+ * credential that is valid on the date and covers the equipment's type. A credential
+ * without equipment types covers every type, one whose list is not a JSON array covers
+ * none. Credentials name their holder by full name or username.
+ * @param {string} userId - SQL expression for users.id
+ * @param {string} equipmentId - SQL expression for equipment.id
+ * @param {string} date - SQL expression for a YYYY-MM-DD date
+ * @returns {string} - EXISTS (...) expression
+ */
+function qualifiedInspectorSql(userId, equipmentId, date) {
+  return `EXISTS (
+            SELECT 1 FROM users u
+            JOIN credentials c ON lower(trim(c.person_name)) IN (lower(trim(u.full_name)), lower(u.username))
+            WHERE u.id = ${userId} AND u.active = 1 AND u.role = 'inspector'
+              AND lower(c.credential_type) = 'inspector' AND c.status = 'active'
+              AND c.issue_date <= ${date} AND c.expiration_date >= ${date}
+              AND CASE
+                WHEN c.equipment_types IS NULL OR trim(c.equipment_types) = '' THEN 1
+                WHEN NOT json_valid(c.equipment_types) OR json_type(c.equipment_types) != 'array' THEN 0
+                ELSE json_array_length(c.equipment_types) = 0
+                  OR EXISTS (SELECT 1 FROM json_each(c.equipment_types) t JOIN equipment e ON e.id = ${equipmentId}
+                             WHERE lower(trim(t.value)) = lower(trim(e.type)))
+              END)`;
+}
+
+const UNQUALIFIED_INSPECTOR_MESSAGE = 'The inspector does not hold a valid Inspector credential for this equipment type on the scheduled date';
+
+const TRIGGERS = [
+  {
+    // Enforced in the database so no code path can lock every administrator out
+    name: 'users_keep_last_admin',
+    table: 'users',
+    since: 8,
+    sql: `CREATE TRIGGER IF NOT EXISTS users_keep_last_admin
+          BEFORE UPDATE OF role, active ON users
+          WHEN OLD.role = 'admin' AND OLD.active = 1 AND (NEW.role != 'admin' OR NEW.active = 0)
+            AND (SELECT COUNT(*) FROM users WHERE role = 'admin' AND active = 1) <= 1
+          BEGIN
+            SELECT RAISE(ABORT, 'The last active administrator cannot be demoted or deactivated');
+          END`
+  },
+  // Keep search_index in step with the records it covers
+  ...SEARCH_SOURCES.flatMap(source => searchTriggers(12, source)),
+  // Inspections are only assigned to inspectors qualified for the equipment on the day.
+  // Moving the date is not checked, so a compliance refresh never fails on an assignee
+  {
+    name: 'scheduled_inspections_qualified_insert',
+    table: 'scheduled_inspections',
+    since: 15,
+    sql: `CREATE TRIGGER IF NOT EXISTS scheduled_inspections_qualified_insert
+          BEFORE INSERT ON scheduled_inspections
+          WHEN NEW.assigned_user_id IS NOT NULL
+            AND NOT ${qualifiedInspectorSql('NEW.assigned_user_id', 'NEW.equipment_id', 'NEW.scheduled_date')}
+          BEGIN
+            SELECT RAISE(ABORT, '${UNQUALIFIED_INSPECTOR_MESSAGE}');
+          END`
+  },
+  {
+    name: 'scheduled_inspections_qualified_update',
+    table: 'scheduled_inspections',
+    since: 15,
+    sql: `CREATE TRIGGER IF NOT EXISTS scheduled_inspections_qualified_update
+          BEFORE UPDATE OF assigned_user_id, equipment_id ON scheduled_inspections
+          WHEN NEW.assigned_user_id IS NOT NULL
+            AND (NEW.assigned_user_id IS NOT OLD.assigned_user_id OR NEW.equipment_id IS NOT OLD.equipment_id)
+            AND NOT ${qualifiedInspectorSql('NEW.assigned_user_id', 'NEW.equipment_id', 'NEW.scheduled_date')}
+          BEGIN
+            SELECT RAISE(ABORT, '${UNQUALIFIED_INSPECTOR_MESSAGE}');
+          END`
+  }
+];
+
+// Virtual tables; SQLite keeps their data in shadow tables named after them
+// (search_index_data, ...), which are not declared. `populate` fills a new one
+// from existing rows.
+const VIRTUAL_TABLES = [
+  {
+    name: 'search_index',
+    since: 12,
+    sql: `CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+            entity_type UNINDEXED, entity_id UNINDEXED, equipment_id UNINDEXED, title, body,
+            tokenize = 'unicode61 remove_diacritics 2'
+          )`,
+    populate: SEARCH_SOURCES.map(source => searchInsertSql(source, `${source.table}.`, true))
+  }
+];
+
+module.exports = {
+  SCHEMA_VERSION,
+  TABLES,
+  INDEXES,
+  TRIGGERS,
+  VIRTUAL_TABLES,
+  SEARCH_SOURCES,
+  qualifiedInspectorSql
+};
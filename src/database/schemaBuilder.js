@@ -0,0 +1,269 @@
+/**
+ * Schema Builder
+ *
+ * Turns the declaration in schema.js into SQL and migrations, and compares a
+ * live database with it. A generated migration creates the tables, columns,
+ * indexes, triggers and virtual tables declared for its version, skipping what
+ * already exists, so it can be re-run on a database that was partly migrated.
+ */
+
+const { SCHEMA_VERSION, TABLES, INDEXES, TRIGGERS, VIRTUAL_TABLES } = require('./schema');
+const { diffSchemas, describeColumn } = require('./schemaDiff');
+
+const sinceOf = (item) => item.since || 0;
+
+const run = (db, sql) => new Promise((resolve, reject) => {
+  db.run(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const columnNames = (db, table) => new Promise((resolve, reject) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => (err ? reject(err) : resolve(columns.map(column => column.name))));
+});
+
+const tableExists = (db, table) => new Promise((resolve, reject) => {
+  db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [table], (err, row) => (err ? reject(err) : resolve(Boolean(row))));
+});
+
+function referenceClause(references) {
+  return [
+    `REFERENCES ${references.table} (${references.column})`,
+    references.onDelete && `ON DELETE ${references.onDelete}`,
+    references.onUpdate && `ON UPDATE ${references.onUpdate}`
+  ].filter(Boolean).join(' ');
+}
+
+function columnDefinition(column) {
+  return [
+    column.name,
+    column.type,
+    column.primaryKey && 'PRIMARY KEY',
+    column.autoIncrement && 'AUTOINCREMENT',
+    column.unique && 'UNIQUE',
+    column.notNull && 'NOT NULL',
+    column.default !== undefined && `DEFAULT ${column.default}`,
+    column.check && `CHECK(${column.check})`,
+    column.references && referenceClause(column.references)
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * CREATE TABLE statement for a table as it stands at a schema version
+ * @param {Object} table - Table from schema.js
+ * @param {number} version - Schema version
+ * @returns {string}
+ */
+function createTableSql(table, version = SCHEMA_VERSION) {
+  const definitions = table.columns.filter(column => sinceOf(column) <= version).map(columnDefinition);
+  if (table.primaryKey) {
+    definitions.push(`PRIMARY KEY (${table.primaryKey.join(', ')})`);
+  }
+  (table.unique || []).forEach(columns => definitions.push(`UNIQUE (${columns.join(', ')})`));
+  return `CREATE TABLE IF NOT EXISTS ${table.name} (\n  ${definitions.join(',\n  ')}\n)`;
+}
+
+const createIndexSql = (index) => (
+  `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${index.name} ON ${index.table} (${index.columns.join(', ')})`
+);
+
+/**
+ * Statements that create the tables and indexes that predate versioned migrations
+ * @returns {Array<string>}
+ */
+function baseTableStatements() {
+  return [
+    ...TABLES.filter(table => sinceOf(table) === 0).map(table => createTableSql(table, 0)),
+    ...INDEXES.filter(index => sinceOf(index) === 0).map(createIndexSql)
+  ];
+}
+
+// What a schema version adds: new tables, columns added to older tables, indexes, triggers and virtual tables
+function changesAt(version) {
+  return {
+    tables: TABLES.filter(table => sinceOf(table) === version),
+    columns: TABLES.filter(table => sinceOf(table) < version).flatMap(table => (
+      table.columns.filter(column => sinceOf(column) === version).map(column => ({ table: table.name, column }))
+    )),
+    indexes: INDEXES.filter(index => sinceOf(index) === version),
+    triggers: TRIGGERS.filter(trigger => sinceOf(trigger) === version),
+    virtualTables: VIRTUAL_TABLES.filter(table => sinceOf(table) === version)
+  };
+}
+
+// SQLite cannot drop a column that is a key, unique, referencing or indexed by an older index
+const canDropColumn = ({ table, column }, version) => (
+  !column.primaryKey && !column.unique && !column.references &&
+  !INDEXES.some(index => index.table === table && sinceOf(index) !== version && index.columns.includes(column.name))
+);
+
+/**
+ * Builds the migration for a schema version from the declaration. The down step
+ * is left out when SQLite cannot drop one of the added columns.
+ * @param {number} version - Schema version the migration brings the database to
+ * @param {Object} options - { description, after } - after(db) runs once the schema
+ *   is in place, for backfills; it returns a promise
+ * @returns {Object} - { up, down } migration steps taking (db, callback)
+ */
+function generateMigration(version, { description, after = null }) {
+  const changes = changesAt(version);
+
+  const up = async (db) => {
+    console.log(`Running migration ${version}: ${description}`);
+    for (const table of changes.tables) {
+      await run(db, createTableSql(table, version));
+      console.log(`Created ${table.name} table`);
+    }
+    for (const { table, column } of changes.columns) {
+      if ((await columnNames(db, table)).includes(column.name)) {
+        console.log(`${column.name} column already exists in ${table}, skipping`);
+        continue;
+      }
+      await run(db, `ALTER TABLE ${table} ADD COLUMN ${columnDefinition(column)}`);
+      console.log(`Added ${column.name} column to ${table} table`);
+    }
+    for (const index of changes.indexes) {
+      await run(db, createIndexSql(index));
+    }
+    const newVirtualTables = [];
+    for (const table of changes.virtualTables) {
+      if (!(await tableExists(db, table.name))) {
+        newVirtualTables.push(table);
+      }
+      await run(db, table.sql);
+      console.log(`Created ${table.name} virtual table`);
+    }
+    for (const trigger of changes.triggers) {
+      await run(db, trigger.sql);
+      console.log(`Created ${trigger.name} trigger`);
+    }
+    // Filled once its triggers are in place, and only when just created, so a re-run adds no duplicates
+    for (const table of newVirtualTables) {
+      for (const sql of table.populate || []) {
+        await run(db, sql);
+      }
+      console.log(`Populated ${table.name}`);
+    }
+    if (after) {
+      await after(db);
+    }
+  };
+
+  const down = async (db) => {
+    console.log(`Reverting migration ${version}: ${description}`);
+    for (const trigger of changes.triggers) {
+      await run(db, `DROP TRIGGER IF EXISTS ${trigger.name}`);
+    }
+    for (const table of [...changes.virtualTables].reverse()) {
+      await run(db, `DROP TABLE IF EXISTS ${table.name}`);
+      console.log(`Dropped ${table.name} virtual table`);
+    }
+    for (const index of changes.indexes) {
+      await run(db, `DROP INDEX IF EXISTS ${index.name}`);
+    }
+    for (const { table, column } of [...changes.columns].reverse()) {
+      if ((await columnNames(db, table)).includes(column.name)) {
+        await run(db, `ALTER TABLE ${table} DROP COLUMN ${column.name}`);
+        console.log(`Dropped ${column.name} column from ${table} table`);
+      }
+    }
+    for (const table of [...changes.tables].reverse()) {
+      await run(db, `DROP TABLE IF EXISTS ${table.name}`);
+      console.log(`Dropped ${table.name} table`);
+    }
+  };
+
+  const toStep = (step) => (db, callback) => {
+    step(db).then(() => callback(null), (err) => {
+      console.error(`Error in migration ${version}:`, err);
+      callback(err);
+    });
+  };
+
+  const reversible = changes.columns.every(change => canDropColumn(change, version));
+  return reversible ? { up: toStep(up), down: toStep(down) } : { up: toStep(up) };
+}
+
+/**
+ * The declared schema at a version, in the shape readSchema returns
+ * @param {number} version - Schema version
+ * @returns {Object} - { tables, indexes, triggers, virtualTables }
+ */
+function describeDeclaredSchema(version = SCHEMA_VERSION) {
+  const schema = { tables: {}, indexes: {}, triggers: {}, virtualTables: {} };
+
+  TABLES.filter(table => sinceOf(table) <= version).forEach(table => {
+    const columns = {};
+    table.columns.filter(column => sinceOf(column) <= version).forEach(column => {
+      columns[column.name] = {
+        type: column.type,
+        notNull: Boolean(column.notNull),
+        defaultValue: column.default === undefined ? null : column.default,
+        primaryKey: Boolean(column.primaryKey) || (table.primaryKey || []).includes(column.name),
+        references: column.references
+          ? { onDelete: 'NO ACTION', onUpdate: 'NO ACTION', ...column.references }
+          : null
+      };
+    });
+    schema.tables[table.name] = { columns, sql: createTableSql(table, version) };
+  });
+  INDEXES.filter(index => sinceOf(index) <= version).forEach(index => {
+    schema.indexes[index.name] = { table: index.table, columns: index.columns, unique: Boolean(index.unique) };
+  });
+  TRIGGERS.filter(trigger => sinceOf(trigger) <= version).forEach(trigger => {
+    schema.triggers[trigger.name] = { table: trigger.table, sql: trigger.sql };
+  });
+  VIRTUAL_TABLES.filter(table => sinceOf(table) <= version).forEach(table => {
+    schema.virtualTables[table.name] = { sql: table.sql };
+  });
+
+  return schema;
+}
+
+// Stored CREATE statements keep their original spacing and case
+const compactSql = (sql) => (sql || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Compares a live schema, read with readSchema, with the declaration
+ * @param {Object} liveSchema - Schema of the database
+ * @param {number} version - Schema version the database reports
+ * @returns {Array<string>} - One line per difference; empty when the database matches
+ */
+function checkSchemaDrift(liveSchema, version = SCHEMA_VERSION) {
+  const diff = diffSchemas(describeDeclaredSchema(version), liveSchema);
+  const problems = [];
+
+  diff.tables.removed.forEach(name => problems.push(`Missing table ${name}`));
+  diff.tables.added.forEach(name => problems.push(`Undeclared table ${name}`));
+  diff.columns.removed.forEach(({ table, column, before }) => problems.push(`Missing column ${table}.${column} ${describeColumn(before)}`));
+  diff.columns.added.forEach(({ table, column }) => problems.push(`Undeclared column ${table}.${column}`));
+  diff.columns.changed.forEach(({ table, column, before, after }) => (
+    problems.push(`Column ${table}.${column} is ${describeColumn(after)}, declared ${describeColumn(before)}`)
+  ));
+  diff.indexes.removed.forEach(name => problems.push(`Missing index ${name}`));
+  diff.indexes.added.forEach(name => problems.push(`Undeclared index ${name}`));
+  diff.indexes.changed.forEach(name => problems.push(`Index ${name} does not match its declaration`));
+  diff.triggers.removed.forEach(name => problems.push(`Missing trigger ${name}`));
+  diff.triggers.added.forEach(name => problems.push(`Undeclared trigger ${name}`));
+  diff.triggers.changed.forEach(name => problems.push(`Trigger ${name} does not match its declaration`));
+  diff.virtualTables.removed.forEach(name => problems.push(`Missing virtual table ${name}`));
+  diff.virtualTables.added.forEach(name => problems.push(`Undeclared virtual table ${name}`));
+
+  // PRAGMA output leaves out CHECK constraints, so they are looked for in the stored CREATE statement
+  TABLES.filter(table => sinceOf(table) <= version && liveSchema.tables[table.name]).forEach(table => {
+    const sql = compactSql(liveSchema.tables[table.name].sql);
+    table.columns.filter(column => column.check && sinceOf(column) <= version).forEach(column => {
+      if (!sql.includes(compactSql(`CHECK(${column.check})`))) {
+        problems.push(`Missing CHECK (${column.check}) on ${table.name}.${column.name}`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  createTableSql,
+  baseTableStatements,
+  generateMigration,
+  describeDeclaredSchema,
+  checkSchemaDrift
+};
@@ -0,0 +1,165 @@
+/**
+ * Schema Diff
+ *
+ * Reads the structure of a SQLite database (tables with their columns,
+ * indexes and triggers) and compares two such readings. Used by migration
+ * dry runs to report what a migration would change.
+ */
+
+const query = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// Whitespace in stored CREATE statements depends on how they were written
+const normalizeSql = (sql) => (sql || '').replace(/\s+/g, ' ').trim();
+
+const isVirtualTable = (object) => object.type === 'table' && /^CREATE VIRTUAL TABLE/i.test(object.sql || '');
+
+/**
+ * Reads the schema of an open database. Columns are { type, notNull, defaultValue,
+ * primaryKey, references }, where references is { table, column, onDelete, onUpdate } or null.
+ * The shadow tables that hold a virtual table's data are left out.
+ * @param {Object} db - sqlite3 connection
+ * @returns {Promise<Object>} - { tables: { [name]: { columns, sql } }, indexes: { [name]: { table, columns, unique } },
+ *   triggers: { [name]: { table, sql } }, virtualTables: { [name]: { sql } } }
+ */
+async function readSchema(db) {
+  const objects = await query(db, "SELECT type, name, tbl_name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name");
+  const schema = { tables: {}, indexes: {}, triggers: {}, virtualTables: {} };
+  const virtualNames = objects.filter(isVirtualTable).map(object => object.name);
+  const isShadowTable = (name) => virtualNames.some(virtualName => name.startsWith(`${virtualName}_`));
+
+  for (const object of objects) {
+    if (isVirtualTable(object)) {
+      schema.virtualTables[object.name] = { sql: normalizeSql(object.sql) };
+    } else if (isShadowTable(object.name)) {
+      continue;
+    } else if (object.type === 'table') {
+      const foreignKeys = await query(db, `PRAGMA foreign_key_list("${object.name}")`);
+      const columns = {};
+      for (const column of await query(db, `PRAGMA table_info("${object.name}")`)) {
+        const foreignKey = foreignKeys.find(key => key.from === column.name);
+        columns[column.name] = {
+          type: column.type,
+          notNull: column.notnull === 1,
+          defaultValue: column.dflt_value,
+          primaryKey: column.pk > 0,
+          references: foreignKey
+            ? { table: foreignKey.table, column: foreignKey.to, onDelete: foreignKey.on_delete, onUpdate: foreignKey.on_update }
+            : null
+        };
+      }
+      schema.tables[object.name] = { columns, sql: normalizeSql(object.sql) };
+    } else if (object.type === 'index' && object.sql) {
+      const [{ unique }] = (await query(db, `PRAGMA index_list("${object.tbl_name}")`)).filter(index => index.name === object.name);
+      schema.indexes[object.name] = {
+        table: object.tbl_name,
+        columns: (await query(db, `PRAGMA index_info("${object.name}")`)).map(column => column.name),
+        unique: unique === 1
+      };
+    } else if (object.type === 'trigger') {
+      schema.triggers[object.name] = { table: object.tbl_name, sql: normalizeSql(object.sql) };
+    }
+  }
+
+  return schema;
+}
+
+function diffNamed(before, after, isChanged) {
+  const names = (object) => Object.keys(object);
+  return {
+    added: names(after).filter(name => !(name in before)),
+    removed: names(before).filter(name => !(name in after)),
+    changed: names(after).filter(name => name in before && isChanged(before[name], after[name]))
+  };
+}
+
+const sameReference = (a, b) => (a === null || b === null
+  ? a === b
+  : a.table === b.table && a.column === b.column && a.onDelete === b.onDelete && a.onUpdate === b.onUpdate);
+
+const sameColumn = (a, b) => a.type === b.type && a.notNull === b.notNull && a.defaultValue === b.defaultValue &&
+  a.primaryKey === b.primaryKey && sameReference(a.references, b.references);
+
+const sameIndex = (a, b) => a.table === b.table && a.unique === b.unique && a.columns.join() === b.columns.join();
+
+/**
+ * Compares two schemas read with readSchema
+ * @param {Object} before - Schema before the change
+ * @param {Object} after - Schema after the change
+ * @returns {Object} - { tables, columns, indexes, triggers, virtualTables }, each { added, removed, changed };
+ *   columns are { table, column, before, after }
+ */
+function diffSchemas(before, after) {
+  const columns = { added: [], removed: [], changed: [] };
+
+  Object.keys(after.tables).filter(table => table in before.tables).forEach(table => {
+    const beforeColumns = before.tables[table].columns;
+    const afterColumns = after.tables[table].columns;
+    const diff = diffNamed(beforeColumns, afterColumns, (a, b) => !sameColumn(a, b));
+    diff.added.forEach(column => columns.added.push({ table, column, before: null, after: afterColumns[column] }));
+    diff.removed.forEach(column => columns.removed.push({ table, column, before: beforeColumns[column], after: null }));
+    diff.changed.forEach(column => columns.changed.push({ table, column, before: beforeColumns[column], after: afterColumns[column] }));
+  });
+
+  return {
+    tables: diffNamed(before.tables, after.tables, () => false),
+    columns,
+    indexes: diffNamed(before.indexes, after.indexes, (a, b) => !sameIndex(a, b)),
+    // Stored trigger text depends on how it was written, so only the table is compared
+    triggers: diffNamed(before.triggers, after.triggers, (a, b) => a.table !== b.table),
+    virtualTables: diffNamed(before.virtualTables || {}, after.virtualTables || {}, () => false)
+  };
+}
+
+function isSchemaDiffEmpty(diff) {
+  return Object.values(diff).every(part => part.added.length === 0 && part.removed.length === 0 && part.changed.length === 0);
+}
+
+/**
+ * Describes a column read with readSchema as a column definition
+ * @param {Object} column - { type, notNull, defaultValue, primaryKey, references }
+ * @returns {string}
+ */
+const describeColumn = (column) => [
+  column.type || 'untyped',
+  column.notNull && 'NOT NULL',
+  column.defaultValue !== null && `DEFAULT ${column.defaultValue}`,
+  column.primaryKey && 'PRIMARY KEY',
+  column.references && `REFERENCES ${column.references.table} (${column.references.column})`,
+  column.references && column.references.onDelete !== 'NO ACTION' && `ON DELETE ${column.references.onDelete}`,
+  column.references && column.references.onUpdate !== 'NO ACTION' && `ON UPDATE ${column.references.onUpdate}`
+].filter(Boolean).join(' ');
+
+/**
+ * Describes a schema diff one change per line
+ * @param {Object} diff - Result of diffSchemas
+ * @returns {Array<string>} - Lines starting with + (added), - (removed) or ~ (changed)
+ */
+function formatSchemaDiff(diff) {
+  const lines = [];
+  diff.tables.added.forEach(name => lines.push(`+ table ${name}`));
+  diff.tables.removed.forEach(name => lines.push(`- table ${name}`));
+  diff.columns.added.forEach(({ table, column, after }) => lines.push(`+ column ${table}.${column} ${describeColumn(after)}`));
+  diff.columns.removed.forEach(({ table, column }) => lines.push(`- column ${table}.${column}`));
+  diff.columns.changed.forEach(({ table, column, before, after }) => (
+    lines.push(`~ column ${table}.${column}: ${describeColumn(before)} -> ${describeColumn(after)}`)
+  ));
+  diff.virtualTables.added.forEach(name => lines.push(`+ virtual table ${name}`));
+  diff.virtualTables.removed.forEach(name => lines.push(`- virtual table ${name}`));
+  ['indexes', 'triggers'].forEach(kind => {
+    const label = kind === 'indexes' ? 'index' : 'trigger';
+    diff[kind].added.forEach(name => lines.push(`+ ${label} ${name}`));
+    diff[kind].removed.forEach(name => lines.push(`- ${label} ${name}`));
+    diff[kind].changed.forEach(name => lines.push(`~ ${label} ${name}`));
+  });
+  return lines;
+}
+
+module.exports = {
+  readSchema,
+  diffSchemas,
+  isSchemaDiffEmpty,
+  describeColumn,
+  formatSchemaDiff
+};
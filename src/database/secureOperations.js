@@ -8,6 +8,13 @@
 
 const path = require('path');
 const fs = require('fs').promises;
+const { isGrantable } = require('./permissions');
+const { isValidSetting } = require('./appSettings');
+const { getRecurrenceRule, nextOccurrenceSql } = require('./recurrence');
+const { SCHEDULE_TYPES } = require('./complianceScheduler');
+const { qualifiedInspectorSql } = require('./schema');
+
+const SCHEDULE_TYPE_KEYS = SCHEDULE_TYPES.map(type => type.key);
 
 /**
  * Validates file paths to ensure they are within allowed directories
@@ -85,6 +92,17 @@ function validateInspector(inspector) {
   return inspector && typeof inspector === 'string' && inspector.length > 0;
 }
 
+/**
+ * Validates who a scheduled inspection is assigned to: an inspector account, whose
+ * qualification the database checks, or a name alone
+ * @param {Object} params - Operation parameters with assignedUserId and assignedInspector
+ * @returns {boolean} - True if an account id or a name is given
+ */
+function validateAssignee(params) {
+  if (params.assignedUserId == null) return Boolean(validateInspector(params.assignedInspector));
+  return Number.isInteger(params.assignedUserId) && params.assignedUserId > 0;
+}
+
 /**
  * Validates date format (YYYY-MM-DD)
  * @param {string} date - Date to validate
@@ -97,7 +115,167 @@ function validateDate(date) {
 }
 
 /**
- * Secure database operations with named, parameterized queries
+ * Validates an optional interval in days, such as a compliance standard's inspection frequency
+ * @param {number|null} days - Interval to validate; empty values are allowed
+ * @returns {boolean} - True if empty or a whole number of days up to ten years
+ */
+function validateFrequency(days) {
+  return days == null || (Number.isInteger(days) && days > 0 && days <= 3650);
+}
+
+/**
+ * Validates an optional email address
+ * @param {string|null} email - Email to validate; empty values are allowed
+ * @returns {boolean} - True if empty or plausibly formed
+ */
+function validateEmail(email) {
+  if (email === null || email === undefined || email === '') return true;
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Permission needed to issue each type of certificate
+const CERTIFICATE_PERMISSIONS = {
+  inspection: 'certificate.issue_inspection',
+  load_test: 'certificate.issue_load_test',
+  calibration: 'certificate.issue_calibration'
+};
+
+// Largest number of users accepted by one users.import call
+const MAX_USER_IMPORT = 500;
+
+// Largest number of rows accepted by one equipment.import call
+const MAX_EQUIPMENT_IMPORT = 2000;
+
+// Most reassignments accepted by one scheduledInspections.rebalance call
+const MAX_REBALANCE_MOVES = 200;
+
+// Most readings accepted by one meterReadings.createBatch call
+const MAX_METER_BATCH = 500;
+
+// Longest MATCH expression and most rows accepted by one search.query call
+const MAX_SEARCH_QUERY_LENGTH = 500;
+const MAX_SEARCH_RESULTS = 100;
+
+/**
+ * Checks the parent references of an equipment import: each names existing
+ * equipment (parentId) or another row of the import, without loops
+ * @param {Array<Object>} equipment - Rows with equipmentId, parentEquipmentId and parentId
+ * @returns {boolean} - True if every parent can be linked
+ */
+function validateImportParents(equipment) {
+  const parents = new Map(equipment.map(item => [item.equipmentId, item.parentId ? null : item.parentEquipmentId || null]));
+  return equipment.every(item => {
+    if (item.parentId !== undefined && item.parentId !== null && !(Number.isInteger(item.parentId) && item.parentId > 0)) return false;
+    const seen = new Set([item.equipmentId]);
+    let parent = parents.get(item.equipmentId);
+    while (parent) {
+      if (!parents.has(parent) || seen.has(parent)) return false;
+      seen.add(parent);
+      parent = parents.get(parent);
+    }
+    return true;
+  });
+}
+
+/**
+ * Builds a read operation of the Export view: one entity set, optionally limited
+ * to a date range (from/to, inclusive) and to the equipment of one site
+ * @param {Object} definition - { select, dateColumn, siteColumn, orderBy }; select is
+ *   the SELECT ... FROM ... part, siteColumn is omitted for sets without equipment
+ * @returns {Object} - Operation definition
+ */
+function exportOperation({ select, dateColumn, siteColumn = null, orderBy }) {
+  const conditions = [`(? IS NULL OR date(${dateColumn}) >= ?)`, `(? IS NULL OR date(${dateColumn}) <= ?)`];
+  const params = ['from', 'from', 'to', 'to'];
+  if (siteColumn) {
+    conditions.push(`(? IS NULL OR ${siteColumn} = ?)`);
+    params.push('site', 'site');
+  }
+  return {
+    sql: `${select} WHERE ${conditions.join(' AND ')} ORDER BY ${orderBy}`,
+    params,
+    returnType: 'many',
+    minRole: 'reviewer',
+    permission: 'data.export',
+    validate: (values) => [values.from, values.to].every(date => date == null || validateDate(date)) &&
+                          (values.site == null || (typeof values.site === 'string' && values.site.length > 0))
+  };
+}
+
+// Role levels used for operation access checks; higher levels include lower ones
+const ROLE_LEVELS = {
+  viewer: 1,
+  inspector: 2,
+  reviewer: 3,
+  admin: 4
+};
+
+/**
+ * Checks whether a role meets an operation's minimum role
+ * @param {string} role - Role of the session making the call
+ * @param {string} minRole - Minimum role declared by the operation
+ * @returns {boolean} - True if allowed; unknown roles and operations without a minRole are denied
+ */
+function hasRequiredRole(role, minRole) {
+  const required = ROLE_LEVELS[minRole];
+  const actual = ROLE_LEVELS[role];
+  if (!required || !actual) {
+    return false;
+  }
+  return actual >= required;
+}
+
+// Columns safe to return for users; credential hashes and lockout state stay in the main process
+const USER_PUBLIC_COLUMNS = `id, username, full_name, email, role, active, last_login, 
+             created_at, updated_at, must_change_password, password_changed_at`;
+
+// Changes to an administrator's account need the admin role as well as user.manage
+const ADMIN_ACCOUNT_ROLE = {
+  sql: "SELECT 1 FROM users WHERE id = ? AND role = 'admin'",
+  params: ['id'],
+  role: 'admin'
+};
+
+// Audited entity behind each category's write operations. A write operation may
+// override these fields with its own `audit` property ({ entityType, table,
+// lookup, entityIdParam, action }) or opt out with `audit: false`.
+// `lookup` maps table columns to the params that identify the affected row.
+const AUDIT_ENTITIES = {
+  equipment: { entityType: 'equipment', table: 'equipment' },
+  inspections: { entityType: 'inspection', table: 'inspections' },
+  documents: { entityType: 'document', table: 'documents' },
+  scheduledInspections: { entityType: 'scheduled_inspection', table: 'scheduled_inspections' },
+  compliance: { entityType: 'compliance_standard', table: 'compliance_standards' },
+  templates: { entityType: 'inspection_template', table: 'inspection_templates' },
+  inspectionItems: { entityType: 'inspection_item', table: 'inspection_items' },
+  deficiencies: { entityType: 'deficiency', table: 'deficiencies' },
+  signatures: { entityType: 'signature', table: 'signatures' },
+  workOrders: { entityType: 'work_order', table: 'work_orders' },
+  pmTemplates: { entityType: 'pm_template', table: 'pm_templates' },
+  pmSchedules: { entityType: 'pm_schedule', table: 'pm_schedules' },
+  loadTests: { entityType: 'load_test', table: 'load_tests' },
+  calibrations: { entityType: 'calibration', table: 'calibrations' },
+  credentials: { entityType: 'credential', table: 'credentials' },
+  users: { entityType: 'user', table: 'users' },
+  certificates: { entityType: 'certificate', table: 'certificates' },
+  meterReadings: { entityType: 'meter_reading', table: 'meter_readings' },
+  templateItems: { entityType: 'template_item', table: 'template_items' },
+  permissions: { entityType: 'role_permission', table: 'role_permissions' },
+  settings: { entityType: 'app_setting', table: 'app_settings' }
+};
+
+/**
+ * Secure database operations with named, parameterized queries.
+ * Every operation declares the minimum role (minRole) a session needs to run it.
+ * Operations that also declare a `permission` key (see permissions.js), or a
+ * function of the params returning one, are authorized by that permission
+ * instead; their minRole is the permission's default role. A
+ * `conditionalPermission` ({ sql, params, permission }) adds a second
+ * permission that applies when its query returns a row, and a
+ * `conditionalRole` ({ sql, params, role }) a minimum role in the same way.
+ * Batch operations (returnType 'batch') have no SQL of their own: their `run`
+ * function calls other write operations through `execute(category, operation, params)`,
+ * and all of those statements commit or roll back together.
  */
 const secureOperations = {
   // Equipment operations
@@ -106,6 +284,7 @@ const secureOperations = {
       sql: 'SELECT * FROM equipment ORDER BY equipment_id',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -113,6 +292,7 @@ const secureOperations = {
       sql: 'SELECT * FROM equipment WHERE id = ?',
       params: ['id'],
       returnType: 'one',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
@@ -120,6 +300,7 @@ const secureOperations = {
       sql: 'SELECT * FROM equipment WHERE equipment_id = ?',
       params: ['equipmentId'],
       returnType: 'one',
+      minRole: 'viewer',
       validate: (params) => validateEquipmentId(params.equipmentId)
     },
     
@@ -130,6 +311,8 @@ const secureOperations = {
       params: ['equipmentId', 'type', 'manufacturer', 'model', 'serialNumber', 
                'capacity', 'installationDate', 'location', 'status', 'qrCodeData'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'equipment.edit',
       validate: (params) => validateEquipmentId(params.equipmentId) && 
                            params.type && params.manufacturer
     },
@@ -140,13 +323,113 @@ const secureOperations = {
       params: ['manufacturer', 'model', 'serialNumber', 'capacity', 
                'installationDate', 'location', 'status', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'equipment.edit',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
+    // Changes nothing when the new parent is the equipment itself or one of its components
+    setHierarchy: {
+      sql: `UPDATE equipment SET site = ?, building = ?, bay = ?, parent_id = ?
+            WHERE id = ? AND (? IS NULL OR ? NOT IN (
+              WITH RECURSIVE subtree(id) AS (
+                SELECT ? UNION SELECT e.id FROM equipment e JOIN subtree s ON e.parent_id = s.id
+              )
+              SELECT id FROM subtree
+            ))`,
+      params: ['site', 'building', 'bay', 'parentId', 'id', 'parentId', 'parentId', 'id'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'equipment.edit',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           (params.parentId === null || (Number.isInteger(params.parentId) && params.parentId > 0 && params.parentId !== params.id))
+    },
+    
+    // Moves every component below the equipment, at any depth, to the given location
+    setComponentsLocation: {
+      sql: `WITH RECURSIVE components(id) AS (
+              SELECT id FROM equipment WHERE parent_id = ?
+              UNION
+              SELECT e.id FROM equipment e JOIN components c ON e.parent_id = c.id
+            )
+            UPDATE equipment SET site = ?, building = ?, bay = ? WHERE id IN (SELECT id FROM components)`,
+      params: ['id', 'site', 'building', 'bay'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'equipment.edit',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0
+    },
+    
+    // Re-parents equipment in the hierarchy tree; its components, found from parent_id
+    // in the database, move to the new location with it
+    move: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'equipment.edit',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           (params.parentId === null || (Number.isInteger(params.parentId) && params.parentId > 0 && params.parentId !== params.id)),
+      run: async (execute, params) => {
+        const location = { site: params.site || null, building: params.building || null, bay: params.bay || null };
+        const moved = await execute('equipment', 'setHierarchy', { id: params.id, parentId: params.parentId, ...location });
+        if (moved.changes === 0) {
+          throw new Error('Equipment cannot be moved under itself or one of its components');
+        }
+        const components = await execute('equipment', 'setComponentsLocation', { id: params.id, ...location });
+        return { id: params.id, componentsMoved: components.changes };
+      }
+    },
+    
+    // Creates every row of a spreadsheet import or none of them; parents are
+    // linked after all rows exist, so a row may come before its parent
+    import: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'equipment.edit',
+      validate: (params) => Array.isArray(params.equipment) &&
+                           params.equipment.length > 0 && params.equipment.length <= MAX_EQUIPMENT_IMPORT &&
+                           params.equipment.every(item => item && validateEquipmentId(item.equipmentId) && item.type && item.manufacturer) &&
+                           new Set(params.equipment.map(item => item.equipmentId)).size === params.equipment.length &&
+                           validateImportParents(params.equipment),
+      run: async (execute, params) => {
+        const ids = new Map();
+        for (const item of params.equipment) {
+          const result = await execute('equipment', 'create', {
+            equipmentId: item.equipmentId,
+            type: item.type,
+            manufacturer: item.manufacturer,
+            model: item.model || null,
+            serialNumber: item.serialNumber || null,
+            capacity: item.capacity ?? null,
+            installationDate: item.installationDate || null,
+            location: item.location || null,
+            status: item.status || 'active',
+            qrCodeData: item.qrCodeData || null
+          });
+          ids.set(item.equipmentId, result.lastID);
+        }
+
+        for (const item of params.equipment) {
+          const parentId = item.parentId || (item.parentEquipmentId ? ids.get(item.parentEquipmentId) : null);
+          if (item.site || item.building || item.bay || parentId) {
+            await execute('equipment', 'setHierarchy', {
+              id: ids.get(item.equipmentId),
+              site: item.site || null,
+              building: item.building || null,
+              bay: item.bay || null,
+              parentId
+            });
+          }
+        }
+        return { equipmentIds: [...ids.values()] };
+      }
+    },
+    
     delete: {
       sql: 'DELETE FROM equipment WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'admin',
+      permission: 'equipment.delete',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
@@ -154,6 +437,34 @@ const secureOperations = {
       sql: 'SELECT DISTINCT type FROM equipment WHERE type IS NOT NULL ORDER BY type',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    getDistinctSites: {
+      sql: 'SELECT DISTINCT site FROM equipment WHERE site IS NOT NULL ORDER BY site',
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    // Per-equipment counts rolled up by the hierarchy tree
+    getAttentionCounts: {
+      sql: `SELECT e.id,
+              (SELECT COUNT(*) FROM deficiencies d
+               WHERE d.equipment_id = e.id AND d.status IN ('open', 'in_progress')) as open_deficiencies,
+              (SELECT COUNT(*) FROM scheduled_inspections si
+               WHERE si.equipment_id = e.id AND si.status != 'completed' AND si.scheduled_date < date('now')) as overdue_inspections,
+              (SELECT COUNT(*) FROM pm_schedules ps
+               WHERE ps.equipment_id = e.id AND ps.active = 1 AND ps.next_due_date < date('now')) as overdue_pm,
+              (SELECT COUNT(*) FROM work_orders wo
+               WHERE wo.equipment_id = e.id AND wo.status IN ('approved', 'assigned', 'in_progress')
+               AND wo.scheduled_date < date('now')) as overdue_work_orders
+            FROM equipment e`,
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -161,6 +472,7 @@ const secureOperations = {
       sql: 'SELECT status, COUNT(*) as count FROM equipment GROUP BY status',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -168,6 +480,7 @@ const secureOperations = {
       sql: 'SELECT COUNT(*) as count FROM equipment',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -178,6 +491,7 @@ const secureOperations = {
       sql: 'SELECT * FROM inspections ORDER BY inspection_date DESC',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -185,6 +499,7 @@ const secureOperations = {
       sql: 'SELECT * FROM inspections WHERE equipment_id = ? ORDER BY inspection_date DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -195,6 +510,8 @@ const secureOperations = {
       params: ['equipmentId', 'inspector', 'inspectionDate', 'findings', 
                'correctiveActions', 'summaryComments', 'signature', 'scheduledInspectionId', 'inspectionDate'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'inspection.perform',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            validateInspector(params.inspector) &&
@@ -208,6 +525,8 @@ const secureOperations = {
       params: ['equipmentId', 'inspector', 'inspectionDate', 'findings', 
                'correctiveActions', 'summaryComments', 'signature', 'scheduledInspectionId', 'inspectionDate'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'inspection.perform',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            validateInspector(params.inspector) &&
@@ -215,10 +534,87 @@ const secureOperations = {
                            Number.isInteger(params.scheduledInspectionId) && params.scheduledInspectionId > 0
     },
     
+    // Saves a completed checklist: the inspection, its items, a deficiency per failed
+    // item and the scheduled inspection's status, in one transaction
+    finalize: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'inspection.perform',
+      validate: (params) => Number.isInteger(params.equipmentId) && 
+                           params.equipmentId > 0 && 
+                           validateInspector(params.inspector) &&
+                           validateDate(params.inspectionDate) &&
+                           (params.scheduledInspectionId == null ||
+                             (Number.isInteger(params.scheduledInspectionId) && params.scheduledInspectionId > 0)) &&
+                           Array.isArray(params.checklist) &&
+                           params.checklist.every(section => section && Array.isArray(section.items) &&
+                             (section.equipmentId == null || (Number.isInteger(section.equipmentId) && section.equipmentId > 0))),
+      run: async (execute, params) => {
+        const { checklist, equipmentId, scheduledInspectionId } = params;
+        
+        const inspection = await execute('inspections', scheduledInspectionId ? 'createFromScheduled' : 'create', {
+          equipmentId,
+          inspector: params.inspector,
+          inspectionDate: params.inspectionDate,
+          findings: JSON.stringify(checklist),
+          correctiveActions: '',
+          summaryComments: params.summaryComments || '',
+          signature: params.signature || null,
+          scheduledInspectionId: scheduledInspectionId || null
+        });
+        const inspectionId = inspection.lastID;
+        const itemIds = [];
+        const deficiencyIds = [];
+        
+        for (const section of checklist) {
+          // Sections of a parent's inspection may cover one of its components, which owns their deficiencies
+          const sectionEquipmentId = section.equipmentId || equipmentId;
+          for (const item of section.items) {
+            const priority = item.priority || 'Minor';
+            const itemResult = await execute('inspectionItems', 'create', {
+              inspectionId,
+              standardRef: item.standardRef || null,
+              itemText: item.text,
+              critical: item.critical || false,
+              result: item.result,
+              notes: item.notes || '',
+              photos: JSON.stringify(item.photos || []),
+              component: item.component || '',
+              priority
+            });
+            itemIds.push(itemResult.lastID);
+            
+            if (item.result === 'fail') {
+              const deficiency = await execute('deficiencies', 'create', {
+                equipmentId: sectionEquipmentId,
+                inspectionItemId: itemResult.lastID,
+                severity: priority.toLowerCase(),
+                removeFromService: priority === 'Critical',
+                description: item.notes || `Failed inspection item: ${item.text}`,
+                component: item.component || '',
+                correctiveAction: '',
+                dueDate: null,
+                status: 'open'
+              });
+              deficiencyIds.push(deficiency.lastID);
+            }
+          }
+        }
+        
+        if (scheduledInspectionId) {
+          await execute('scheduledInspections', 'updateStatus', { id: scheduledInspectionId, status: 'completed' });
+          await execute('scheduledInspections', 'scheduleNext', { id: scheduledInspectionId });
+        }
+        
+        return { inspectionId, itemIds, deficiencyIds };
+      }
+    },
+    
     getByScheduledId: {
       sql: 'SELECT * FROM inspections WHERE scheduled_inspection_id = ?',
       params: ['scheduledInspectionId'],
       returnType: 'one',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.scheduledInspectionId) && params.scheduledInspectionId > 0
     },
     
@@ -226,6 +622,7 @@ const secureOperations = {
       sql: 'SELECT * FROM inspections WHERE inspection_date_date BETWEEN ? AND ? ORDER BY inspection_date_date DESC',
       params: ['startDate', 'endDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.startDate) && validateDate(params.endDate)
     },
     
@@ -233,6 +630,7 @@ const secureOperations = {
       sql: 'SELECT COUNT(*) as count FROM inspections',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -244,6 +642,7 @@ const secureOperations = {
             ORDER BY month DESC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -254,6 +653,7 @@ const secureOperations = {
             GROUP BY equipment_id`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -266,6 +666,7 @@ const secureOperations = {
             LIMIT 10`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -285,6 +686,7 @@ const secureOperations = {
             ORDER BY e.equipment_id`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -300,6 +702,7 @@ const secureOperations = {
             ORDER BY i.inspection_date_date ASC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -310,6 +713,8 @@ const secureOperations = {
       sql: 'SELECT * FROM documents WHERE equipment_id = ? ORDER BY file_name',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
+      permission: 'document.view',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -317,6 +722,8 @@ const secureOperations = {
       sql: 'INSERT INTO documents (equipment_id, file_name, file_path, hash, size) VALUES (?, ?, ?, ?, ?)',
       params: ['equipmentId', 'fileName', 'filePath', 'hash', 'size'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'document.upload',
       validate: (params, userDataPath) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            params.fileName && 
@@ -328,6 +735,7 @@ const secureOperations = {
       sql: 'SELECT id FROM documents WHERE equipment_id = ? AND file_name = ?',
       params: ['equipmentId', 'fileName'],
       returnType: 'one',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            params.fileName
@@ -337,12 +745,15 @@ const secureOperations = {
   // Scheduled inspection operations
   scheduledInspections: {
     getAll: {
-      sql: `SELECT si.*, e.equipment_id as equipmentIdentifier 
+      sql: `SELECT si.*, e.equipment_id as equipmentIdentifier, cs.name as standard_name,
+              e.type as equipment_type, e.site, e.building, e.bay, e.location 
             FROM scheduled_inspections si 
             JOIN equipment e ON si.equipment_id = e.id 
+            LEFT JOIN compliance_standards cs ON cs.id = si.standard_id 
             ORDER BY si.scheduled_date`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -355,6 +766,7 @@ const secureOperations = {
             LIMIT 10`,
       params: ['fromDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.fromDate)
     },
     
@@ -362,45 +774,255 @@ const secureOperations = {
       sql: 'SELECT * FROM scheduled_inspections WHERE scheduled_date >= ?',
       params: ['today'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.today)
     },
     
     create: {
-      sql: `INSERT INTO scheduled_inspections (equipment_id, scheduled_date, assigned_inspector, status) 
-            VALUES (?, ?, ?, ?)`,
-      params: ['equipmentId', 'scheduledDate', 'assignedInspector', 'status'],
+      sql: `INSERT INTO scheduled_inspections (equipment_id, scheduled_date, assigned_inspector, assigned_user_id, status, recurrence, schedule_type) 
+            VALUES (?, ?, COALESCE((SELECT full_name FROM users WHERE id = ?), ?), ?, ?, ?, COALESCE(?, 'inspection'))`,
+      params: ['equipmentId', 'scheduledDate', 'assignedUserId', 'assignedInspector', 'assignedUserId', 'status', 'recurrence', 'scheduleType'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            validateDate(params.scheduledDate) &&
-                           validateInspector(params.assignedInspector)
+                           validateAssignee(params) &&
+                           (params.recurrence == null || getRecurrenceRule(params.recurrence) !== null) &&
+                           (params.scheduleType == null || SCHEDULE_TYPE_KEYS.includes(params.scheduleType))
     },
     
+    // A row edited by hand is no longer moved by the compliance scheduler
     update: {
-      sql: `UPDATE scheduled_inspections SET equipment_id = ?, scheduled_date = ?, assigned_inspector = ? 
+      sql: `UPDATE scheduled_inspections SET equipment_id = ?, scheduled_date = ?,
+            assigned_inspector = COALESCE((SELECT full_name FROM users WHERE id = ?), ?), assigned_user_id = ?, recurrence = ?,
+            schedule_type = COALESCE(?, schedule_type), source = 'manual', due_reason = NULL
             WHERE id = ?`,
-      params: ['equipmentId', 'scheduledDate', 'assignedInspector', 'id'],
+      params: ['equipmentId', 'scheduledDate', 'assignedUserId', 'assignedInspector', 'assignedUserId', 'recurrence', 'scheduleType', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            validateDate(params.scheduledDate) &&
-                           validateInspector(params.assignedInspector) &&
+                           validateAssignee(params) &&
+                           (params.recurrence == null || getRecurrenceRule(params.recurrence) !== null) &&
+                           (params.scheduleType == null || SCHEDULE_TYPE_KEYS.includes(params.scheduleType)) &&
+                           Number.isInteger(params.id) && params.id > 0
+    },
+    
+    // Moves one occurrence, as when it is dragged to another day of the calendar
+    reschedule: {
+      sql: `UPDATE scheduled_inspections SET scheduled_date = ?, source = 'manual', due_reason = NULL WHERE id = ? AND status != 'completed'`,
+      params: ['scheduledDate', 'id'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => validateDate(params.scheduledDate) &&
                            Number.isInteger(params.id) && params.id > 0
     },
     
+    // Schedules the occurrence after a recurring one. Nothing is inserted for
+    // one-off inspections or when the series already has a later occurrence
+    scheduleNext: {
+      // The assignee carries over while still qualified on the next date; otherwise the
+      // next occurrence is left unassigned
+      sql: `INSERT INTO scheduled_inspections (equipment_id, scheduled_date, assigned_inspector, assigned_user_id, status, recurrence, series_id)
+            SELECT n.equipment_id, n.next_date,
+                   CASE WHEN n.assigned_user_id IS NULL OR ${qualifiedInspectorSql('n.assigned_user_id', 'n.equipment_id', 'n.next_date')}
+                        THEN n.assigned_inspector END,
+                   CASE WHEN ${qualifiedInspectorSql('n.assigned_user_id', 'n.equipment_id', 'n.next_date')}
+                        THEN n.assigned_user_id END,
+                   'scheduled', n.recurrence, n.series_id
+            FROM (SELECT s.equipment_id, ${nextOccurrenceSql('s.scheduled_date', 's.recurrence')} AS next_date,
+                         s.assigned_inspector, s.assigned_user_id, s.recurrence, COALESCE(s.series_id, s.id) AS series_id
+                  FROM scheduled_inspections s
+                  WHERE s.id = ? AND s.recurrence IS NOT NULL
+                    AND NOT EXISTS (SELECT 1 FROM scheduled_inspections later
+                                    WHERE COALESCE(later.series_id, later.id) = COALESCE(s.series_id, s.id)
+                                      AND later.scheduled_date > s.scheduled_date)) n`,
+      params: ['id'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0
+    },
+    
+    // Marks an occurrence completed and, for a recurring one, schedules the next
+    complete: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0,
+      run: async (execute, params) => {
+        const completed = await execute('scheduledInspections', 'updateStatus', { id: params.id, status: 'completed' });
+        if (completed.changes === 0) {
+          throw new Error('Scheduled inspection not found');
+        }
+        const next = await execute('scheduledInspections', 'scheduleNext', { id: params.id });
+        return { id: params.id, nextId: next.changes > 0 ? next.lastID : null };
+      }
+    },
+    
     updateStatus: {
       sql: 'UPDATE scheduled_inspections SET status = ? WHERE id = ?',
       params: ['status', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
       validate: (params) => params.status && 
                            ['scheduled', 'in_progress', 'completed'].includes(params.status) &&
                            Number.isInteger(params.id) && params.id > 0
     },
     
+    // Active inspector accounts, one row per active Inspector credential naming them
+    // (credential columns are null for an account without one)
+    getInspectors: {
+      sql: `SELECT u.id as user_id, u.username, u.full_name, c.id as credential_id, c.equipment_types,
+              c.issue_date, c.expiration_date
+            FROM users u
+            LEFT JOIN credentials c ON lower(trim(c.person_name)) IN (lower(trim(u.full_name)), lower(u.username))
+              AND lower(c.credential_type) = 'inspector' AND c.status = 'active'
+            WHERE u.active = 1 AND u.role = 'inspector'
+            ORDER BY u.full_name, u.id, c.expiration_date DESC`,
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    // The database refuses an inspector who is not qualified for the equipment on the day
+    assign: {
+      sql: `UPDATE scheduled_inspections SET assigned_user_id = ?,
+            assigned_inspector = (SELECT full_name FROM users WHERE id = ?)
+            WHERE id = ? AND status != 'completed'`,
+      params: ['assignedUserId', 'assignedUserId', 'id'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           Number.isInteger(params.assignedUserId) && params.assignedUserId > 0
+    },
+    
+    // Applies a set of reassignments, such as accepted workload suggestions, together
+    rebalance: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Array.isArray(params.moves) && params.moves.length > 0 &&
+                           params.moves.length <= MAX_REBALANCE_MOVES &&
+                           params.moves.every(move => secureOperations.scheduledInspections.assign.validate(move)),
+      run: async (execute, params) => {
+        for (const move of params.moves) {
+          const assigned = await execute('scheduledInspections', 'assign', { id: move.id, assignedUserId: move.assignedUserId });
+          if (assigned.changes === 0) {
+            throw new Error(`Scheduled inspection ${move.id} not found or already completed`);
+          }
+        }
+        return { moved: params.moves.length };
+      }
+    },
+    
+    // One row per piece of equipment and assigned standard with a frequency, with
+    // the last dates the compliance scheduler counts from
+    getComplianceInputs: {
+      sql: `SELECT e.id as equipment_id, e.equipment_id as equipment_identifier, date(e.installation_date) as installation_date,
+              cs.id as standard_id, cs.name as standard_name, cs.clause,
+              cs.inspection_frequency_days, cs.load_test_frequency_days,
+              (SELECT MAX(COALESCE(i.inspection_date_date, date(i.inspection_date))) FROM inspections i
+               WHERE i.equipment_id = e.id) as last_inspection_date,
+              (SELECT MAX(date(lt.test_date)) FROM load_tests lt
+               WHERE lt.equipment_id = e.id AND lt.test_results = 'pass') as last_load_test_date
+            FROM equipment e
+            JOIN equipment_type_compliance etc ON etc.equipment_type = e.type
+            JOIN compliance_standards cs ON cs.id = etc.standard_id
+            WHERE cs.inspection_frequency_days > 0 OR cs.load_test_frequency_days > 0
+            ORDER BY e.id, cs.id`,
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    getOpen: {
+      sql: `SELECT id, equipment_id, scheduled_date, status, schedule_type, source, standard_id, due_reason
+            FROM scheduled_inspections WHERE status IS NULL OR status != 'completed'
+            ORDER BY scheduled_date, id`,
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    createFromCompliance: {
+      sql: `INSERT INTO scheduled_inspections (equipment_id, scheduled_date, status, schedule_type, source, standard_id, due_reason)
+            VALUES (?, ?, 'scheduled', ?, 'compliance', ?, ?)`,
+      params: ['equipmentId', 'scheduledDate', 'scheduleType', 'standardId', 'dueReason'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0 &&
+                           validateDate(params.scheduledDate) &&
+                           SCHEDULE_TYPE_KEYS.includes(params.scheduleType) &&
+                           Number.isInteger(params.standardId) && params.standardId > 0 &&
+                           typeof params.dueReason === 'string' && params.dueReason.length > 0
+    },
+    
+    // Only rows the compliance scheduler still manages and nobody has started
+    refreshFromCompliance: {
+      sql: `UPDATE scheduled_inspections SET scheduled_date = ?, standard_id = ?, due_reason = ?
+            WHERE id = ? AND source = 'compliance' AND status = 'scheduled'`,
+      params: ['scheduledDate', 'standardId', 'dueReason', 'id'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           validateDate(params.scheduledDate) &&
+                           Number.isInteger(params.standardId) && params.standardId > 0 &&
+                           typeof params.dueReason === 'string' && params.dueReason.length > 0
+    },
+    
+    removeFromCompliance: {
+      sql: `DELETE FROM scheduled_inspections WHERE id = ? AND source = 'compliance' AND status = 'scheduled'`,
+      params: ['id'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0
+    },
+    
+    // Changes worked out by complianceScheduler.reconcileSchedule, applied together
+    applyCompliancePlan: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'schedule.manage',
+      validate: (params) => Array.isArray(params.create) && Array.isArray(params.update) && Array.isArray(params.remove) &&
+                           params.create.every(item => secureOperations.scheduledInspections.createFromCompliance.validate(item)) &&
+                           params.update.every(item => secureOperations.scheduledInspections.refreshFromCompliance.validate(item)) &&
+                           params.remove.every(id => Number.isInteger(id) && id > 0),
+      run: async (execute, params) => {
+        const createdIds = [];
+        for (const item of params.create) {
+          const created = await execute('scheduledInspections', 'createFromCompliance', item);
+          createdIds.push(created.lastID);
+        }
+        for (const item of params.update) {
+          await execute('scheduledInspections', 'refreshFromCompliance', item);
+        }
+        for (const id of params.remove) {
+          await execute('scheduledInspections', 'removeFromCompliance', { id });
+        }
+        return { createdIds, updated: params.update.length, removed: params.remove.length };
+      }
+    },
+    
     delete: {
       sql: 'DELETE FROM scheduled_inspections WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'schedule.delete',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     }
   },
@@ -411,20 +1033,41 @@ const secureOperations = {
       sql: 'SELECT * FROM compliance_standards ORDER BY name',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
     createStandard: {
-      sql: 'INSERT INTO compliance_standards (name, description, authority) VALUES (?, ?, ?)',
-      params: ['name', 'description', 'authority'],
+      sql: `INSERT INTO compliance_standards (name, description, authority, code, clause,
+             inspection_frequency_days, load_test_frequency_days) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      params: ['name', 'description', 'authority', 'code', 'clause', 'inspectionFrequencyDays', 'loadTestFrequencyDays'],
       returnType: 'write',
-      validate: (params) => params.name && params.description && params.authority
+      minRole: 'admin',
+      permission: 'compliance.manage_standards',
+      validate: (params) => params.name && params.description && params.authority &&
+                           validateFrequency(params.inspectionFrequencyDays) &&
+                           validateFrequency(params.loadTestFrequencyDays)
+    },
+    
+    updateStandard: {
+      sql: `UPDATE compliance_standards SET name = ?, description = ?, authority = ?, code = ?, clause = ?,
+             inspection_frequency_days = ?, load_test_frequency_days = ? WHERE id = ?`,
+      params: ['name', 'description', 'authority', 'code', 'clause', 'inspectionFrequencyDays', 'loadTestFrequencyDays', 'id'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'compliance.manage_standards',
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           params.name && params.description && params.authority &&
+                           validateFrequency(params.inspectionFrequencyDays) &&
+                           validateFrequency(params.loadTestFrequencyDays)
     },
     
     deleteStandard: {
       sql: 'DELETE FROM compliance_standards WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'admin',
+      permission: 'compliance.manage_standards',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
@@ -434,6 +1077,7 @@ const secureOperations = {
             WHERE etc.equipment_type = ?`,
       params: ['equipmentType'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => params.equipmentType && typeof params.equipmentType === 'string'
     },
     
@@ -441,6 +1085,9 @@ const secureOperations = {
       sql: 'INSERT OR IGNORE INTO equipment_type_compliance (equipment_type, standard_id) VALUES (?, ?)',
       params: ['equipmentType', 'standardId'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'compliance.assign',
+      audit: { table: 'equipment_type_compliance', lookup: { equipment_type: 'equipmentType', standard_id: 'standardId' }, entityIdParam: 'standardId', action: 'assign' },
       validate: (params) => params.equipmentType && 
                            Number.isInteger(params.standardId) && params.standardId > 0
     },
@@ -449,6 +1096,9 @@ const secureOperations = {
       sql: 'DELETE FROM equipment_type_compliance WHERE equipment_type = ? AND standard_id = ?',
       params: ['equipmentType', 'standardId'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'compliance.assign',
+      audit: { table: 'equipment_type_compliance', lookup: { equipment_type: 'equipmentType', standard_id: 'standardId' }, entityIdParam: 'standardId', action: 'unassign' },
       validate: (params) => params.equipmentType && 
                            Number.isInteger(params.standardId) && params.standardId > 0
     },
@@ -460,6 +1110,7 @@ const secureOperations = {
             ORDER BY etc.equipment_type, cs.name`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -470,6 +1121,7 @@ const secureOperations = {
       sql: 'SELECT id, name, fields FROM inspection_templates ORDER BY name',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -478,6 +1130,9 @@ const secureOperations = {
             ON CONFLICT(name) DO UPDATE SET fields=excluded.fields`,
       params: ['name', 'fields'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'template.manage',
+      audit: { lookup: { name: 'name' } },
       validate: (params) => params.name && params.fields
     },
     
@@ -485,6 +1140,8 @@ const secureOperations = {
       sql: 'DELETE FROM inspection_templates WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'template.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     }
   },
@@ -495,6 +1152,7 @@ const secureOperations = {
       sql: 'SELECT * FROM inspection_items WHERE inspection_id = ? ORDER BY id',
       params: ['inspectionId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.inspectionId) && params.inspectionId > 0
     },
     
@@ -505,6 +1163,8 @@ const secureOperations = {
       params: ['inspectionId', 'standardRef', 'itemText', 'critical', 'result', 
                'notes', 'photos', 'component', 'priority'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'inspection.perform',
       validate: (params) => Number.isInteger(params.inspectionId) && 
                            params.inspectionId > 0 && 
                            params.itemText &&
@@ -517,6 +1177,8 @@ const secureOperations = {
       params: ['standardRef', 'itemText', 'critical', 'result', 'notes', 
                'photos', 'component', 'priority', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'inspection.perform',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            params.itemText &&
                            ['pass', 'fail', 'na'].includes(params.result)
@@ -526,6 +1188,8 @@ const secureOperations = {
       sql: 'DELETE FROM inspection_items WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'inspection.delete_items',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
@@ -538,6 +1202,7 @@ const secureOperations = {
             ORDER BY i.inspection_date DESC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -551,6 +1216,7 @@ const secureOperations = {
             ORDER BY d.created_at DESC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -558,6 +1224,7 @@ const secureOperations = {
       sql: 'SELECT * FROM deficiencies WHERE equipment_id = ? ORDER BY created_at DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -569,6 +1236,7 @@ const secureOperations = {
             ORDER BY d.created_at DESC`,
       params: ['status'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => ['open', 'in_progress', 'verified', 'closed'].includes(params.status)
     },
     
@@ -579,6 +1247,8 @@ const secureOperations = {
       params: ['equipmentId', 'inspectionItemId', 'severity', 'removeFromService', 
                'description', 'component', 'correctiveAction', 'dueDate', 'status'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'deficiency.manage',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            ['critical', 'major', 'minor'].includes(params.severity) &&
@@ -593,6 +1263,8 @@ const secureOperations = {
       params: ['severity', 'removeFromService', 'description', 'component', 
                'correctiveAction', 'dueDate', 'status', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'deficiency.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            ['critical', 'major', 'minor'].includes(params.severity) &&
                            params.description &&
@@ -605,6 +1277,15 @@ const secureOperations = {
              updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
       params: ['verificationSignature', 'id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'deficiency.close',
+      // Closing a critical deficiency also needs deficiency.close_critical
+      conditionalPermission: {
+        sql: "SELECT 1 FROM deficiencies WHERE id = ? AND severity = 'critical'",
+        params: ['id'],
+        permission: 'deficiency.close_critical'
+      },
+      audit: { action: 'close' },
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
@@ -616,6 +1297,7 @@ const secureOperations = {
             ORDER BY d.created_at DESC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -627,6 +1309,7 @@ const secureOperations = {
             ORDER BY d.due_date ASC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
 
@@ -637,6 +1320,8 @@ const secureOperations = {
       params: ['equipmentId', 'inspectionItemId', 'severity', 'removeFromService', 
                'description', 'component', 'correctiveAction', 'dueDate'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'deficiency.manage',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            Number.isInteger(params.inspectionItemId) && 
@@ -649,6 +1334,9 @@ const secureOperations = {
       sql: `UPDATE deficiencies SET work_order_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
       params: ['workOrderId', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'deficiency.manage',
+      audit: { action: 'link' },
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            Number.isInteger(params.workOrderId) && params.workOrderId > 0
     }
@@ -660,6 +1348,7 @@ const secureOperations = {
       sql: 'SELECT * FROM signatures WHERE entity_type = ? AND entity_id = ? ORDER BY timestamp DESC',
       params: ['entityType', 'entityId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => params.entityType && 
                            ['inspection', 'deficiency', 'work_order'].includes(params.entityType) &&
                            Number.isInteger(params.entityId) && params.entityId > 0
@@ -670,6 +1359,8 @@ const secureOperations = {
              VALUES (?, ?, ?, ?, ?)`,
       params: ['entityType', 'entityId', 'signatureType', 'signatoryName', 'signatureData'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'inspection.perform',
       validate: (params) => params.entityType && 
                            ['inspection', 'deficiency', 'work_order'].includes(params.entityType) &&
                            Number.isInteger(params.entityId) && params.entityId > 0 &&
@@ -682,6 +1373,8 @@ const secureOperations = {
       sql: 'DELETE FROM signatures WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'admin',
+      permission: 'signature.delete',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     }
   },
@@ -695,6 +1388,7 @@ const secureOperations = {
             ORDER BY wo.created_at DESC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -706,6 +1400,7 @@ const secureOperations = {
             ORDER BY wo.created_at DESC`,
       params: ['status'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => ['draft', 'approved', 'assigned', 'in_progress', 'completed', 'closed', 'cancelled'].includes(params.status)
     },
     
@@ -713,16 +1408,19 @@ const secureOperations = {
       sql: 'SELECT * FROM work_orders WHERE equipment_id = ? ORDER BY created_at DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
     create: {
       sql: `INSERT INTO work_orders (equipment_id, wo_number, title, description, work_type, 
-             priority, assigned_to, estimated_hours, created_by, scheduled_date, deficiency_id) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+             priority, assigned_to, estimated_hours, created_by, scheduled_date, deficiency_id, pm_schedule_id) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       params: ['equipmentId', 'woNumber', 'title', 'description', 'workType', 
-               'priority', 'assignedTo', 'estimatedHours', 'createdBy', 'scheduledDate', 'deficiencyId'],
+               'priority', 'assignedTo', 'estimatedHours', 'createdBy', 'scheduledDate', 'deficiencyId', 'pmScheduleId'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'workorder.manage',
       validate: (params) => Number.isInteger(params.equipmentId) && 
                            params.equipmentId > 0 && 
                            params.woNumber && params.title &&
@@ -731,11 +1429,35 @@ const secureOperations = {
                            params.createdBy
     },
     
+    // Raised by the PM scheduler; adds nothing while the schedule already has an open work order
+    createFromPmSchedule: {
+      sql: `INSERT INTO work_orders (equipment_id, wo_number, title, description, work_type,
+             priority, estimated_hours, created_by, scheduled_date, pm_schedule_id)
+            SELECT ps.equipment_id,
+              'PM-' || e.equipment_id || '-' || ps.id || '-' || (SELECT COUNT(*) + 1 FROM work_orders w WHERE w.pm_schedule_id = ps.id),
+              ?, ?, 'preventive', 'medium', ?, ?, ?, ps.id
+            FROM pm_schedules ps
+            JOIN equipment e ON e.id = ps.equipment_id
+            WHERE ps.id = ? AND ps.active = 1 AND NOT EXISTS (
+              SELECT 1 FROM work_orders w
+              WHERE w.pm_schedule_id = ps.id AND w.status NOT IN ('completed', 'closed', 'cancelled')
+            )`,
+      params: ['title', 'description', 'estimatedHours', 'createdBy', 'scheduledDate', 'pmScheduleId'],
+      returnType: 'write',
+      minRole: 'inspector',
+      permission: 'workorder.manage',
+      validate: (params) => Number.isInteger(params.pmScheduleId) && params.pmScheduleId > 0 &&
+                           params.title && params.createdBy &&
+                           validateDate(params.scheduledDate)
+    },
+    
     update: {
       sql: `UPDATE work_orders SET title = ?, description = ?, work_type = ?, priority = ?, 
              assigned_to = ?, estimated_hours = ?, scheduled_date = ? WHERE id = ?`,
       params: ['title', 'description', 'workType', 'priority', 'assignedTo', 'estimatedHours', 'scheduledDate', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'workorder.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            params.title &&
                            ['preventive', 'corrective', 'emergency', 'project'].includes(params.workType) &&
@@ -746,6 +1468,8 @@ const secureOperations = {
       sql: 'UPDATE work_orders SET status = ?, started_at = ?, completed_at = ?, closed_at = ? WHERE id = ?',
       params: ['status', 'startedAt', 'completedAt', 'closedAt', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'workorder.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            ['draft', 'approved', 'assigned', 'in_progress', 'completed', 'closed', 'cancelled'].includes(params.status)
     },
@@ -755,6 +1479,9 @@ const secureOperations = {
              actual_hours = ?, parts_cost = ?, labor_cost = ?, completion_notes = ? WHERE id = ?`,
       params: ['actualHours', 'partsCost', 'laborCost', 'completionNotes', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'workorder.manage',
+      audit: { action: 'complete' },
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
@@ -766,6 +1493,7 @@ const secureOperations = {
             ORDER BY wo.priority DESC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -777,6 +1505,7 @@ const secureOperations = {
             ORDER BY wo.scheduled_date ASC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -787,6 +1516,7 @@ const secureOperations = {
       sql: 'SELECT * FROM pm_templates WHERE active = 1 ORDER BY name',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -794,6 +1524,7 @@ const secureOperations = {
       sql: 'SELECT * FROM pm_templates WHERE equipment_type = ? AND active = 1 ORDER BY name',
       params: ['equipmentType'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => params.equipmentType && typeof params.equipmentType === 'string'
     },
     
@@ -806,6 +1537,8 @@ const secureOperations = {
                'frequencyUnit', 'estimatedDuration', 'instructions', 'requiredSkills', 
                'requiredParts', 'safetyNotes'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'pm.manage_templates',
       validate: (params) => params.name && params.equipmentType &&
                            ['calendar', 'usage', 'condition'].includes(params.frequencyType) &&
                            Number.isInteger(params.frequencyValue) && params.frequencyValue > 0
@@ -820,6 +1553,8 @@ const secureOperations = {
                'frequencyUnit', 'estimatedDuration', 'instructions', 'requiredSkills', 
                'requiredParts', 'safetyNotes', 'id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'pm.manage_templates',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            params.name && params.equipmentType &&
                            ['calendar', 'usage', 'condition'].includes(params.frequencyType) &&
@@ -830,6 +1565,9 @@ const secureOperations = {
       sql: 'UPDATE pm_templates SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'pm.manage_templates',
+      audit: { action: 'deactivate' },
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     }
   },
@@ -837,13 +1575,23 @@ const secureOperations = {
   // PM Schedules operations (P2 - Migration v3)
   pmSchedules: {
     getByEquipmentId: {
-      sql: `SELECT ps.*, pt.name as template_name, pt.frequency_type, pt.frequency_value, pt.frequency_unit
+      sql: `SELECT ps.*, pt.name as template_name, pt.frequency_type, pt.frequency_value, pt.frequency_unit,
+              latest.reading_value as latest_reading, latest.reading_date as latest_reading_date,
+              (SELECT wo.wo_number FROM work_orders wo
+               WHERE wo.pm_schedule_id = ps.id AND wo.status NOT IN ('completed', 'closed', 'cancelled')
+               ORDER BY wo.id DESC LIMIT 1) as open_wo_number
             FROM pm_schedules ps
             JOIN pm_templates pt ON ps.pm_template_id = pt.id
+            LEFT JOIN meter_readings latest ON latest.id = (
+              SELECT mr.id FROM meter_readings mr
+              WHERE mr.equipment_id = ps.equipment_id AND lower(trim(mr.meter_type)) = lower(trim(pt.frequency_unit))
+              ORDER BY mr.reading_date DESC, mr.id DESC LIMIT 1
+            )
             WHERE ps.equipment_id = ? AND ps.active = 1
             ORDER BY ps.next_due_date`,
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -856,6 +1604,7 @@ const secureOperations = {
             ORDER BY ps.next_due_date`,
       params: ['dueDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.dueDate)
     },
     
@@ -864,6 +1613,8 @@ const secureOperations = {
              VALUES (?, ?, ?, ?)`,
       params: ['equipmentId', 'pmTemplateId', 'nextDueDate', 'nextDueUsage'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'pm.schedule',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0 &&
                            Number.isInteger(params.pmTemplateId) && params.pmTemplateId > 0
     },
@@ -873,13 +1624,60 @@ const secureOperations = {
              last_completed_date = ?, last_completed_usage = ? WHERE id = ?`,
       params: ['nextDueDate', 'nextDueUsage', 'lastCompletedDate', 'lastCompletedUsage', 'id'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'pm.schedule',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     },
     
+    // Active schedules with the PM work done and raised against them, for pmScheduler
+    getMeterInputs: {
+      sql: `SELECT ps.id, ps.equipment_id, e.equipment_id as equipment_identifier,
+              ps.next_due_date, ps.next_due_usage, ps.last_completed_date, ps.last_completed_usage,
+              pt.name as template_name, pt.description, pt.estimated_duration,
+              pt.frequency_type, pt.frequency_value, pt.frequency_unit,
+              (SELECT MAX(date(wo.completed_at)) FROM work_orders wo
+               WHERE wo.pm_schedule_id = ps.id AND wo.status IN ('completed', 'closed')) as last_work_completed,
+              (SELECT MAX(date(wo.created_at)) FROM work_orders wo
+               WHERE wo.pm_schedule_id = ps.id) as last_work_raised,
+              (SELECT COUNT(*) FROM work_orders wo
+               WHERE wo.pm_schedule_id = ps.id AND wo.status NOT IN ('completed', 'closed', 'cancelled')) as open_work_orders
+            FROM pm_schedules ps
+            JOIN pm_templates pt ON ps.pm_template_id = pt.id
+            JOIN equipment e ON ps.equipment_id = e.id
+            WHERE ps.active = 1
+            ORDER BY ps.id`,
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    // Changes worked out by pmScheduler.planPmSchedules, applied together
+    applyMeterPlan: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'pm.schedule',
+      validate: (params) => Array.isArray(params.update) && Array.isArray(params.workOrders) &&
+                           params.update.every(item => secureOperations.pmSchedules.updateDue.validate(item)) &&
+                           params.workOrders.every(item => secureOperations.workOrders.createFromPmSchedule.validate(item)),
+      run: async (execute, params) => {
+        for (const item of params.update) {
+          await execute('pmSchedules', 'updateDue', item);
+        }
+        const raised = [];
+        for (const item of params.workOrders) {
+          const created = await execute('workOrders', 'createFromPmSchedule', item);
+          if (created.changes > 0) raised.push(created.lastID);
+        }
+        return { updated: params.update.length, raised };
+      }
+    },
+    
     getTotal: {
       sql: 'SELECT COUNT(*) as count FROM pm_schedules WHERE active = 1',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -892,6 +1690,7 @@ const secureOperations = {
             ORDER BY ps.next_due_date ASC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -902,6 +1701,7 @@ const secureOperations = {
       sql: 'SELECT * FROM load_tests WHERE equipment_id = ? ORDER BY test_date DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -913,6 +1713,7 @@ const secureOperations = {
             ORDER BY lt.next_test_due`,
       params: ['dueDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.dueDate)
     },
     
@@ -925,6 +1726,8 @@ const secureOperations = {
                'testLoad', 'testDuration', 'inspector', 'testResults', 'deficienciesFound', 
                'correctiveActions', 'nextTestDue', 'certificateNumber', 'notes'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'loadtest.record',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0 &&
                            validateDate(params.testDate) &&
                            ['annual', 'periodic', 'initial', 'after_repair'].includes(params.testType) &&
@@ -938,6 +1741,7 @@ const secureOperations = {
             GROUP BY equipment_id`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -945,6 +1749,7 @@ const secureOperations = {
       sql: 'SELECT COUNT(*) as count FROM load_tests',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -956,6 +1761,7 @@ const secureOperations = {
             ORDER BY lt.next_test_due ASC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -966,6 +1772,7 @@ const secureOperations = {
       sql: 'SELECT * FROM calibrations WHERE equipment_id = ? ORDER BY calibration_date DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -977,6 +1784,7 @@ const secureOperations = {
             ORDER BY c.calibration_due_date`,
       params: ['dueDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.dueDate)
     },
     
@@ -989,6 +1797,8 @@ const secureOperations = {
                'calibratedBy', 'calibrationAgency', 'certificateNumber', 'calibrationResults', 
                'accuracyTolerance', 'actualAccuracy', 'adjustmentsMade', 'notes'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'calibration.record',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0 &&
                            params.instrumentType &&
                            validateDate(params.calibrationDate) &&
@@ -1001,6 +1811,7 @@ const secureOperations = {
       sql: 'SELECT COUNT(*) as count FROM calibrations',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -1012,6 +1823,7 @@ const secureOperations = {
             ORDER BY c.calibration_due_date ASC`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -1022,6 +1834,7 @@ const secureOperations = {
       sql: 'SELECT * FROM credentials ORDER BY person_name, credential_type',
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -1029,6 +1842,7 @@ const secureOperations = {
       sql: 'SELECT * FROM credentials WHERE person_name = ? ORDER BY credential_type',
       params: ['personName'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => params.personName && typeof params.personName === 'string'
     },
     
@@ -1038,6 +1852,7 @@ const secureOperations = {
             ORDER BY expiration_date`,
       params: ['expirationDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.expirationDate)
     },
     
@@ -1049,6 +1864,8 @@ const secureOperations = {
       params: ['personName', 'credentialType', 'equipmentTypes', 'certificationBody', 
                'certificateNumber', 'issueDate', 'expirationDate', 'renewalRequired', 'notes'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'credential.manage',
       validate: (params) => params.personName && params.credentialType &&
                            validateDate(params.issueDate) &&
                            validateDate(params.expirationDate)
@@ -1058,6 +1875,8 @@ const secureOperations = {
       sql: 'UPDATE credentials SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       params: ['status', 'id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'credential.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            ['active', 'expired', 'suspended', 'revoked'].includes(params.status)
     },
@@ -1066,6 +1885,7 @@ const secureOperations = {
       sql: 'SELECT COUNT(*) as count FROM credentials',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     }
   },
@@ -1073,16 +1893,18 @@ const secureOperations = {
   // Users operations (P2 - Migration v5)
   users: {
     getAll: {
-      sql: 'SELECT * FROM users WHERE active = 1 ORDER BY full_name',
+      sql: `SELECT ${USER_PUBLIC_COLUMNS} FROM users WHERE active = 1 ORDER BY full_name`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
     getByUsername: {
-      sql: 'SELECT * FROM users WHERE username = ? AND active = 1',
+      sql: `SELECT ${USER_PUBLIC_COLUMNS} FROM users WHERE username = ? AND active = 1`,
       params: ['username'],
       returnType: 'one',
+      minRole: 'viewer',
       validate: (params) => params.username && typeof params.username === 'string'
     },
     
@@ -1091,20 +1913,160 @@ const secureOperations = {
              VALUES (?, ?, ?, ?)`,
       params: ['username', 'fullName', 'email', 'role'],
       returnType: 'write',
+      minRole: 'admin',
+      permission: 'user.manage',
+      conditionalRole: { sql: "SELECT 1 WHERE ? = 'admin'", params: ['role'], role: 'admin' },
       validate: (params) => params.username && params.fullName &&
-                           ['admin', 'inspector', 'reviewer', 'viewer'].includes(params.role)
+                           ['admin', 'inspector', 'reviewer', 'viewer'].includes(params.role) &&
+                           validateEmail(params.email)
+    },
+    
+    // Administration list: includes deactivated accounts, and whether each can sign in with a password
+    getAllIncludingInactive: {
+      sql: `SELECT ${USER_PUBLIC_COLUMNS}, password_hash IS NOT NULL AS has_password
+            FROM users ORDER BY active DESC, full_name`,
+      params: [],
+      returnType: 'many',
+      minRole: 'admin',
+      permission: 'user.manage',
+      validate: () => true
+    },
+    
+    update: {
+      sql: 'UPDATE users SET full_name = ?, email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      params: ['fullName', 'email', 'id'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'user.manage',
+      conditionalRole: ADMIN_ACCOUNT_ROLE,
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           typeof params.fullName === 'string' && params.fullName.trim().length > 0 &&
+                           validateEmail(params.email)
+    },
+    
+    // The users_keep_last_admin trigger rejects demoting or deactivating the last active admin
+    updateRole: {
+      sql: 'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      params: ['role', 'id'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'user.manage',
+      // Promoting to admin, or changing an admin's role
+      conditionalRole: {
+        sql: "SELECT 1 WHERE ? = 'admin' OR EXISTS (SELECT 1 FROM users WHERE id = ? AND role = 'admin')",
+        params: ['role', 'id'],
+        role: 'admin'
+      },
+      audit: { action: 'role_change' },
+      validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
+                           Object.keys(ROLE_LEVELS).includes(params.role)
+    },
+    
+    deactivate: {
+      sql: 'UPDATE users SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      params: ['id'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'user.manage',
+      conditionalRole: ADMIN_ACCOUNT_ROLE,
+      audit: { action: 'deactivate' },
+      validate: (params) => Number.isInteger(params.id) && params.id > 0
+    },
+    
+    reactivate: {
+      sql: 'UPDATE users SET active = 1, failed_login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      params: ['id'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'user.manage',
+      conditionalRole: ADMIN_ACCOUNT_ROLE,
+      audit: { action: 'reactivate' },
+      validate: (params) => Number.isInteger(params.id) && params.id > 0
+    },
+    
+    // Creates every user of an import or none of them
+    import: {
+      returnType: 'batch',
+      minRole: 'admin',
+      permission: 'user.manage',
+      validate: (params) => Array.isArray(params.users) &&
+                           params.users.length > 0 && params.users.length <= MAX_USER_IMPORT &&
+                           params.users.every(user => user && typeof user.username === 'string'),
+      run: async (execute, params) => {
+        const userIds = [];
+        for (const user of params.users) {
+          const result = await execute('users', 'create', {
+            username: user.username.trim(),
+            fullName: user.fullName,
+            email: user.email || null,
+            role: user.role
+          });
+          userIds.push(result.lastID);
+        }
+        return { userIds };
+      }
     },
     
     updateLastLogin: {
       sql: 'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'admin',
+      permission: 'user.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     }
   },
 
+  // Role permission overrides (Migration v9); defaults live in permissions.js
+  permissions: {
+    getOverrides: {
+      sql: 'SELECT role, permission, granted, updated_at FROM role_permissions ORDER BY role, permission',
+      params: [],
+      returnType: 'many',
+      minRole: 'admin',
+      permission: 'permission.manage',
+      validate: () => true
+    },
+    
+    setGrant: {
+      sql: `INSERT INTO role_permissions (role, permission, granted) VALUES (?, ?, ?)
+            ON CONFLICT(role, permission) DO UPDATE SET granted = excluded.granted, updated_at = CURRENT_TIMESTAMP`,
+      params: ['role', 'permission', 'granted'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'permission.manage',
+      audit: { lookup: { role: 'role', permission: 'permission' }, action: 'permission_change' },
+      validate: (params) => isGrantable(params.role, params.permission) &&
+                           [0, 1].includes(params.granted)
+    }
+  },
+
+  // Application settings (Migration v10); defaults and ranges live in appSettings.js
+  settings: {
+    getAll: {
+      sql: 'SELECT key, value, updated_at FROM app_settings ORDER BY key',
+      params: [],
+      returnType: 'many',
+      minRole: 'admin',
+      permission: 'settings.manage',
+      validate: () => true
+    },
+    
+    set: {
+      sql: `INSERT INTO app_settings (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+      params: ['key', 'value'],
+      returnType: 'write',
+      minRole: 'admin',
+      permission: 'settings.manage',
+      audit: { lookup: { key: 'key' }, action: 'setting_change' },
+      validate: (params) => typeof params.value === 'string' && isValidSetting(params.key, params.value)
+    }
+  },
+
   // Audit Log operations (P2 - Migration v5)
   auditLog: {
+    // Executed through auditLogger.recordAuditEntry so the row joins the hash chain
     create: {
       sql: `INSERT INTO audit_log (user_id, username, action, entity_type, entity_id, 
              old_values, new_values, ip_address, user_agent) 
@@ -1112,6 +2074,8 @@ const secureOperations = {
       params: ['userId', 'username', 'action', 'entityType', 'entityId', 
                'oldValues', 'newValues', 'ipAddress', 'userAgent'],
       returnType: 'write',
+      minRole: 'viewer',
+      audit: false,
       validate: (params) => params.username && params.action && params.entityType &&
                            Number.isInteger(params.entityId) && params.entityId > 0
     },
@@ -1122,6 +2086,8 @@ const secureOperations = {
             ORDER BY timestamp DESC`,
       params: ['entityType', 'entityId'],
       returnType: 'many',
+      minRole: 'reviewer',
+      permission: 'audit.view',
       validate: (params) => params.entityType &&
                            Number.isInteger(params.entityId) && params.entityId > 0
     },
@@ -1130,7 +2096,55 @@ const secureOperations = {
       sql: 'SELECT * FROM audit_log ORDER BY timestamp DESC LIMIT ?',
       params: ['limit'],
       returnType: 'many',
+      minRole: 'reviewer',
+      permission: 'audit.view',
       validate: (params) => Number.isInteger(params.limit) && params.limit > 0
+    },
+    
+    // Filtered page of the log, newest first. Paging is keyset-based on id (pass the
+    // last id of the previous page as beforeId); the id bound is a primary key range
+    // seek, so deep pages stay as fast as the first.
+    search: {
+      sql: `SELECT id, user_id, username, action, entity_type, entity_id, old_values, new_values,
+             ip_address, user_agent, timestamp
+            FROM audit_log
+            WHERE id < COALESCE(?, 9223372036854775807)
+              AND (? IS NULL OR username = ?)
+              AND (? IS NULL OR action = ?)
+              AND (? IS NULL OR entity_type = ?)
+              AND (? IS NULL OR timestamp >= ?)
+              AND (? IS NULL OR timestamp < ?)
+            ORDER BY id DESC
+            LIMIT ?`,
+      params: ['beforeId', 'username', 'username', 'action', 'action', 'entityType', 'entityType',
+               'from', 'from', 'to', 'to', 'limit'],
+      returnType: 'many',
+      minRole: 'reviewer',
+      permission: 'audit.view',
+      validate: (params) => {
+        const optionalText = (value) => value == null || (typeof value === 'string' && value.length > 0);
+        const optionalTimestamp = (value) => value == null || (typeof value === 'string' &&
+                                  /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value));
+        return optionalText(params.username) && optionalText(params.action) &&
+               optionalText(params.entityType) &&
+               optionalTimestamp(params.from) && optionalTimestamp(params.to) &&
+               (params.beforeId == null || (Number.isInteger(params.beforeId) && params.beforeId > 0)) &&
+               Number.isInteger(params.limit) && params.limit > 0 && params.limit <= 1000;
+      }
+    },
+    
+    getFilterValues: {
+      sql: `SELECT 'username' as field, username as value FROM audit_log GROUP BY username
+            UNION ALL
+            SELECT 'action' as field, action as value FROM audit_log GROUP BY action
+            UNION ALL
+            SELECT 'entity_type' as field, entity_type as value FROM audit_log GROUP BY entity_type
+            ORDER BY field, value`,
+      params: [],
+      returnType: 'many',
+      minRole: 'reviewer',
+      permission: 'audit.view',
+      validate: () => true
     }
   },
 
@@ -1140,6 +2154,7 @@ const secureOperations = {
       sql: 'SELECT * FROM certificates WHERE equipment_id = ? ORDER BY issue_date DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
@@ -1147,6 +2162,7 @@ const secureOperations = {
       sql: 'SELECT * FROM certificates WHERE certificate_number = ?',
       params: ['certificateNumber'],
       returnType: 'one',
+      minRole: 'viewer',
       validate: (params) => params.certificateNumber && typeof params.certificateNumber === 'string'
     },
     
@@ -1158,6 +2174,7 @@ const secureOperations = {
             ORDER BY c.expiration_date`,
       params: ['expirationDate'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => validateDate(params.expirationDate)
     },
     
@@ -1168,6 +2185,8 @@ const secureOperations = {
       params: ['certificateNumber', 'certificateType', 'equipmentId', 'entityId', 
                'issueDate', 'expirationDate', 'issuedBy', 'qrCodeData', 'certificateHash'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: (params) => CERTIFICATE_PERMISSIONS[params.certificateType],
       validate: (params) => params.certificateNumber &&
                            ['inspection', 'load_test', 'calibration'].includes(params.certificateType) &&
                            Number.isInteger(params.equipmentId) && params.equipmentId > 0 &&
@@ -1180,6 +2199,8 @@ const secureOperations = {
       sql: 'UPDATE certificates SET status = ? WHERE id = ?',
       params: ['status', 'id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'certificate.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            ['active', 'expired', 'revoked'].includes(params.status)
     },
@@ -1188,26 +2209,167 @@ const secureOperations = {
       sql: 'SELECT COUNT(*) as count FROM certificates',
       params: [],
       returnType: 'scalar',
+      minRole: 'viewer',
       validate: () => true
     }
   },
 
   // Meter Readings operations (P2 - Migration v3)
+  // Entity sets of the Export view. Photos, signatures and QR images are left out:
+  // they are image data, not values a spreadsheet or ERP can use.
+  dataExport: {
+    equipment: exportOperation({
+      select: `SELECT e.id, e.equipment_id, e.type, e.manufacturer, e.model, e.serial_number, e.capacity,
+               e.installation_date, e.location, e.status, e.site, e.building, e.bay, e.parent_id,
+               p.equipment_id as parent_identifier, e.tagged_out
+               FROM equipment e LEFT JOIN equipment p ON e.parent_id = p.id`,
+      dateColumn: 'e.installation_date',
+      siteColumn: 'e.site',
+      orderBy: 'e.equipment_id'
+    }),
+    
+    inspections: exportOperation({
+      select: `SELECT i.id, i.equipment_id, e.equipment_id as equipment_identifier, i.inspector, i.inspection_date,
+               i.findings, i.corrective_actions, i.summary_comments, i.scheduled_inspection_id
+               FROM inspections i JOIN equipment e ON i.equipment_id = e.id`,
+      dateColumn: 'i.inspection_date_date',
+      siteColumn: 'e.site',
+      orderBy: 'i.inspection_date_date DESC, i.id'
+    }),
+    
+    // Items of the inspections the same filters select
+    inspectionItems: exportOperation({
+      select: `SELECT ii.id, ii.inspection_id, ii.standard_ref, ii.item_text, ii.component, ii.critical,
+               ii.result, ii.priority, ii.notes, ii.created_at
+               FROM inspection_items ii JOIN inspections i ON ii.inspection_id = i.id JOIN equipment e ON i.equipment_id = e.id`,
+      dateColumn: 'i.inspection_date_date',
+      siteColumn: 'e.site',
+      orderBy: 'ii.inspection_id, ii.id'
+    }),
+    
+    deficiencies: exportOperation({
+      select: `SELECT d.id, d.equipment_id, e.equipment_id as equipment_identifier, d.inspection_item_id, d.severity,
+               d.remove_from_service, d.description, d.component, d.corrective_action, d.due_date, d.status,
+               d.created_at, d.updated_at, d.closed_at, d.verification_timestamp, d.work_order_id
+               FROM deficiencies d JOIN equipment e ON d.equipment_id = e.id`,
+      dateColumn: 'd.created_at',
+      siteColumn: 'e.site',
+      orderBy: 'd.created_at DESC, d.id'
+    }),
+    
+    workOrders: exportOperation({
+      select: `SELECT wo.id, wo.wo_number, wo.equipment_id, e.equipment_id as equipment_identifier, wo.title, wo.description,
+               wo.work_type, wo.priority, wo.status, wo.assigned_to, wo.estimated_hours, wo.actual_hours, wo.parts_cost,
+               wo.labor_cost, wo.created_by, wo.created_at, wo.scheduled_date, wo.started_at, wo.completed_at,
+               wo.closed_at, wo.deficiency_id, wo.pm_schedule_id, wo.completion_notes
+               FROM work_orders wo JOIN equipment e ON wo.equipment_id = e.id`,
+      dateColumn: 'wo.created_at',
+      siteColumn: 'e.site',
+      orderBy: 'wo.created_at DESC, wo.id'
+    }),
+    
+    pmSchedules: exportOperation({
+      select: `SELECT ps.*, e.equipment_id as equipment_identifier, pt.name as template_name
+               FROM pm_schedules ps JOIN pm_templates pt ON ps.pm_template_id = pt.id JOIN equipment e ON ps.equipment_id = e.id`,
+      dateColumn: 'ps.next_due_date',
+      siteColumn: 'e.site',
+      orderBy: 'ps.next_due_date, ps.id'
+    }),
+    
+    loadTests: exportOperation({
+      select: `SELECT lt.*, e.equipment_id as equipment_identifier
+               FROM load_tests lt JOIN equipment e ON lt.equipment_id = e.id`,
+      dateColumn: 'lt.test_date',
+      siteColumn: 'e.site',
+      orderBy: 'lt.test_date DESC, lt.id'
+    }),
+    
+    calibrations: exportOperation({
+      select: `SELECT c.*, e.equipment_id as equipment_identifier
+               FROM calibrations c JOIN equipment e ON c.equipment_id = e.id`,
+      dateColumn: 'c.calibration_date',
+      siteColumn: 'e.site',
+      orderBy: 'c.calibration_date DESC, c.id'
+    }),
+    
+    credentials: exportOperation({
+      select: 'SELECT * FROM credentials',
+      dateColumn: 'issue_date',
+      orderBy: 'person_name, credential_type'
+    }),
+    
+    certificates: exportOperation({
+      select: `SELECT c.id, c.certificate_number, c.certificate_type, c.equipment_id, e.equipment_id as equipment_identifier,
+               c.entity_id, c.issue_date, c.expiration_date, c.issued_by, c.certificate_hash, c.certificate_path,
+               c.status, c.created_at
+               FROM certificates c JOIN equipment e ON c.equipment_id = e.id`,
+      dateColumn: 'c.issue_date',
+      siteColumn: 'e.site',
+      orderBy: 'c.issue_date DESC, c.id'
+    })
+  },
+
+  // Full-text search over search_index, which triggers keep in step with the records it covers
+  search: {
+    // `query` is an FTS5 MATCH expression (see src/utils/search.js); snippets mark
+    // matched terms with the control characters \u0002 and \u0003
+    query: {
+      sql: `SELECT search_index.entity_type, search_index.entity_id, search_index.equipment_id,
+              e.equipment_id as equipment_identifier,
+              snippet(search_index, -1, char(2), char(3), '…', 12) as snippet
+            FROM search_index
+            LEFT JOIN equipment e ON e.id = search_index.equipment_id
+            WHERE search_index MATCH ?
+            ORDER BY bm25(search_index, 0, 0, 0, 10, 1)
+            LIMIT ?`,
+      params: ['query', 'limit'],
+      returnType: 'many',
+      minRole: 'viewer',
+      validate: (params) => typeof params.query === 'string' && params.query.trim().length > 0 &&
+                           params.query.length <= MAX_SEARCH_QUERY_LENGTH &&
+                           Number.isInteger(params.limit) && params.limit > 0 && params.limit <= MAX_SEARCH_RESULTS
+    }
+  },
+
   meterReadings: {
     getByEquipmentId: {
       sql: 'SELECT * FROM meter_readings WHERE equipment_id = ? ORDER BY reading_date DESC',
       params: ['equipmentId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0
     },
     
+    // The most recent reading of each meter, by reading date
     getLatestByEquipment: {
-      sql: `SELECT equipment_id, meter_type, MAX(reading_value) as latest_reading, 
-            MAX(reading_date) as latest_date
-            FROM meter_readings 
-            GROUP BY equipment_id, meter_type`,
+      sql: `SELECT mr.equipment_id, mr.meter_type, mr.reading_value as latest_reading, 
+            mr.reading_date as latest_date
+            FROM meter_readings mr
+            WHERE mr.id = (
+              SELECT latest.id FROM meter_readings latest
+              WHERE latest.equipment_id = mr.equipment_id AND latest.meter_type = mr.meter_type
+              ORDER BY latest.reading_date DESC, latest.id DESC LIMIT 1
+            )
+            ORDER BY mr.equipment_id, mr.meter_type`,
       params: [],
       returnType: 'many',
+      minRole: 'viewer',
+      validate: () => true
+    },
+    
+    // Readings of equipment with an active usage or condition PM schedule, oldest first
+    getForPmSchedules: {
+      sql: `SELECT mr.equipment_id, mr.meter_type, mr.reading_value, mr.reading_date
+            FROM meter_readings mr
+            WHERE mr.equipment_id IN (
+              SELECT ps.equipment_id FROM pm_schedules ps
+              JOIN pm_templates pt ON ps.pm_template_id = pt.id
+              WHERE ps.active = 1 AND pt.frequency_type IN ('usage', 'condition')
+            )
+            ORDER BY mr.equipment_id, mr.reading_date, mr.id`,
+      params: [],
+      returnType: 'many',
+      minRole: 'viewer',
       validate: () => true
     },
     
@@ -1217,11 +2379,31 @@ const secureOperations = {
              VALUES (?, ?, ?, ?, ?, ?)`,
       params: ['equipmentId', 'meterType', 'readingValue', 'readingDate', 'recordedBy', 'notes'],
       returnType: 'write',
+      minRole: 'inspector',
+      permission: 'meter.record',
       validate: (params) => Number.isInteger(params.equipmentId) && params.equipmentId > 0 &&
                            params.meterType &&
-                           typeof params.readingValue === 'number' &&
+                           Number.isFinite(params.readingValue) && params.readingValue >= 0 &&
                            validateDate(params.readingDate) &&
                            params.recordedBy
+    },
+    
+    // Readings of several meters, e.g. a whole bay after a shift, saved together
+    createBatch: {
+      returnType: 'batch',
+      minRole: 'inspector',
+      permission: 'meter.record',
+      validate: (params) => Array.isArray(params.readings) &&
+                           params.readings.length > 0 && params.readings.length <= MAX_METER_BATCH &&
+                           params.readings.every(reading => secureOperations.meterReadings.create.validate(reading)),
+      run: async (execute, params) => {
+        const createdIds = [];
+        for (const reading of params.readings) {
+          const created = await execute('meterReadings', 'create', reading);
+          createdIds.push(created.lastID);
+        }
+        return { createdIds };
+      }
     }
   },
 
@@ -1231,6 +2413,7 @@ const secureOperations = {
       sql: 'SELECT * FROM template_items WHERE template_id = ? ORDER BY item_order',
       params: ['templateId'],
       returnType: 'many',
+      minRole: 'viewer',
       validate: (params) => Number.isInteger(params.templateId) && params.templateId > 0
     },
     
@@ -1241,6 +2424,8 @@ const secureOperations = {
       params: ['templateId', 'standardId', 'itemOrder', 'standardRef', 'itemText', 
                'critical', 'component', 'inspectionMethod', 'acceptanceCriteria', 'notes'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'template.manage',
       validate: (params) => Number.isInteger(params.templateId) && params.templateId > 0 &&
                            Number.isInteger(params.itemOrder) && params.itemOrder > 0 &&
                            params.itemText
@@ -1253,6 +2438,8 @@ const secureOperations = {
       params: ['standardId', 'itemOrder', 'standardRef', 'itemText', 'critical', 
                'component', 'inspectionMethod', 'acceptanceCriteria', 'notes', 'id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'template.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0 &&
                            Number.isInteger(params.itemOrder) && params.itemOrder > 0 &&
                            params.itemText
@@ -1262,15 +2449,58 @@ const secureOperations = {
       sql: 'DELETE FROM template_items WHERE id = ?',
       params: ['id'],
       returnType: 'write',
+      minRole: 'reviewer',
+      permission: 'template.manage',
       validate: (params) => Number.isInteger(params.id) && params.id > 0
     }
   }
 };
 
+/**
+ * Resolves the permission key an operation call needs
+ * @param {Object} operationDef - Operation definition
+ * @param {Object} params - Call parameters
+ * @returns {string|null} - Permission key; null if the operation is guarded by minRole only
+ *                          (or its params select no permission, which validation then rejects)
+ */
+function getRequiredPermission(operationDef, params) {
+  const { permission } = operationDef;
+  return (typeof permission === 'function' ? permission(params || {}) : permission) || null;
+}
+
+/**
+ * Resolves the audit target for a write operation
+ * @param {string} category - Operation category
+ * @param {string} operation - Operation name
+ * @returns {Object|null} - { entityType, table, lookup, entityIdParam, action, statement }, or null if not audited
+ */
+function getAuditTarget(category, operation) {
+  const operationDef = secureOperations[category]?.[operation];
+  if (!operationDef || operationDef.returnType !== 'write' || operationDef.audit === false) {
+    return null;
+  }
+
+  const entity = AUDIT_ENTITIES[category];
+  if (!entity) {
+    return null;
+  }
+
+  return {
+    ...entity,
+    ...operationDef.audit,
+    statement: operationDef.sql.trim().split(/\s+/)[0].toUpperCase()
+  };
+}
+
 module.exports = {
   secureOperations,
+  getAuditTarget,
+  getRequiredPermission,
+  ROLE_LEVELS,
+  hasRequiredRole,
   validateFilePath,
   validateEquipmentId,
   validateInspector,
-  validateDate
+  validateDate,
+  validateEmail
 };
@@ -0,0 +1,174 @@
+/**
+ * Session Manager
+ *
+ * Main-process store of authenticated sessions. Each session is bound to the
+ * renderer (webContents) that signed in, so a token replayed from another
+ * window is rejected. Roles used for operation checks come from here, never
+ * from the renderer.
+ *
+ * Sessions lock after a period without activity and end for good once they
+ * reach their maximum lifetime. A locked session keeps its identity so the
+ * user can unlock it, but may not run operations until they do.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 32;
+
+// The renderer reports activity at most this often, so idleness is only
+// assumed once the timeout has passed by more than one reporting interval
+const ACTIVITY_REPORT_INTERVAL_MS = 60 * 1000;
+
+// Context used for operations the main process runs on its own behalf
+const SYSTEM_SESSION = Object.freeze({
+  userId: null,
+  username: 'system',
+  role: 'admin',
+  system: true,
+  restricted: false
+});
+
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Creates a session for an authenticated user
+   * @param {Object} user - Sanitized users row
+   * @param {number} ownerId - webContents ID of the renderer that signed in
+   * @param {Object} options - { restricted } - restricted sessions may only change their password
+   * @returns {string} - Opaque session token
+   */
+  create(user, ownerId, { restricted = false } = {}) {
+    // One session per renderer: signing in again replaces the previous user
+    this.destroyForOwner(ownerId);
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    const now = Date.now();
+    this.sessions.set(token, {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      ownerId,
+      restricted,
+      locked: false,
+      createdAt: now,
+      lastActivity: now
+    });
+    return token;
+  }
+
+  /**
+   * Resolves a token to its session if it exists and belongs to the calling renderer
+   * @param {string} token - Session token
+   * @param {number} ownerId - webContents ID of the caller
+   * @returns {Object|null} - Session, or null if missing or presented by another renderer
+   */
+  get(token, ownerId) {
+    if (!token || typeof token !== 'string') return null;
+    const session = this.sessions.get(token);
+    if (!session || session.ownerId !== ownerId) return null;
+    return session;
+  }
+
+  // Records activity; a locked session stays idle until it is unlocked
+  touch(token) {
+    const session = this.sessions.get(token);
+    if (session && !session.locked) {
+      session.lastActivity = Date.now();
+    }
+  }
+
+  lock(token) {
+    const session = this.sessions.get(token);
+    if (session && !session.locked) {
+      session.locked = true;
+      session.lockedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+
+  unlock(token) {
+    const session = this.sessions.get(token);
+    if (session) {
+      session.locked = false;
+      session.lockedAt = null;
+      session.lastActivity = Date.now();
+    }
+    return session || null;
+  }
+
+  /**
+   * Classifies a session against the current timeouts
+   * @param {Object} session - Session from get() or findByOwner()
+   * @param {Object} policy - { idleTimeoutMs, maxLifetimeMs }
+   * @param {number} now - Current time in milliseconds
+   * @returns {string} - 'expired', 'locked', 'idle' (due to be locked) or 'active'
+   */
+  getState(session, { idleTimeoutMs, maxLifetimeMs }, now = Date.now()) {
+    if (now >= session.createdAt + maxLifetimeMs) return 'expired';
+    if (session.locked) return 'locked';
+    if (now - session.lastActivity > idleTimeoutMs + ACTIVITY_REPORT_INTERVAL_MS) return 'idle';
+    return 'active';
+  }
+
+  findByOwner(ownerId) {
+    for (const [token, session] of this.sessions) {
+      if (session.ownerId === ownerId) {
+        return { token, session };
+      }
+    }
+    return null;
+  }
+
+  update(token, changes) {
+    const session = this.sessions.get(token);
+    if (session) {
+      Object.assign(session, changes);
+    }
+    return session || null;
+  }
+
+  destroy(token) {
+    return this.sessions.delete(token);
+  }
+
+  destroyForOwner(ownerId) {
+    for (const [token, session] of this.sessions) {
+      if (session.ownerId === ownerId) {
+        this.sessions.delete(token);
+      }
+    }
+  }
+
+  // Applies an account change (e.g. a new role) to every open session of the user
+  updateForUser(userId, changes) {
+    let updated = 0;
+    for (const session of this.sessions.values()) {
+      if (session.userId === userId) {
+        Object.assign(session, changes);
+        updated++;
+      }
+    }
+    return updated;
+  }
+
+  destroyForUser(userId) {
+    let removed = 0;
+    for (const [token, session] of this.sessions) {
+      if (session.userId === userId) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  ACTIVITY_REPORT_INTERVAL_MS,
+  SessionManager,
+  SYSTEM_SESSION
+};
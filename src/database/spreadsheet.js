@@ -0,0 +1,233 @@
+/**
+ * Spreadsheet Reading
+ *
+ * Minimal reader for the first worksheet of an Excel workbook (.xlsx), used by
+ * the equipment import. A workbook is a zip of XML parts; this reads the zip
+ * central directory, inflates the parts it needs and returns the cell text in
+ * the same { line, cells } rows the CSV reader produces. Date-formatted cells
+ * are returned as YYYY-MM-DD.
+ */
+
+const zlib = require('zlib');
+
+// Limits on what one workbook may expand to
+const MAX_PART_SIZE = 50 * 1024 * 1024;
+const MAX_ROWS = 10000;
+// Columns in an Excel worksheet (A to XFD)
+const MAX_COLUMNS = 16384;
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const DAMAGED_ZIP = 'Not an Excel workbook: the zip directory is damaged';
+
+// Built-in number formats that display a date
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Days between Excel's 1900 date system epoch and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const isXlsxFile = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+
+/**
+ * Lists the entries of a zip archive by name
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Map<string, Object>} - name → { method, compressedSize, size, offset }
+ */
+function readZipDirectory(buffer) {
+  let end = -1;
+  // The end record is 22 bytes plus a comment of up to 64 KB
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not an Excel workbook: the zip directory is missing');
+  }
+
+  // Every directory entry lies between the directory start and the end record, and
+  // every entry's data before the directory
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  const directoryStart = buffer.readUInt32LE(end + 16);
+  let offset = directoryStart;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > end || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error(DAMAGED_ZIP);
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const next = offset + 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    const entry = {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42)
+    };
+    if (next > end || entry.offset + 30 + entry.compressedSize > directoryStart ||
+        buffer.readUInt32LE(entry.offset) !== LOCAL_FILE_HEADER) {
+      throw new Error(DAMAGED_ZIP);
+    }
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), entry);
+    offset = next;
+  }
+  return entries;
+}
+
+function readZipEntry(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  if (entry.size > MAX_PART_SIZE) {
+    throw new Error(`Workbook part ${name} is too large to import`);
+  }
+
+  const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  if (start + entry.compressedSize > buffer.length) {
+    throw new Error(DAMAGED_ZIP);
+  }
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data.toString('utf8');
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE }).toString('utf8');
+  throw new Error(`Workbook part ${name} uses an unsupported compression method`);
+}
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Text of every <t> run inside an element, so rich text comes back whole; phonetic guides are left out
+const textRuns = (xml) => [...xml.replace(/<rPh[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+function readSharedStrings(xml) {
+  if (!xml) return [];
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textRuns(match[1]));
+}
+
+// A custom number format shows a date if it has day, month or year codes outside quotes and brackets
+const isDateFormatCode = (code) => /[dmy]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''));
+
+/**
+ * Finds which cell styles display their number as a date
+ * @param {string|null} xml - xl/styles.xml
+ * @returns {Set<number>} - Indexes into cellXfs
+ */
+function readDateStyles(xml) {
+  const dateStyles = new Set();
+  if (!xml) return dateStyles;
+
+  const dateFormats = new Set(DATE_FORMAT_IDS);
+  for (const [tag] of xml.matchAll(/<numFmt\s[^>]*>/g)) {
+    if (isDateFormatCode(attribute(tag, 'formatCode') || '')) {
+      dateFormats.add(Number(attribute(tag, 'numFmtId')));
+    }
+  }
+
+  const cellXfs = xml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (cellXfs) {
+    [...cellXfs[1].matchAll(/<xf\s[^>]*>/g)].forEach(([tag], index) => {
+      if (dateFormats.has(Number(attribute(tag, 'numFmtId')))) dateStyles.add(index);
+    });
+  }
+  return dateStyles;
+}
+
+// Converts a serial day number of the 1900 date system to YYYY-MM-DD
+const serialToDate = (serial) => new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * 86400000)).toISOString().slice(0, 10);
+
+// Zero-based column of a cell reference such as "AB12", or -1 when it is not one
+const columnIndex = (reference) => {
+  const letters = reference.match(/^([A-Z]{1,3})\d*$/);
+  if (!letters) return -1;
+  return [...letters[1]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Path of the first worksheet, following the workbook's relationships
+function firstSheetPath(entries, workbookXml, relationshipsXml) {
+  const sheet = workbookXml && workbookXml.match(/<sheet\s[^>]*>/);
+  const relationshipId = sheet && attribute(sheet[0], 'r:id');
+  const relationship = relationshipId && relationshipsXml &&
+    [...relationshipsXml.matchAll(/<Relationship\s[^>]*>/g)].find(([tag]) => attribute(tag, 'Id') === relationshipId);
+  if (relationship) {
+    const target = attribute(relationship[0], 'Target');
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return entries.has('xl/worksheets/sheet1.xml') ? 'xl/worksheets/sheet1.xml' : null;
+}
+
+/**
+ * Reads the cell text of the first worksheet of an .xlsx workbook. Empty rows are skipped.
+ * @param {Buffer} buffer - Workbook file contents
+ * @returns {Array<Object>} - [{ line, cells }] where line is the worksheet row number
+ */
+function readXlsxRows(buffer) {
+  if (!isXlsxFile(buffer)) {
+    throw new Error('Not an Excel workbook (.xlsx)');
+  }
+
+  const entries = readZipDirectory(buffer);
+  const sheetPath = firstSheetPath(
+    entries,
+    readZipEntry(buffer, entries, 'xl/workbook.xml'),
+    readZipEntry(buffer, entries, 'xl/_rels/workbook.xml.rels')
+  );
+  const sheetXml = sheetPath && readZipEntry(buffer, entries, sheetPath);
+  if (!sheetXml) {
+    throw new Error('The workbook has no worksheet');
+  }
+  const sharedStrings = readSharedStrings(readZipEntry(buffer, entries, 'xl/sharedStrings.xml'));
+  const dateStyles = readDateStyles(readZipEntry(buffer, entries, 'xl/styles.xml'));
+
+  const rows = [];
+  for (const [, rowTag = '', rowXml = ''] of sheetXml.matchAll(/<row(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    for (const [, cellTag, cellXml = ''] of rowXml.matchAll(/<c(\s[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = attribute(cellTag, 'r');
+      const column = reference ? columnIndex(reference) : cells.length;
+      if (column < 0) {
+        throw new Error(`The worksheet has an invalid cell reference: ${reference}`);
+      }
+      if (column >= MAX_COLUMNS) {
+        throw new Error(`The worksheet has cells beyond its last column (${MAX_COLUMNS})`);
+      }
+      const type = attribute(cellTag, 't');
+      const valueMatch = cellXml.match(/<v>([^<]*)<\/v>/);
+      const value = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+      let text;
+      if (type === 's') text = sharedStrings[Number(value)] || '';
+      else if (type === 'inlineStr') text = textRuns(cellXml);
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      else if (value !== '' && (!type || type === 'n') && dateStyles.has(Number(attribute(cellTag, 's')))) text = serialToDate(Number(value));
+      else text = value;
+
+      while (cells.length < column) cells.push('');
+      cells[column] = text;
+    }
+
+    if (cells.some(cell => cell.trim() !== '')) {
+      const rowNumber = Number(attribute(rowTag, 'r'));
+      rows.push({ line: rowNumber || rows.length + 1, cells });
+      if (rows.length > MAX_ROWS) {
+        throw new Error(`The worksheet has more than ${MAX_ROWS} rows`);
+      }
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  isXlsxFile,
+  readXlsxRows
+};
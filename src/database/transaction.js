@@ -0,0 +1,71 @@
+/**
+ * Transaction Helpers
+ *
+ * The main process shares one sqlite3 connection, so a transaction opened on it
+ * would also capture any statement another caller issues before COMMIT. Writers
+ * therefore take turns through a per-connection queue: single writes wait for
+ * the running transaction, and a transaction waits for writes already queued.
+ */
+
+// Tail of the write queue for each connection
+const writeQueues = new WeakMap();
+
+/**
+ * Runs a task once every write queued before it on the same connection has settled
+ * @param {Object} db - sqlite3 database connection
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise} - Result of the task
+ */
+function runExclusive(db, task) {
+  const previous = writeQueues.get(db) || Promise.resolve();
+  const next = previous.then(task, task);
+  writeQueues.set(db, next.catch(() => {}));
+  return next;
+}
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+/**
+ * Runs work inside BEGIN IMMEDIATE ... COMMIT, rolling back if it throws.
+ * The caller must already hold the connection (see runExclusive).
+ * @param {Object} db - sqlite3 database connection
+ * @param {Function} work - Async function issuing the statements of the transaction
+ * @returns {Promise} - Result of the work
+ */
+async function runInTransaction(db, work) {
+  await exec(db, 'BEGIN IMMEDIATE');
+
+  let result;
+  try {
+    result = await work();
+  } catch (error) {
+    try {
+      await exec(db, 'ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Failed to roll back transaction:', rollbackError.message);
+    }
+    throw error;
+  }
+
+  try {
+    await exec(db, 'COMMIT');
+  } catch (error) {
+    // A failed COMMIT can leave the transaction open; close it so the connection stays usable
+    await exec(db, 'ROLLBACK').catch(() => {});
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = {
+  runExclusive,
+  runInTransaction
+};
@@ -8,6 +8,7 @@ describe('Equipment Store', () => {
       refresh: false,
       editingEquipment: null,
       inspectingEquipment: null,
+      layout: 'list',
     });
   });
 
@@ -72,5 +73,13 @@ describe('Equipment Store', () => {
       setInspectingEquipment(null);
       expect(useEquipmentStore.getState().inspectingEquipment).toBeNull();
     });
+
+    it('should switch between the list and tree layouts with setLayout action', () => {
+      const { setLayout } = useEquipmentStore.getState();
+
+      expect(useEquipmentStore.getState().layout).toBe('list');
+      setLayout('tree');
+      expect(useEquipmentStore.getState().layout).toBe('tree');
+    });
   });
 });
\ No newline at end of file
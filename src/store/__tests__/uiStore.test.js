@@ -57,6 +57,16 @@ describe('UI Store', () => {
       expect(newState.view).toBe('inspections');
     });
 
+    it('should set and clear the search focus', () => {
+      const { setSearchFocus } = useUIStore.getState();
+
+      setSearchFocus({ entityType: 'deficiency', entityId: 7 });
+      expect(useUIStore.getState().searchFocus).toEqual({ entityType: 'deficiency', entityId: 7 });
+
+      setSearchFocus(null);
+      expect(useUIStore.getState().searchFocus).toBeNull();
+    });
+
     it('should toggle sidebar with toggleSidebar action', () => {
       const { toggleSidebar } = useUIStore.getState();
       
@@ -14,6 +14,8 @@ const useEquipmentStore = create((set) => ({
   searchTerm: '',
   /** @type {string} Status filter for equipment (all, active, inactive, under maintenance). */
   filterStatus: 'all',
+  /** @type {string} How the equipment view lays out equipment (list or tree). */
+  layout: 'list',
 
   /**
    * Toggles the refresh flag to force a re-fetch of the equipment list.
@@ -43,6 +45,12 @@ const useEquipmentStore = create((set) => ({
    * @param {string} status - The status filter (all, active, inactive, under maintenance).
    */
   setFilterStatus: (status) => set({ filterStatus: status }),
+
+  /**
+   * Sets how the equipment view lays out equipment.
+   * @param {string} layout - The layout (list or tree).
+   */
+  setLayout: (layout) => set({ layout }),
 }));
 
 export default useEquipmentStore;
\ No newline at end of file
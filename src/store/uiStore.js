@@ -16,6 +16,8 @@ const useUIStore = create(
       darkMode: false,
       /** @type {Array} Array of toast notifications */
       toasts: [],
+      /** @type {Object|null} Record a view should bring into focus when it opens: { entityType, entityId } */
+      searchFocus: null,
 
       /**
        * Sets the current view.
@@ -23,6 +25,12 @@ const useUIStore = create(
        */
       setView: (view) => set({ view }),
 
+      /**
+       * Sets the record the next view should bring into focus; the view clears it once shown.
+       * @param {Object|null} searchFocus - { entityType, entityId }, or null to clear it.
+       */
+      setSearchFocus: (searchFocus) => set({ searchFocus }),
+
       /**
        * Toggles the visibility of the sidebar.
        */
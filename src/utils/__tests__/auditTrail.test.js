@@ -0,0 +1,77 @@
+import {
+  auditEntriesToCsv,
+  getFieldChanges,
+  parseAuditValues,
+  toAuditTimestamp
+} from '../auditTrail';
+
+describe('auditTrail helpers', () => {
+  describe('parseAuditValues', () => {
+    it('should parse JSON objects and wrap anything else', () => {
+      expect(parseAuditValues('{"status":"open"}')).toEqual({ status: 'open' });
+      expect(parseAuditValues(null)).toBeNull();
+      expect(parseAuditValues('')).toBeNull();
+      expect(parseAuditValues('not json')).toEqual({ value: 'not json' });
+      expect(parseAuditValues('42')).toEqual({ value: 42 });
+    });
+  });
+
+  describe('getFieldChanges', () => {
+    it('should pair the before-image with the changed fields of an update', () => {
+      const entry = {
+        oldValues: JSON.stringify({ id: 3, status: 'verified', severity: 'major' }),
+        newValues: JSON.stringify({ status: 'closed' })
+      };
+
+      expect(getFieldChanges(entry)).toEqual([{ field: 'status', from: 'verified', to: 'closed' }]);
+    });
+
+    it('should list every field for creates and deletes', () => {
+      expect(getFieldChanges({ oldValues: null, newValues: '{"id":1,"name":"Daily"}' })).toEqual([
+        { field: 'id', from: undefined, to: 1 },
+        { field: 'name', from: undefined, to: 'Daily' }
+      ]);
+      expect(getFieldChanges({ oldValues: '{"id":1}', newValues: null })).toEqual([
+        { field: 'id', from: 1, to: undefined }
+      ]);
+    });
+
+    it('should skip fields whose values did not change', () => {
+      const entry = { oldValues: '{"a":1,"b":{"x":1}}', newValues: '{"a":1,"b":{"x":2}}' };
+      expect(getFieldChanges(entry)).toEqual([{ field: 'b', from: { x: 1 }, to: { x: 2 } }]);
+    });
+  });
+
+  describe('toAuditTimestamp', () => {
+    it('should convert local day bounds to stored UTC timestamps', () => {
+      const start = toAuditTimestamp('2024-03-10');
+      const end = toAuditTimestamp('2024-03-10', true);
+
+      expect(start).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      expect(new Date(`${end.replace(' ', 'T')}Z`) - new Date(`${start.replace(' ', 'T')}Z`)).toBe(24 * 3600 * 1000);
+      expect(toAuditTimestamp('')).toBeNull();
+    });
+  });
+
+  describe('auditEntriesToCsv', () => {
+    it('should write a header and quote cells containing commas, quotes or newlines', () => {
+      const csv = auditEntriesToCsv([{
+        id: 7,
+        timestamp: '2024-03-10 08:00:00',
+        username: 'admin',
+        userId: 1,
+        action: 'update',
+        entityType: 'equipment',
+        entityId: 2,
+        oldValues: '{"location":"Bay 1, North"}',
+        newValues: null,
+        ipAddress: 'localhost',
+        userAgent: 'main-process'
+      }]);
+
+      const [header, row] = csv.split('\r\n');
+      expect(header).toBe('id,timestamp,username,userId,action,entityType,entityId,oldValues,newValues,ipAddress,userAgent');
+      expect(row).toBe('7,2024-03-10 08:00:00,admin,1,update,equipment,2,"{""location"":""Bay 1, North""}",,localhost,main-process');
+    });
+  });
+});
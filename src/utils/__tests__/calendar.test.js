@@ -0,0 +1,40 @@
+import { addDays, getMonthGrid, getVisibleRange, getWeekDays, groupByDay, shiftPeriod } from '../calendar';
+
+describe('calendar', () => {
+  it('should add days across month and year boundaries', () => {
+    expect(addDays('2025-01-31', 1)).toBe('2025-02-01');
+    expect(addDays('2025-01-01', -1)).toBe('2024-12-31');
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+  });
+
+  it('should list weeks from Sunday and pad the month to whole weeks', () => {
+    expect(getWeekDays('2025-10-01')).toEqual([
+      '2025-09-28', '2025-09-29', '2025-09-30', '2025-10-01', '2025-10-02', '2025-10-03', '2025-10-04'
+    ]);
+
+    const weeks = getMonthGrid('2025-10-17');
+    expect(weeks).toHaveLength(5);
+    expect(weeks[0][0]).toBe('2025-09-28');
+    expect(weeks[4][6]).toBe('2025-11-01');
+    expect(getMonthGrid('2026-02-10')).toHaveLength(4);
+  });
+
+  it('should move by the period of each view', () => {
+    expect(shiftPeriod('2025-01-31', 'month', 1)).toBe('2025-02-01');
+    expect(shiftPeriod('2025-01-15', 'month', -1)).toBe('2024-12-01');
+    expect(shiftPeriod('2025-01-15', 'week', 1)).toBe('2025-01-22');
+    expect(shiftPeriod('2025-01-15', 'agenda', 1)).toBe('2025-02-14');
+    expect(getVisibleRange('2025-01-15', 'agenda')).toEqual({ from: '2025-01-15', to: '2025-02-13' });
+    expect(getVisibleRange('2025-10-17', 'month')).toEqual({ from: '2025-09-28', to: '2025-11-01' });
+  });
+
+  it('should group records by day', () => {
+    const days = groupByDay([
+      { id: 1, scheduled_date: '2025-10-01' },
+      { id: 2, scheduled_date: '2025-10-02' },
+      { id: 3, scheduled_date: '2025-10-01' }
+    ], 'scheduled_date');
+    expect(days.get('2025-10-01').map(item => item.id)).toEqual([1, 3]);
+    expect(days.get('2025-10-02').map(item => item.id)).toEqual([2]);
+  });
+});
@@ -0,0 +1,40 @@
+import { escapeCsvCell, parseCsv, parseCsvRecords } from '../csv';
+
+describe('csv helpers', () => {
+  describe('parseCsv', () => {
+    it('should split rows and cells, honouring quotes', () => {
+      const text = 'name,notes\r\n"Smith, J","said ""hi"""\n\nplain,"two\nlines"';
+      expect(parseCsv(text)).toEqual([
+        ['name', 'notes'],
+        ['Smith, J', 'said "hi"'],
+        ['plain', 'two\nlines']
+      ]);
+    });
+
+    it('should ignore a byte order mark and a trailing newline', () => {
+      expect(parseCsv('\uFEFFa,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+
+  describe('parseCsvRecords', () => {
+    it('should key values by normalized header and report source lines', () => {
+      const { headers, records } = parseCsvRecords('User Name,Full_Name\n\n jdoe ,"Jane\nDoe"\nbob,Bob');
+      expect(headers).toEqual(['username', 'fullname']);
+      expect(records).toEqual([
+        { line: 3, values: { username: 'jdoe', fullname: 'Jane\nDoe' } },
+        { line: 5, values: { username: 'bob', fullname: 'Bob' } }
+      ]);
+    });
+  });
+
+  describe('escapeCsvCell', () => {
+    it('should quote only when needed', () => {
+      expect(escapeCsvCell('plain')).toBe('plain');
+      expect(escapeCsvCell('a,b')).toBe('"a,b"');
+      expect(escapeCsvCell('say "x"')).toBe('"say ""x"""');
+      expect(escapeCsvCell(null)).toBe('');
+      expect(escapeCsvCell({ a: 1 })).toBe('"{""a"":1}"');
+    });
+  });
+});
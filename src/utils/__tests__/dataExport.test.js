@@ -0,0 +1,56 @@
+import { readXlsxRows } from '../../database/spreadsheet';
+import {
+  exportRowsToCsv,
+  exportRowsToXlsx,
+  flattenInspections,
+  getExportColumns,
+  nestInspectionItems
+} from '../dataExport';
+import { MAX_CELL_LENGTH } from '../xlsx';
+
+const inspections = [
+  { id: 1, equipmentId: 4, equipment_identifier: 'OHC-1', inspector: 'Alex', inspectionDate: '2024-03-01' },
+  { id: 2, equipmentId: 5, equipment_identifier: 'JIB-2', inspector: 'Sam', inspectionDate: '2024-03-02' }
+];
+const items = [
+  { id: 10, inspection_id: 1, item_text: 'Hook latch', result: 'pass' },
+  { id: 11, inspection_id: 1, item_text: 'Wire rope', result: 'fail' }
+];
+
+describe('dataExport', () => {
+  it('should nest inspection items and flatten them to one row per item', () => {
+    const nested = nestInspectionItems(inspections, items);
+    expect(nested[0].items).toEqual(items);
+    expect(nested[1].items).toEqual([]);
+
+    const rows = flattenInspections(nested);
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toEqual({ ...inspections[0], 'item.id': 11, 'item.inspection_id': 1, 'item.item_text': 'Wire rope', 'item.result': 'fail' });
+    expect(rows[2]).toEqual(inspections[1]);
+    expect(getExportColumns(rows)).toEqual([
+      'id', 'equipmentId', 'equipment_identifier', 'inspector', 'inspectionDate',
+      'item.id', 'item.inspection_id', 'item.item_text', 'item.result'
+    ]);
+  });
+
+  it('should write CSV with the union of columns', () => {
+    expect(exportRowsToCsv([{ id: 1, notes: 'said "hi", twice' }, { id: 2, status: 'open', tags: ['a'] }])).toBe(
+      'id,notes,status,tags\r\n1,"said ""hi"", twice",,\r\n2,,open,"[""a""]"'
+    );
+  });
+
+  it('should write a workbook with a sheet per entity set that spreadsheet readers can open', () => {
+    const workbook = exportRowsToXlsx([
+      { name: 'Equipment', rows: [{ equipmentId: 'OHC-1', capacity: 10, notes: 'Bay <3> & "north"\u0007 – ✓' }] },
+      { name: 'Inspection Items', rows: [{ id: 10, notes: 'x'.repeat(MAX_CELL_LENGTH + 5) }] }
+    ]);
+
+    expect(readXlsxRows(Buffer.from(workbook))).toEqual([
+      { line: 1, cells: ['equipmentId', 'capacity', 'notes'] },
+      { line: 2, cells: ['OHC-1', '10', 'Bay <3> & "north" – ✓'] }
+    ]);
+    const text = Buffer.from(workbook).toString('latin1');
+    expect(text).toContain('<sheet name="Inspection Items" sheetId="2" r:id="rId2"/>');
+    expect(text).toContain(`<t xml:space="preserve">${'x'.repeat(MAX_CELL_LENGTH)}</t>`);
+  });
+});
@@ -0,0 +1,52 @@
+import { buildEquipmentTree, canMoveEquipment, getComponents } from '../equipmentHierarchy';
+
+const equipment = [
+  { id: 1, equipmentId: 'OHC-1', type: 'Overhead Crane', site: 'North', building: 'Shop 2', bay: 'Bay 10', parent_id: null },
+  { id: 2, equipmentId: 'HST-1', type: 'Hoist', site: null, building: null, bay: null, parent_id: 1 },
+  { id: 3, equipmentId: 'TRL-1', type: 'Trolley', site: 'North', building: 'Shop 2', bay: 'Bay 10', parent_id: 2 },
+  { id: 4, equipmentId: 'JIB-1', type: 'Jib', site: 'North', building: null, bay: 'Bay 2', parent_id: null },
+  { id: 5, equipmentId: 'GC-1', type: 'Gantry Crane', site: null, building: null, bay: null, parent_id: null }
+];
+const counts = [
+  { id: 1, open_deficiencies: 1, overdue_inspections: 0, overdue_pm: 1, overdue_work_orders: 0 },
+  { id: 3, open_deficiencies: 2, overdue_inspections: 1, overdue_pm: 0, overdue_work_orders: 1 }
+];
+
+describe('equipmentHierarchy', () => {
+  it('should group equipment by site, building and bay and nest components under their parent', () => {
+    const [north, crane] = buildEquipmentTree(equipment, counts);
+
+    expect(north).toMatchObject({ kind: 'site', label: 'North', openDeficiencies: 3, overdue: 3 });
+    expect(north.children.map(node => `${node.kind}:${node.label}`)).toEqual(['building:Shop 2', 'bay:Bay 2']);
+    expect(north.children[1].location).toEqual({ site: 'North', building: null, bay: 'Bay 2' });
+
+    const bay = north.children[0].children[0];
+    expect(bay).toMatchObject({ kind: 'bay', label: 'Bay 10', location: { site: 'North', building: 'Shop 2', bay: 'Bay 10' } });
+    const [ohc] = bay.children;
+    expect(ohc).toMatchObject({ label: 'OHC-1', openDeficiencies: 3, overdue: 3 });
+    expect(ohc.children[0]).toMatchObject({ label: 'HST-1', openDeficiencies: 2, overdue: 2 });
+    expect(ohc.children[0].children[0]).toMatchObject({ label: 'TRL-1', openDeficiencies: 2, overdue: 2, children: [] });
+
+    expect(crane).toMatchObject({ kind: 'equipment', label: 'GC-1', openDeficiencies: 0, overdue: 0 });
+  });
+
+  it('should still show equipment whose parents loop back to it', () => {
+    const looped = [
+      { id: 1, equipmentId: 'A', site: 'North', parent_id: 2 },
+      { id: 2, equipmentId: 'B', site: null, parent_id: 1 }
+    ];
+    const [north] = buildEquipmentTree(looped);
+    expect(north.children).toHaveLength(1);
+    expect(north.children[0]).toMatchObject({ label: 'A', children: [expect.objectContaining({ label: 'B' })] });
+  });
+
+  it('should list components depth first and refuse moves under them', () => {
+    expect(getComponents(equipment, 1).map(item => item.equipmentId)).toEqual(['HST-1', 'TRL-1']);
+    expect(getComponents(equipment, 4)).toEqual([]);
+
+    expect(canMoveEquipment(equipment, 2, 4)).toBe(true);
+    expect(canMoveEquipment(equipment, 2, null)).toBe(true);
+    expect(canMoveEquipment(equipment, 1, 3)).toBe(false);
+    expect(canMoveEquipment(equipment, 1, 1)).toBe(false);
+  });
+});
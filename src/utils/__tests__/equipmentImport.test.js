@@ -0,0 +1,83 @@
+import { parseCsvRows } from '../csv';
+import { guessColumnMapping, validateEquipmentImport, DEFAULT_IMPORT_STATUS } from '../equipmentImport';
+
+const readSheet = (lines, existing) => {
+  const [header, ...rows] = parseCsvRows(lines.join('\n'));
+  return validateEquipmentImport(rows, guessColumnMapping(header.cells), existing);
+};
+
+describe('equipmentImport', () => {
+  it('should map spreadsheet headers to equipment fields', () => {
+    const mapping = guessColumnMapping(['Asset Tag', 'Make', 'Type', 'Capacity (tons)', 'Plant', 'Parent', 'Notes']);
+    expect(mapping).toMatchObject({
+      equipmentId: 0,
+      manufacturer: 1,
+      type: 2,
+      capacity: 3,
+      site: 4,
+      parent: 5,
+      model: null,
+      bay: null
+    });
+  });
+
+  it('should read valid rows, resolving parents in the database and in the sheet', () => {
+    const { equipment, errors } = readSheet([
+      'equipment_id,type,manufacturer,capacity,installation_date,status,site,building,bay,parent_id',
+      'RW-2,Monorail,Acme,,,,North,B1,Bay 2,OHC-2',
+      'OHC-2,Overhead Crane,Acme,10,2024-01-15,Under_Maintenance,North,B1,Bay 2,RUNWAY-1'
+    ], [{ id: 7, equipmentId: 'Runway-1' }]);
+
+    expect(errors).toEqual([]);
+    expect(equipment).toEqual([
+      {
+        line: 2, equipmentId: 'RW-2', type: 'Monorail', manufacturer: 'Acme', model: null, serialNumber: null,
+        capacity: null, installationDate: null, location: null, status: DEFAULT_IMPORT_STATUS,
+        site: 'North', building: 'B1', bay: 'Bay 2', parentEquipmentId: 'OHC-2', parentId: null
+      },
+      {
+        line: 3, equipmentId: 'OHC-2', type: 'Overhead Crane', manufacturer: 'Acme', model: null, serialNumber: null,
+        capacity: 10, installationDate: '2024-01-15', location: null, status: 'under maintenance',
+        site: 'North', building: 'B1', bay: 'Bay 2', parentEquipmentId: 'Runway-1', parentId: 7
+      }
+    ]);
+  });
+
+  it('should report every problem of a row and skip the rows that depend on it', () => {
+    const { equipment, errors } = readSheet([
+      'equipment_id,type,manufacturer,capacity,installation_date,status,parent',
+      'OHC-1,Jib,Acme,,,,',
+      'OHC-3,Jib,Acme,,,,',
+      'ohc-3,Jib,Acme,,,,',
+      'OHC-4,,Acme,heavy,2024-02-30,retired,',
+      'OHC-5,Jib,Acme,,,,OHC-4',
+      'OHC-6,Jib,Acme,,,,OHC-9',
+      'OHC-7,Jib,Acme,,,,OHC-8',
+      'OHC-8,Jib,Acme,,,,OHC-7',
+      'OHC-10,Jib,Acme,,,,OHC-7',
+      'OHC-11,Jib,Acme,5,,,OHC-3'
+    ], [{ id: 1, equipmentId: 'OHC-1' }]);
+
+    expect(equipment.map(item => item.equipmentId)).toEqual(['OHC-3', 'OHC-11']);
+    expect(errors).toEqual([
+      { line: 2, message: 'Equipment "OHC-1" already exists' },
+      { line: 4, message: 'Equipment "ohc-3" appears more than once' },
+      {
+        line: 5,
+        message: 'Type is required; Invalid capacity: heavy; Invalid installation date (use YYYY-MM-DD): 2024-02-30; Unknown status: retired'
+      },
+      { line: 6, message: 'Parent "OHC-4" has errors' },
+      { line: 7, message: 'Parent "OHC-9" not found' },
+      { line: 8, message: 'Parent chain loops back to "OHC-7"' },
+      { line: 9, message: 'Parent chain loops back to "OHC-8"' },
+      { line: 10, message: 'Parent "OHC-7" has errors' }
+    ]);
+  });
+
+  it('should refuse a mapping without the required fields', () => {
+    expect(validateEquipmentImport([{ line: 2, cells: ['OHC-1'] }], { equipmentId: 0, type: null })).toEqual({
+      equipment: [],
+      errors: [{ line: 1, message: 'No column chosen for: Type, Manufacturer' }]
+    });
+  });
+});
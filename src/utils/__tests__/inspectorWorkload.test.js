@@ -0,0 +1,83 @@
+import {
+  describeStop,
+  getWeekStarts,
+  getWeeklyLoad,
+  groupInspectors,
+  isQualified,
+  orderRoute,
+  planDayRoutes,
+  suggestRebalancing
+} from '../inspectorWorkload';
+
+const rows = [
+  { userId: 1, username: 'alex', fullName: 'Alex Kim', credential_id: 10, equipment_types: '["Overhead Crane"]', issue_date: '2024-01-01', expiration_date: '2025-12-31' },
+  { userId: 1, username: 'alex', fullName: 'Alex Kim', credential_id: 11, equipment_types: '["Forklift"]', issue_date: '2024-01-01', expiration_date: '2025-03-01' },
+  { userId: 2, username: 'sam', fullName: 'Sam Lee', credential_id: 12, equipment_types: null, issue_date: '2024-01-01', expiration_date: '2025-12-31' },
+  { userId: 3, username: 'rae', fullName: 'Rae Ng', credential_id: null, equipment_types: null, issue_date: null, expiration_date: null }
+];
+
+const item = (id, overrides) => ({
+  id, equipmentIdentifier: `EQ-${id}`, equipmentType: 'Overhead Crane', scheduled_date: '2025-02-04',
+  status: 'scheduled', assigned_user_id: 1, assigned_inspector: 'Alex Kim', ...overrides
+});
+
+describe('inspectorWorkload', () => {
+  const inspectors = groupInspectors(rows);
+
+  it('should group credentials by inspector and check them by type and date', () => {
+    expect(inspectors.map(inspector => [inspector.id, inspector.credentials.length])).toEqual([[1, 2], [2, 1], [3, 0]]);
+    expect(isQualified(inspectors[0], 'overhead crane', '2025-06-01')).toBe(true);
+    expect(isQualified(inspectors[0], 'Forklift', '2025-06-01')).toBe(false);
+    expect(isQualified(inspectors[1], 'Forklift', '2025-06-01')).toBe(true);
+    expect(isQualified(inspectors[1], 'Forklift', '2026-01-01')).toBe(false);
+    expect(isQualified(inspectors[2], 'Forklift', '2025-06-01')).toBe(false);
+  });
+
+  it('should count open inspections per inspector and week', () => {
+    const weeks = getWeekStarts('2025-02-01', '2025-02-14');
+    expect(weeks).toEqual(['2025-01-26', '2025-02-02', '2025-02-09']);
+
+    const load = getWeeklyLoad([
+      item(1), item(2, { scheduled_date: '2025-02-10' }), item(3, { status: 'completed' }),
+      item(4, { assigned_user_id: null }), item(5, { scheduled_date: '2025-03-10' })
+    ], inspectors, weeks);
+    expect(load.rows.map(row => [row.inspector.id, row.counts, row.total])).toEqual([
+      [1, [0, 1, 1], 2], [2, [0, 0, 0], 0], [3, [0, 0, 0], 0]
+    ]);
+    expect(load.unassigned).toEqual([0, 1, 0]);
+  });
+
+  it('should suggest assigning open inspections and evening out a week', () => {
+    const scheduled = [
+      item(1), item(2), item(3), item(4, { equipmentType: 'Hoist' }),
+      item(5, { status: 'in_progress' }),
+      item(6, { assigned_user_id: null, assigned_inspector: null })
+    ];
+    const moves = suggestRebalancing(scheduled, inspectors, ['2025-02-02']);
+    expect(moves.map(move => [move.id, move.fromName, move.toName])).toEqual([
+      [6, null, 'Sam Lee'],
+      [1, 'Alex Kim', 'Sam Lee'],
+      [2, 'Alex Kim', 'Sam Lee']
+    ]);
+    expect(suggestRebalancing([item(1), item(2, { assigned_user_id: 2 })], inspectors, ['2025-02-02'])).toEqual([]);
+  });
+
+  it('should order stops by site, building and bay and split routes by inspector', () => {
+    const stops = [
+      item(1, { site: 'Plant 2', building: 'A' }),
+      item(2),
+      item(3, { site: 'Plant 1', building: 'B', bay: '10' }),
+      item(4, { site: 'Plant 1', building: 'B', bay: '2', assigned_inspector: 'Sam Lee' })
+    ];
+    expect(orderRoute(stops).map(stop => stop.id)).toEqual([4, 3, 1, 2]);
+    expect(describeStop(stops[2])).toBe('Plant 1 › B › 10');
+    expect(describeStop({ location: 'North yard' })).toBe('North yard');
+
+    expect(planDayRoutes([...stops, item(5, { assigned_inspector: null })])
+      .map(route => [route.inspector, route.stops.map(stop => stop.id)])).toEqual([
+      ['Alex Kim', [3, 1, 2]],
+      ['Sam Lee', [4]],
+      [null, [5]]
+    ]);
+  });
+});
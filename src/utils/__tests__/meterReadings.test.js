@@ -0,0 +1,114 @@
+import {
+  getMeterHistory,
+  getTypicalRate,
+  checkReading,
+  flagHistory,
+  describeReadingNotes,
+  refreshPmAfterReadings
+} from '../meterReadings';
+
+let nextId = 1;
+const reading = (reading_date, reading_value, meter_type = 'hours') => ({ id: nextId++, meter_type, reading_value, reading_date });
+
+// 8 hours a day, with one 2-day interval
+const hours = [
+  reading('2025-03-01', 100),
+  reading('2025-03-02', 108),
+  reading('2025-03-04', 124),
+  reading('2025-03-05', 132)
+];
+
+describe('meterReadings', () => {
+  describe('getMeterHistory', () => {
+    it('should keep one meter type, oldest first', () => {
+      const history = getMeterHistory([hours[2], reading('2025-03-01', 5, 'Cycles'), hours[0]], 'hours');
+      expect(history.map(item => item.reading_value)).toEqual([100, 124]);
+      expect(getMeterHistory([reading('2025-03-01', 5, 'Cycles ')], 'cycles')).toHaveLength(1);
+    });
+  });
+
+  describe('getTypicalRate', () => {
+    it('should take the median daily usage between readings', () => {
+      expect(getTypicalRate(hours)).toBe(8);
+      expect(getTypicalRate([...hours, reading('2025-03-06', 156)])).toBe(8);
+    });
+
+    it('should need an interval of at least a day', () => {
+      expect(getTypicalRate([hours[0]])).toBeNull();
+      expect(getTypicalRate([hours[0], reading('2025-03-01', 104)])).toBeNull();
+    });
+  });
+
+  describe('checkReading', () => {
+    it('should accept a reading in line with the usual rate', () => {
+      expect(checkReading(hours, { meterType: 'hours', readingValue: 150, readingDate: '2025-03-07' })).toEqual([]);
+    });
+
+    it('should flag a reading lower than the previous one', () => {
+      expect(checkReading(hours, { meterType: 'hours', readingValue: 120, readingDate: '2025-03-06' })).toEqual([
+        { type: 'decrease', message: 'Lower than the previous reading of 132 on 2025-03-05' }
+      ]);
+    });
+
+    it('should flag a back-dated reading higher than a later one', () => {
+      expect(checkReading(hours, { meterType: 'hours', readingValue: 130, readingDate: '2025-03-03' })).toEqual([
+        { type: 'decrease', message: 'Higher than the later reading of 124 on 2025-03-04' }
+      ]);
+    });
+
+    it('should flag a jump beyond the typical rate', () => {
+      const cycles = [reading('2025-03-01', 1000, 'cycles'), reading('2025-03-02', 1040, 'cycles'), reading('2025-03-03', 1080, 'cycles')];
+      expect(checkReading(cycles, { meterType: 'cycles', readingValue: 1300, readingDate: '2025-03-04' })).toEqual([
+        { type: 'jump', message: '220 cycles in 1 day, about 5.5× the typical 40 a day' }
+      ]);
+      expect(checkReading(cycles, { meterType: 'cycles', readingValue: 1190, readingDate: '2025-03-06' })).toEqual([]);
+    });
+
+    it('should flag more hours than a day has, even without a history to compare with', () => {
+      expect(checkReading([hours[0]], { meterType: 'hours', readingValue: 160, readingDate: '2025-03-03' })).toEqual([
+        { type: 'jump', message: '60 hours in 2 days is more than 24 a day' }
+      ]);
+    });
+
+    it('should not check the first reading of a meter', () => {
+      expect(checkReading([], { meterType: 'starts', readingValue: 5000, readingDate: '2025-03-01' })).toEqual([]);
+    });
+  });
+
+  describe('flagHistory', () => {
+    it('should check each reading against the ones before it', () => {
+      const flagged = flagHistory([...hours, reading('2025-03-06', 10), reading('2025-03-07', 18)], 'hours');
+      expect(flagged.map(item => item.warnings.length)).toEqual([0, 0, 0, 0, 1, 0]);
+    });
+  });
+
+  describe('describeReadingNotes', () => {
+    it('should record the warnings a reading was saved with', () => {
+      const warnings = [{ type: 'decrease', message: 'Lower than the previous reading of 132 on 2025-03-05' }];
+      expect(describeReadingNotes(' Meter replaced ', warnings))
+        .toBe('Meter replaced. Saved despite: Lower than the previous reading of 132 on 2025-03-05');
+      expect(describeReadingNotes('', [])).toBeNull();
+    });
+  });
+
+  describe('refreshPmAfterReadings', () => {
+    beforeEach(() => {
+      window.api = { pmSchedules: { refreshFromMeters: jest.fn().mockResolvedValue({ raised: [3, 4] }) } };
+    });
+
+    afterEach(() => {
+      delete window.api;
+    });
+
+    it('should report the PM work orders raised when the user may schedule PM', async () => {
+      expect(await refreshPmAfterReadings(() => true)).toBe(2);
+      expect(await refreshPmAfterReadings(() => false)).toBe(0);
+      expect(window.api.pmSchedules.refreshFromMeters).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave a failed check to the caller', async () => {
+      window.api.pmSchedules.refreshFromMeters.mockRejectedValue(new Error('Database is busy'));
+      await expect(refreshPmAfterReadings(() => true)).rejects.toThrow('Database is busy');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { buildSearchQuery, getSearchDestination, groupSearchResults, splitSnippet } from '../search';
+
+describe('search', () => {
+  it('should quote every word as a prefix and ignore text too short to search', () => {
+    expect(buildSearchQuery('  hook  LATCH ')).toBe('"hook"* "LATCH"*');
+    expect(buildSearchQuery('OHC-1 "wire" OR rope')).toBe('"OHC-1"* "wire"* "OR"* "rope"*');
+    expect(buildSearchQuery('a')).toBe('');
+    expect(buildSearchQuery('   ')).toBe('');
+  });
+
+  it('should group results in display order and drop empty groups', () => {
+    const results = [
+      { entityType: 'work_order', entityId: 3 },
+      { entityType: 'equipment', entityId: 1 },
+      { entityType: 'work_order', entityId: 9 }
+    ];
+    const groups = groupSearchResults(results);
+
+    expect(groups.map(group => group.label)).toEqual(['Equipment', 'Work Orders']);
+    expect(groups[1].results.map(result => result.entityId)).toEqual([3, 9]);
+  });
+
+  it('should split snippets into plain and matched parts', () => {
+    expect(splitSnippet('…bent \u0002hook\u0003 latch on \u0002hoist\u0003')).toEqual([
+      { text: '…bent ', match: false },
+      { text: 'hook', match: true },
+      { text: ' latch on ', match: false },
+      { text: 'hoist', match: true }
+    ]);
+    expect(splitSnippet(null)).toEqual([]);
+  });
+
+  it('should send each kind of result to its view', () => {
+    expect(getSearchDestination({ entityType: 'document', entityId: 4, equipmentId: 2, equipment_identifier: 'OHC-1' }))
+      .toEqual({ view: 'equipment', equipmentSearch: 'OHC-1' });
+    expect(getSearchDestination({ entityType: 'inspection_item', entityId: 8, equipmentId: 2 }))
+      .toEqual({ view: 'equipment', inspectionsFor: 2 });
+    expect(getSearchDestination({ entityType: 'deficiency', entityId: 5, equipmentId: 2 }))
+      .toEqual({ view: 'deficiencies', focus: { entityType: 'deficiency', entityId: 5 } });
+    expect(getSearchDestination({ entityType: 'work_order', entityId: 6, equipmentId: 2 }))
+      .toEqual({ view: 'workOrders', focus: { entityType: 'work_order', entityId: 6 } });
+  });
+});
@@ -0,0 +1,45 @@
+import { parseUserImport, DEFAULT_IMPORT_ROLE } from '../userImport';
+
+describe('parseUserImport', () => {
+  it('should read valid rows and default the role', () => {
+    const csv = 'Username,Full Name,Email,Role\njdoe,Jane Doe,jane@example.com,Inspector\nbsmith,Bob Smith,,';
+    expect(parseUserImport(csv)).toEqual({
+      users: [
+        { line: 2, username: 'jdoe', fullName: 'Jane Doe', email: 'jane@example.com', role: 'inspector' },
+        { line: 3, username: 'bsmith', fullName: 'Bob Smith', email: null, role: DEFAULT_IMPORT_ROLE }
+      ],
+      errors: []
+    });
+  });
+
+  it('should report invalid rows by line without dropping valid ones', () => {
+    const csv = [
+      'username,name,email,role',
+      'admin,Existing,,viewer',
+      'ann,Ann,,viewer',
+      'ANN,Ann Again,,viewer',
+      'carl,,,viewer',
+      'dee,Dee,not-an-email,viewer',
+      'eve,Eve,,superuser',
+      'f g,Eff,,viewer'
+    ].join('\n');
+
+    const { users, errors } = parseUserImport(csv, ['Admin']);
+    expect(users.map(user => user.username)).toEqual(['ann']);
+    expect(errors).toEqual([
+      { line: 2, message: 'User "admin" already exists' },
+      { line: 4, message: 'User "ANN" appears more than once' },
+      { line: 5, message: 'Full name is required' },
+      { line: 6, message: 'Invalid email: not-an-email' },
+      { line: 7, message: 'Unknown role: superuser' },
+      { line: 8, message: 'Username cannot contain spaces' }
+    ]);
+  });
+
+  it('should reject files without the required columns', () => {
+    expect(parseUserImport('login,email\njdoe,j@example.com')).toEqual({
+      users: [],
+      errors: [{ line: 1, message: 'Missing required column: full_name' }]
+    });
+  });
+});
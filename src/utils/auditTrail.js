@@ -0,0 +1,93 @@
+/**
+ * Audit Trail Helpers
+ *
+ * Formatting shared by the Audit Trail view and its CSV/JSON exports. Entries
+ * arrive from the preload with camelCase keys (oldValues, newValues, ...).
+ */
+
+import { escapeCsvCell } from './csv';
+
+export const AUDIT_EXPORT_COLUMNS = [
+  'id', 'timestamp', 'username', 'userId', 'action', 'entityType', 'entityId',
+  'oldValues', 'newValues', 'ipAddress', 'userAgent'
+];
+
+/**
+ * Parses an audit old_values/new_values column
+ * @param {string|Object|null} values - Stored JSON
+ * @returns {Object|null} - Parsed object; non-object JSON is wrapped as { value }
+ */
+export const parseAuditValues = (values) => {
+  if (values === null || values === undefined || values === '') return null;
+  if (typeof values === 'object') return values;
+
+  try {
+    const parsed = JSON.parse(values);
+    return parsed !== null && typeof parsed === 'object' ? parsed : { value: parsed };
+  } catch (error) {
+    return { value: values };
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Lists field-level changes recorded by an audit entry. Updates store the full
+ * before-image and only the changed fields as new values, so the fields shown
+ * are those in newValues (or in oldValues for deletes).
+ * @param {Object} entry - Audit entry
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+export const getFieldChanges = (entry) => {
+  const oldValues = parseAuditValues(entry.oldValues);
+  const newValues = parseAuditValues(entry.newValues);
+  const fields = Object.keys(newValues || oldValues || {});
+
+  return fields
+    .map(field => ({
+      field,
+      from: oldValues ? oldValues[field] : undefined,
+      to: newValues ? newValues[field] : undefined
+    }))
+    .filter(change => !oldValues || !newValues || !sameValue(change.from, change.to));
+};
+
+/**
+ * Converts a local calendar date to the UTC timestamp format audit_log stores
+ * @param {string} date - YYYY-MM-DD in local time
+ * @param {boolean} nextDay - Return the start of the following day (exclusive end bound)
+ * @returns {string|null} - YYYY-MM-DD HH:MM:SS in UTC
+ */
+export const toAuditTimestamp = (date, nextDay = false) => {
+  if (!date) return null;
+  const [year, month, day] = date.split('-').map(Number);
+  const local = new Date(year, month - 1, day + (nextDay ? 1 : 0));
+  return local.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+/**
+ * Formats a stored UTC audit timestamp for display in local time
+ * @param {string} timestamp - YYYY-MM-DD HH:MM:SS in UTC
+ * @returns {string} - Localized date and time
+ */
+export const formatAuditTimestamp = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+};
+
+export const formatAuditValue = (value) => {
+  if (value === undefined) return '—';
+  if (value === null) return 'null';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Serializes audit entries as CSV with a header row
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string} - CSV text
+ */
+export const auditEntriesToCsv = (entries) => {
+  const rows = entries.map(entry => AUDIT_EXPORT_COLUMNS.map(column => escapeCsvCell(entry[column])).join(','));
+  return [AUDIT_EXPORT_COLUMNS.join(','), ...rows].join('\r\n');
+};
@@ -0,0 +1,138 @@
+/**
+ * Calendar Helpers
+ *
+ * Date arithmetic for the Scheduler's month, week and agenda views. Days are
+ * handled as YYYY-MM-DD keys, the format scheduled_inspections stores, and
+ * weeks start on Sunday.
+ */
+
+export const CALENDAR_VIEWS = [
+  { key: 'month', label: 'Month' },
+  { key: 'week', label: 'Week' },
+  { key: 'agenda', label: 'Agenda' }
+];
+
+// Days the agenda view lists, starting at the current date
+export const AGENDA_DAYS = 30;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Formats a date as a day key
+ * @param {Date} date - Local date
+ * @returns {string} - YYYY-MM-DD
+ */
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Parses a day key as a local date at midnight
+ * @param {string} key - YYYY-MM-DD
+ * @returns {Date}
+ */
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Adds days to a day key
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} - YYYY-MM-DD
+ */
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Lists the seven days of the week containing a day
+ * @param {string} key - YYYY-MM-DD
+ * @returns {Array<string>} - Sunday to Saturday
+ */
+export const getWeekDays = (key) => {
+  const sunday = addDays(key, -parseDateKey(key).getDay());
+  return Array.from({ length: 7 }, (_, index) => addDays(sunday, index));
+};
+
+/**
+ * Lists the weeks shown for the month containing a day, padded to whole weeks
+ * @param {string} key - YYYY-MM-DD
+ * @returns {Array<Array<string>>} - Weeks of seven day keys
+ */
+export const getMonthGrid = (key) => {
+  const monthPrefix = key.slice(0, 7);
+  const weeks = [];
+  let week = getWeekDays(`${monthPrefix}-01`);
+  while (week.some(day => day.startsWith(monthPrefix))) {
+    weeks.push(week);
+    week = week.map(day => addDays(day, 7));
+  }
+  return weeks;
+};
+
+/**
+ * Days the given view shows
+ * @param {string} key - Current day, YYYY-MM-DD
+ * @param {string} view - 'month', 'week' or 'agenda'
+ * @returns {Object} - { from, to } day keys, inclusive
+ */
+export const getVisibleRange = (key, view) => {
+  if (view === 'month') {
+    const weeks = getMonthGrid(key);
+    return { from: weeks[0][0], to: weeks[weeks.length - 1][6] };
+  }
+  if (view === 'week') {
+    const days = getWeekDays(key);
+    return { from: days[0], to: days[6] };
+  }
+  return { from: key, to: addDays(key, AGENDA_DAYS - 1) };
+};
+
+/**
+ * Moves the current day one period forward or back
+ * @param {string} key - Current day, YYYY-MM-DD
+ * @param {string} view - 'month', 'week' or 'agenda'
+ * @param {number} direction - 1 for the next period, -1 for the previous one
+ * @returns {string} - YYYY-MM-DD
+ */
+export const shiftPeriod = (key, view, direction) => {
+  if (view === 'month') {
+    const date = parseDateKey(`${key.slice(0, 7)}-01`);
+    date.setMonth(date.getMonth() + direction);
+    return toDateKey(date);
+  }
+  return addDays(key, direction * (view === 'week' ? 7 : AGENDA_DAYS));
+};
+
+/**
+ * Heading for the period a view shows
+ * @param {string} key - Current day, YYYY-MM-DD
+ * @param {string} view - 'month', 'week' or 'agenda'
+ * @returns {string}
+ */
+export const getPeriodLabel = (key, view) => {
+  if (view === 'month') {
+    return parseDateKey(key).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const { from, to } = getVisibleRange(key, view);
+  const format = (day) => parseDateKey(day).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${format(from)} – ${format(to)}`;
+};
+
+/**
+ * Groups records by day
+ * @param {Array<Object>} items - Records
+ * @param {string} field - Field holding the day key
+ * @returns {Map<string, Array<Object>>} - Day key → records, in their original order
+ */
+export const groupByDay = (items, field) => {
+  const days = new Map();
+  items.forEach(item => {
+    const day = (item[field] || '').slice(0, 10);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(item);
+  });
+  return days;
+};
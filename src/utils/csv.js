@@ -0,0 +1,104 @@
+/**
+ * CSV Helpers
+ *
+ * Minimal RFC 4180 reading and writing for imports and exports: quoted fields
+ * may contain commas, quotes ("") and line breaks.
+ */
+
+// Splits CSV text into rows, remembering the source line each row starts on
+const readCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Parses CSV text into rows of cells. Blank lines are skipped.
+ * @param {string} text - CSV content (a leading byte order mark is ignored)
+ * @returns {Array<Array<string>>} - Rows of raw cell strings
+ */
+export const parseCsv = (text) => readCsvRows(text).map(row => row.cells);
+
+/**
+ * Parses CSV text into rows of cells with the source line each row starts on
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} - [{ line, cells }] where line is 1-based
+ */
+export const parseCsvRows = (text) => readCsvRows(text);
+
+/**
+ * Parses CSV text whose first row is a header into objects keyed by normalized
+ * header names (lowercase letters and digits only, so "Full Name" becomes "fullname")
+ * @param {string} text - CSV content
+ * @returns {Object} - { headers, records: [{ line, values }] } where line is the 1-based source line
+ */
+export const parseCsvRecords = (text) => {
+  const [headerRow, ...dataRows] = readCsvRows(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.cells.map(normalizeCsvHeader);
+  const records = dataRows.map(({ line, cells }) => {
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = (cells[column] || '').trim();
+    });
+    return { line, values };
+  });
+
+  return { headers, records };
+};
+
+export const normalizeCsvHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Escapes one value for a CSV cell; objects are written as JSON
+ * @param {*} value - Cell value
+ * @returns {string} - Cell text, quoted when needed
+ */
+export const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
@@ -61,6 +61,8 @@ class DataCache {
       'scheduledInspections.create': ['scheduledInspections.getUpcoming'],
       'scheduledInspections.update': ['scheduledInspections.getUpcoming'],
       'scheduledInspections.delete': ['scheduledInspections.getUpcoming'],
+      'scheduledInspections.reschedule': ['scheduledInspections.getUpcoming'],
+      'scheduledInspections.complete': ['scheduledInspections.getUpcoming'],
       'loadTests.create': ['loadTests.getTotal'],
       'calibrations.create': ['calibrations.getTotal'],
       'credentials.create': ['credentials.getTotal'],
@@ -0,0 +1,89 @@
+/**
+ * Data Export Helpers
+ *
+ * Entity sets offered by the Export view and their conversion to CSV, Excel
+ * sheets and JSON. Rows arrive from the preload, so their keys are the names
+ * users see elsewhere in the application (equipmentId, serialNumber, ...).
+ */
+
+import { escapeCsvCell } from './csv';
+import { createXlsxWorkbook } from './xlsx';
+
+// Entity sets in display order; `dateLabel` names the column the date filter applies to,
+// and sets without `bySite` have no equipment to filter by site
+export const EXPORT_SETS = [
+  { key: 'equipment', label: 'Equipment', dateLabel: 'installation date', bySite: true },
+  { key: 'inspections', label: 'Inspections', dateLabel: 'inspection date', bySite: true },
+  { key: 'deficiencies', label: 'Deficiencies', dateLabel: 'date recorded', bySite: true },
+  { key: 'workOrders', label: 'Work Orders', dateLabel: 'date created', bySite: true },
+  { key: 'pmSchedules', label: 'PM Schedules', dateLabel: 'next due date', bySite: true },
+  { key: 'loadTests', label: 'Load Tests', dateLabel: 'test date', bySite: true },
+  { key: 'calibrations', label: 'Calibrations', dateLabel: 'calibration date', bySite: true },
+  { key: 'credentials', label: 'Credentials', dateLabel: 'issue date', bySite: false },
+  { key: 'certificates', label: 'Certificates', dateLabel: 'issue date', bySite: true }
+];
+
+// Prefix of inspection item columns when inspections are flattened to one row per item
+const ITEM_PREFIX = 'item.';
+
+/**
+ * Lists the columns of a set of rows: the keys of every row, in first-seen order
+ * @param {Array<Object>} rows - Exported rows
+ * @returns {Array<string>} - Column names
+ */
+export const getExportColumns = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return [...columns];
+};
+
+/**
+ * Attaches each inspection's checklist items as `items`
+ * @param {Array<Object>} inspections - Inspection rows
+ * @param {Array<Object>} items - Inspection item rows (with inspection_id)
+ * @returns {Array<Object>} - Inspections with an items array
+ */
+export const nestInspectionItems = (inspections, items) => {
+  const byInspection = new Map();
+  items.forEach(item => {
+    if (!byInspection.has(item.inspection_id)) byInspection.set(item.inspection_id, []);
+    byInspection.get(item.inspection_id).push(item);
+  });
+  return inspections.map(inspection => ({ ...inspection, items: byInspection.get(inspection.id) || [] }));
+};
+
+/**
+ * Flattens inspections with items to one row per item, repeating the inspection's
+ * columns; item columns are prefixed with "item.". Inspections without items keep one row.
+ * @param {Array<Object>} inspections - Inspections from nestInspectionItems
+ * @returns {Array<Object>} - Flat rows
+ */
+export const flattenInspections = (inspections) => inspections.flatMap(({ items, ...inspection }) => {
+  if (!items || items.length === 0) return [inspection];
+  return items.map(item => {
+    const row = { ...inspection };
+    Object.entries(item).forEach(([key, value]) => { row[`${ITEM_PREFIX}${key}`] = value; });
+    return row;
+  });
+});
+
+/**
+ * Serializes rows as CSV with a header row; nested values are written as JSON
+ * @param {Array<Object>} rows - Exported rows
+ * @returns {string} - CSV text
+ */
+export const exportRowsToCsv = (rows) => {
+  const columns = getExportColumns(rows);
+  const lines = rows.map(row => columns.map(column => escapeCsvCell(row[column])).join(','));
+  return [columns.map(escapeCsvCell).join(','), ...lines].join('\r\n');
+};
+
+/**
+ * Builds an Excel workbook with one sheet per entity set
+ * @param {Array<Object>} sheets - [{ name, rows }] of exported rows
+ * @returns {Uint8Array} - Workbook file contents
+ */
+export const exportRowsToXlsx = (sheets) => createXlsxWorkbook(sheets.map(({ name, rows }) => {
+  const columns = getExportColumns(rows);
+  return { name, rows: [columns, ...rows.map(row => columns.map(column => row[column]))] };
+}));
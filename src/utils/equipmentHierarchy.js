@@ -0,0 +1,146 @@
+/**
+ * Equipment Hierarchy
+ *
+ * Builds the Site → Building → Bay → equipment tree shown by the Equipment
+ * view. Equipment with a parent (a hoist on a crane, a trolley on a hoist) is
+ * placed under that parent wherever its own site fields point; the rest is
+ * grouped by site, building and bay, skipping levels it leaves blank.
+ */
+
+// Location levels above the equipment, outermost first
+export const HIERARCHY_LEVELS = [
+  { kind: 'site', field: 'site' },
+  { kind: 'building', field: 'building' },
+  { kind: 'bay', field: 'bay' }
+];
+
+const EMPTY_LOCATION = { site: null, building: null, bay: null };
+
+const compareLabels = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+// Adds the node's own counts to those of its children
+const withTotals = (node, own = { openDeficiencies: 0, overdue: 0 }) => ({
+  ...node,
+  openDeficiencies: node.children.reduce((sum, child) => sum + child.openDeficiencies, own.openDeficiencies),
+  overdue: node.children.reduce((sum, child) => sum + child.overdue, own.overdue)
+});
+
+/**
+ * Sums a row of equipment.getAttentionCounts
+ * @param {Object} [row] - { open_deficiencies, overdue_inspections, overdue_pm, overdue_work_orders }
+ * @returns {Object} - { openDeficiencies, overdue }
+ */
+export const summarizeAttention = (row) => ({
+  openDeficiencies: row ? row.open_deficiencies : 0,
+  overdue: row ? row.overdue_inspections + row.overdue_pm + row.overdue_work_orders : 0
+});
+
+/**
+ * Builds the hierarchy tree with open deficiencies and overdue items rolled up to every node
+ * @param {Array<Object>} equipment - Equipment rows (id, equipmentId, parent_id, site, building, bay, ...)
+ * @param {Array<Object>} [counts] - Rows of equipment.getAttentionCounts
+ * @returns {Array<Object>} - Root nodes: { key, kind, label, location, equipment, children, openDeficiencies, overdue };
+ *   `equipment` is only set on equipment nodes, `location` is where equipment dropped on the node ends up
+ */
+export const buildEquipmentTree = (equipment, counts = []) => {
+  const countsById = new Map(counts.map(row => [row.id, row]));
+  const ids = new Set(equipment.map(item => item.id));
+  const hasParent = (item) => Boolean(item.parent_id) && item.parent_id !== item.id && ids.has(item.parent_id);
+  const childrenOf = new Map();
+  equipment.forEach(item => {
+    if (hasParent(item)) {
+      if (!childrenOf.has(item.parent_id)) childrenOf.set(item.parent_id, []);
+      childrenOf.get(item.parent_id).push(item);
+    }
+  });
+
+  const placed = new Set();
+  const equipmentNode = (item) => {
+    placed.add(item.id);
+    const location = { site: item.site || null, building: item.building || null, bay: item.bay || null };
+    const children = (childrenOf.get(item.id) || [])
+      .filter(child => !placed.has(child.id))
+      .map(equipmentNode);
+    return withTotals({
+      key: `equipment:${item.id}`,
+      kind: 'equipment',
+      label: item.equipmentId,
+      location,
+      equipment: item,
+      children
+    }, summarizeAttention(countsById.get(item.id)));
+  };
+
+  const roots = equipment.filter(item => !hasParent(item)).map(equipmentNode);
+  // Equipment whose parents loop back to it never reaches a root; show it at its own location
+  equipment.forEach(item => {
+    if (!placed.has(item.id)) roots.push(equipmentNode(item));
+  });
+
+  const groupByLevel = (nodes, depth, location) => {
+    if (depth === HIERARCHY_LEVELS.length) {
+      return [...nodes].sort((a, b) => compareLabels(a.label, b.label));
+    }
+    const { kind, field } = HIERARCHY_LEVELS[depth];
+    const groups = new Map();
+    const ungrouped = [];
+    nodes.forEach(node => {
+      const value = node.equipment[field];
+      if (!value) {
+        ungrouped.push(node);
+        return;
+      }
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(node);
+    });
+
+    const groupNodes = [...groups.keys()].sort(compareLabels).map(value => {
+      const groupLocation = { ...location, [field]: value };
+      return withTotals({
+        key: `${kind}:${JSON.stringify(groupLocation)}`,
+        kind,
+        label: value,
+        location: groupLocation,
+        equipment: null,
+        children: groupByLevel(groups.get(value), depth + 1, groupLocation)
+      });
+    });
+    return [...groupNodes, ...groupByLevel(ungrouped, depth + 1, location)];
+  };
+
+  return groupByLevel(roots, 0, EMPTY_LOCATION);
+};
+
+/**
+ * Lists the components below a piece of equipment, depth first
+ * @param {Array<Object>} equipment - Equipment rows
+ * @param {number} id - Equipment ID
+ * @returns {Array<Object>} - Equipment rows of its children, their children, ...
+ */
+export const getComponents = (equipment, id) => {
+  const components = [];
+  const visited = new Set([id]);
+  const visit = (parentId) => {
+    equipment.forEach(item => {
+      if (item.parent_id === parentId && !visited.has(item.id)) {
+        visited.add(item.id);
+        components.push(item);
+        visit(item.id);
+      }
+    });
+  };
+  visit(id);
+  return components;
+};
+
+/**
+ * Checks whether equipment may be moved under a new parent
+ * @param {Array<Object>} equipment - Equipment rows
+ * @param {number} id - Equipment being moved
+ * @param {number|null} parentId - New parent, or null for a site, building or bay
+ * @returns {boolean} - False when the parent is the equipment itself or one of its components
+ */
+export const canMoveEquipment = (equipment, id, parentId) => {
+  if (parentId === null) return true;
+  return parentId !== id && !getComponents(equipment, id).some(item => item.id === parentId);
+};
@@ -0,0 +1,165 @@
+/**
+ * Equipment Import Helpers
+ *
+ * Maps the columns of a CSV or Excel sheet to equipment fields and checks every
+ * row before the sheet is sent to equipment.import. Rows come from parseCsvRows
+ * or the main process's workbook reader as { line, cells }.
+ */
+
+import { normalizeCsvHeader } from './csv';
+
+export const EQUIPMENT_STATUSES = ['active', 'out of service', 'under maintenance'];
+
+// Status given to imported equipment whose row leaves the status column empty
+export const DEFAULT_IMPORT_STATUS = 'active';
+
+// Importable fields in preview order, with the accepted spellings of each header after normalization
+export const EQUIPMENT_IMPORT_FIELDS = [
+  { field: 'equipmentId', label: 'Equipment ID', required: true, aliases: ['equipmentid', 'assetid', 'assettag', 'tag', 'id'] },
+  { field: 'type', label: 'Type', required: true, aliases: ['type', 'equipmenttype'] },
+  { field: 'manufacturer', label: 'Manufacturer', required: true, aliases: ['manufacturer', 'make', 'mfr'] },
+  { field: 'model', label: 'Model', aliases: ['model'] },
+  { field: 'serialNumber', label: 'Serial Number', aliases: ['serialnumber', 'serialno', 'serial'] },
+  { field: 'capacity', label: 'Capacity', aliases: ['capacity', 'capacitytons', 'ratedcapacity', 'swl', 'wll'] },
+  { field: 'installationDate', label: 'Installation Date', aliases: ['installationdate', 'installdate', 'installed', 'dateinstalled'] },
+  { field: 'location', label: 'Location', aliases: ['location'] },
+  { field: 'status', label: 'Status', aliases: ['status'] },
+  { field: 'site', label: 'Site', aliases: ['site', 'plant', 'facility'] },
+  { field: 'building', label: 'Building', aliases: ['building'] },
+  { field: 'bay', label: 'Bay', aliases: ['bay'] },
+  { field: 'parent', label: 'Parent Equipment ID', aliases: ['parentequipmentid', 'parentid', 'parent'] }
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+/**
+ * Picks a column for each field from the header row
+ * @param {Array<string>} headers - Cells of the header row
+ * @returns {Object} - field → zero-based column index, or null when no header matches
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(header => normalizeCsvHeader(header || ''));
+  const mapping = {};
+  EQUIPMENT_IMPORT_FIELDS.forEach(({ field, aliases }) => {
+    const alias = aliases.find(name => normalized.includes(name));
+    mapping[field] = alias ? normalized.indexOf(alias) : null;
+  });
+  return mapping;
+};
+
+const checkRow = (item, existingIds, firstLines) => {
+  const problems = [];
+  if (!item.equipmentId) problems.push('Equipment ID is required');
+  else if (existingIds.has(item.equipmentId.toLowerCase())) problems.push(`Equipment "${item.equipmentId}" already exists`);
+  else if (firstLines.get(item.equipmentId.toLowerCase()) !== item.line) problems.push(`Equipment "${item.equipmentId}" appears more than once`);
+  if (!item.type) problems.push('Type is required');
+  if (!item.manufacturer) problems.push('Manufacturer is required');
+  if (item.capacity && !(Number.isFinite(Number(item.capacity)) && Number(item.capacity) >= 0)) problems.push(`Invalid capacity: ${item.capacity}`);
+  if (item.installationDate && !isValidDate(item.installationDate)) problems.push(`Invalid installation date (use YYYY-MM-DD): ${item.installationDate}`);
+  if (!EQUIPMENT_STATUSES.includes(item.status)) problems.push(`Unknown status: ${item.status}`);
+  if (item.parent && item.equipmentId && item.parent.toLowerCase() === item.equipmentId.toLowerCase()) problems.push('Equipment cannot be its own parent');
+  return problems;
+};
+
+/**
+ * Reads and validates the data rows of an import. Rows with problems are
+ * reported and left out, and so are rows whose parent row is left out. A parent
+ * is existing equipment or another row of the same sheet.
+ * @param {Array<Object>} rows - Data rows (without the header) as { line, cells }
+ * @param {Object} mapping - field → column index, see guessColumnMapping
+ * @param {Array<Object>} existingEquipment - Current equipment records ({ id, equipmentId })
+ * @returns {Object} - { equipment: [{ line, equipmentId, ..., parentEquipmentId, parentId }], errors: [{ line, message }] }
+ */
+export const validateEquipmentImport = (rows, mapping, existingEquipment = []) => {
+  const missing = EQUIPMENT_IMPORT_FIELDS.filter(({ field, required }) => required && !Number.isInteger(mapping[field]));
+  if (missing.length > 0) {
+    return {
+      equipment: [],
+      errors: [{ line: 1, message: `No column chosen for: ${missing.map(({ label }) => label).join(', ')}` }]
+    };
+  }
+
+  const value = (cells, field) => (Number.isInteger(mapping[field]) ? String(cells[mapping[field]] || '').trim() : '');
+  const items = rows.map(({ line, cells }) => ({
+    line,
+    equipmentId: value(cells, 'equipmentId'),
+    type: value(cells, 'type'),
+    manufacturer: value(cells, 'manufacturer'),
+    model: value(cells, 'model') || null,
+    serialNumber: value(cells, 'serialNumber') || null,
+    capacity: value(cells, 'capacity'),
+    installationDate: value(cells, 'installationDate') || null,
+    location: value(cells, 'location') || null,
+    status: (value(cells, 'status') || DEFAULT_IMPORT_STATUS).toLowerCase().replace(/_/g, ' '),
+    site: value(cells, 'site') || null,
+    building: value(cells, 'building') || null,
+    bay: value(cells, 'bay') || null,
+    parent: value(cells, 'parent')
+  }));
+
+  const existing = new Map(existingEquipment.map(record => [String(record.equipmentId).toLowerCase(), record]));
+  const firstLines = new Map();
+  items.forEach(item => {
+    const key = item.equipmentId.toLowerCase();
+    if (item.equipmentId && !firstLines.has(key)) firstLines.set(key, item.line);
+  });
+
+  const problems = new Map(items.map(item => [item, checkRow(item, existing, firstLines)]));
+  const byId = new Map(items.filter(item => problems.get(item).length === 0).map(item => [item.equipmentId.toLowerCase(), item]));
+
+  // Whether following parents within the sheet leads back to the row
+  const inLoop = (item) => {
+    const seen = new Set();
+    let current = item;
+    while (current.parent) {
+      current = byId.get(current.parent.toLowerCase());
+      if (current === item) return true;
+      if (!current || seen.has(current)) return false;
+      seen.add(current);
+    }
+    return false;
+  };
+
+  // A parent must exist already or be a row that is imported itself
+  const parentProblems = new Map();
+  const findParentProblem = (item) => {
+    if (!item.parent || existing.has(item.parent.toLowerCase())) return null;
+    if (!parentProblems.has(item)) {
+      const parentRow = byId.get(item.parent.toLowerCase());
+      let problem = null;
+      if (!parentRow) {
+        problem = firstLines.has(item.parent.toLowerCase()) ? `Parent "${item.parent}" has errors` : `Parent "${item.parent}" not found`;
+      } else if (inLoop(item)) {
+        problem = `Parent chain loops back to "${item.equipmentId}"`;
+      } else if (findParentProblem(parentRow)) {
+        problem = `Parent "${item.parent}" has errors`;
+      }
+      parentProblems.set(item, problem);
+    }
+    return parentProblems.get(item);
+  };
+
+  const equipment = [];
+  const errors = [];
+  items.forEach(item => {
+    const rowProblems = problems.get(item);
+    const parentProblem = rowProblems.length === 0 ? findParentProblem(item) : null;
+    if (rowProblems.length > 0 || parentProblem) {
+      errors.push({ line: item.line, message: [...rowProblems, parentProblem].filter(Boolean).join('; ') });
+      return;
+    }
+
+    const { capacity, parent, ...fields } = item;
+    const parentRecord = parent ? existing.get(parent.toLowerCase()) : null;
+    equipment.push({
+      ...fields,
+      capacity: capacity === '' ? null : Number(capacity),
+      parentEquipmentId: parent ? (parentRecord ? parentRecord.equipmentId : byId.get(parent.toLowerCase()).equipmentId) : null,
+      parentId: parentRecord ? parentRecord.id : null
+    });
+  });
+
+  return { equipment, errors };
+};
@@ -0,0 +1,224 @@
+/**
+ * Inspector Workload Helpers
+ *
+ * Who may be assigned a scheduled inspection, how many open inspections each
+ * inspector carries per week, reassignments that even that out, and the order
+ * a day's inspections are walked in. Qualification mirrors the database check
+ * (qualifiedInspectorSql in schema.js), which has the final say.
+ */
+
+import { addDays, getWeekDays } from './calendar';
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Equipment types a credential covers; null covers every type
+const parseEquipmentTypes = (value) => {
+  if (value == null || String(value).trim() === '') return null;
+  try {
+    const types = JSON.parse(value);
+    if (!Array.isArray(types)) return [];
+    return types.length === 0 ? null : types.map(normalize);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Groups scheduledInspections.getInspectors rows into inspectors with their credentials
+ * @param {Array<Object>} rows - One row per inspector account and Inspector credential
+ * @returns {Array<Object>} - { id, username, fullName, credentials: [{ equipmentTypes, issueDate, expirationDate }] }
+ */
+export function groupInspectors(rows) {
+  const inspectors = new Map();
+  rows.forEach(row => {
+    if (!inspectors.has(row.userId)) {
+      inspectors.set(row.userId, { id: row.userId, username: row.username, fullName: row.fullName, credentials: [] });
+    }
+    if (row.credential_id != null) {
+      inspectors.get(row.userId).credentials.push({
+        equipmentTypes: parseEquipmentTypes(row.equipment_types),
+        issueDate: row.issue_date,
+        expirationDate: row.expiration_date
+      });
+    }
+  });
+  return [...inspectors.values()];
+}
+
+/**
+ * Whether an inspector holds a credential valid on a day for an equipment type
+ * @param {Object} inspector - Result of groupInspectors
+ * @param {string} equipmentType - Equipment type
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isQualified(inspector, equipmentType, date) {
+  return inspector.credentials.some(credential => (
+    credential.issueDate <= date && credential.expirationDate >= date &&
+    (credential.equipmentTypes === null || credential.equipmentTypes.includes(normalize(equipmentType)))
+  ));
+}
+
+/**
+ * Start of the week containing a day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - The Sunday, YYYY-MM-DD
+ */
+export const getWeekStart = (date) => getWeekDays(date)[0];
+
+/**
+ * Counts each inspector's open inspections per week
+ * @param {Array<Object>} scheduled - Scheduled inspections
+ * @param {Array<Object>} inspectors - Result of groupInspectors
+ * @param {Array<string>} weekStarts - Sundays of the weeks to count
+ * @returns {Object} - { rows: [{ inspector, counts, total }], unassigned: counts }, counts in weekStarts order
+ */
+export function getWeeklyLoad(scheduled, inspectors, weekStarts) {
+  const columns = new Map(weekStarts.map((week, index) => [week, index]));
+  const counts = new Map(inspectors.map(inspector => [inspector.id, weekStarts.map(() => 0)]));
+  const unassigned = weekStarts.map(() => 0);
+  scheduled.forEach(item => {
+    if (item.status === 'completed') return;
+    const column = columns.get(getWeekStart(item.scheduled_date));
+    if (column === undefined) return;
+    const row = item.assigned_user_id == null ? unassigned : counts.get(item.assigned_user_id);
+    if (row) row[column] += 1;
+  });
+  return {
+    rows: inspectors.map(inspector => {
+      const inspectorCounts = counts.get(inspector.id);
+      return { inspector, counts: inspectorCounts, total: inspectorCounts.reduce((sum, count) => sum + count, 0) };
+    }),
+    unassigned
+  };
+}
+
+/**
+ * Suggests reassignments that even out each week's load: unassigned inspections go to
+ * the least loaded qualified inspector, then inspections move from the busiest inspector
+ * to a qualified one carrying at least two fewer that week. Started and completed
+ * inspections stay where they are.
+ * @param {Array<Object>} scheduled - Scheduled inspections with equipmentType
+ * @param {Array<Object>} inspectors - Result of groupInspectors
+ * @param {Array<string>} weekStarts - Sundays of the weeks to balance
+ * @returns {Array<Object>} - { id, equipmentIdentifier, scheduledDate, fromUserId, fromName, toUserId, toName }
+ */
+export function suggestRebalancing(scheduled, inspectors, weekStarts) {
+  const byId = new Map(inspectors.map(inspector => [inspector.id, inspector]));
+  const suggestions = [];
+
+  weekStarts.forEach(week => {
+    const open = scheduled.filter(item => item.status !== 'completed' && getWeekStart(item.scheduled_date) === week);
+    const load = new Map(inspectors.map(inspector => [inspector.id, 0]));
+    open.forEach(item => {
+      if (load.has(item.assigned_user_id)) load.set(item.assigned_user_id, load.get(item.assigned_user_id) + 1);
+    });
+    const assignees = new Map(open.map(item => [item.id, item.assigned_user_id]));
+
+    const leastLoaded = (item, maxLoad) => inspectors
+      .filter(inspector => load.get(inspector.id) <= maxLoad && isQualified(inspector, item.equipmentType, item.scheduled_date))
+      .sort((a, b) => load.get(a.id) - load.get(b.id) || a.fullName.localeCompare(b.fullName))[0];
+
+    const move = (item, to) => {
+      const from = assignees.get(item.id);
+      if (byId.has(from)) load.set(from, load.get(from) - 1);
+      load.set(to.id, load.get(to.id) + 1);
+      assignees.set(item.id, to.id);
+      suggestions.push({
+        id: item.id,
+        equipmentIdentifier: item.equipmentIdentifier,
+        scheduledDate: item.scheduled_date,
+        fromUserId: byId.has(from) ? from : null,
+        fromName: byId.get(from)?.fullName || item.assigned_inspector || null,
+        toUserId: to.id,
+        toName: to.fullName
+      });
+    };
+
+    open
+      .filter(item => item.status === 'scheduled' && !byId.has(item.assigned_user_id))
+      .forEach(item => {
+        const to = leastLoaded(item, Infinity);
+        if (to) move(item, to);
+      });
+
+    // Each move lowers the spread, so this ends; the bound is a safeguard
+    for (let moves = 0; moves < open.length; moves += 1) {
+      const busiest = [...load.entries()].sort((a, b) => b[1] - a[1])[0];
+      if (!busiest) break;
+      const [busiestId, busiestLoad] = busiest;
+      const candidates = open.filter(item => item.status === 'scheduled' && assignees.get(item.id) === busiestId);
+      const found = candidates
+        .map(item => ({ item, to: leastLoaded(item, busiestLoad - 2) }))
+        .find(candidate => candidate.to);
+      if (!found) break;
+      move(found.item, found.to);
+    }
+  });
+
+  return suggestions;
+}
+
+/**
+ * Sundays of the weeks that overlap a range of days
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+export function getWeekStarts(from, to) {
+  const weeks = [];
+  for (let week = getWeekStart(from); week <= to; week = addDays(week, 7)) {
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+// Route order: site, building and bay, with unlocated equipment last, then equipment ID
+const ROUTE_FIELDS = ['site', 'building', 'bay'];
+
+const compareLocation = (a, b) => {
+  for (const field of ROUTE_FIELDS) {
+    const left = normalize(a[field]);
+    const right = normalize(b[field]);
+    if (left !== right) {
+      if (!left) return 1;
+      if (!right) return -1;
+      return left.localeCompare(right, undefined, { numeric: true });
+    }
+  }
+  return String(a.equipmentIdentifier || '').localeCompare(String(b.equipmentIdentifier || ''), undefined, { numeric: true });
+};
+
+/**
+ * Orders inspections so one plant is walked in one pass
+ * @param {Array<Object>} items - Scheduled inspections with site, building and bay
+ * @returns {Array<Object>} - A sorted copy
+ */
+export const orderRoute = (items) => [...items].sort(compareLocation);
+
+/**
+ * Describes where a stop is
+ * @param {Object} item - Scheduled inspection with site, building, bay and location
+ * @returns {string} - e.g. 'Plant 1 › Building A › Bay 3', or the free-text location
+ */
+export const describeStop = (item) => {
+  const parts = ROUTE_FIELDS.map(field => item[field]).filter(Boolean);
+  return parts.length > 0 ? parts.join(' › ') : (item.location || 'No location');
+};
+
+/**
+ * Splits a day's inspections into one route per inspector
+ * @param {Array<Object>} items - Scheduled inspections of one day
+ * @returns {Array<Object>} - { inspector, stops } by inspector name, unassigned last
+ */
+export function planDayRoutes(items) {
+  const routes = new Map();
+  items.forEach(item => {
+    const inspector = item.assigned_inspector || null;
+    if (!routes.has(inspector)) routes.set(inspector, []);
+    routes.get(inspector).push(item);
+  });
+  return [...routes.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+    .map(([inspector, stops]) => ({ inspector, stops: orderRoute(stops) }));
+}
@@ -125,6 +125,24 @@ export const Settings = createLazyComponent(
   'Settings'
 );
 
+// Audit Trail
+export const AuditTrail = createLazyComponent(
+  () => import('../components/AuditTrail'),
+  'AuditTrail'
+);
+
+// Data export
+export const DataExport = createLazyComponent(
+  () => import('../components/DataExport'),
+  'DataExport'
+);
+
+// User administration
+export const Users = createLazyComponent(
+  () => import('../components/Users'),
+  'Users'
+);
+
 // Utilities
 export const QrScanner = createLazyComponent(
   () => import('../components/QrScanner'),
@@ -0,0 +1,141 @@
+/**
+ * Meter Reading Helpers
+ *
+ * Meter types that can be recorded and the checks a new reading goes through
+ * before it is saved: a meter only counts up, and usage since the previous
+ * reading should be in line with how the equipment is normally used. Flagged
+ * readings can still be saved, as meters get replaced or reset.
+ */
+
+export const METER_TYPES = [
+  { key: 'hours', label: 'Hours' },
+  { key: 'cycles', label: 'Cycles' },
+  { key: 'starts', label: 'Starts' }
+];
+
+// Usage this many times the typical daily rate since the previous reading is flagged
+export const JUMP_FACTOR = 3;
+
+// Most a meter can advance in a day, whatever its history
+const MAX_DAILY_USAGE = { hours: 24 };
+
+const DAY_MS = 24 * 3600000;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / DAY_MS;
+
+const formatValue = (value) => Number(value.toFixed(2)).toLocaleString('en-US');
+
+/**
+ * Readings of one meter, oldest first
+ * @param {Array<Object>} readings - meter_readings rows of one piece of equipment
+ * @param {string} meterType - Meter type key
+ * @returns {Array<Object>}
+ */
+export const getMeterHistory = (readings, meterType) => readings
+  .filter(reading => normalize(reading.meter_type) === normalize(meterType))
+  .sort((a, b) => a.reading_date.localeCompare(b.reading_date) || a.id - b.id);
+
+/**
+ * Typical usage per day: the median over the intervals between readings, so one
+ * earlier jump does not move it much
+ * @param {Array<Object>} history - Result of getMeterHistory
+ * @returns {number|null} - Units per day, or null without an interval of at least a day
+ */
+export function getTypicalRate(history) {
+  const rates = [];
+  for (let i = 1; i < history.length; i += 1) {
+    const days = daysBetween(history[i - 1].reading_date, history[i].reading_date);
+    if (days > 0) rates.push((history[i].reading_value - history[i - 1].reading_value) / days);
+  }
+  if (rates.length === 0) return null;
+  rates.sort((a, b) => a - b);
+  const middle = Math.floor(rates.length / 2);
+  return rates.length % 2 === 1 ? rates[middle] : (rates[middle - 1] + rates[middle]) / 2;
+}
+
+/**
+ * Checks a new reading against the meter's history
+ * @param {Array<Object>} history - Result of getMeterHistory
+ * @param {Object} reading - { meterType, readingValue, readingDate }
+ * @returns {Array<Object>} - Warnings { type: 'decrease' | 'jump', message }; empty when the reading looks right
+ */
+export function checkReading(history, { meterType, readingValue, readingDate }) {
+  const warnings = [];
+  const earlier = history.filter(reading => reading.reading_date <= readingDate);
+  const previous = earlier[earlier.length - 1];
+  const next = history.find(reading => reading.reading_date > readingDate);
+
+  if (previous && readingValue < previous.reading_value) {
+    warnings.push({
+      type: 'decrease',
+      message: `Lower than the previous reading of ${formatValue(previous.reading_value)} on ${previous.reading_date}`
+    });
+  }
+  if (next && readingValue > next.reading_value) {
+    warnings.push({
+      type: 'decrease',
+      message: `Higher than the later reading of ${formatValue(next.reading_value)} on ${next.reading_date}`
+    });
+  }
+
+  if (previous && readingValue > previous.reading_value) {
+    const usage = readingValue - previous.reading_value;
+    // Readings on the same day count as a day's usage
+    const days = Math.max(daysBetween(previous.reading_date, readingDate), 1);
+    const rate = usage / days;
+    const period = `${formatValue(usage)} ${meterType} in ${days === 1 ? '1 day' : `${formatValue(days)} days`}`;
+    const maxDaily = MAX_DAILY_USAGE[normalize(meterType)];
+    const typical = getTypicalRate(earlier);
+
+    if (maxDaily && rate > maxDaily) {
+      warnings.push({ type: 'jump', message: `${period} is more than ${maxDaily} a day` });
+    } else if (typical > 0 && rate > typical * JUMP_FACTOR) {
+      warnings.push({
+        type: 'jump',
+        message: `${period}, about ${formatValue(rate / typical)}× the typical ${formatValue(typical)} a day`
+      });
+    }
+  }
+  return warnings;
+}
+
+/**
+ * A meter's history with each reading checked against the ones before it
+ * @param {Array<Object>} history - Result of getMeterHistory
+ * @param {string} meterType - Meter type key
+ * @returns {Array<Object>} - The readings, each with `warnings`
+ */
+export const flagHistory = (history, meterType) => history.map((reading, index) => ({
+  ...reading,
+  warnings: checkReading(history.slice(0, index), {
+    meterType,
+    readingValue: reading.reading_value,
+    readingDate: reading.reading_date
+  })
+}));
+
+/**
+ * Notes saved with a reading, recording any warnings it was saved with
+ * @param {string} notes - Notes entered with the reading
+ * @param {Array<Object>} warnings - Result of checkReading
+ * @returns {string|null}
+ */
+export const describeReadingNotes = (notes, warnings) => {
+  const flagged = warnings.length > 0 ? `Saved despite: ${warnings.map(warning => warning.message).join('; ')}` : '';
+  return [String(notes || '').trim(), flagged].filter(Boolean).join('. ') || null;
+};
+
+/**
+ * Checks PM schedules against new readings straight away when the user may, so the
+ * work orders they raise show up at once; otherwise the background refresh does it.
+ * A failed check is thrown for the caller to report; the readings are already saved.
+ * @param {Function} can - Permission check from useUser
+ * @returns {Promise<number>} - PM work orders raised
+ */
+export async function refreshPmAfterReadings(can) {
+  if (!can('pm.schedule')) return 0;
+  const result = await window.api.pmSchedules.refreshFromMeters();
+  return result.raised.length;
+}
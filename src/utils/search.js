@@ -0,0 +1,96 @@
+/**
+ * Global Search Helpers
+ *
+ * Builds full-text queries for the search.query operation and turns its rows
+ * into the grouped results of the search palette. Rows arrive from the preload:
+ * entityType, entityId, equipmentId (the equipment's row ID),
+ * equipment_identifier and a snippet whose matches are wrapped in \u0002 and \u0003.
+ */
+
+// Shortest text worth searching for
+export const MIN_SEARCH_LENGTH = 2;
+
+// Rows requested per search
+export const SEARCH_LIMIT = 50;
+
+// Result groups in display order
+export const SEARCH_GROUPS = [
+  { entityType: 'equipment', label: 'Equipment' },
+  { entityType: 'inspection', label: 'Inspections' },
+  { entityType: 'inspection_item', label: 'Inspection Findings' },
+  { entityType: 'deficiency', label: 'Deficiencies' },
+  { entityType: 'work_order', label: 'Work Orders' },
+  { entityType: 'document', label: 'Documents' }
+];
+
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Builds an FTS5 MATCH expression that finds records containing a word
+ * starting with each typed word, so results appear while the user types
+ * @param {string} text - What the user typed
+ * @returns {string} - MATCH expression, or '' when there is nothing to search for
+ */
+export const buildSearchQuery = (text) => {
+  if (text.trim().length < MIN_SEARCH_LENGTH) return '';
+  // Quoting each word keeps FTS5 operators and punctuation in the text from being parsed
+  return text
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ');
+};
+
+/**
+ * Groups search rows by entity, in SEARCH_GROUPS order, keeping each group's ranking
+ * @param {Array<Object>} results - Rows of search.query
+ * @returns {Array<Object>} - [{ entityType, label, results }] without empty groups
+ */
+export const groupSearchResults = (results) => SEARCH_GROUPS
+  .map(group => ({ ...group, results: results.filter(result => result.entityType === group.entityType) }))
+  .filter(group => group.results.length > 0);
+
+/**
+ * Splits a snippet into plain and matched parts for rendering
+ * @param {string} snippet - Snippet from search.query
+ * @returns {Array<Object>} - [{ text, match }]
+ */
+export const splitSnippet = (snippet) => {
+  const parts = [];
+  (snippet || '').split(MATCH_START).forEach((chunk, index) => {
+    if (index === 0) {
+      if (chunk) parts.push({ text: chunk, match: false });
+      return;
+    }
+    const [matched, ...rest] = chunk.split(MATCH_END);
+    if (matched) parts.push({ text: matched, match: true });
+    const after = rest.join(MATCH_END);
+    if (after) parts.push({ text: after, match: false });
+  });
+  return parts;
+};
+
+/**
+ * Where a search result opens
+ * @param {Object} result - Row of search.query
+ * @returns {Object} - { view, equipmentSearch } for equipment and documents,
+ *   { view, inspectionsFor } for inspections, { view, focus: { entityType, entityId } } otherwise
+ */
+export const getSearchDestination = (result) => {
+  switch (result.entityType) {
+    case 'equipment':
+    case 'document':
+      return { view: 'equipment', equipmentSearch: result.equipment_identifier };
+    case 'inspection':
+    case 'inspection_item':
+      return { view: 'equipment', inspectionsFor: result.equipmentId };
+    case 'deficiency':
+      return { view: 'deficiencies', focus: { entityType: 'deficiency', entityId: result.entityId } };
+    case 'work_order':
+      return { view: 'workOrders', focus: { entityType: 'work_order', entityId: result.entityId } };
+    default:
+      return { view: 'dashboard' };
+  }
+};
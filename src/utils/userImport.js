@@ -0,0 +1,80 @@
+/**
+ * User Import Helpers
+ *
+ * Reads and checks a CSV of user accounts before it is sent to users.import.
+ * Expected columns: username, full_name, email (optional), role (optional).
+ */
+
+import { parseCsvRecords } from './csv';
+
+export const USER_ROLES = ['viewer', 'inspector', 'reviewer', 'admin'];
+
+// Role given to imported users whose row leaves the role column empty
+export const DEFAULT_IMPORT_ROLE = 'viewer';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted spellings of each column, after header normalization
+const COLUMN_ALIASES = {
+  username: ['username', 'user', 'login'],
+  fullName: ['fullname', 'name', 'displayname'],
+  email: ['email', 'emailaddress'],
+  role: ['role']
+};
+
+const findColumn = (headers, field) => COLUMN_ALIASES[field].find(alias => headers.includes(alias));
+
+/**
+ * Parses a user import CSV and validates every row
+ * @param {string} text - CSV content with a header row
+ * @param {Array<string>} existingUsernames - Usernames already in the database
+ * @returns {Object} - { users: [{ line, username, fullName, email, role }], errors: [{ line, message }] }
+ */
+export const parseUserImport = (text, existingUsernames = []) => {
+  const { headers, records } = parseCsvRecords(text);
+  const columns = {};
+  Object.keys(COLUMN_ALIASES).forEach(field => { columns[field] = findColumn(headers, field); });
+
+  const missing = ['username', 'fullName'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    return {
+      users: [],
+      errors: [{ line: 1, message: `Missing required column: ${missing.map(field => (field === 'fullName' ? 'full_name' : field)).join(', ')}` }]
+    };
+  }
+
+  const taken = new Set(existingUsernames.map(username => username.toLowerCase()));
+  const seen = new Set();
+  const users = [];
+  const errors = [];
+
+  records.forEach(({ line, values }) => {
+    const user = {
+      line,
+      username: values[columns.username] || '',
+      fullName: values[columns.fullName] || '',
+      email: (columns.email && values[columns.email]) || null,
+      role: ((columns.role && values[columns.role]) || DEFAULT_IMPORT_ROLE).toLowerCase()
+    };
+    const key = user.username.toLowerCase();
+
+    let message = null;
+    if (!user.username) message = 'Username is required';
+    else if (/\s/.test(user.username)) message = 'Username cannot contain spaces';
+    else if (taken.has(key)) message = `User "${user.username}" already exists`;
+    else if (seen.has(key)) message = `User "${user.username}" appears more than once`;
+    else if (!user.fullName) message = 'Full name is required';
+    else if (user.email && !EMAIL_PATTERN.test(user.email)) message = `Invalid email: ${user.email}`;
+    else if (!USER_ROLES.includes(user.role)) message = `Unknown role: ${user.role}`;
+
+    if (user.username) seen.add(key);
+
+    if (message) {
+      errors.push({ line, message });
+    } else {
+      users.push(user);
+    }
+  });
+
+  return { users, errors };
+};